@@ -22,6 +22,7 @@ export default defineConfig([
         "Utilities": "readonly",
         "HtmlService": "readonly",
         "PropertiesService": "readonly",
+        "LockService": "readonly",
         "Session": "readonly",
         "CacheService": "readonly",
         "UrlFetchApp": "readonly",
@@ -0,0 +1,151 @@
+/* global PA_AUDIT_LOG_SHEET_NAME, PA_STAFF_SHEET_NAME, getStorageAdapter, withScriptLock, getCurrentUserSession, findStaffMember_, staffHasPermission, getStaffUnitScope */
+
+/**
+ * @file AccessGuard.js
+ * @description Server-side authorization for the functions the web app calls through
+ * google.script.run. Any global function of the project can be called from the browser, so every
+ * endpoint derives the caller's identity from getCurrentUserSession() with authorizeCall() instead
+ * of trusting IDs or emails sent by the client. Denied calls, and submissions whose evaluator fields
+ * did not match the signed-in student, are appended to the 'PaAuditLog' sheet.
+ *
+ * Endpoints and who may call them:
+ * - anyone: doGet, doPost, getCurrentUser, getInstitutionProfileForWeb
+ * - signed-in users: getQuestionDefinitionsForWeb
+ * - students: submitPeerAssessments, saveDraftAssessment, getDraftAssessments, getCompletedAssessments
+ * - staff, by permission (STAFF_ROLE_PERMISSIONS): the dashboard endpoints, getUserStatistics,
+ *   getSystemHealth, getAllActiveStudentsForFaculty and getAssessmentCompletionStatus
+ * - staff who may run workflows for all units, or the spreadsheet menu: the workflows, the sheet
+ *   clean-up and mock data functions and createDefaultWeightRulesSheet
+ * Helpers that must not be reachable from the browser end in "_" (e.g. findStaffMember_,
+ * recordAccessAudit_), which makes them private to the script.
+ *
+ * @requires Config.js (for PA_AUDIT_LOG_SHEET_NAME)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires Utils.js (for withScriptLock)
+ * @requires StaffRoles.js (for findStaffMember_, staffHasPermission and getStaffUnitScope)
+ * @requires AuthHandler.js (for getCurrentUserSession)
+ */
+
+// ===================================================================================
+// AUDIT LOG
+// ===================================================================================
+
+/**
+ * Appends an entry to 'PaAuditLog'. Failing to write the entry is logged but never thrown, so an
+ * audit problem cannot turn a denial into something else (or break a submission).
+ * @param {string} functionName The endpoint that was called.
+ * @param {object|null} userSession The caller's session (may be unauthenticated).
+ * @param {string} outcome "denied" or "overridden".
+ * @param {string} detail What happened, in words.
+ */
+function recordAccessAudit_(functionName, userSession, outcome, detail) {
+  const session = userSession || {};
+  const record = {
+    timestamp: new Date().toISOString(),
+    email: session.email || Session.getActiveUser().getEmail() || "",
+    role: session.role || "",
+    functionName,
+    outcome,
+    detail
+  };
+  Logger.log(`ACCESS ${outcome.toUpperCase()}: ${functionName} by ${record.email || "(no user)"} - ${detail}`);
+
+  try {
+    const lockOutcome = withScriptLock(() => getStorageAdapter().audit.append(record));
+    if (!lockOutcome.acquired) {
+      Logger.log(`recordAccessAudit: could not acquire the lock; entry not written to ${PA_AUDIT_LOG_SHEET_NAME}`);
+    }
+  } catch (error) {
+    Logger.log(`recordAccessAudit: could not write to ${PA_AUDIT_LOG_SHEET_NAME}: ${error.message}`);
+  }
+}
+
+/**
+ * Records a denied call and returns the error to throw.
+ * @param {string} functionName The endpoint that was called.
+ * @param {object|null} userSession The caller's session.
+ * @param {string} reason The message shown to the caller.
+ * @returns {Error} An error with `reason` as its message.
+ */
+function denyAccess(functionName, userSession, reason) {
+  recordAccessAudit_(functionName, userSession, "denied", reason);
+  return new Error(reason);
+}
+
+// ===================================================================================
+// ENDPOINT GUARDS
+// ===================================================================================
+
+/**
+ * Reads the signed-in user's session and checks that they may call an endpoint.
+ * @param {string} functionName The endpoint being called (for the audit log).
+ * @param {Object} [options]
+ * @param {string} [options.audience] "signedIn" (default), "student" or "staff".
+ * @param {string} [options.permission] For staff: a permission from STAFF_ROLE_PERMISSIONS.
+ * @param {boolean} [options.allUnits] For staff: also require access to every unit.
+ * @param {string} [options.action] What the caller is trying to do, for the error message
+ *   (e.g. "view revision history"); defaults to "call <functionName>".
+ * @returns {object} The caller's session.
+ * @throws {Error} If the call is denied; the denial has been recorded in 'PaAuditLog'.
+ */
+// eslint-disable-next-line no-unused-vars
+function authorizeCall(functionName, { audience = "signedIn", permission = "", allUnits = false, action = "" } = {}) {
+  const description = action || `call ${functionName}`;
+  const userSession = getCurrentUserSession();
+
+  if (!userSession.isAuthenticated) {
+    throw denyAccess(functionName, userSession, userSession.error || "Not signed in");
+  }
+  if (audience === "student" && userSession.role !== "student") {
+    throw denyAccess(functionName, userSession, `Only students can ${description}`);
+  }
+  if (audience === "staff") {
+    if (!userSession.isStaff) {
+      throw denyAccess(functionName, userSession, `Only staff can ${description}`);
+    }
+    if (permission && !staffHasPermission(userSession, permission)) {
+      throw denyAccess(functionName, userSession, `The ${userSession.staffRole} role cannot ${description}`);
+    }
+    if (allUnits && getStaffUnitScope(userSession).length > 0) {
+      throw denyAccess(functionName, userSession, `Only staff with access to all units can ${description}`);
+    }
+  }
+  return userSession;
+}
+
+/**
+ * Guards the workflows and the maintenance functions, which can be started from the spreadsheet
+ * menu or the dashboard. A signed-in user must be staff who may run workflows for all units. A run
+ * without a signed-in user is only allowed from the spreadsheet menu (an editor of the sheet whose
+ * account Apps Script does not disclose); anywhere else, e.g. an anonymous or cross-domain
+ * google.script.run call from the web app, it is denied and audited.
+ * @param {string} functionName The function being run (for the audit log).
+ * @throws {Error} If the caller may not run workflows.
+ */
+// eslint-disable-next-line no-unused-vars
+function requireWorkflowAccess(functionName) {
+  const email = Session.getActiveUser().getEmail();
+  if (!email) {
+    if (isSpreadsheetUiContext_()) return;
+    throw denyAccess(functionName, { email: "", role: "" },
+      "Workflows can only be run by signed-in staff or from the spreadsheet menu.");
+  }
+  const member = findStaffMember_(email);
+  if (!member || !staffHasPermission(member, "runWorkflows") || member.units.length > 0) {
+    throw denyAccess(functionName, { email, role: member ? member.role : "" },
+      `${email} is not allowed to run workflows. Add an instructor or owner row for this account to "${PA_STAFF_SHEET_NAME}".`);
+  }
+}
+
+/**
+ * @returns {boolean} True when running from the spreadsheet UI (a menu item); SpreadsheetApp.getUi()
+ *   throws in web app and trigger executions.
+ */
+function isSpreadsheetUiContext_() {
+  try {
+    SpreadsheetApp.getUi();
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,245 @@
+/* global PA_ASSESSMENT_ROUNDS_SHEET_NAME, getStorageAdapter, normalizeUnitCode */
+
+/**
+ * @file AssessmentRounds.js
+ * @description Assessment rounds (e.g. a midterm and a final peer review) configured in the
+ * 'PaAssessmentRounds' sheet. Each round has an open/close window, the production units taking
+ * part and the questions asked. Submissions are stamped with the roundId they belong to, and the
+ * analytics, scoring and reporting workflows can be run for one round at a time.
+ *
+ * The sheet is optional: when it is missing or empty the system behaves as a single assessment
+ * cycle that is always open, and workflows aggregate every submission as before.
+ *
+ * @requires Config.js (for PA_ASSESSMENT_ROUNDS_SHEET_NAME)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires ProductionUnits.js (for normalizeUnitCode)
+ */
+
+// ===================================================================================
+// ROUND CONFIGURATION
+// ===================================================================================
+
+/**
+ * Splits a comma/semicolon separated cell into upper-cased, de-duplicated items.
+ * "Unit A" style entries are reduced to the unit code, as in the master student list.
+ * @param {*} value The cell value.
+ * @returns {string[]} The items, in order of appearance.
+ */
+function parseRoundList(value) {
+  if (value === null || value === undefined) return [];
+  const items = [];
+  value.toString().split(/[,;]/).forEach(item => {
+    const normalized = normalizeUnitCode(item);
+    if (normalized && !items.includes(normalized)) items.push(normalized);
+  });
+  return items;
+}
+
+/**
+ * Reads a window boundary cell. Blank cells mean "unbounded".
+ * @param {*} value A Date (as read from Sheets) or a date string.
+ * @returns {Date|null} The date, or null when the cell is blank.
+ * @throws {Error} If the cell is not blank but is not a valid date.
+ */
+function parseRoundDate(value) {
+  if (value === null || value === undefined || value.toString().trim() === "") return null;
+  const date = value instanceof Date ? value : new Date(value.toString().trim());
+  if (isNaN(date.getTime())) {
+    throw new Error(`"${value}" is not a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Creates an assessment round from a 'PaAssessmentRounds' record.
+ * @param {Object<string, *>} record A record keyed by PA_ASSESSMENT_ROUNDS_HEADERS.
+ * @returns {{roundId: string, name: string, opensAt: (Date|null), closesAt: (Date|null), units: string[], questionIds: string[]}}
+ * @throws {Error} If the roundId is missing or the window is invalid.
+ */
+function createAssessmentRound(record) {
+  const roundId = record.roundId ? record.roundId.toString().trim().toUpperCase() : "";
+  if (!roundId) {
+    throw new Error("roundId is required");
+  }
+  const opensAt = parseRoundDate(record.opensAt);
+  const closesAt = parseRoundDate(record.closesAt);
+  if (opensAt && closesAt && closesAt.getTime() <= opensAt.getTime()) {
+    throw new Error(`round ${roundId} closes before it opens`);
+  }
+  return {
+    roundId,
+    name: record.name ? record.name.toString().trim() : roundId,
+    opensAt,
+    closesAt,
+    units: parseRoundList(record.units),
+    questionIds: parseRoundList(record.questionIds)
+  };
+}
+
+/**
+ * Reads all assessment rounds from 'PaAssessmentRounds'. Invalid rows are logged and skipped;
+ * if a roundId appears more than once the first row wins.
+ * @returns {object[]} The rounds, in sheet order. Empty if the sheet is missing or empty.
+ */
+function getAssessmentRounds() {
+  const table = getStorageAdapter().rounds.read();
+  if (!table) return [];
+
+  const rounds = [];
+  table.records.forEach((record, index) => {
+    if (Object.values(record).every(value => value === null || value === undefined || value.toString().trim() === "")) return;
+    try {
+      const round = createAssessmentRound(record);
+      if (rounds.some(existing => existing.roundId === round.roundId)) {
+        Logger.log(`getAssessmentRounds WARNING: Duplicate roundId ${round.roundId} in "${PA_ASSESSMENT_ROUNDS_SHEET_NAME}" row ${index + 2}. Skipping.`);
+        return;
+      }
+      rounds.push(round);
+    } catch (error) {
+      Logger.log(`getAssessmentRounds WARNING: Skipping "${PA_ASSESSMENT_ROUNDS_SHEET_NAME}" row ${index + 2}: ${error.message}`);
+    }
+  });
+  return rounds;
+}
+
+/**
+ * @param {string} roundId The round to find (case-insensitive).
+ * @param {object[]} [rounds] Rounds to search; defaults to the configured rounds.
+ * @returns {object|null} The round, or null if it is not configured.
+ */
+function findAssessmentRound(roundId, rounds = getAssessmentRounds()) {
+  const normalizedId = (roundId || "").toString().trim().toUpperCase();
+  return rounds.find(round => round.roundId === normalizedId) || null;
+}
+
+// ===================================================================================
+// ROUND WINDOWS
+// ===================================================================================
+
+/**
+ * @param {object} round An assessment round.
+ * @param {Date} [now] The moment to check; defaults to the current time.
+ * @returns {boolean} True if `now` falls inside the round's window (opensAt inclusive, closesAt exclusive).
+ */
+function isAssessmentRoundOpen(round, now = new Date()) {
+  const time = now.getTime();
+  if (round.opensAt && time < round.opensAt.getTime()) return false;
+  if (round.closesAt && time >= round.closesAt.getTime()) return false;
+  return true;
+}
+
+/**
+ * @param {object} round An assessment round.
+ * @param {string} unit A production unit letter.
+ * @returns {boolean} True if the round applies to the unit (rounds without units apply to all).
+ */
+function assessmentRoundIncludesUnit(round, unit) {
+  if (round.units.length === 0) return true;
+  return round.units.includes(normalizeUnitCode(unit));
+}
+
+/**
+ * @param {object} round An assessment round.
+ * @param {string} questionId A question ID.
+ * @returns {boolean} True if the question is asked in the round (rounds without a question set ask all).
+ */
+// eslint-disable-next-line no-unused-vars
+function assessmentRoundIncludesQuestion(round, questionId) {
+  if (round.questionIds.length === 0) return true;
+  return round.questionIds.includes((questionId || "").toString().trim().toUpperCase());
+}
+
+/**
+ * Finds the round a unit is currently assessing in. If several open rounds apply, the one that
+ * closes first is returned.
+ * @param {string|string[]} [unit] Production unit, or the units of a student in two units (a round
+ *   qualifies if it includes any of them); when blank, any open round qualifies.
+ * @param {Date} [now] The moment to check; defaults to the current time.
+ * @param {object[]} [rounds] Rounds to search; defaults to the configured rounds.
+ * @returns {object|null} The active round, or null if none is open.
+ */
+function getActiveAssessmentRound(unit, now = new Date(), rounds = getAssessmentRounds()) {
+  const units = [].concat(unit || []).filter(Boolean);
+  const candidates = rounds.filter(round =>
+    isAssessmentRoundOpen(round, now) && (units.length === 0 || units.some(candidate => assessmentRoundIncludesUnit(round, candidate)))
+  );
+  if (candidates.length === 0) return null;
+  const closingTime = round => (round.closesAt ? round.closesAt.getTime() : Infinity);
+  return candidates.reduce((earliest, round) => (closingTime(round) < closingTime(earliest) ? round : earliest));
+}
+
+/**
+ * Converts a round for google.script.run, which cannot return Date objects.
+ * @param {object|null} round An assessment round.
+ * @returns {object|null} The round with ISO string (or null) window boundaries.
+ */
+function toClientAssessmentRound(round) {
+  if (!round) return null;
+  return {
+    roundId: round.roundId,
+    name: round.name,
+    opensAt: round.opensAt ? round.opensAt.toISOString() : null,
+    closesAt: round.closesAt ? round.closesAt.toISOString() : null,
+    units: round.units.slice(),
+    questionIds: round.questionIds.slice()
+  };
+}
+
+/**
+ * Describes the assessment window for a session.
+ * @param {string|string[]} [unit] The user's production unit(s) (blank for instructors).
+ * @returns {{roundsConfigured: boolean, activeRound: (object|null)}} `activeRound` is in client form
+ *   (see {@link toClientAssessmentRound}); it is null when no rounds are configured or none is open.
+ */
+// eslint-disable-next-line no-unused-vars
+function getAssessmentWindowForSession(unit) {
+  try {
+    const rounds = getAssessmentRounds();
+    return {
+      roundsConfigured: rounds.length > 0,
+      activeRound: toClientAssessmentRound(getActiveAssessmentRound(unit, new Date(), rounds))
+    };
+  } catch (error) {
+    Logger.log(`getAssessmentWindowForSession: Could not read assessment rounds: ${error.message}`);
+    return { roundsConfigured: false, activeRound: null };
+  }
+}
+
+// ===================================================================================
+// WORKFLOW SCOPING
+// ===================================================================================
+
+/**
+ * Reads the round a workflow should be limited to. Workflows accept either an options object
+ * (`{roundId}`) or a bare roundId string; anything else (no argument, or the event object a
+ * menu or trigger passes) means "all submissions".
+ * @param {Object|string} [options] Workflow options.
+ * @returns {string} The normalized roundId, or "" for all submissions.
+ * @throws {Error} If a roundId is given but no such round is configured.
+ */
+// eslint-disable-next-line no-unused-vars
+function resolveWorkflowRoundId(options) {
+  let roundId = "";
+  if (typeof options === "string") {
+    roundId = options;
+  } else if (options && typeof options === "object" && typeof options.roundId === "string") {
+    roundId = options.roundId;
+  }
+  roundId = roundId.trim().toUpperCase();
+  if (roundId && !findAssessmentRound(roundId)) {
+    throw new Error(`Unknown assessment round "${roundId}". Check the "${PA_ASSESSMENT_ROUNDS_SHEET_NAME}" sheet.`);
+  }
+  return roundId;
+}
+
+/**
+ * Output sheets of a round-scoped workflow run get the roundId as a suffix, so the results of
+ * different rounds sit side by side (e.g. "PaFinalScoresSummary_MIDTERM").
+ * @param {string} baseName The sheet name used for all-round runs.
+ * @param {string} [roundId] The round, or "" for all submissions.
+ * @returns {string} The sheet name to use.
+ */
+// eslint-disable-next-line no-unused-vars
+function getRoundScopedSheetName(baseName, roundId) {
+  return roundId ? `${baseName}_${roundId}` : baseName;
+}
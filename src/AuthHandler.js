@@ -1,4 +1,4 @@
-/* global PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_QUESTION_CONFIG_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, isValidShuEmail, isValidProductionUnit, checkIfInstructor, DEVELOPMENT_MODE, CURRENT_TEST_EMAIL, createTestSessionFromRealStudent */
+/* global PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_QUESTION_CONFIG_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, isValidInstitutionEmail, normalizeProductionUnit, getActiveProductionUnitCodes, getActiveProductionUnitNames, findStaffMember_, getStaffSessionFields, isValidStudentId, getInstitutionProfile, DEVELOPMENT_MODE, CURRENT_TEST_EMAIL, createTestSessionFromRealStudent, getAssessmentWindowForSession, authorizeCall, staffCanAccessUnit, isSelfAssessmentEnabled */
 
 
 /**
@@ -56,18 +56,19 @@ function getCurrentUserSession() {
     
     Logger.log(`Authentication attempt for email: ${email}`);
     
-    // Enhanced email validation for SHU domain
-    if (!isValidShuEmail(email)) {
-      throw new Error(`Invalid email domain. Please use your SHU email address (format: x123456789@mail.shu.edu.tw). Current email: ${email}`);
+    // Email validation against the institution profile
+    if (!isValidInstitutionEmail(email)) {
+      const profile = getInstitutionProfile();
+      throw new Error(`Invalid email domain. Please use your ${profile.institutionShortName} email address (format: ${profile.studentEmailExample}). Current email: ${email}`);
     }
     
-    // Check if user is an instructor
-    const isInstructor = checkIfInstructor(email);
+    // Check if user is staff ('PaStaff' roles, or an instructor of the institution profile)
+    const staffMember = findStaffMember_(email);
+    const isInstructor = !!staffMember;
     
     // If student, get their details from master list
     let studentDetails = null;
-    let productionUnit = null;
-    let unitMembers = null;
+    let assessmentScope = null;
     
     if (!isInstructor) {
       studentDetails = getStudentDetailsByEmail(email);
@@ -75,34 +76,41 @@ function getCurrentUserSession() {
         throw new Error(`Student not found in master list or not active. Email: ${email}. Please contact your instructor to ensure you're registered for this course.`);
       }
       
-      productionUnit = studentDetails.productionUnit1;
-      
-      // Get unit members (excluding current student)
-      if (productionUnit) {
-        unitMembers = getUnitMembers(productionUnit, studentDetails.studentId);
-        Logger.log(`Found ${unitMembers.length} unit members for ${studentDetails.studentId} in unit ${productionUnit}`);
-      } else {
-        Logger.log(`Warning: No production unit assigned to student ${studentDetails.studentId}`);
-      }
+      // Peers of the primary and secondary unit (excluding current student)
+      assessmentScope = getStudentAssessmentScope(studentDetails);
     } else {
-      Logger.log(`Instructor access granted for: ${email}`);
+      Logger.log(`Staff access granted for: ${email} (${staffMember.role}${staffMember.units.length > 0 ? `, units ${staffMember.units.join(', ')}` : ''})`);
     }
     
-    return {
+    const productionUnit = assessmentScope ? assessmentScope.productionUnit : null;
+    const unitMembers = assessmentScope ? assessmentScope.unitMembers : null;
+    
+    // The round this user is assessing in right now (null outside any window)
+    const assessmentWindow = assessmentScope ? assessmentScope.assessmentWindow : getAssessmentWindowForSession(null);
+    
+    return Object.assign({
       email: email,
       isAuthenticated: true,
-      role: isInstructor ? 'instructor' : 'student',
+      role: isInstructor ? staffMember.role : 'student',
       studentId: studentDetails ? studentDetails.studentId : null,
       studentName: studentDetails ? studentDetails.studentName : null,
       productionUnit: productionUnit,
+      productionUnits: assessmentScope ? assessmentScope.productionUnits : [],
       unitMembers: unitMembers || [],
+      unitMembersByUnit: assessmentScope ? assessmentScope.unitMembersByUnit : {},
+      unitNames: getActiveProductionUnitNames(),
+      // Students also rate themselves in the self-assessment mode (see SelfAssessment.js)
+      selfAssessment: !!studentDetails && isSelfAssessmentEnabled(),
+      activeRound: assessmentWindow.activeRound,
       timestamp: new Date().toISOString(),
       sessionData: {
         totalPeersToEvaluate: unitMembers ? unitMembers.length : 0,
         hasValidUnit: !!productionUnit,
-        canSubmitAssessments: !!studentDetails && !!productionUnit && unitMembers && unitMembers.length > 0
+        roundsConfigured: assessmentWindow.roundsConfigured,
+        canSubmitAssessments: !!studentDetails && !!productionUnit && unitMembers && unitMembers.length > 0 &&
+          (!assessmentWindow.roundsConfigured || !!assessmentWindow.activeRound)
       }
-    };
+    }, isInstructor ? getStaffSessionFields(staffMember) : { isStaff: false });
     
   } catch (error) {
     Logger.log(`Authentication error: ${error.message}`);
@@ -165,26 +173,17 @@ function getStudentDetailsByEmail(email) {
           throw new Error(`Your account is not active (status: ${status}). Please contact your instructor.`);
         }
         
-        // Process unit information
-        let unit1 = row[unit1ColIdx] ? row[unit1ColIdx].toString().trim().toUpperCase() : "";
-        let unit2 = row[unit2ColIdx] ? row[unit2ColIdx].toString().trim().toUpperCase() : "";
-        
-        // Clean unit format (handle "UNIT A" -> "A")
-        if (unit1.startsWith("UNIT ") && unit1.length > 5) {
-          unit1 = unit1.substring(5, 6);
-        }
-        if (unit2.startsWith("UNIT ") && unit2.length > 5) {
-          unit2 = unit2.substring(5, 6);
-        }
+        // Process unit information ("Unit B" -> "B"; units must be active in 'PaUnits')
+        const rawUnit1 = row[unit1ColIdx] ? row[unit1ColIdx].toString().trim() : "";
+        const rawUnit2 = unit2ColIdx !== -1 && row[unit2ColIdx] ? row[unit2ColIdx].toString().trim() : "";
+        const unit1 = normalizeProductionUnit(rawUnit1);
+        const unit2 = normalizeProductionUnit(rawUnit2);
         
-        // Validate units
-        if (unit1 && !isValidProductionUnit(unit1)) {
-          Logger.log(`Invalid unit1 format: ${unit1} for student ${email}`);
-          unit1 = "";
+        if (rawUnit1 && !unit1) {
+          Logger.log(`Unknown or inactive unit1: ${rawUnit1} for student ${email}`);
         }
-        if (unit2 && !isValidProductionUnit(unit2)) {
-          Logger.log(`Invalid unit2 format: ${unit2} for student ${email}`);
-          unit2 = "";
+        if (rawUnit2 && !unit2) {
+          Logger.log(`Unknown or inactive unit2: ${rawUnit2} for student ${email}`);
         }
         
         const studentInfo = {
@@ -197,7 +196,7 @@ function getStudentDetailsByEmail(email) {
         };
         
         // Validate student ID format
-        if (!studentInfo.studentId || !/^[A-Z]{1}[0-9]{9}$/.test(studentInfo.studentId)) {
+        if (!studentInfo.studentId || !isValidStudentId(studentInfo.studentId)) {
           Logger.log(`Invalid student ID format: ${studentInfo.studentId} for email ${email}`);
           throw new Error(`Invalid student ID format in database. Please contact your instructor.`);
         }
@@ -225,13 +224,14 @@ function getStudentDetailsByEmail(email) {
 
 /**
  * Enhanced unit member lookup with better filtering and validation
- * @param {string} unit - Production unit (A, B, C, D)
+ * @param {string} unit - Production unit code (an active unit of 'PaUnits')
  * @param {string} currentStudentId - Current user's student ID to exclude
  * @returns {Array} Array of student objects in the same unit
  */
 function getUnitMembers(unit, currentStudentId) {
   try {
-    if (!isValidProductionUnit(unit)) {
+    const unitCode = normalizeProductionUnit(unit);
+    if (!unitCode) {
       Logger.log(`Invalid production unit: ${unit}`);
       return [];
     }
@@ -270,29 +270,21 @@ function getUnitMembers(unit, currentStudentId) {
       const row = data[i];
       const studentId = row[idColIdx] ? row[idColIdx].toString().trim().toUpperCase() : null;
       const status = row[statusColIdx] ? row[statusColIdx].toString().trim().toLowerCase() : "";
-      let studentUnit1 = row[unit1ColIdx] ? row[unit1ColIdx].toString().trim().toUpperCase() : "";
-      let studentUnit2 = row[unit2ColIdx] ? row[unit2ColIdx].toString().trim().toUpperCase() : "";
-      
-      // Clean unit formats
-      if (studentUnit1.startsWith("UNIT ") && studentUnit1.length > 5) {
-        studentUnit1 = studentUnit1.substring(5, 6);
-      }
-      if (studentUnit2.startsWith("UNIT ") && studentUnit2.length > 5) {
-        studentUnit2 = studentUnit2.substring(5, 6);
-      }
+      const studentUnit1 = normalizeProductionUnit(row[unit1ColIdx]);
+      const studentUnit2 = unit2ColIdx !== -1 ? normalizeProductionUnit(row[unit2ColIdx]) : "";
       
       // Include if: same unit (primary or secondary), active/enrolled, not current user, valid ID
-      const isInTargetUnit = (studentUnit1 === unit || studentUnit2 === unit);
+      const isInTargetUnit = (studentUnit1 === unitCode || studentUnit2 === unitCode);
       const isActive = (status === "active" || status === "enrolled");
       const isNotCurrentUser = (studentId !== currentStudentId);
-      const hasValidId = (studentId && /^[A-Z]{1}[0-9]{9}$/.test(studentId));
+      const hasValidId = isValidStudentId(studentId);
       
       if (isInTargetUnit && isActive && isNotCurrentUser && hasValidId) {
         unitMembers.push({
           studentId: studentId,
           studentName: row[nameColIdx] ? row[nameColIdx].toString().trim() : `[Name for ${studentId}]`,
           studentEmail: row[emailColIdx] ? row[emailColIdx].toString().trim().toLowerCase() : "",
-          productionUnit: unit,
+          productionUnit: unitCode,
           status: status
         });
       }
@@ -301,7 +293,7 @@ function getUnitMembers(unit, currentStudentId) {
     // Sort by name for consistent display
     unitMembers.sort((a, b) => a.studentName.localeCompare(b.studentName));
     
-    Logger.log(`Found ${unitMembers.length} unit members for unit ${unit} (excluding ${currentStudentId})`);
+    Logger.log(`Found ${unitMembers.length} unit members for unit ${unitCode} (excluding ${currentStudentId})`);
     return unitMembers;
     
   } catch (error) {
@@ -310,8 +302,49 @@ function getUnitMembers(unit, currentStudentId) {
   }
 }
 
+/**
+ * Works out which peers a student assesses: the members of their primary unit (unit1) and of
+ * their secondary unit (unit2). With assessment rounds configured, a unit that does not take part
+ * in the round open right now is left out, since its evaluations would be rejected.
+ * @param {Object} studentDetails - Student object from getStudentDetailsByEmail
+ * @returns {Object} `{productionUnit, productionUnits, unitMembersByUnit, unitMembers, assessmentWindow}`;
+ *   `unitMembersByUnit` maps each unit to its members, and `unitMembers` lists every peer once,
+ *   under the first unit they share with the student
+ */
+function getStudentAssessmentScope(studentDetails) {
+  const productionUnits = [studentDetails.productionUnit1, studentDetails.productionUnit2]
+    .filter((unit, index, units) => unit && units.indexOf(unit) === index);
+  const assessmentWindow = getAssessmentWindowForSession(productionUnits);
+  const activeRound = assessmentWindow.activeRound;
+  
+  const unitMembersByUnit = {};
+  const unitMembers = [];
+  productionUnits.forEach(unit => {
+    if (activeRound && activeRound.units.length > 0 && !activeRound.units.includes(unit)) {
+      Logger.log(`Unit ${unit} is not part of round ${activeRound.roundId}; not listing its members for ${studentDetails.studentId}`);
+      return;
+    }
+    unitMembersByUnit[unit] = getUnitMembers(unit, studentDetails.studentId);
+    unitMembersByUnit[unit].forEach(member => {
+      if (!unitMembers.some(existing => existing.studentId === member.studentId)) {
+        unitMembers.push(member);
+      }
+    });
+    Logger.log(`Found ${unitMembersByUnit[unit].length} unit members for ${studentDetails.studentId} in unit ${unit}`);
+  });
+  
+  return {
+    productionUnit: productionUnits[0] || null,
+    productionUnits,
+    unitMembersByUnit,
+    unitMembers,
+    assessmentWindow
+  };
+}
+
 /**
  * Enhanced assessment permission validation with detailed logging
+ * Students may only evaluate themselves in the self-assessment mode (see SelfAssessment.js)
  * @param {string} evaluatorId - Student ID of evaluator
  * @param {string} evaluatedId - Student ID of student being evaluated
  * @returns {boolean} True if evaluation is allowed
@@ -319,8 +352,7 @@ function getUnitMembers(unit, currentStudentId) {
 // eslint-disable-next-line no-unused-vars
 function validateAssessmentPermission(evaluatorId, evaluatedId) {
   try {
-    // Students cannot evaluate themselves
-    if (evaluatorId === evaluatedId) {
+    if (evaluatorId === evaluatedId && !isSelfAssessmentEnabled()) {
       Logger.log(`Self-evaluation not allowed: ${evaluatorId}`);
       return false;
     }
@@ -353,16 +385,8 @@ function validateAssessmentPermission(evaluatorId, evaluatedId) {
       // Only consider active students
       if (status !== "active" && status !== "enrolled") continue;
       
-      let unit1 = row[unit1ColIdx] ? row[unit1ColIdx].toString().trim().toUpperCase() : "";
-      let unit2 = row[unit2ColIdx] ? row[unit2ColIdx].toString().trim().toUpperCase() : "";
-      
-      // Clean unit formats
-      if (unit1.startsWith("UNIT ") && unit1.length > 5) {
-        unit1 = unit1.substring(5, 6);
-      }
-      if (unit2.startsWith("UNIT ") && unit2.length > 5) {
-        unit2 = unit2.substring(5, 6);
-      }
+      const unit1 = normalizeProductionUnit(row[unit1ColIdx]);
+      const unit2 = unit2ColIdx !== -1 ? normalizeProductionUnit(row[unit2ColIdx]) : "";
       
       if (studentId === evaluatorId) {
         evaluatorInfo = { studentId, unit1, unit2, status };
@@ -387,8 +411,8 @@ function validateAssessmentPermission(evaluatorId, evaluatedId) {
     }
     
     // Check if students share at least one unit
-    const evaluatorUnits = [evaluatorInfo.unit1, evaluatorInfo.unit2].filter(u => u && isValidProductionUnit(u));
-    const evaluatedUnits = [evaluatedInfo.unit1, evaluatedInfo.unit2].filter(u => u && isValidProductionUnit(u));
+    const evaluatorUnits = [evaluatorInfo.unit1, evaluatorInfo.unit2].filter(u => u);
+    const evaluatedUnits = [evaluatedInfo.unit1, evaluatedInfo.unit2].filter(u => u);
     
     const sharedUnits = evaluatorUnits.filter(unit => evaluatedUnits.includes(unit));
     
@@ -408,10 +432,13 @@ function validateAssessmentPermission(evaluatorId, evaluatedId) {
 
 /**
  * Enhanced user statistics with more detailed information
+ * Counts every unit, so only staff with access to all units may call it
  * @returns {Object} Enhanced statistics object
  */
 function getUserStatistics() {
   try {
+    authorizeCall('getUserStatistics', { audience: 'staff', permission: 'viewDashboard', allUnits: true, action: 'view user statistics' });
+    
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const studentSheet = ss.getSheetByName(PA_MASTER_STUDENT_LIST_SHEET_NAME);
     const submissionSheet = ss.getSheetByName(PA_RAW_SUBMISSIONS_V2_SHEET_NAME);
@@ -432,7 +459,7 @@ function getUserStatistics() {
         
         for (let i = 1; i < studentData.length; i++) {
           const status = studentData[i][statusIdx] ? studentData[i][statusIdx].toString().toLowerCase() : "";
-          let unit = studentData[i][unitIdx] ? studentData[i][unitIdx].toString().trim().toUpperCase() : "";
+          const unit = normalizeProductionUnit(studentData[i][unitIdx]);
           
           totalStudents++;
           
@@ -442,11 +469,7 @@ function getUserStatistics() {
           if (status === "active" || status === "enrolled") {
             activeStudents++;
             
-            // Clean unit format
-            if (unit.startsWith("UNIT ") && unit.length > 5) {
-              unit = unit.substring(5, 6);
-            }
-            if (unit && isValidProductionUnit(unit)) {
+            if (unit) {
               unitCounts[unit] = (unitCounts[unit] || 0) + 1;
             }
           }
@@ -524,12 +547,14 @@ function getCurrentUser() {
 }
 
 /**
- * Check system health and return status
+ * Check system health and return status (staff with access to all units)
  * @returns {Object} System health status
  */
 // eslint-disable-next-line no-unused-vars
 function getSystemHealth() {
   try {
+    authorizeCall('getSystemHealth', { audience: 'staff', permission: 'viewDashboard', allUnits: true, action: 'check system health' });
+    
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const requiredSheets = [
       PA_MASTER_STUDENT_LIST_SHEET_NAME,
@@ -589,10 +614,29 @@ function getSystemHealth() {
 
 /**
  * Get all active students for faculty access
+ * Unit-scoped staff only get the students of their units
  * @returns {Array} Array of all active student objects
  */
 // eslint-disable-next-line no-unused-vars
 function getAllActiveStudentsForFaculty() {
+  try {
+    const userSession = authorizeCall('getAllActiveStudentsForFaculty', { audience: 'staff', permission: 'viewDashboard', action: 'list all students' });
+    return getActiveStudentsForStaff_(userSession);
+    
+  } catch (error) {
+    Logger.log(`Error getting all active students: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * The active students a staff member may see, without checking who is signed in. Used while the
+ * session itself is being built (test-mode faculty sessions); the trailing underscore keeps it
+ * out of reach of google.script.run
+ * @param {Object} staffMember - A staff member or staff session (for the unit scope)
+ * @returns {Array} Array of active student objects
+ */
+function getActiveStudentsForStaff_(staffMember) {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getSheetByName(PA_MASTER_STUDENT_LIST_SHEET_NAME);
@@ -614,6 +658,7 @@ function getAllActiveStudentsForFaculty() {
     const nameColIdx = headers.indexOf("studentName");
     const emailColIdx = headers.indexOf("email");
     const unit1ColIdx = headers.indexOf("unit1");
+    const unit2ColIdx = headers.indexOf("unit2");
     const statusColIdx = headers.indexOf("status");
     
     if (idColIdx === -1 || nameColIdx === -1 || statusColIdx === -1) {
@@ -627,16 +672,13 @@ function getAllActiveStudentsForFaculty() {
       const row = data[i];
       const studentId = row[idColIdx] ? row[idColIdx].toString().trim().toUpperCase() : null;
       const status = row[statusColIdx] ? row[statusColIdx].toString().trim().toLowerCase() : "";
-      let unit1 = row[unit1ColIdx] ? row[unit1ColIdx].toString().trim().toUpperCase() : "";
-      
-      // Clean unit format
-      if (unit1.startsWith("UNIT ") && unit1.length > 5) {
-        unit1 = unit1.substring(5, 6);
-      }
+      const unit1 = normalizeProductionUnit(row[unit1ColIdx]);
+      const unit2 = unit2ColIdx !== -1 ? normalizeProductionUnit(row[unit2ColIdx]) : "";
       
-      // Include if: active/enrolled, valid ID
+      // Include if: active/enrolled, valid ID, in one of the staff member's units
       if ((status === "active" || status === "enrolled") && 
-          studentId && /^[A-Z]{1}[0-9]{9}$/.test(studentId)) {
+          isValidStudentId(studentId) &&
+          staffCanAccessUnit(staffMember, [unit1, unit2])) {
         
         allStudents.push({
           studentId: studentId,
@@ -648,10 +690,12 @@ function getAllActiveStudentsForFaculty() {
       }
     }
     
-    // Sort by unit, then by name for organized display
+    // Sort by unit (in 'PaUnits' order, unassigned last), then by name for organized display
+    const unitOrder = getActiveProductionUnitCodes();
+    const unitRank = unit => (unitOrder.includes(unit) ? unitOrder.indexOf(unit) : unitOrder.length);
     allStudents.sort((a, b) => {
       if (a.productionUnit !== b.productionUnit) {
-        return a.productionUnit.localeCompare(b.productionUnit);
+        return unitRank(a.productionUnit) - unitRank(b.productionUnit);
       }
       return a.studentName.localeCompare(b.studentName);
     });
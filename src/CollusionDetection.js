@@ -0,0 +1,222 @@
+/* global COLLUSION_SCORE_MARGIN, COLLUSION_MIN_GANG_SIZE, COLLUSION_PATTERN_ORDER */
+
+/**
+ * @file CollusionDetection.js
+ * @description Looks for rating patterns that suggest evaluators coordinated their scores, written
+ * by the analytics workflow to 'PaCollusionReview' (see Workflow_Analytics.js). Per round and
+ * unit it builds the evaluator -> evaluated matrix of mean scores (over the questions) and flags:
+ *
+ * - "reciprocal inflation": two students who each score the other well above both their own
+ *   average for the rest of the unit and what the other evaluators give (see COLLUSION_SCORE_MARGIN).
+ * - "clique": three or more students who all inflate each other in that way (the pairs of a clique
+ *   are not repeated as reciprocal inflation).
+ * - "ganging up": at least COLLUSION_MIN_GANG_SIZE evaluators who each score one student well below
+ *   their own average for the rest of the unit, while the student's other evaluators do not.
+ *
+ * A lenient or harsh evaluator is not flagged, as every comparison is against their own average.
+ * The findings are leads for a human review, not proof: the other evaluators' median is only
+ * robust while colluders are a minority of the unit.
+ *
+ * @requires Config.js (for COLLUSION_SCORE_MARGIN, COLLUSION_MIN_GANG_SIZE and COLLUSION_PATTERN_ORDER)
+ */
+
+/**
+ * Groups the peer scores per round and unit into evaluator -> evaluated mean scores.
+ * Self-ratings and scores of or by inactive students are left out.
+ * @param {Object[]} responses The parsed responses (with their `roundId`).
+ * @param {Object<string, Object>} students The active students by ID.
+ * @returns {{roundId: string, unit: string, scores: Object<string, Object<string, number>>}[]}
+ *   `scores[evaluatorId][evaluatedId]` is the evaluator's mean score for that student.
+ */
+function getCollusionScoreMatrices(responses, students) {
+  const groups = {};
+  responses
+    .filter(r => r.responseType === "SCORE" && typeof r.responseValue === "number" && !isNaN(r.responseValue) &&
+      r.responseByStudentId && r.evaluatedStudentId && r.responseByStudentId !== r.evaluatedStudentId &&
+      students[r.responseByStudentId] && students[r.evaluatedStudentId])
+    .forEach(r => {
+      const roundId = r.roundId || "";
+      const unit = r.unitContextOfEvaluation || "";
+      const key = JSON.stringify([roundId, unit]);
+      const group = groups[key] = groups[key] || { roundId, unit, totals: {} };
+      const byEvaluator = group.totals[r.responseByStudentId] = group.totals[r.responseByStudentId] || {};
+      const cell = byEvaluator[r.evaluatedStudentId] = byEvaluator[r.evaluatedStudentId] || { total: 0, count: 0 };
+      cell.total += r.responseValue;
+      cell.count++;
+    });
+  return Object.values(groups).map(group => {
+    const scores = {};
+    Object.keys(group.totals).forEach(evaluatorId => {
+      scores[evaluatorId] = {};
+      Object.keys(group.totals[evaluatorId]).forEach(evaluatedId => {
+        const cell = group.totals[evaluatorId][evaluatedId];
+        scores[evaluatorId][evaluatedId] = cell.total / cell.count;
+      });
+    });
+    return { roundId: group.roundId, unit: group.unit, scores };
+  });
+}
+
+/**
+ * @param {number[]} values Numbers.
+ * @returns {number|null} Their mean, or null for none.
+ */
+function getCollusionMean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * @param {number[]} values Numbers.
+ * @returns {number|null} Their median, or null for none.
+ */
+function getCollusionMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Finds the patterns in one unit's score matrix.
+ * @param {Object<string, Object<string, number>>} scores See {@link getCollusionScoreMatrices}.
+ * @param {{margin: number, minGangSize: number}} settings The detection thresholds.
+ * @returns {{pattern: string, strength: number, pairs: {evaluatorId: string, evaluatedId: string}[],
+ *   evidence: string}[]} The findings; `strength` is the smallest of the gaps the pattern was
+ *   detected on (in score points), so higher means a clearer pattern.
+ */
+function detectCollusionPatterns(scores, settings) {
+  const format = value => value.toFixed(2);
+  const scoreOf = (evaluatorId, evaluatedId) => scores[evaluatorId] ? scores[evaluatorId][evaluatedId] : undefined;
+  const evaluatorsOf = evaluatedId => Object.keys(scores).filter(evaluatorId => scoreOf(evaluatorId, evaluatedId) !== undefined);
+  // The evaluator's average for everyone else they scored
+  const ownAverage = (evaluatorId, evaluatedId) => getCollusionMean(Object.keys(scores[evaluatorId])
+    .filter(otherId => otherId !== evaluatedId).map(otherId => scores[evaluatorId][otherId]));
+
+  // How far evaluator -> evaluated exceeds both comparisons (null unless both exist)
+  const inflation = (evaluatorId, evaluatedId) => {
+    const score = scoreOf(evaluatorId, evaluatedId);
+    if (score === undefined) return null;
+    const own = ownAverage(evaluatorId, evaluatedId);
+    const peers = getCollusionMedian(evaluatorsOf(evaluatedId)
+      .filter(otherId => otherId !== evaluatorId).map(otherId => scores[otherId][evaluatedId]));
+    if (own === null || peers === null) return null;
+    return { score, own, peers, excess: Math.min(score - own, score - peers) };
+  };
+  const describe = (evaluatorId, evaluatedId, details) =>
+    `${evaluatorId}→${evaluatedId} ${format(details.score)} (own average ${format(details.own)}, others' median ${format(details.peers)})`;
+
+  // Mutually inflated pairs
+  const edges = {};
+  const students = [...new Set(Object.keys(scores).concat(...Object.values(scores).map(Object.keys)))].sort();
+  students.forEach((a, index) => {
+    students.slice(index + 1).forEach(b => {
+      const ab = inflation(a, b);
+      const ba = inflation(b, a);
+      if (ab && ba && ab.excess >= settings.margin && ba.excess >= settings.margin) {
+        edges[a] = edges[a] || {};
+        edges[b] = edges[b] || {};
+        edges[a][b] = edges[b][a] = { ab, ba, strength: Math.min(ab.excess, ba.excess) };
+      }
+    });
+  });
+
+  // Maximal cliques of the mutual-inflation graph (Bron-Kerbosch)
+  const cliques = [];
+  const expand = (members, candidates, excluded) => {
+    if (candidates.length === 0 && excluded.length === 0) {
+      if (members.length >= 3) cliques.push(members);
+      return;
+    }
+    candidates.slice().forEach(id => {
+      const neighbours = Object.keys(edges[id] || {});
+      expand(members.concat(id), candidates.filter(other => neighbours.includes(other)), excluded.filter(other => neighbours.includes(other)));
+      candidates = candidates.filter(other => other !== id);
+      excluded = excluded.concat(id);
+    });
+  };
+  expand([], Object.keys(edges).sort(), []);
+
+  const findings = [];
+  const inClique = new Set();
+  cliques.forEach(members => {
+    const pairs = [];
+    let strength = Infinity;
+    members.forEach((a, index) => members.slice(index + 1).forEach(b => {
+      pairs.push({ evaluatorId: a, evaluatedId: b }, { evaluatorId: b, evaluatedId: a });
+      strength = Math.min(strength, edges[a][b].strength);
+      inClique.add(JSON.stringify([a, b]));
+    }));
+    findings.push({
+      pattern: "clique",
+      strength,
+      pairs,
+      evidence: `${members.join(", ")} all score each other at least ${format(strength)} points above ` +
+        "their own average for the rest of the unit and the other evaluators' median"
+    });
+  });
+
+  Object.keys(edges).sort().forEach(a => Object.keys(edges[a]).sort().forEach(b => {
+    if (a > b || inClique.has(JSON.stringify([a, b]))) return;
+    const edge = edges[a][b];
+    findings.push({
+      pattern: "reciprocal inflation",
+      strength: edge.strength,
+      pairs: [{ evaluatorId: a, evaluatedId: b }, { evaluatorId: b, evaluatedId: a }],
+      evidence: `${describe(a, b, edge.ab)}; ${describe(b, a, edge.ba)}`
+    });
+  }));
+
+  // Evaluators who mark one student far below their own average while the others do not
+  students.forEach(evaluatedId => {
+    const deviations = evaluatorsOf(evaluatedId)
+      .map(evaluatorId => ({ evaluatorId, score: scores[evaluatorId][evaluatedId], own: ownAverage(evaluatorId, evaluatedId) }))
+      .filter(entry => entry.own !== null);
+    const gang = deviations.filter(entry => entry.score <= entry.own - settings.margin);
+    const others = deviations.filter(entry => entry.score > entry.own - settings.margin);
+    if (gang.length < settings.minGangSize || others.length === 0) return;
+    const gangAverage = getCollusionMean(gang.map(entry => entry.score));
+    const othersAverage = getCollusionMean(others.map(entry => entry.score));
+    if (othersAverage - gangAverage < settings.margin) return;
+    findings.push({
+      pattern: "ganging up",
+      strength: Math.min(othersAverage - gangAverage, ...gang.map(entry => entry.own - entry.score)),
+      pairs: gang.map(entry => ({ evaluatorId: entry.evaluatorId, evaluatedId })),
+      evidence: gang.map(entry => `${entry.evaluatorId}→${evaluatedId} ${format(entry.score)} (own average ${format(entry.own)})`).join("; ") +
+        `; the other ${others.length} evaluator(s) average ${format(othersAverage)}`
+    });
+  });
+
+  findings.forEach(finding => { finding.strength = parseFloat(finding.strength.toFixed(2)); });
+  return findings;
+}
+
+/**
+ * Runs the detection on every round and unit and lays the findings out as 'PaCollusionReview'
+ * rows (see PA_COLLUSION_REVIEW_HEADERS).
+ * @param {Object[]} responses The parsed responses (with their `roundId`).
+ * @param {Object<string, Object>} students The active students by ID (for names).
+ * @returns {Array[]} Rows ordered by round and unit, then cliques, reciprocal inflation and ganging
+ *   up, strongest first. Findings are numbered F1, F2, ... in that order.
+ */
+// eslint-disable-next-line no-unused-vars
+function createCollusionReviewRows(responses, students) {
+  const settings = { margin: COLLUSION_SCORE_MARGIN, minGangSize: COLLUSION_MIN_GANG_SIZE };
+  const nameOf = id => students[id] ? students[id].studentName : id;
+  const rows = [];
+  let findingCount = 0;
+  getCollusionScoreMatrices(responses, students)
+    .sort((a, b) => a.roundId.localeCompare(b.roundId) || a.unit.localeCompare(b.unit))
+    .forEach(group => {
+      detectCollusionPatterns(group.scores, settings)
+        .sort((a, b) => COLLUSION_PATTERN_ORDER.indexOf(a.pattern) - COLLUSION_PATTERN_ORDER.indexOf(b.pattern) || b.strength - a.strength)
+        .forEach(finding => {
+          const findingId = `F${++findingCount}`;
+          finding.pairs.forEach(pair => rows.push([
+            group.roundId, group.unit, findingId, finding.pattern,
+            pair.evaluatorId, nameOf(pair.evaluatorId), pair.evaluatedId, nameOf(pair.evaluatedId),
+            parseFloat(group.scores[pair.evaluatorId][pair.evaluatedId].toFixed(2)), finding.strength, finding.evidence
+          ]));
+        });
+    });
+  return rows;
+}
@@ -1,3 +1,4 @@
+/* global scoreWeightedMeanStrategy, scoreWebpaStrategy, scoreSparkStrategy, scoreZScoreStrategy, calculateWebpaUnitFactors, calculateSparkSpaUnitFactors */
 /* eslint-disable no-unused-vars */
 // Meaningless comment
 /**
@@ -16,7 +17,476 @@ const PA_MASTER_STUDENT_LIST_SHEET_NAME = "PaMasterStudentList";
 const PA_RAW_SUBMISSIONS_V2_SHEET_NAME = "PaRawSubmissionsV2"; // For new data (future web app submissions)
 const PA_RAW_SUBMISSIONS_V1_SHEET_NAME = "PaRawSubmissionsV1"; // For old format data or testing
 const PA_EVALUATOR_ANALYTICS_SHEET_NAME = "PaEvaluatorAnalytics";
+const PA_WEIGHT_EXPLANATIONS_SHEET_NAME = "PaWeightExplanations"; // Written with PaEvaluatorAnalytics: how each weight was reached
+const PA_RASCH_MEASURES_SHEET_NAME = "PaRaschMeasures"; // Written with PaEvaluatorAnalytics in the "rasch" analytics mode
+const PA_RELIABILITY_SHEET_NAME = "PaReliability"; // Written with PaEvaluatorAnalytics: inter-rater reliability per unit and question
+const PA_COLLUSION_REVIEW_SHEET_NAME = "PaCollusionReview"; // Written with PaEvaluatorAnalytics: suspicious rating patterns between evaluators
+const PA_SUBMISSION_QUALITY_SHEET_NAME = "PaSubmissionQuality"; // Written with PaEvaluatorAnalytics: low-effort assessments
 const PA_FINAL_SCORES_SUMMARY_SHEET_NAME = "PaFinalScoresSummary";
+const PA_SCORE_CONFIDENCE_SHEET_NAME = "PaScoreConfidence"; // Written with PaFinalScoresSummary: bootstrap intervals and review flags
+const PA_SELF_ASSESSMENT_SHEET_NAME = "PaSelfAssessment"; // Written with PaFinalScoresSummary when students rated themselves: self-vs-peer gaps
+const PA_TEAM_MARKS_SHEET_NAME = "PaTeamMarks"; // Input of the grading workflow: the instructor's mark of each unit and round
+const PA_FINAL_GRADES_SHEET_NAME = "PaFinalGrades"; // Written by the grading workflow: team mark x peer factor per student
 const PA_REPORT_ALL_RESPONSES_SHEET_NAME = "PaReportAllResponses";
 const PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME = "PaReportMissingAssessments";
-const PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME = "PaVerificationMissingAssessments";
\ No newline at end of file
+const PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME = "PaVerificationMissingAssessments";
+const PA_ASSESSMENT_ROUNDS_SHEET_NAME = "PaAssessmentRounds"; // Optional: without it there is a single, always-open cycle
+const PA_DRAFTS_SHEET_NAME = "PaDrafts"; // Autosaved, not yet submitted evaluations (never read by the workflows)
+const PA_INSTITUTION_PROFILE_SHEET_NAME = "PaInstitutionProfile"; // Optional overrides of DEFAULT_INSTITUTION_PROFILE
+const PA_STAFF_SHEET_NAME = "PaStaff"; // Optional: staff roles and unit scopes (the profile's instructorEmails are always instructors)
+const PA_AUDIT_LOG_SHEET_NAME = "PaAuditLog"; // Created on first use: denied web app calls and overwritten evaluator fields
+const PA_UNITS_SHEET_NAME = "PaUnits"; // Optional: the production units of the course (without it, DEFAULT_PRODUCTION_UNITS)
+const PA_WEIGHT_RULES_SHEET_NAME = "PaWeightRules"; // Optional: the evaluator weighting policy (without it, DEFAULT_WEIGHT_RULES)
+const PA_OVERRIDES_SHEET_NAME = "PaOverrides"; // Optional: instructor decisions the analytics, scoring and grading workflows apply
+
+// ===================================================================================
+// SHEET HEADER CONSTANTS
+// ===================================================================================
+
+// Canonical column order for 'PaRawSubmissionsV2'. Columns are always resolved by header
+// name when reading, so sheets with extra or reordered columns remain readable.
+// The sheet is append-only: a re-submission adds a row with the next `revision` and stamps the
+// responseId of that new row into the `supersededBy` column of the row it replaces.
+// `roundId` is the assessment round the response belongs to (blank for single-cycle data).
+// `formOpenedAt`, `formSubmittedAt` and `ratingChanges` are the assessment form's telemetry, the
+// same on every response of one submission: when the student opened the peer's form and pressed
+// submit (browser clock, ISO strings) and how often they changed a rating already chosen. They
+// are blank for rows written before the columns existed or by clients that do not send them.
+// `assessmentType` is "SELF" for a student's rating of themselves (see SELF_ASSESSMENT_PROPERTY_KEY)
+// and "PEER" otherwise; rows written before the column existed are blank.
+const PA_RAW_SUBMISSIONS_V2_HEADERS = [
+  "submissionId", "responseId", "timestamp", "evaluatorId", "evaluatorEmail",
+  "evaluatedStudentId", "evaluatedStudentName", "unitContextOfEvaluation",
+  "questionId", "responseType", "responseValue", "revision", "supersededBy", "roundId",
+  "formOpenedAt", "formSubmittedAt", "ratingChanges", "assessmentType"
+];
+
+// Column order for 'PaAssessmentRounds'. `opensAt`/`closesAt` are dates (blank = unbounded);
+// `units` and `questionIds` are comma-separated lists (blank = all units / all questions).
+const PA_ASSESSMENT_ROUNDS_HEADERS = ["roundId", "name", "opensAt", "closesAt", "units", "questionIds"];
+
+// Column order for 'PaDrafts'. One row per evaluator, evaluated student and round; `answers` holds
+// the form state as JSON ({questionId: {score, comment}}) and the row is deleted once submitted.
+const PA_DRAFTS_HEADERS = ["evaluatorId", "evaluatedStudentId", "roundId", "answers", "updatedAt"];
+
+// Column order for 'PaStaff'. `role` is one of STAFF_ROLE_PERMISSIONS; `units` is a comma-separated
+// list of the production units the staff member may see (blank = all units; owners always see all).
+const PA_STAFF_HEADERS = ["email", "name", "role", "units"];
+
+// Column order for 'PaAuditLog' (append-only, see AccessGuard.js). `outcome` is "denied" for a
+// rejected call or "overridden" when client-supplied evaluator fields were replaced by the session's.
+const PA_AUDIT_LOG_HEADERS = ["timestamp", "email", "role", "functionName", "outcome", "detail"];
+
+// Column order for 'PaUnits' (see ProductionUnits.js). `unitCode` is what the other sheets store
+// (matched case-insensitively, "Unit " prefix optional); `displayName` defaults to the code and a
+// blank `active` cell means active.
+const PA_UNITS_HEADERS = ["unitCode", "displayName", "active"];
+
+// Column order for 'PaWeightRules' (see WeightRules.js). Rows with the same `ruleId` form one rule
+// whose conditions must all hold; the rule's adjustment, floor, ceiling, stop and description are
+// read from its first row. `stop` ends the evaluation when the rule matches.
+const PA_WEIGHT_RULES_HEADERS = ["ruleId", "metric", "operator", "threshold", "adjustment", "floor", "ceiling", "stop", "description"];
+
+// Column order for 'PaWeightExplanations'. Per evaluator: a BASE row with the starting weight, one
+// row per rule that fired (its conditions with the evaluator's values, its adjustment and the
+// floor/ceiling it clamped to, if any) and a RESULT row with the weight after the 0..1 limit.
+const PA_WEIGHT_EXPLANATIONS_HEADERS = [
+  "evaluatorId", "evaluatorName", "step", "ruleId", "description", "conditions",
+  "adjustment", "clamp", "weightBefore", "weightAfter", "weightRuleVersion"
+];
+
+// Column order for 'PaOverrides' (see ScoreOverrides.js). `type` is one of SCORE_OVERRIDE_TYPES;
+// `roundId` limits the entry to one round (blank = every run). `value` is the weight (0..1) of a
+// fixed-weight entry or the score of a fixed-final-score entry. Every entry needs a `reason` and
+// an `author`; `createdAt` is optional.
+const PA_OVERRIDES_HEADERS = ["type", "roundId", "evaluatorId", "studentId", "value", "reason", "author", "createdAt"];
+
+// What a 'PaOverrides' entry can do, and the IDs it needs:
+// - exclude-evaluation (evaluatorId, studentId): drop the evaluator's responses about the student
+// - exclude-evaluator (evaluatorId): drop every response of the evaluator
+// - fixed-weight (evaluatorId, value): use this weight instead of the weighting rules' result
+// - fixed-final-score (studentId, value): write this overallWeightedMedian instead of the calculated one
+const SCORE_OVERRIDE_TYPES = ["exclude-evaluation", "exclude-evaluator", "fixed-weight", "fixed-final-score"];
+
+// ===================================================================================
+// PRODUCTION UNIT CONSTANTS
+// ===================================================================================
+
+// The units used when there is no 'PaUnits' sheet (the four groups the system was built for).
+const DEFAULT_PRODUCTION_UNITS = [
+  { unitCode: "A", displayName: "Unit A", active: true },
+  { unitCode: "B", displayName: "Unit B", active: true },
+  { unitCode: "C", displayName: "Unit C", active: true },
+  { unitCode: "D", displayName: "Unit D", active: true }
+];
+
+// ===================================================================================
+// QUESTION TYPE CONSTANTS
+// ===================================================================================
+
+// The QuestionType values of 'PaQuestionConfig' (see QuestionTypes.js) and the responseType their
+// answers are stored with in 'PaRawSubmissionsV2'. Only LikertScale ratings are scored by
+// the scoring strategies; the other types are summarised next to the scores. Every type except
+// ShortText also takes an optional COMMENT. Ranking and PointAllocation questions are answered
+// about teammates only: a student ranks, or splits POINT_ALLOCATION_TOTAL points among, the
+// other members of the unit the evaluation is given in.
+const QUESTION_TYPE_RESPONSE_TYPES = {
+  LikertScale: "SCORE",
+  ShortText: "TEXT",
+  MultipleChoice: "CHOICE",
+  Ranking: "RANK",
+  PointAllocation: "POINTS"
+};
+// Other QuestionType spellings that are accepted (compared in upper case, without spaces).
+const QUESTION_TYPE_ALIASES = {
+  SCORE: "LikertScale", LIKERT: "LikertScale", TEXT: "ShortText", CHOICE: "MultipleChoice",
+  RANK: "Ranking", POINTS: "PointAllocation"
+};
+const POINT_ALLOCATION_TOTAL = 100;
+const SHORT_TEXT_MAX_LENGTH = 500;
+
+// The rating scale of a LikertScale question without ScaleMin/ScaleMax/ScaleStep in
+// 'PaQuestionConfig'. It is also the common range the analytics put every rating on before
+// comparing evaluators (a 1-7 rating of 7 counts as 5, of 4 as 3), so the thresholds of the
+// weighting rules and COLLUSION_SCORE_MARGIN are in points of this scale.
+const DEFAULT_RATING_SCALE = { min: 1, max: 5, step: 1 };
+// The most points (steps + 1) a configured scale may have, so the form stays usable.
+const RATING_SCALE_MAX_POINTS = 11;
+
+// ===================================================================================
+// EVALUATOR WEIGHT CONSTANTS
+// ===================================================================================
+
+// The weighting policy used when there is no 'PaWeightRules' sheet, in PA_WEIGHT_RULES_HEADERS
+// order. Every evaluator starts at WEIGHT_RULES_BASE_WEIGHT; matching rules add their adjustment
+// and clamp the weight to their floor/ceiling, and the result is kept within 0..1. Metrics are the
+// numeric columns of 'PaEvaluatorAnalytics' (percentages as 0-100, scores on DEFAULT_RATING_SCALE).
+const WEIGHT_RULES_BASE_WEIGHT = 1.0;
+const DEFAULT_WEIGHT_RULES = [
+  ["NO_SCORES", "totalScoredAssessments", "=", 0, "", 0, 0, true, "No scores given: no weight"],
+  ["FEW_SCORES", "totalScoredAssessments", "<", 5, "", 0.4, 0.4, true, "Fewer than 5 scores: fixed low weight"],
+  ["LENIENT", "avgScoreGiven", ">", 3.2, -0.15, "", "", false, "Average score above 3.2"],
+  ["VERY_LENIENT", "avgScoreGiven", ">", 3.5, -0.10, "", "", false, "Average score above 3.5 (on top of LENIENT)"],
+  ["HARSH", "avgScoreGiven", "<", 2.3, -0.15, "", "", false, "Average score below 2.3"],
+  ["VERY_HARSH", "avgScoreGiven", "<", 2.0, -0.10, "", "", false, "Average score below 2.0 (on top of HARSH)"],
+  ["MOSTLY_MAX", "percentMaxScore", ">", 70, -0.10, "", "", false, "More than 70% top scores"],
+  ["NEARLY_ALL_MAX", "percentMaxScore", ">", 90, -0.15, "", "", false, "More than 90% top scores (on top of MOSTLY_MAX)"],
+  ["NO_LOW_SCORES", "percentMinScore", "<", 10, -0.10, "", "", false, "Under 10% bottom scores with a lenient average"],
+  ["NO_LOW_SCORES", "avgScoreGiven", ">", 3.2, "", "", "", "", ""],
+  ["ONE_VALUE", "distinctScoresUsed", "=", 1, -0.30, "", "", false, "Always the same score"],
+  ["TWO_VALUES", "distinctScoresUsed", "=", 2, -0.20, "", "", false, "Only two different scores"],
+  ["NARROW_SPREAD", "distinctScoresUsed", ">=", 3, -0.10, "", "", false, "Low spread of scores over 10 or more scores"],
+  ["NARROW_SPREAD", "stdDevScoresGiven", "<", 0.5, "", "", "", "", ""],
+  ["NARROW_SPREAD", "totalScoredAssessments", ">=", 10, "", "", "", "", ""],
+  ["SAME_PER_PEER", "avgIntraPeerSd", "<", 0.25, -0.15, "", "", false, "Same score for every question of a peer"],
+  ["SAME_PER_PEER", "totalScoredAssessments", ">=", 10, "", "", "", "", ""],
+  ["OFF_CONSENSUS", "avgAbsDevFromGroupMedian", ">", 0.7, -0.15, "", "", false, "Far from the other evaluators' median"],
+  ["OFF_CONSENSUS", "totalScoredAssessments", ">=", 10, "", "", "", "", ""],
+  ["COMMENTS", "percentScoresWithComment", ">", 30, 0.05, "", "", false, "Comments on more than 30% of assessments"],
+  ["MANY_COMMENTS", "percentScoresWithComment", ">", 50, 0.05, "", "", false, "Comments on more than 50% of assessments (on top of COMMENTS)"],
+  ["COPIED_SCORES", "percentCopiedScores", ">=", 100, -0.15, "", "", false, "The same scores copied to every peer"],
+  ["COPIED_SCORES", "distinctScoresUsed", ">", 1, "", "", "", "", ""],
+  ["BOILERPLATE", "percentBoilerplateComments", ">", 50, -0.05, "", "", false, "Mostly boilerplate or copy-pasted comments"],
+  ["TOO_FAST", "percentTooFast", ">", 50, -0.15, "", "", false, "More than half of the assessments completed implausibly fast"],
+  ["MINIMUM", "totalScoredAssessments", ">", 0, "", 0.4, "", false, "Evaluators who gave scores keep at least 0.4, unless the rules above took them to 0"],
+  ["MINIMUM", "currentWeight", ">", 0, "", "", "", "", ""]
+];
+
+// The metrics a rule may test: the numeric columns of 'PaEvaluatorAnalytics', and currentWeight,
+// the weight the rules above have produced so far (e.g. "currentWeight > 0" for a floor that must
+// not lift an evaluator the earlier rules took down to 0)
+const WEIGHT_RULE_METRICS = [
+  "currentWeight", "totalScoredAssessments", "avgScoreGiven", "stdDevScoresGiven", "distinctScoresUsed", "rangeOfScoresUsed",
+  "percentMaxScore", "percentMinScore", "percentMidScores", "avgIntraPeerSd", "avgAbsDevFromGroupMedian",
+  "totalComments", "percentScoresWithComment", "avgCommentLength", "percentStraightLined", "percentCopiedScores",
+  "percentBoilerplateComments", "percentTooFast", "medianSecondsPerAssessment"
+];
+
+// The comparisons a rule may use in its `operator` column
+const WEIGHT_RULE_OPERATORS = {
+  ">": (value, threshold) => value > threshold,
+  ">=": (value, threshold) => value >= threshold,
+  "<": (value, threshold) => value < threshold,
+  "<=": (value, threshold) => value <= threshold,
+  "=": (value, threshold) => value === threshold,
+  "!=": (value, threshold) => value !== threshold
+};
+
+// ===================================================================================
+// ANALYTICS MODE CONSTANTS
+// ===================================================================================
+
+// "standard" writes the evaluator metrics and weights. "rasch" also fits a many-facet Rasch model
+// (RaschModel.js): student abilities with severity-adjusted ("fair") scores, rater severities and
+// question difficulties go to 'PaRaschMeasures', and each evaluator's severity and fit are added to
+// 'PaEvaluatorAnalytics'. The ANALYTICS_MODE script property overrides the default, and a run's
+// `analyticsMode` option overrides both.
+const ANALYTICS_MODES = ["standard", "rasch"];
+const DEFAULT_ANALYTICS_MODE = "standard";
+const ANALYTICS_MODE_PROPERTY_KEY = "ANALYTICS_MODE";
+
+// Column order for 'PaRaschMeasures': one row per student, rater, question and score category.
+// Measures are in logits (higher = more able, more severe, more difficult); infit/outfit near 1.0
+// mean the element fits the model, above 1.5 that its scores are erratic.
+const PA_RASCH_MEASURES_HEADERS = [
+  "facet", "elementId", "elementName", "observations", "observedAverage", "fairAverage",
+  "measure", "standardError", "infit", "outfit", "status"
+];
+
+// JMLE settings: stop when no measure moves more than RASCH_CONVERGENCE_LOGITS, never move a
+// measure more than RASCH_MAX_STEP_LOGITS per iteration, and give every measure a normal prior
+// with this SD so that small or perfectly predictable data still get finite estimates.
+const RASCH_MAX_ITERATIONS = 500;
+const RASCH_CONVERGENCE_LOGITS = 0.001;
+const RASCH_MAX_STEP_LOGITS = 1.0;
+const RASCH_PRIOR_SD_LOGITS = 3.0;
+// The facets of the model, in the order the JMLE steps update them
+const RASCH_FACETS = ["student", "rater", "question"];
+
+// ===================================================================================
+// INTER-RATER RELIABILITY CONSTANTS
+// ===================================================================================
+
+// Column order for 'PaReliability': one row per round, unit and question, plus a questionId "ALL"
+// row per round and unit that treats every (student, question) pair as a target. icc2k is the
+// two-way random effects ICC of the mean rating, krippendorffAlpha uses the interval metric;
+// both are blank when the group has too few ratings.
+const PA_RELIABILITY_HEADERS = [
+  "roundId", "unit", "questionId", "ratees", "raters", "ratings", "icc2k", "krippendorffAlpha", "status"
+];
+
+// A row's status is "low" (and the instructor dashboard warns) when either coefficient is below
+// this value. The RELIABILITY_WARNING_THRESHOLD script property overrides it.
+const RELIABILITY_WARNING_THRESHOLD = 0.6;
+const RELIABILITY_WARNING_THRESHOLD_PROPERTY_KEY = "RELIABILITY_WARNING_THRESHOLD";
+
+// Backfitting of the additive two-way model behind ICC(2,k) (see Reliability.js): stop when no
+// effect moves more than RELIABILITY_FIT_TOLERANCE, or after RELIABILITY_FIT_MAX_ITERATIONS rounds.
+const RELIABILITY_FIT_TOLERANCE = 1e-10;
+const RELIABILITY_FIT_MAX_ITERATIONS = 1000;
+
+// ===================================================================================
+// SUBMISSION QUALITY CONSTANTS
+// ===================================================================================
+
+// Column order for 'PaSubmissionQuality': one row per flagged assessment (an evaluator's latest
+// answers for one peer in a round). `flags` lists "same rating", "copied scores", "boilerplate
+// comment" and/or "too fast". `secondsOnForm` is the time between opening and submitting the
+// peer's form (from the form telemetry); either time column is blank when it cannot be told.
+const PA_SUBMISSION_QUALITY_HEADERS = [
+  "roundId", "unit", "evaluatorId", "evaluatorName", "evaluatedId", "evaluatedName", "submittedAt",
+  "scoredQuestions", "comments", "secondsSincePrevious", "secondsOnForm", "ratingChanges", "flags", "details"
+];
+
+// "same rating" needs at least this many scored questions for the peer.
+const QUALITY_MIN_SAME_RATING_QUESTIONS = 3;
+// A comment shorter than this (ignoring case, spaces and punctuation) is boilerplate ("good job").
+const QUALITY_MIN_COMMENT_CHARACTERS = 15;
+// "too fast": fewer seconds per answered question on the form or, for submissions without form
+// telemetry, since the evaluator's previous assessment. A gap longer than
+// QUALITY_SITTING_GAP_MINUTES starts a new sitting and is not timed.
+const QUALITY_MIN_SECONDS_PER_QUESTION = 5;
+const QUALITY_SITTING_GAP_MINUTES = 30;
+
+// ===================================================================================
+// COLLUSION DETECTION CONSTANTS
+// ===================================================================================
+
+// Column order for 'PaCollusionReview': one row per flagged evaluator -> evaluated pair. Rows of
+// the same finding share a findingId; pattern is "clique", "reciprocal inflation" or "ganging up".
+const PA_COLLUSION_REVIEW_HEADERS = [
+  "roundId", "unit", "findingId", "pattern", "evaluatorId", "evaluatorName", "evaluatedId", "evaluatedName",
+  "meanScore", "strength", "evidence"
+];
+
+// Margins are in score points, on mean scores over the questions. A score is inflated when it is
+// COLLUSION_SCORE_MARGIN above both the evaluator's own average for the rest of the unit and the
+// other evaluators' median for the same student, and deflated when it is that far below the
+// evaluator's own average. Ganging up needs COLLUSION_MIN_GANG_SIZE deflating evaluators whose
+// average is COLLUSION_SCORE_MARGIN below that of the student's other evaluators.
+const COLLUSION_SCORE_MARGIN = 1.0;
+const COLLUSION_MIN_GANG_SIZE = 2;
+
+// The order of the findings of a round and unit in 'PaCollusionReview' (stronger findings first within a pattern)
+const COLLUSION_PATTERN_ORDER = ["clique", "reciprocal inflation", "ganging up"];
+
+// ===================================================================================
+// SCORING STRATEGY CONSTANTS
+// ===================================================================================
+
+// The scoring strategies whose columns 'PaFinalScoresSummary' gets, in column order (see
+// ScoringStrategies.js: weightedMean, webpa, spark, zScore). The SCORING_STRATEGIES script property
+// (comma-separated) overrides this list, and a run's `strategies` option overrides both.
+const DEFAULT_SCORING_STRATEGIES = ["weightedMean"];
+const SCORING_STRATEGIES_PROPERTY_KEY = "SCORING_STRATEGIES";
+
+// The strategies by name, in the shape `{label, numberFormat, getHeaders(questionIds), scoreStudents(context)}`
+// (see ScoringStrategies.js, which implements `scoreStudents`; it is called through an arrow so this
+// file can still be loaded first).
+const SCORING_STRATEGIES = {
+  weightedMean: {
+    label: "Weighted mean per question and overall weighted median",
+    numberFormat: "0.00",
+    getHeaders: questionIds => questionIds.map(questionId => questionId.toLowerCase()).concat(["overallWeightedMedian"]),
+    scoreStudents: context => scoreWeightedMeanStrategy(context)
+  },
+
+  webpa: {
+    label: "WebPA contribution factor",
+    numberFormat: "0.000",
+    getHeaders: () => ["webpaFactor"],
+    scoreStudents: context => scoreWebpaStrategy(context)
+  },
+
+  spark: {
+    label: "SPARK SPA and SAPA factors",
+    numberFormat: "0.000",
+    getHeaders: () => ["sparkSpa", "sparkSapa"],
+    scoreStudents: context => scoreSparkStrategy(context)
+  },
+
+  zScore: {
+    label: "Evaluator z-scores, weighted mean per question and overall",
+    numberFormat: "0.00",
+    getHeaders: questionIds => questionIds.map(questionId => `${questionId.toLowerCase()}ZScore`).concat(["overallZScore"]),
+    scoreStudents: context => scoreZScoreStrategy(context)
+  }
+};
+
+// ===================================================================================
+// SCORE CONFIDENCE CONSTANTS
+// ===================================================================================
+
+// Column order for 'PaScoreConfidence' (see ScoreConfidence.js): one row per student and question,
+// then an "OVERALL" row per student, for the weighted scores of 'PaFinalScoresSummary'. `raters`
+// counts the evaluators whose scores went into `score`; `ciLower`/`ciUpper` bound its bootstrap
+// confidence interval. `review` is TRUE when the score should be checked by hand (`reasons` says why).
+const PA_SCORE_CONFIDENCE_HEADERS = [
+  "studentId", "studentName", "questionId", "score", "raters", "ciLower", "ciUpper", "ciWidth", "review", "reasons"
+];
+
+// The bootstrap draws evaluators with replacement this many times, from a PRNG seeded with
+// BOOTSTRAP_SEED and the student and question, so a rerun on the same data gives the same intervals.
+const BOOTSTRAP_RESAMPLES = 1000;
+const BOOTSTRAP_CONFIDENCE_LEVEL = 0.9;
+const BOOTSTRAP_SEED = 20250501;
+// A score needs manual review with fewer raters than this, or an interval wider than this (in score points).
+const SCORE_REVIEW_MIN_RATERS = 3;
+const SCORE_REVIEW_MAX_CI_WIDTH = 1.0;
+
+// ===================================================================================
+// SELF-ASSESSMENT CONSTANTS
+// ===================================================================================
+
+// Whether students also rate themselves ("Rate yourself" in the assessment form). The
+// SELF_ASSESSMENT script property ("true" or "false") overrides the default.
+const DEFAULT_SELF_ASSESSMENT_ENABLED = false;
+const SELF_ASSESSMENT_PROPERTY_KEY = "SELF_ASSESSMENT";
+
+// Column order for 'PaSelfAssessment' (see SelfAssessment.js): one row per student and question,
+// then an "OVERALL" row per student. `selfScore` is the student's rating of themselves and
+// `peerScore` the plain mean of their peers' ratings (from `peerRaters` evaluators);
+// `selfPeerGap` = selfScore − peerScore, so a positive gap means the student rated themselves
+// higher than their peers did.
+const PA_SELF_ASSESSMENT_HEADERS = [
+  "studentId", "studentName", "questionId", "selfScore", "peerScore", "peerRaters", "selfPeerGap"
+];
+
+// ===================================================================================
+// FINAL GRADE CONSTANTS
+// ===================================================================================
+
+// Column order for 'PaTeamMarks' (entered by the instructor). One row per unit and round; a row
+// with a blank roundId is the unit's mark for runs over all submissions and for rounds without a
+// row of their own. Rows with a blank teamMark are not marked yet.
+const PA_TEAM_MARKS_HEADERS = ["unit", "roundId", "teamMark"];
+
+// Column order for 'PaFinalGrades' (see FinalGrades.js): one row per student and unit, so a student
+// in two units gets a grade for each. `peerFactor` is the factor as calculated, `appliedFactor` the
+// factor after the floor and cap, `uncappedGrade` the formula's result and `grade` that result
+// after the grade floor and cap. `derivation` spells out the calculation and `notes` any limit
+// that applied or why there is no grade.
+const PA_FINAL_GRADES_HEADERS = [
+  "roundId", "unit", "studentId", "studentName", "teamMark", "peerFactorMethod", "peerFactor",
+  "appliedFactor", "peerWeighting", "uncappedGrade", "grade", "derivation", "notes"
+];
+
+// How a team mark and a peer factor become a grade:
+//   grade = teamMark × (1 − peerWeighting + peerWeighting × appliedFactor)
+// peerFactor is "webpa" (the WebPA contribution factor) or "sparkSpa" (the SPARK SPA factor), both
+// per unit. peerWeighting is the share of the mark the factor applies to (1 = all of it, WebPA's
+// "PA weighting"). The factor is kept within factorFloor..factorCap and the grade within
+// gradeFloor..gradeCap; null means no limit. The GRADE_FORMULA script property (a JSON object)
+// overrides any of these settings, and a run's `formula` option overrides both.
+const DEFAULT_GRADE_FORMULA = {
+  peerFactor: "webpa",
+  peerWeighting: 1,
+  factorFloor: 0.5,
+  factorCap: 1.5,
+  gradeFloor: 0,
+  gradeCap: 100
+};
+const GRADE_FORMULA_PROPERTY_KEY = "GRADE_FORMULA";
+
+// The peer factors a formula can use, per unit: unit -> studentId -> factor (see FinalGrades.js).
+// They are called through an arrow so this file can still be loaded first.
+const GRADE_PEER_FACTORS = {
+  webpa: context => calculateWebpaUnitFactors(context),
+  sparkSpa: context => calculateSparkSpaUnitFactors(context)
+};
+// The formula settings that come in floor/cap pairs; a floor may not be above its cap.
+const GRADE_FORMULA_LIMITS = [["factorFloor", "factorCap"], ["gradeFloor", "gradeCap"]];
+
+// ===================================================================================
+// DRAFT CONSTANTS
+// ===================================================================================
+
+// Limits of an autosaved draft (see DraftHandler.js). Google Sheets cells hold at most 50,000
+// characters, so a draft whose answers JSON is longer is rejected; longer comments are cut.
+const MAX_DRAFT_JSON_LENGTH = 45000;
+const MAX_DRAFT_COMMENT_LENGTH = 1000;
+
+// ===================================================================================
+// STAFF ROLE CONSTANTS
+// ===================================================================================
+
+// What each staff role may do on the dashboard (see StaffRoles.js). Running a workflow rewrites the
+// output sheets of every unit, so it also requires access to all units.
+const STAFF_ROLE_PERMISSIONS = {
+  owner: ["viewDashboard", "viewAnalytics", "viewRevisionHistory", "runWorkflows"],
+  instructor: ["viewDashboard", "viewAnalytics", "viewRevisionHistory", "runWorkflows"],
+  ta: ["viewDashboard", "viewAnalytics", "viewRevisionHistory"],
+  observer: ["viewDashboard", "viewAnalytics"]
+};
+
+// ===================================================================================
+// INSTITUTION PROFILE CONSTANTS
+// ===================================================================================
+
+// Email and student ID rules of the institution running the system (see InstitutionProfile.js).
+// Any setting can be overridden in the 'PaInstitutionProfile' sheet (setting/value rows, lists
+// comma-separated) or in the INSTITUTION_PROFILE script property (a JSON object); the script
+// property wins. Email patterns are matched against the lower-cased part before the "@";
+// studentIdPattern is matched against upper-cased IDs.
+const DEFAULT_INSTITUTION_PROFILE = {
+  institutionName: "Shih Hsin University",
+  institutionShortName: "SHU",
+  emailDomains: ["mail.shu.edu.tw"],
+  studentIdPattern: "^[A-Z][0-9]{9}$",
+  studentEmailLocalPattern: "^([a-z][0-9]{9})$", // Capture group 1 (or the whole match), upper-cased, is the student ID
+  studentEmailTemplate: "{studentId}@mail.shu.edu.tw", // Address derived from a lower-cased ID; "" disables derived addresses
+  studentEmailExample: "x123456789@mail.shu.edu.tw",
+  facultyEmailLocalPattern: "^[a-z][a-z0-9]*$", // Non-student addresses matching this are faculty/staff
+  instructorEmails: ["ichen@mail.shu.edu.tw"]
+};
+const INSTITUTION_PROFILE_PROPERTY_KEY = "INSTITUTION_PROFILE";
+
+// ===================================================================================
+// CONCURRENCY CONSTANTS
+// ===================================================================================
+
+// Script lock used to serialize writes to 'PaRawSubmissionsV2'. Each attempt waits up to
+// SUBMISSION_LOCK_TIMEOUT_MS; between attempts we back off by SUBMISSION_LOCK_RETRY_DELAY_MS * attempt.
+const SUBMISSION_LOCK_TIMEOUT_MS = 10000;
+const SUBMISSION_LOCK_MAX_ATTEMPTS = 3;
+const SUBMISSION_LOCK_RETRY_DELAY_MS = 500;
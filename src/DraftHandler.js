@@ -0,0 +1,186 @@
+/* global PA_DRAFTS_SHEET_NAME, MAX_DRAFT_JSON_LENGTH, MAX_DRAFT_COMMENT_LENGTH, authorizeCall, getStorageAdapter, withScriptLock, isSelfAssessmentEnabled, getQuestionDefinitions, isOnRatingScale, DEFAULT_RATING_SCALE */
+
+/**
+ * @file DraftHandler.js
+ * @description Server-side autosave for evaluations that are still being filled in.
+ * AssessmentInterface.html saves the form state of each peer on a debounce, and restores it
+ * when the page is opened again, so a closed tab or an expired session no longer loses answers.
+ * Drafts are kept in 'PaDrafts' (see Repositories.js), one row per evaluator, evaluated student
+ * and assessment round. They are never read by analytics, scoring or reports; submitting an
+ * evaluation deletes its draft. In the self-assessment mode students also keep a draft of their
+ * rating of themselves.
+ */
+
+/**
+ * Save the in-progress evaluation of one peer for the signed-in student
+ * @param {string} evaluatedStudentId - Student ID of the peer being evaluated
+ * @param {Object} answers - Form state: {questionId: {score, answer, comment}}
+ * @returns {Object} `{success: true, savedAt}` or `{success: false, error}`;
+ *   `conflict: true` when the script lock was busy (the next autosave will try again)
+ */
+// eslint-disable-next-line no-unused-vars
+function saveDraftAssessment(evaluatedStudentId, answers) {
+  try {
+    const userSession = getDraftSession('saveDraftAssessment', 'save drafts');
+    const evaluatedId = (evaluatedStudentId || '').toString().trim().toUpperCase();
+    const isSelf = evaluatedId === userSession.studentId && isSelfAssessmentEnabled();
+    if (!isSelf && !userSession.unitMembers.some(member => member.studentId === evaluatedId)) {
+      throw new Error(`${evaluatedId || 'This student'} is not one of your unit members`);
+    }
+
+    const draftJson = JSON.stringify(sanitizeDraftAnswers(answers, getQuestionDefinitions()));
+    if (draftJson.length > MAX_DRAFT_JSON_LENGTH) {
+      throw new Error("Draft is too large to save");
+    }
+
+    const roundId = userSession.activeRound ? userSession.activeRound.roundId : '';
+    const savedAt = new Date().toISOString();
+    const record = {
+      evaluatorId: userSession.studentId,
+      evaluatedStudentId: evaluatedId,
+      roundId,
+      answers: draftJson,
+      updatedAt: savedAt
+    };
+
+    const lockOutcome = withScriptLock(() => {
+      getStorageAdapter().drafts.save(record, existing => isSameDraft(existing, record));
+    });
+    if (!lockOutcome.acquired) {
+      return { success: false, conflict: true, error: "Draft not saved because the server is busy; it will be retried" };
+    }
+
+    Logger.log(`Saved draft ${record.evaluatorId} -> ${evaluatedId}${roundId ? ` (round ${roundId})` : ''}`);
+    return { success: true, savedAt };
+
+  } catch (error) {
+    Logger.log(`Error in saveDraftAssessment: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the signed-in student's saved drafts for the current round
+ * @returns {Object} `{success: true, drafts: {evaluatedStudentId: {answers, savedAt}}}` or `{success: false, error}`
+ */
+// eslint-disable-next-line no-unused-vars
+function getDraftAssessments() {
+  try {
+    const userSession = getDraftSession('getDraftAssessments', 'load drafts');
+    const roundId = userSession.activeRound ? userSession.activeRound.roundId : '';
+    const table = getStorageAdapter().drafts.read();
+    const questions = getQuestionDefinitions();
+    const drafts = {};
+
+    (table ? table.records : []).forEach(record => {
+      if (!isSameDraft(record, { evaluatorId: userSession.studentId, evaluatedStudentId: record.evaluatedStudentId, roundId })) return;
+      try {
+        drafts[record.evaluatedStudentId.toString().trim().toUpperCase()] = {
+          answers: sanitizeDraftAnswers(JSON.parse(record.answers), questions),
+          savedAt: record.updatedAt instanceof Date ? record.updatedAt.toISOString() : (record.updatedAt || '').toString()
+        };
+      } catch (error) {
+        Logger.log(`Skipping unreadable draft ${record.evaluatorId} -> ${record.evaluatedStudentId}: ${error.message}`);
+      }
+    });
+
+    return { success: true, drafts };
+
+  } catch (error) {
+    Logger.log(`Error in getDraftAssessments: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Delete the drafts that a batch of submissions has replaced. Runs inside submitPeerAssessments,
+ * which already holds the script lock.
+ * @param {Array} submissions - Validated submissions (with roundId)
+ * @returns {number} The number of drafts deleted
+ */
+// eslint-disable-next-line no-unused-vars
+function deleteSubmittedDrafts_(submissions) {
+  const submittedKeys = new Set(submissions.map(getDraftKey));
+  const deleted = getStorageAdapter().drafts.deleteWhere(record => submittedKeys.has(getDraftKey(record)));
+  if (deleted > 0) {
+    Logger.log(`Deleted ${deleted} submitted drafts from ${PA_DRAFTS_SHEET_NAME}`);
+  }
+  return deleted;
+}
+
+/**
+ * The session drafts are saved for; only students with an open assessment window have drafts
+ * @param {string} functionName - The endpoint being called (for the audit log)
+ * @param {string} action - What the caller is trying to do, for the error message
+ * @returns {Object} The user session
+ */
+function getDraftSession(functionName, action) {
+  const userSession = authorizeCall(functionName, { audience: 'student', action });
+  if (userSession.sessionData && userSession.sessionData.roundsConfigured && !userSession.activeRound) {
+    throw new Error("No assessment round is open right now");
+  }
+  return userSession;
+}
+
+/**
+ * Keeps only well-formed answers: scores on the question's rating scale, comments of at most 1000
+ * characters and the answers to the other question types (a number, or text of at most 1000
+ * characters; they are validated against the question when submitted)
+ * @param {Object} answers - Form state from the client
+ * @param {Object<string, Object>} questions - The question definitions, for the rating scales (1-5 for unknown questions)
+ * @returns {Object} {questionId: {score?, answer?, comment?}}, without empty questions
+ */
+function sanitizeDraftAnswers(answers, questions) {
+  const sanitized = {};
+  if (!answers || typeof answers !== 'object') return sanitized;
+
+  Object.keys(answers).forEach(questionId => {
+    const answer = answers[questionId];
+    const normalizedQuestionId = questionId.toString().trim();
+    if (!normalizedQuestionId || !answer || typeof answer !== 'object') return;
+
+    const entry = {};
+    const score = Number(answer.score);
+    const question = questions[normalizedQuestionId.toUpperCase()];
+    if (answer.score !== undefined && answer.score !== null && answer.score !== '' &&
+        isOnRatingScale(score, (question && question.scale) || DEFAULT_RATING_SCALE)) {
+      entry.score = score;
+    }
+    if (typeof answer.answer === 'number' && isFinite(answer.answer)) {
+      entry.answer = answer.answer;
+    } else if (typeof answer.answer === 'string' && answer.answer.trim() !== '') {
+      entry.answer = answer.answer.substring(0, MAX_DRAFT_COMMENT_LENGTH);
+    }
+    if (typeof answer.comment === 'string' && answer.comment.trim() !== '') {
+      entry.comment = answer.comment.substring(0, MAX_DRAFT_COMMENT_LENGTH);
+    }
+    if (Object.keys(entry).length > 0) {
+      sanitized[normalizedQuestionId] = entry;
+    }
+  });
+  return sanitized;
+}
+
+/**
+ * @param {Object} record - A draft record or a submission
+ * @returns {string} evaluatorId|evaluatedStudentId|roundId
+ */
+function getDraftKey(record) {
+  return [record.evaluatorId, record.evaluatedStudentId, record.roundId]
+    .map(value => (value || '').toString().trim().toUpperCase()).join('|');
+}
+
+/**
+ * @param {Object} record - A draft record
+ * @param {Object} draft - Another draft record, or just its evaluatorId, evaluatedStudentId and roundId
+ * @returns {boolean} True if both have the same draft key (see getDraftKey)
+ */
+function isSameDraft(record, draft) {
+  return getDraftKey(record) === getDraftKey(draft);
+}
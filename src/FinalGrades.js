@@ -0,0 +1,282 @@
+/* global DEFAULT_GRADE_FORMULA, GRADE_FORMULA_PROPERTY_KEY, GRADE_PEER_FACTORS, GRADE_FORMULA_LIMITS, PA_TEAM_MARKS_SHEET_NAME, PA_TEAM_MARKS_HEADERS, getStorageAdapter, normalizeRegisteredProductionUnit, calculateSparkUnitFactors, roundStrategyValue */
+
+/**
+ * @file FinalGrades.js
+ * @description Turns the instructor's team marks into individual grades. Each unit's mark in
+ * 'PaTeamMarks' is combined with every member's peer factor for that unit:
+ *   grade = teamMark × (1 − peerWeighting + peerWeighting × appliedFactor)
+ * where appliedFactor is the peer factor kept within the formula's floor and cap, and the grade is
+ * kept within its own floor and cap. The formula's settings are DEFAULT_GRADE_FORMULA, the
+ * GRADE_FORMULA script property and a run's `formula` option, in increasing priority.
+ * The grading workflow (Workflow_Grading.js) writes the result, with every step of the
+ * calculation, to 'PaFinalGrades'.
+ *
+ * @requires Config.js (for DEFAULT_GRADE_FORMULA, GRADE_PEER_FACTORS, GRADE_FORMULA_LIMITS and the
+ *   PaTeamMarks constants)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires ProductionUnits.js (for normalizeRegisteredProductionUnit)
+ * @requires ScoringStrategies.js (for calculateSparkUnitFactors and roundStrategyValue)
+ */
+
+// ===================================================================================
+// PEER FACTORS
+// ===================================================================================
+
+/**
+ * The SPARK SPA factors of every unit, for formulas with peerFactor "sparkSpa".
+ * @param {Object} context The scoring context (see calculateSparkUnitFactors).
+ * @returns {Object<string, Object<string, number>>} unit -> studentId -> SPA factor.
+ */
+// eslint-disable-next-line no-unused-vars
+function calculateSparkSpaUnitFactors(context) {
+  const sparkFactors = calculateSparkUnitFactors(context);
+  const unitFactors = {};
+  Object.keys(sparkFactors).forEach(unit => {
+    unitFactors[unit] = {};
+    Object.keys(sparkFactors[unit]).forEach(studentId => {
+      if (typeof sparkFactors[unit][studentId].spa === "number") unitFactors[unit][studentId] = sparkFactors[unit][studentId].spa;
+    });
+  });
+  return unitFactors;
+}
+
+// ===================================================================================
+// FORMULA
+// ===================================================================================
+
+/**
+ * Reads a numeric formula setting or team mark.
+ * @param {*} value The value (a number, or text from a sheet or JSON).
+ * @param {string} name What the value is (for error messages).
+ * @returns {number|null} The number, or null when blank.
+ * @throws {Error} If the value is not a number.
+ */
+function parseGradeNumber(value, name) {
+  const text = value === null || value === undefined ? "" : value.toString().trim();
+  if (text === "") return null;
+  const number = Number(text);
+  if (!isFinite(number)) {
+    throw new Error(`${name} "${text}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Builds a validated formula from a base formula and a set of overrides.
+ * @param {Object} base The formula to start from (DEFAULT_GRADE_FORMULA or an earlier result).
+ * @param {Object<string, *>} overrides Settings to apply on top of `base`.
+ * @param {string} source Where the overrides came from (for error messages).
+ * @returns {{peerFactor: string, peerWeighting: number, factorFloor: (number|null), factorCap: (number|null),
+ *   gradeFloor: (number|null), gradeCap: (number|null)}} The formula.
+ * @throws {Error} If a setting is unknown or invalid, or a floor is above its cap.
+ */
+function createGradeFormula(base, overrides, source) {
+  const formula = Object.assign({}, base);
+  Object.keys(overrides).forEach(setting => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_GRADE_FORMULA, setting)) {
+      throw new Error(`Unknown grade formula setting "${setting}" in ${source}`);
+    }
+    formula[setting] = overrides[setting];
+  });
+
+  try {
+    const peerFactor = formula.peerFactor ? formula.peerFactor.toString().trim() : "";
+    formula.peerFactor = Object.keys(GRADE_PEER_FACTORS).find(name => name.toLowerCase() === peerFactor.toLowerCase());
+    if (!formula.peerFactor) {
+      throw new Error(`peerFactor "${peerFactor}" is unknown (use ${Object.keys(GRADE_PEER_FACTORS).join(", ")})`);
+    }
+    formula.peerWeighting = parseGradeNumber(formula.peerWeighting, "peerWeighting");
+    if (formula.peerWeighting === null || formula.peerWeighting < 0 || formula.peerWeighting > 1) {
+      throw new Error("peerWeighting must be between 0 and 1");
+    }
+    GRADE_FORMULA_LIMITS.forEach(([floorSetting, capSetting]) => {
+      formula[floorSetting] = parseGradeNumber(formula[floorSetting], floorSetting);
+      formula[capSetting] = parseGradeNumber(formula[capSetting], capSetting);
+      if (formula[floorSetting] !== null && formula[capSetting] !== null && formula[floorSetting] > formula[capSetting]) {
+        throw new Error(`${floorSetting} ${formula[floorSetting]} is above ${capSetting} ${formula[capSetting]}`);
+      }
+    });
+  } catch (error) {
+    throw new Error(`Invalid grade formula in ${source}: ${error.message}`, { cause: error });
+  }
+  return formula;
+}
+
+/**
+ * Reads the overrides in the GRADE_FORMULA script property.
+ * @returns {Object<string, *>} setting -> value; empty if the property is not set.
+ * @throws {Error} If the property is not a JSON object.
+ */
+function readGradeFormulaProperty() {
+  const json = PropertiesService.getScriptProperties().getProperty(GRADE_FORMULA_PROPERTY_KEY);
+  if (!json) return {};
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`The ${GRADE_FORMULA_PROPERTY_KEY} script property is not valid JSON: ${error.message}`, { cause: error });
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error(`The ${GRADE_FORMULA_PROPERTY_KEY} script property must be a JSON object`);
+  }
+  return overrides;
+}
+
+/**
+ * Decides the formula of a grading run: DEFAULT_GRADE_FORMULA, overridden by the GRADE_FORMULA
+ * script property, overridden by the run's `formula` option.
+ * @param {Object} [options] The workflow options.
+ * @returns {Object} The formula (see {@link createGradeFormula}).
+ * @throws {Error} If a setting is invalid.
+ */
+// eslint-disable-next-line no-unused-vars
+function resolveGradeFormula(options) {
+  let formula = createGradeFormula(DEFAULT_GRADE_FORMULA, {}, "DEFAULT_GRADE_FORMULA");
+  formula = createGradeFormula(formula, readGradeFormulaProperty(), `the ${GRADE_FORMULA_PROPERTY_KEY} script property`);
+  if (options && typeof options === "object" && options.formula && typeof options.formula === "object") {
+    formula = createGradeFormula(formula, options.formula, "the formula option");
+  }
+  return formula;
+}
+
+// ===================================================================================
+// TEAM MARKS
+// ===================================================================================
+
+/**
+ * Reads the team marks that apply to a run: the rows of the round, and for units without one the
+ * rows with a blank roundId. A run over all submissions only uses rows with a blank roundId.
+ * @param {string} roundId The run's round, normalized (see resolveWorkflowRoundId; "" for all submissions).
+ * @returns {Object<string, number>} unit -> team mark, for the units that have been marked.
+ * @throws {Error} If the sheet is missing, or a row has an unknown unit, a mark that is not a
+ *   number or repeats the unit and round of another row.
+ */
+// eslint-disable-next-line no-unused-vars
+function readTeamMarks(roundId) {
+  const table = getStorageAdapter().teamMarks.read();
+  if (!table) {
+    throw new Error(`The "${PA_TEAM_MARKS_SHEET_NAME}" sheet is missing. Add it with the columns ${PA_TEAM_MARKS_HEADERS.join(", ")}.`);
+  }
+  const roundMarks = {};
+  const defaultMarks = {};
+  const seen = [];
+  table.records.forEach((record, index) => {
+    if (PA_TEAM_MARKS_HEADERS.every(header => record[header] === null || record[header] === undefined || record[header].toString().trim() === "")) return;
+    const rowLabel = `the "${PA_TEAM_MARKS_SHEET_NAME}" sheet row ${index + 2}`;
+    const unit = normalizeRegisteredProductionUnit(record.unit);
+    if (!unit) {
+      throw new Error(`Unknown unit "${record.unit}" in ${rowLabel}`);
+    }
+    const markRoundId = record.roundId ? record.roundId.toString().trim().toUpperCase() : "";
+    const key = `${unit}|${markRoundId}`;
+    if (seen.includes(key)) {
+      throw new Error(`Unit ${unit} has a second mark${markRoundId ? ` for round ${markRoundId}` : " without a round"} in ${rowLabel}`);
+    }
+    seen.push(key);
+    let teamMark;
+    try {
+      teamMark = parseGradeNumber(record.teamMark, "teamMark");
+    } catch (error) {
+      throw new Error(`Invalid team mark in ${rowLabel}: ${error.message}`, { cause: error });
+    }
+    if (markRoundId === "") {
+      defaultMarks[unit] = teamMark;
+    } else if (markRoundId === roundId) {
+      roundMarks[unit] = teamMark;
+    }
+  });
+  // A round's row wins over the unit's default row, even when the round is not marked yet
+  const marks = Object.assign(defaultMarks, roundMarks);
+  Object.keys(marks).forEach(unit => { if (marks[unit] === null) delete marks[unit]; });
+  return marks;
+}
+
+// ===================================================================================
+// GRADES
+// ===================================================================================
+
+/**
+ * Keeps a value within a floor and a cap.
+ * @param {number} value The value.
+ * @param {number|null} floor The floor, or null for none.
+ * @param {number|null} cap The cap, or null for none.
+ * @returns {{value: number, limit: string}} The limited value; `limit` is "floor", "cap" or "".
+ */
+function applyGradeLimits(value, floor, cap) {
+  if (floor !== null && value < floor) return { value: floor, limit: "floor" };
+  if (cap !== null && value > cap) return { value: cap, limit: "cap" };
+  return { value, limit: "" };
+}
+
+/**
+ * Describes a limit that applied.
+ * @param {string} what E.g. "peer factor".
+ * @param {number} before The value before the limit.
+ * @param {{value: number, limit: string}} limited The result of {@link applyGradeLimits}.
+ * @returns {string} The note, or "" when no limit applied.
+ */
+function describeGradeLimit(what, before, limited) {
+  if (limited.limit === "floor") return `${what} ${before} raised to the floor of ${limited.value}`;
+  if (limited.limit === "cap") return `${what} ${before} lowered to the cap of ${limited.value}`;
+  return "";
+}
+
+/**
+ * Calculates the 'PaFinalGrades' rows (see PA_FINAL_GRADES_HEADERS).
+ * @param {Object} context The scoring context `{studentIds, students, responses, commonScaleResponses}` (see getScoringStrategy).
+ * @param {{roundId: string, units: string[], teamMarks: Object<string, number>, formula: Object}} grading
+ *   The run's round, the units to grade (in output order), their marks ({@link readTeamMarks}) and
+ *   the formula ({@link resolveGradeFormula}).
+ * @returns {Array[]} One row per member of each unit, members in the order of context.studentIds.
+ */
+// eslint-disable-next-line no-unused-vars
+function createFinalGradeRows(context, grading) {
+  const formula = grading.formula;
+  const unitFactors = GRADE_PEER_FACTORS[formula.peerFactor](context);
+  const weighting = formula.peerWeighting;
+  const rows = [];
+
+  grading.units.forEach(unit => {
+    const teamMark = Object.prototype.hasOwnProperty.call(grading.teamMarks, unit) ? grading.teamMarks[unit] : null;
+    context.studentIds.forEach(studentId => {
+      const student = context.students[studentId];
+      if (student.productionUnit1 !== unit && student.productionUnit2 !== unit) return;
+      const factors = unitFactors[unit] || {};
+      const peerFactor = typeof factors[studentId] === "number" ? roundStrategyValue(factors[studentId], 3) : "";
+      const notes = [];
+      let appliedFactor = "";
+      let uncappedGrade = "";
+      let grade = "";
+      let derivation = "";
+
+      if (peerFactor === "") {
+        notes.push(`no ${formula.peerFactor} factor: no peer ratings for this student in unit ${unit}`);
+      } else {
+        const limitedFactor = applyGradeLimits(peerFactor, formula.factorFloor, formula.factorCap);
+        appliedFactor = limitedFactor.value;
+        const factorNote = describeGradeLimit("peer factor", peerFactor, limitedFactor);
+        if (factorNote) notes.push(factorNote);
+      }
+      if (teamMark === null) {
+        notes.push(`no team mark for unit ${unit} in ${PA_TEAM_MARKS_SHEET_NAME}`);
+      }
+      if (teamMark !== null && appliedFactor !== "") {
+        const uncapped = teamMark * (1 - weighting + weighting * appliedFactor);
+        uncappedGrade = roundStrategyValue(uncapped, 2);
+        const limitedGrade = applyGradeLimits(uncappedGrade, formula.gradeFloor, formula.gradeCap);
+        grade = limitedGrade.value;
+        const scaling = weighting === 1 ? `${appliedFactor}` : `(1 − ${weighting} + ${weighting} × ${appliedFactor})`;
+        derivation = `${teamMark} × ${scaling} = ${uncappedGrade}`;
+        const gradeNote = describeGradeLimit("grade", uncappedGrade, limitedGrade);
+        if (gradeNote) notes.push(gradeNote);
+      }
+
+      rows.push([
+        grading.roundId, unit, studentId, student.studentName || `[Name missing for ${studentId}]`,
+        teamMark === null ? "" : teamMark, formula.peerFactor, peerFactor, appliedFactor, weighting,
+        uncappedGrade, grade, derivation, notes.join("; ")
+      ]);
+    });
+  });
+  return rows;
+}
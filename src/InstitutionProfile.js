@@ -0,0 +1,166 @@
+/* global DEFAULT_INSTITUTION_PROFILE, INSTITUTION_PROFILE_PROPERTY_KEY, PA_INSTITUTION_PROFILE_SHEET_NAME, getStorageAdapter */
+
+/**
+ * @file InstitutionProfile.js
+ * @description The institution profile: allowed email domains, the student ID format, how a
+ * student email maps to a student ID (and back), how faculty addresses are recognized and who the
+ * instructors are. Every module validates emails and IDs through the helpers in Utils.js, which
+ * read this profile, so the system can be deployed at another school without code changes.
+ *
+ * The profile starts from DEFAULT_INSTITUTION_PROFILE (Config.js). Settings can be overridden in
+ * the optional 'PaInstitutionProfile' sheet (columns `setting`, `value`; lists comma-separated),
+ * and the INSTITUTION_PROFILE script property (a JSON object) overrides both.
+ *
+ * @requires Config.js (for DEFAULT_INSTITUTION_PROFILE and the sheet/property names)
+ * @requires Repositories.js (for getStorageAdapter)
+ */
+
+const INSTITUTION_PROFILE_LIST_SETTINGS = ["emailDomains", "instructorEmails"];
+const INSTITUTION_PROFILE_PATTERN_SETTINGS = ["studentIdPattern", "studentEmailLocalPattern", "facultyEmailLocalPattern"];
+
+let cachedInstitutionProfile = null;
+
+// ===================================================================================
+// PROFILE LOADING
+// ===================================================================================
+
+/**
+ * Splits a list setting. Arrays are taken as they are; strings are split on commas/semicolons.
+ * @param {*} value The setting value.
+ * @returns {string[]} Trimmed, lower-cased, non-empty items.
+ */
+function parseInstitutionProfileList(value) {
+  const items = Array.isArray(value) ? value : (value === null || value === undefined ? [] : value.toString().split(/[,;]/));
+  return items.map(item => item.toString().trim().toLowerCase()).filter(item => item !== "");
+}
+
+/**
+ * Builds a validated profile from a base profile and a set of overrides.
+ * @param {Object} base The profile to start from (DEFAULT_INSTITUTION_PROFILE or an earlier result).
+ * @param {Object<string, *>} overrides Settings to apply on top of `base`.
+ * @param {string} source Where the overrides came from (for error messages).
+ * @returns {Object} The profile, with the compiled patterns in `studentIdRegex`,
+ *   `studentEmailLocalRegex` and `facultyEmailLocalRegex`.
+ * @throws {Error} If a setting is unknown, a pattern does not compile, or no email domain is left.
+ */
+function createInstitutionProfile(base, overrides, source) {
+  const profile = Object.assign({}, base);
+
+  Object.keys(overrides).forEach(setting => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_INSTITUTION_PROFILE, setting)) {
+      throw new Error(`Unknown institution profile setting "${setting}" in ${source}`);
+    }
+    const value = overrides[setting];
+    profile[setting] = INSTITUTION_PROFILE_LIST_SETTINGS.includes(setting)
+      ? parseInstitutionProfileList(value)
+      : (value === null || value === undefined ? "" : value.toString().trim());
+  });
+
+  profile.emailDomains = parseInstitutionProfileList(profile.emailDomains).map(domain => domain.replace(/^@/, ""));
+  profile.instructorEmails = parseInstitutionProfileList(profile.instructorEmails);
+  if (profile.emailDomains.length === 0) {
+    throw new Error(`The institution profile in ${source} has no emailDomains`);
+  }
+
+  INSTITUTION_PROFILE_PATTERN_SETTINGS.forEach(setting => {
+    try {
+      profile[setting.replace(/Pattern$/, "Regex")] = new RegExp(profile[setting]);
+    } catch (error) {
+      throw new Error(`Invalid ${setting} in ${source}: ${error.message}`, { cause: error });
+    }
+  });
+  return profile;
+}
+
+/**
+ * Reads the overrides in the 'PaInstitutionProfile' sheet. Rows with a blank setting are ignored.
+ * @returns {Object<string, *>} setting -> value; empty if the sheet is missing.
+ */
+function readInstitutionProfileSheet() {
+  const table = getStorageAdapter().institution.read();
+  const overrides = {};
+  (table ? table.records : []).forEach(record => {
+    const setting = record.setting ? record.setting.toString().trim() : "";
+    if (setting) overrides[setting] = record.value;
+  });
+  return overrides;
+}
+
+/**
+ * Reads the overrides in the INSTITUTION_PROFILE script property.
+ * @returns {Object<string, *>} setting -> value; empty if the property is not set.
+ * @throws {Error} If the property is not a JSON object.
+ */
+function readInstitutionProfileProperty() {
+  const json = PropertiesService.getScriptProperties().getProperty(INSTITUTION_PROFILE_PROPERTY_KEY);
+  if (!json) return {};
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`The ${INSTITUTION_PROFILE_PROPERTY_KEY} script property is not valid JSON: ${error.message}`, { cause: error });
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error(`The ${INSTITUTION_PROFILE_PROPERTY_KEY} script property must be a JSON object`);
+  }
+  return overrides;
+}
+
+/**
+ * Returns the institution profile of this deployment, loading it once per execution.
+ * @returns {Object} The profile (see {@link createInstitutionProfile}).
+ * @throws {Error} If the sheet or script property holds an invalid profile.
+ */
+function getInstitutionProfile() {
+  if (!cachedInstitutionProfile) {
+    const sheetProfile = createInstitutionProfile(
+      DEFAULT_INSTITUTION_PROFILE, readInstitutionProfileSheet(), `the "${PA_INSTITUTION_PROFILE_SHEET_NAME}" sheet`
+    );
+    cachedInstitutionProfile = createInstitutionProfile(
+      sheetProfile, readInstitutionProfileProperty(), `the ${INSTITUTION_PROFILE_PROPERTY_KEY} script property`
+    );
+  }
+  return cachedInstitutionProfile;
+}
+
+/**
+ * Forgets the loaded profile, so the next call to getInstitutionProfile reads it again
+ * (e.g. after the storage adapter has changed or the sheet was edited in the same execution).
+ */
+// eslint-disable-next-line no-unused-vars
+function resetInstitutionProfileCache() {
+  cachedInstitutionProfile = null;
+}
+
+// ===================================================================================
+// WEB APP ACCESS
+// ===================================================================================
+
+/**
+ * The parts of the profile the sign-in pages need to explain and pre-check the email format.
+ * Available without signing in; it contains no instructor addresses.
+ * @returns {Object} `{success: true, profile: {institutionName, institutionShortName, emailDomains,
+ *   studentEmailExample, studentEmailLocalPattern}}` or `{success: false, error}`.
+ */
+// eslint-disable-next-line no-unused-vars
+function getInstitutionProfileForWeb() {
+  try {
+    const profile = getInstitutionProfile();
+    return {
+      success: true,
+      profile: {
+        institutionName: profile.institutionName,
+        institutionShortName: profile.institutionShortName,
+        emailDomains: profile.emailDomains.slice(),
+        studentEmailExample: profile.studentEmailExample,
+        studentEmailLocalPattern: profile.studentEmailLocalPattern
+      }
+    };
+  } catch (error) {
+    Logger.log(`Error in getInstitutionProfileForWeb: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
@@ -13,10 +13,11 @@ function onOpen() {
   // Add items to the main menu
   mainMenu.addItem('1. Generate Evaluator Analytics & Weights', 'generateEvaluatorAnalyticsAndWeights'); 
   mainMenu.addItem('2. Calculate WEIGHTED Peer Scores (to PaFinalScoresSummary)', 'calculateWeightedScoresAndUpdateSheet'); 
-  mainMenu.addItem('3. Generate Raw Scores Report (with Weights)', 'generateRawScoresReportWithWeights');
+  mainMenu.addItem('3. Calculate Final Grades (Team Mark x Peer Factor, to PaFinalGrades)', 'calculateFinalGradesAndUpdateSheet');
+  mainMenu.addItem('4. Generate Raw Scores Report (with Weights)', 'generateRawScoresReportWithWeights');
   mainMenu.addSeparator();
-  mainMenu.addItem('4. Generate Detailed Missing Assessments Report', 'findStudentsWhoHaventAssessedSpecificPeers'); 
-  mainMenu.addItem('5. Verify Missing Assessments Report', 'verifyMissingAssessmentsReport'); // Removed extra separator here, add one before submenu
+  mainMenu.addItem('5. Generate Detailed Missing Assessments Report', 'findStudentsWhoHaventAssessedSpecificPeers'); 
+  mainMenu.addItem('6. Verify Missing Assessments Report', 'verifyMissingAssessmentsReport'); // Removed extra separator here, add one before submenu
   
   // --- Create the submenu for Utilities ---
   var utilMenu = ui.createMenu('Sheet Utilities'); // This creates a menu object that can be used as a submenu
@@ -24,9 +25,12 @@ function onOpen() {
   utilMenu.addSeparator();
   utilMenu.addItem('Clear Evaluator Analytics Sheet', 'clearEvaluatorAnalyticsSheet');
   utilMenu.addItem('Clear Final Scores Summary Sheet', 'clearFinalScoresSummarySheet');
+  utilMenu.addItem('Clear Final Grades Sheet', 'clearFinalGradesSheet');
   utilMenu.addItem('Clear All Responses Report Sheet', 'clearReportAllResponsesSheet');
   utilMenu.addItem('Clear Missing Assessments Report Sheet', 'clearMissingAssessmentsReportSheet');
   utilMenu.addItem('Clear Verification Summary Sheet', 'clearVerificationMissingAssessmentsSheet');
+  utilMenu.addSeparator();
+  utilMenu.addItem('Create Default Weight Rules Sheet', 'createDefaultWeightRulesSheet');
   
   // Add the utility submenu to the main menu
   mainMenu.addSeparator(); // Add a separator before the submenu
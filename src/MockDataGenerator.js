@@ -1,8 +1,11 @@
+/* global PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_QUESTION_CONFIG_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_HEADERS, createResponse, normalizeProductionUnit, normalizeQuestionType, parseRatingScale, getRatingScaleValues, requireWorkflowAccess */
+
 /**
  * Populates the 'PaRawSubmissionsV2' sheet with mock peer assessment data.
  * Reads student list from 'PaMasterStudentList' and questions from 'PaQuestionConfig'.
- * Assumes 'createResponse', 'isValidProductionUnit', 'extractStudentIdFromEmail', 
- * 'isValidShuEmail', 'calculateMean', 'calculateStdDev', 'calculateMedianFromArray' 
+ * Only LikertScale questions get mock scores (see QuestionTypes.js), on each question's rating scale.
+ * Assumes 'createResponse', 'normalizeProductionUnit', 'extractStudentIdFromEmail', 
+ * 'isValidInstitutionEmail', 'calculateMean', 'calculateStdDev', 'calculateMedianFromArray' 
  * are available (likely in Utils.gs or Models.gs).
  * Assumes sheet name constants (PA_...) are defined in Config.gs.
  */
@@ -12,6 +15,7 @@ function populateMockPaRawSubmissionsV2() {
   const ui = SpreadsheetApp.getUi();
   Logger.clear();
   Logger.log("--- Starting Mock Data Population for PaRawSubmissionsV2 ---");
+  requireWorkflowAccess("populateMockPaRawSubmissionsV2");
 
   const studentListSheetName = PA_MASTER_STUDENT_LIST_SHEET_NAME;
   const questionConfigSheetName = PA_QUESTION_CONFIG_SHEET_NAME;
@@ -28,12 +32,8 @@ function populateMockPaRawSubmissionsV2() {
   }
   if (!targetSheet) {
     targetSheet = ss.insertSheet(targetSheetName);
-    targetSheet.appendRow([
-        "submissionId", "responseId", "timestamp", "evaluatorId", "evaluatorEmail", 
-        "evaluatedStudentId", "evaluatedStudentName", "unitContextOfEvaluation", 
-        "questionId", "responseType", "responseValue"
-    ]);
-    targetSheet.getRange(1,1,1,11).setFontWeight("bold").setHorizontalAlignment("center");
+    targetSheet.appendRow(PA_RAW_SUBMISSIONS_V2_HEADERS);
+    targetSheet.getRange(1,1,1,PA_RAW_SUBMISSIONS_V2_HEADERS.length).setFontWeight("bold").setHorizontalAlignment("center");
     targetSheet.setFrozenRows(1);
     Logger.log(`Sheet "${targetSheetName}" created with headers.`);
   }
@@ -71,14 +71,12 @@ function populateMockPaRawSubmissionsV2() {
     const row = studentListData[i];
     const id = row[idColIdx] ? row[idColIdx].toString().trim().toUpperCase() : null;
     const name = row[nameColIdx] ? row[nameColIdx].toString().trim() : null;
-    let unit1Raw = row[unit1ColIdx] ? row[unit1ColIdx].toString().trim().toUpperCase() : null;
     const status = row[statusColIdx] ? row[statusColIdx].toString().trim().toLowerCase() : null;
     const email = row[emailColIdx] ? row[emailColIdx].toString().trim().toLowerCase() : null;
 
-    let unit1 = unit1Raw;
-    if (unit1Raw && unit1Raw.startsWith("UNIT ") && unit1Raw.length > 5) unit1 = unit1Raw.substring(5,6);
+    const unit1 = normalizeProductionUnit(row[unit1ColIdx]);
 
-    if (id && name && email && (status === "enrolled" || status === "active") && unit1 && isValidProductionUnit(unit1)) {
+    if (id && name && email && (status === "enrolled" || status === "active") && unit1) {
       const studentObj = { studentId: id, studentName: name, email: email, unit: unit1 };
       if (!activeStudentsByUnit[unit1]) {
         activeStudentsByUnit[unit1] = [];
@@ -97,6 +95,7 @@ function populateMockPaRawSubmissionsV2() {
   }
   const questionConfigHeaders = questionConfigData[0].map(h => h ? h.toString().trim() : "");
   const qcfgIdColIdx = questionConfigHeaders.indexOf("QuestionID"); 
+  const qcfgTypeColIdx = questionConfigHeaders.indexOf("QuestionType");
 
   if (qcfgIdColIdx === -1) {
      ui.alert("Sheet Format Error", `Header "QuestionID" not found in "${questionConfigSheetName}".`, ui.ButtonSet.OK);
@@ -104,10 +103,18 @@ function populateMockPaRawSubmissionsV2() {
      return;
   }
 
+  const scaleCell = (row, header) => row[questionConfigHeaders.indexOf(header)];
   let questions = []; 
+  let questionScaleValues = {}; // questionId -> the values of its rating scale
   for (let i = 1; i < questionConfigData.length; i++) {
-    if (questionConfigData[i][qcfgIdColIdx]) {
-      questions.push(questionConfigData[i][qcfgIdColIdx].toString().trim().toUpperCase());
+    const row = questionConfigData[i];
+    if (row[qcfgIdColIdx] &&
+        (qcfgTypeColIdx === -1 || normalizeQuestionType(row[qcfgTypeColIdx]) === "LikertScale")) {
+      const questionId = row[qcfgIdColIdx].toString().trim().toUpperCase();
+      questions.push(questionId);
+      questionScaleValues[questionId] = getRatingScaleValues(parseRatingScale({
+        min: scaleCell(row, "ScaleMin"), max: scaleCell(row, "ScaleMax"), step: scaleCell(row, "ScaleStep"), labels: scaleCell(row, "ScaleLabels")
+      }));
     }
   }
   if (questions.length === 0) {
@@ -149,7 +156,8 @@ function populateMockPaRawSubmissionsV2() {
           const questionId = shuffledQuestions[qIdx];
           
           // Add SCORE response
-          const score = Math.floor(Math.random() * 5) + 1; // Random score 1-5
+          const scaleValues = questionScaleValues[questionId];
+          const score = scaleValues[Math.floor(Math.random() * scaleValues.length)]; // Random value of the question's scale
           // Call createResponse - assumed to be in Models.gs and accessible
           const scoreResponseObject = createResponse(
             questionId, 
@@ -1,4 +1,4 @@
-/* global isValidProductionUnit, isValidShuEmail, extractStudentIdFromEmail */ 
+/* global normalizeRegisteredProductionUnit, isValidInstitutionEmail, extractStudentIdFromEmail, isValidStudentId, getStudentEmailForId */ 
 // Logger can be here for explicitness or rely on central config
 
 /**
@@ -7,7 +7,8 @@
  * data objects (Student, Question, Response) used throughout the Peer Assessment system.
  * These functions ensure data consistency and provide a common structure for assessment entities.
  *
- * @requires Utils.js (for validation helper functions like isValidProductionUnit, isValidShuEmail, etc.)
+ * @requires Utils.js (for validation helper functions like isValidInstitutionEmail, extractStudentIdFromEmail, etc.)
+ * @requires ProductionUnits.js (for normalizeRegisteredProductionUnit)
  */
 
 // This file contains functions to create and validate Student, Question, and Response objects. // Your existing comment
@@ -40,7 +41,7 @@ function createStudent({
     studentMasterListById, studentMasterListByName 
 } = {}) {
   // ... (Logger.log calls will use the Logger from eslint.config.mjs globals) ...
-  // ... (isValidProductionUnit, isValidShuEmail, extractStudentIdFromEmail are from the /* global */ line above) ...
+  // ... (normalizeRegisteredProductionUnit, isValidInstitutionEmail, extractStudentIdFromEmail are from the /* global */ line above) ...
   // CURRENT CODE FOR createStudent (as you provided)
   // ...
   let studentId = id ? id.toString().trim().toUpperCase() : null;
@@ -48,15 +49,11 @@ function createStudent({
   let studentEmail = email ? email.toString().trim().toLowerCase() : "";
   let derivedIdFromEmail = "";
   
-  let finalUnit1 = unit1 ? unit1.toString().trim().toUpperCase() : "";
-  let finalUnit2 = unit2 ? unit2.toString().trim().toUpperCase() : "";
+  // "Unit B" / "camera-1" -> registered unit code (retired units included); unknown units are dropped
+  let finalUnit1 = normalizeRegisteredProductionUnit(unit1);
+  let finalUnit2 = normalizeRegisteredProductionUnit(unit2);
   let finalStatus = status ? status.toString().trim().toLowerCase() : "active";
 
-  if (finalUnit1.startsWith("UNIT ") && finalUnit1.length > 5) finalUnit1 = finalUnit1.substring(5,6);
-  if (finalUnit1 && !isValidProductionUnit(finalUnit1)) finalUnit1 = ""; 
-  if (finalUnit2.startsWith("UNIT ") && finalUnit2.length > 5) finalUnit2 = finalUnit2.substring(5,6);
-  if (finalUnit2 && !isValidProductionUnit(finalUnit2)) finalUnit2 = "";
-
   if (studentId && studentMasterListById && studentMasterListById[studentId]) {
       const masterData = studentMasterListById[studentId]; 
       studentName = studentName || (masterData.studentName ? masterData.studentName.toString().trim() : ""); 
@@ -67,7 +64,7 @@ function createStudent({
       // Logger.log(`createStudent: Used master data for ID '${studentId}'.`);
   }
 
-  if (studentEmail && isValidShuEmail(studentEmail)) {
+  if (studentEmail && isValidInstitutionEmail(studentEmail)) {
     derivedIdFromEmail = extractStudentIdFromEmail(studentEmail);
     if (!studentId) { 
       studentId = derivedIdFromEmail;
@@ -105,14 +102,11 @@ function createStudent({
     }
   }
   
-   if (!studentEmail && studentId && /^[A-Z]{1}[0-9]{9}$/.test(studentId)) {
-       let derivedFallbackEmail = studentId.toLowerCase() + "@mail.shu.edu.tw";
-       if (isValidShuEmail(derivedFallbackEmail)) {
-           studentEmail = derivedFallbackEmail;
-       }
+   if (!studentEmail && studentId) {
+       studentEmail = getStudentEmailForId(studentId);
    }
 
-  if (!studentId || (!/^[A-Z]{1}[0-9]{9}$/.test(studentId) && !studentId.startsWith("UNKNOWNID_"))) {
+  if (!studentId || (!isValidStudentId(studentId) && !studentId.startsWith("UNKNOWNID_"))) {
     Logger.log(`createStudent FAILED: Invalid or missing Student ID. Inputs: id='${id}', name='${name}', email='${email}'. Resulting ID: '${studentId}'`);
     return null;
   }
@@ -129,9 +123,9 @@ function createStudent({
     status: finalStatus, 
     isValid: function() {
         const isActive = (this.status === "active" || this.status === "enrolled");
-        const hasValidId = (/^[A-Z]{1}[0-9]{9}$/.test(this.studentId) || this.studentId.startsWith("UNKNOWNID_"));
+        const hasValidId = (isValidStudentId(this.studentId) || this.studentId.startsWith("UNKNOWNID_"));
         const hasRealName = this.studentName && !this.studentName.startsWith("[Name for") && !this.studentName.startsWith("[Name Missing for") && !this.studentName.startsWith("[NameDefaultInParserFor_");
-        const hasValidEmailOrIsEmpty = (this.studentEmail === "" || isValidShuEmail(this.studentEmail) || this.studentEmail.startsWith("[NoValidEmailFor_"));
+        const hasValidEmailOrIsEmpty = (this.studentEmail === "" || isValidInstitutionEmail(this.studentEmail) || this.studentEmail.startsWith("[NoValidEmailFor_"));
         return hasValidId && isActive && hasRealName && hasValidEmailOrIsEmpty;
     }
   };
@@ -144,16 +138,17 @@ function createStudent({
  * @param {string} id - The unique ID of the question (e.g., "Q01"). Must match /^Q[0-9]{1,2}$/i.
  * @param {string} prompt - The text of the question. Must not be empty.
  * @param {string} [instructionalComment=""] - Optional instructional comment.
- * @param {string} [questionType="LikertScale"] - Type of question (e.g., "LikertScale", "ShortText").
+ * @param {string} [questionType="LikertScale"] - Type of question, one of QUESTION_TYPE_RESPONSE_TYPES (e.g., "LikertScale", "ShortText").
  * @param {string} [choicesString=""] - Comma-separated string of choices for applicable types.
+ * @param {object|null} [scale=null] - The rating scale of a LikertScale question (see parseRatingScale).
  * @returns {object|null} A Question object with properties (questionId, questionPrompt,
- *                        questionInstruction, questionType, choices, isValid) or null if validation fails.
+ *                        questionInstruction, questionType, choices, scale, isValid) or null if validation fails.
  */
 // createResponse is called by Parser_V2.js and MockDataGenerator.js.
 // If ESLint doesn't see these usages after those files are linted with /* global ... */
 // then this disable line is necessary. Try removing it after those files are
 // eslint-disable-next-line no-unused-vars
-function createQuestion(id, prompt, instructionalComment = "", questionType = "LikertScale", choicesString = "") {
+function createQuestion(id, prompt, instructionalComment = "", questionType = "LikertScale", choicesString = "", scale = null) {
   const idPattern = /^Q[0-9]{1,2}$/i; // Made pattern case-insensitive for robustness, though QID is uppercased
   if (typeof id !== 'string' || !idPattern.test(id.toUpperCase())) {
     Logger.log(`Invalid Question ID format for createQuestion: ${id}`);
@@ -175,6 +170,7 @@ function createQuestion(id, prompt, instructionalComment = "", questionType = "L
     questionInstruction: instructionalComment, // Already trimmed
     questionType: questionType, // Already trimmed
     choices: choicesString.split(',').map(c => c.trim()).filter(c => c !== ""), 
+    scale: scale,
     isValid: function() { 
         return idPattern.test(this.questionId) && // Check against original pattern logic
                this.questionPrompt !== "" &&
@@ -190,7 +186,7 @@ function createQuestion(id, prompt, instructionalComment = "", questionType = "L
  * @param {string} questionId - The ID of the question this response answers.
  * @param {string|number} responseValue - The actual response content (score or text).
  * @param {string} responseByEmail - The email of the student who submitted the response.
- * @param {string} [responseType="GENERIC"] - The type of response (e.g., "SCORE", "COMMENT").
+ * @param {string} [responseType="GENERIC"] - The type of response (e.g., "SCORE", "COMMENT", "RANK").
  * @param {string} [evaluatedStudentId=""] - The ID of the student being evaluated.
  * @param {string} [timestamp=""] - ISO string timestamp of the submission. Defaults to current time.
  * @param {string} [unitContext=""] - The unit context of this specific evaluation.
@@ -218,7 +214,7 @@ function createResponse(questionId, responseValue, responseByEmail, responseType
   if (typeof unitContext !== 'string' || unitContext === null) { // Allow undefined to pass to default
       finalUnitContext = "";
   } else {
-      finalUnitContext = unitContext.trim().toUpperCase();
+      finalUnitContext = normalizeRegisteredProductionUnit(unitContext);
   }
 
   // Ensure responseType is a string and uppercased, default if necessary
@@ -241,7 +237,7 @@ function createResponse(questionId, responseValue, responseByEmail, responseType
     unitContextOfEvaluation: finalUnitContext, 
     isValid: function() { 
         return this.responseToQuestionId && 
-               (this.responseByStudentId || (typeof responseByEmail === 'string' && isValidShuEmail(responseByEmail))); // isValidShuEmail from Utils.js
+               (this.responseByStudentId || (typeof responseByEmail === 'string' && isValidInstitutionEmail(responseByEmail))); // isValidInstitutionEmail from Utils.js
     }
   };
 }
\ No newline at end of file
@@ -1,3 +1,5 @@
+/* global PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_RAW_SUBMISSIONS_V1_SHEET_NAME, isValidStudentId, isValidProductionUnit, isValidInstitutionEmail, getStudentEmailForId, extractStudentIdFromEmail, createQuestion, createStudent, createResponse */
+
 // ===================================================================================
 // FILE: Parser_V1.gs
 // Purpose: To parse data from the OLD survey response format ("PaRawSubmissionsV1")
@@ -56,7 +58,7 @@ function parseRawSurveyData_v1() {
   for (let i = 1; i < listStudentsDataWithHeaders.length; i++) {
     const rowData = listStudentsDataWithHeaders[i];
     const id = rowData[idColLsIdx] ? rowData[idColLsIdx].toString().trim().toUpperCase() : null;
-    if (!id || !(/^[A-Z]{1}[0-9]{9}$/.test(id))) { continue; }
+    if (!id || !isValidStudentId(id)) { continue; }
     const name = rowData[nameColLsIdx] ? rowData[nameColLsIdx].toString().trim() : null;
     if (!name) { continue; }
     const status = rowData[statusColLsIdx] ? rowData[statusColLsIdx].toString().trim().toLowerCase() : "active";
@@ -71,11 +73,8 @@ function parseRawSurveyData_v1() {
     if (u2.startsWith("UNIT ") && u2.length > 5) u2 = u2.substring(5,6);
     if (!isValidProductionUnit(u2)) u2 = ""; 
     let email = (emailColLsIdx !== -1 && rowData[emailColLsIdx]) ? rowData[emailColLsIdx].toString().trim().toLowerCase() : "";
-    if (email && !isValidShuEmail(email)) email = ""; 
-    if (!email && id && /^[A-Z]{1}[0-9]{9}$/.test(id)) { 
-        let derivedEmail = id.toLowerCase() + "@mail.shu.edu.tw";
-        if (isValidShuEmail(derivedEmail)) email = derivedEmail;
-    }
+    if (email && !isValidInstitutionEmail(email)) email = ""; 
+    if (!email && id) email = getStudentEmailForId(id);
     const studentDetails = { id: id, name: name, unit1: u1, unit2: u2, email: email, status: status };
     studentMasterListById[id] = studentDetails;
     if (!studentMasterListByName[name]) { studentMasterListByName[name] = studentDetails; }
@@ -158,7 +157,7 @@ function parseRawSurveyData_v1() {
 
     let skipRow = false;
     let skipReason = "";
-    if (!evaluatorEmailFromSheet || !isValidShuEmail(evaluatorEmailFromSheet)) { 
+    if (!evaluatorEmailFromSheet || !isValidInstitutionEmail(evaluatorEmailFromSheet)) { 
       skipRow = true;
       skipReason = `Missing or invalid evaluator email: '${evaluatorEmailFromSheet}'`;
     } else if (!parsedUnitLetter) { 
@@ -191,7 +190,7 @@ function parseRawSurveyData_v1() {
         // Logger.log(`DEBUG: Survey Row ${i+1} - Reusing existing Evaluator Student object from survey cache: ID='${evaluator.studentId}', Email='${evaluator.email}'`);
     }
 
-    if (!evaluator || !evaluator.email || !isValidShuEmail(evaluator.email)) {
+    if (!evaluator || !evaluator.email || !isValidInstitutionEmail(evaluator.email)) {
         Logger.log(`CRITICAL ERROR: Survey Row ${i+1} - Evaluator object for ID ${evaluatorIdDerived} has missing or invalid email ('${evaluator ? evaluator.email : "evaluator_obj_null"}') AFTER createStudent. Skipping responses for this row.`);
         continue;
     }
@@ -1,4 +1,4 @@
-/* global PA_QUESTION_CONFIG_SHEET_NAME, PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, createQuestion, createStudent, createResponse, isValidProductionUnit, isValidShuEmail*/
+/* global PA_QUESTION_CONFIG_SHEET_NAME, PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, createQuestion, createStudent, createResponse, normalizeRegisteredProductionUnit, isValidInstitutionEmail, isValidStudentId, getStudentEmailForId, getStorageAdapter, isSupersededSubmission, findAssessmentRound, assessmentRoundIncludesQuestion, PA_ASSESSMENT_ROUNDS_SHEET_NAME, normalizeQuestionType, parseRatingScale */
 
 /**
  * @file Parser_V2.js
@@ -10,83 +10,112 @@
  * The main functions in this file transform raw sheet data into standardized JavaScript
  * objects (Student, Question, Response models) to be used by other workflow modules
  * for analytics, scoring, and reporting. It filters for active/enrolled students
- * and includes robust error handling and data validation.
+ * and includes robust error handling and data validation. All sheet access goes through the
+ * storage adapter, so the parser also runs against in-memory data sets.
  *
  * @requires Config.js (for sheet name constants like PA_QUESTION_CONFIG_SHEET_NAME)
  * @requires Models.js (for createQuestion, createStudent, createResponse functions)
- * @requires Utils.js (for validation helper functions like isValidProductionUnit, isValidShuEmail)
+ * @requires Utils.js (for validation helper functions like isValidInstitutionEmail, isValidStudentId)
+ * @requires ProductionUnits.js (for normalizeRegisteredProductionUnit)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires AssessmentRounds.js (for findAssessmentRound, assessmentRoundIncludesQuestion)
+ * @requires QuestionTypes.js (for normalizeQuestionType, parseRatingScale)
  */
 
 /**
  * Reads the 'PaQuestionConfig' Google Sheet to retrieve and structure all assessment questions.
  * It expects specific headers (QuestionID, QuestionText, QuestionType, etc.) in the sheet.
  * Each row in the sheet corresponding to a question is transformed into a Question object
- * using the `createQuestion` model function.
+ * using the `createQuestion` model function. The QuestionType is normalized to one of
+ * QUESTION_TYPE_RESPONSE_TYPES (blank is LikertScale); MultipleChoice questions need at least two
+ * comma-separated Choices. LikertScale questions get their rating scale from the optional ScaleMin,
+ * ScaleMax, ScaleStep and ScaleLabels columns (see parseRatingScale; 1-5 when blank).
  *
  * @function getQuestionDefinitions
  * @returns {Object<string, object>} An object map where keys are question IDs (e.g., "Q01")
  *                                   and values are the corresponding Question objects (as created by Models.js).
  *                                   Returns an empty object if the sheet is not found,
  *                                   is empty, or critical headers are missing.
+ * @throws {Error} If a question has an unknown QuestionType, a MultipleChoice question has too few
+ *   Choices or a LikertScale question has an invalid scale.
  */
 function getQuestionDefinitions() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const storage = getStorageAdapter();
   Logger.log("getQuestionDefinitions: Starting to read PaQuestionConfig.");
 
   const configSheetName = PA_QUESTION_CONFIG_SHEET_NAME; 
-  const sheet = ss.getSheetByName(configSheetName);
+  const questionTable = storage.questions.read();
   let questionsMap = {}; 
 
-  if (!sheet) {
+  if (!questionTable) {
     const errorMsg = `getQuestionDefinitions ERROR: Question config sheet "${configSheetName}" not found.`;
     Logger.log(errorMsg);
     throw new Error(errorMsg);
   }
 
-  const data = sheet.getDataRange().getValues();
-  if (data.length < 2) { 
+  if (questionTable.records.length < 1) { 
     Logger.log(`getQuestionDefinitions WARNING: Sheet "${configSheetName}" is empty or has only headers. No questions loaded.`);
     return questionsMap;
   }
 
-  const headers = data[0].map(h => h ? h.toString().trim() : ""); 
-  
-  const idColConfigIdx = headers.indexOf("QuestionID");
-  const textColConfigIdx = headers.indexOf("QuestionText");
-  const typeColConfigIdx = headers.indexOf("QuestionType");
-  const choicesColConfigIdx = headers.indexOf("Choices");
-  const instructionColConfigIdx = headers.indexOf("InstructionalComment");
+  const headers = questionTable.headers; 
+  const requiredHeaders = ["QuestionID", "QuestionText", "QuestionType"];
 
-  if (idColConfigIdx === -1 || textColConfigIdx === -1 || typeColConfigIdx === -1 ) {
+  if (requiredHeaders.some(header => !headers.includes(header))) {
     const errorMsg = `getQuestionDefinitions ERROR: Required headers (QuestionID, QuestionText, QuestionType) not found in "${configSheetName}". Found headers: [${headers.join(', ')}]`;
     Logger.log(errorMsg);
     throw new Error(errorMsg);
   }
 
-  for (let i = 1; i < data.length; i++) { 
-    const row = data[i];
-    const qId = (idColConfigIdx !== -1 && row[idColConfigIdx]) ? row[idColConfigIdx].toString().trim().toUpperCase() : null;
-    const qText = (textColConfigIdx !== -1 && row[textColConfigIdx]) ? row[textColConfigIdx].toString().trim() : null;
+  questionTable.records.forEach((record, index) => { 
+    const qId = record.QuestionID ? record.QuestionID.toString().trim().toUpperCase() : null;
+    const qText = record.QuestionText ? record.QuestionText.toString().trim() : null;
     
     if (qId && qText) { 
-      const qType = (typeColConfigIdx !== -1 && row[typeColConfigIdx]) ? row[typeColConfigIdx].toString().trim() : "LikertScale";
-      const qChoices = (choicesColConfigIdx !== -1 && row[choicesColConfigIdx]) ? row[choicesColConfigIdx].toString().trim() : "";
-      const qInstruction = (instructionColConfigIdx !== -1 && row[instructionColConfigIdx]) ? row[instructionColConfigIdx].toString().trim() : "";
+      const qChoices = record.Choices ? record.Choices.toString().trim() : "";
+      const qInstruction = record.InstructionalComment ? record.InstructionalComment.toString().trim() : "";
+      let qType;
+      let qScale = null;
+      try {
+        qType = normalizeQuestionType(record.QuestionType);
+        if (qType === "LikertScale") {
+          qScale = parseRatingScale({ min: record.ScaleMin, max: record.ScaleMax, step: record.ScaleStep, labels: record.ScaleLabels });
+        }
+      } catch (error) {
+        throw new Error(`Invalid question in the "${configSheetName}" sheet row ${index+2}: ${error.message}`, { cause: error });
+      }
 
-      let questionObject = createQuestion(qId, qText, qInstruction, qType, qChoices); 
+      let questionObject = createQuestion(qId, qText, qInstruction, qType, qChoices, qScale); 
+      if (questionObject && qType === "MultipleChoice" && questionObject.choices.length < 2) {
+        throw new Error(`Invalid question in the "${configSheetName}" sheet row ${index+2}: MultipleChoice needs at least two Choices, separated by commas`);
+      }
       if (questionObject && questionObject.isValid()) { 
         questionsMap[questionObject.questionId] = questionObject; 
       } else {
-        Logger.log(`getQuestionDefinitions: Skipped creating question from row ${i+1} due to invalid data or createQuestion failure. ID='${qId}', Text='${qText}'`);
+        Logger.log(`getQuestionDefinitions: Skipped creating question from row ${index+2} due to invalid data or createQuestion failure. ID='${qId}', Text='${qText}'`);
       }
     } else if (qId || qText) { 
-        Logger.log(`getQuestionDefinitions: Skipped row ${i+1} in "${configSheetName}" due to missing QuestionID or QuestionText.`);
+        Logger.log(`getQuestionDefinitions: Skipped row ${index+2} in "${configSheetName}" due to missing QuestionID or QuestionText.`);
     }
-  }
+  });
   Logger.log(`getQuestionDefinitions: Loaded ${Object.keys(questionsMap).length} question definitions from "${configSheetName}".`);
   return questionsMap;
 }
 
+/**
+ * Reads a form telemetry time from a submission row. Sheets may turn the stored ISO strings into
+ * dates, so both are accepted.
+ *
+ * @function toTelemetryTime
+ * @param {Date|string} value The `formOpenedAt` or `formSubmittedAt` cell.
+ * @returns {string} The time as an ISO string, or "" when blank or not a date.
+ */
+function toTelemetryTime(value) {
+  if (value === "" || value === null || value === undefined) return "";
+  const date = value instanceof Date ? value : new Date(value.toString());
+  return isNaN(date.getTime()) ? "" : date.toISOString();
+}
+
 /**
  * Parses all necessary raw data for the peer assessment system from Google Sheets.
  * This includes:
@@ -99,23 +128,53 @@ function getQuestionDefinitions() {
  * This function serves as the primary data ingestion point for the V2 system and is typically
  * called by workflow functions.
  *
+ * Submissions are append-only (see PA_RAW_SUBMISSIONS_V2_HEADERS): by default only the latest
+ * revision of each answer is returned and rows with a `supersededBy` value are skipped.
+ * With a `roundId`, only that round's responses are returned and the questions are limited to
+ * the round's question set (see AssessmentRounds.js).
+ *
  * @function parseRawSurveyData
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSuperseded=false] Also return responses that were replaced by a later revision.
+ * @param {string} [options.roundId=""] Only return responses of this assessment round ("" for all rounds).
  * @returns {{students: Object<string, object>, questions: Object<string, object>, responses: object[]}|null}
  * An object containing student, question, and response data, or null on critical error.
  * - `students`: An object map of active Student objects (from Models.js), keyed by studentId.
  * - `questions`: An object map of Question objects (from Models.js), keyed by questionId.
  * - `responses`: An array of all valid Response objects (from Models.js) parsed from submissions.
+ *   Each also carries the `roundId` of its submission row ("" when the row has none) and the row's
+ *   form telemetry: `formOpenedAt`/`formSubmittedAt` (ISO strings, "" when blank) and
+ *   `ratingChanges` (a number, or null when blank). `isSelfAssessment` is true for a student's
+ *   rating of themselves (see SelfAssessment.js). SCORE, RANK and POINTS values are numbers; rows
+ *   whose value is not numeric are skipped.
  */
 // eslint-disable-next-line no-unused-vars
-function parseRawSurveyData() { 
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+function parseRawSurveyData({ includeSuperseded = false, roundId = "" } = {}) { 
+  const storage = getStorageAdapter();
   Logger.log("parseRawSurveyData (V2): Starting data parsing from NEW format...");
 
+  const roundFilter = roundId ? roundId.toString().trim().toUpperCase() : "";
+  let round = null;
+  if (roundFilter) {
+    round = findAssessmentRound(roundFilter);
+    if (!round) {
+      const errorMsg = `parseRawSurveyData (V2) ERROR: Assessment round "${roundFilter}" not found in "${PA_ASSESSMENT_ROUNDS_SHEET_NAME}".`;
+      Logger.log(errorMsg);
+      throw new Error(errorMsg);
+    }
+    Logger.log(`parseRawSurveyData (V2): Limiting data to assessment round ${round.roundId} (${round.name}).`);
+  }
+
   const listStudentsSheetName = PA_MASTER_STUDENT_LIST_SHEET_NAME;
   const rawSubmissionsSheetName = PA_RAW_SUBMISSIONS_V2_SHEET_NAME; 
 
   // --- 1. Get Question Definitions ---
   const questionsFromConfig = getQuestionDefinitions(); 
+  if (round && questionsFromConfig) {
+    Object.keys(questionsFromConfig).forEach(questionId => {
+      if (!assessmentRoundIncludesQuestion(round, questionId)) delete questionsFromConfig[questionId];
+    });
+  }
   if (!questionsFromConfig || Object.keys(questionsFromConfig).length === 0) {
     const errorMsg = "parseRawSurveyData (V2) ERROR: No questions loaded from config. Aborting.";
     Logger.log(errorMsg);
@@ -125,72 +184,54 @@ function parseRawSurveyData() {
   // --- 2. Process PA_MASTER_STUDENT_LIST ---
   const studentMasterListById = {};
   const studentMasterListByName = {};
-  const listStudentsSheet = ss.getSheetByName(listStudentsSheetName);
+  const studentTable = storage.students.read();
 
-  if (!listStudentsSheet) { 
+  if (!studentTable) { 
       const errorMsg = `parseRawSurveyData (V2) ERROR: Sheet "${listStudentsSheetName}" not found.`;
       Logger.log(errorMsg);
       throw new Error(errorMsg);
   }
-  const listStudentsDataWithHeaders = listStudentsSheet.getDataRange().getValues();
-  if (listStudentsDataWithHeaders.length < 2) { 
+  if (studentTable.records.length < 1) { 
       Logger.log(`parseRawSurveyData (V2) WARNING: Sheet "${listStudentsSheetName}" has no data rows (only headers or empty).`);
   }
 
-  const masterHeaders = listStudentsDataWithHeaders[0].map(h => h ? h.toString().trim() : "");
-
-  const idColLsIdx = masterHeaders.indexOf("studentId");
-  const nameColLsIdx = masterHeaders.indexOf("studentName");
-  const unit1ColLsIdx = masterHeaders.indexOf("unit1");
-  const unit2ColLsIdx = masterHeaders.indexOf("unit2"); 
-  const emailColLsIdx = masterHeaders.indexOf("email"); 
-  const statusColLsIdx = masterHeaders.indexOf("status");
-
-  if (idColLsIdx === -1 || nameColLsIdx === -1 || statusColLsIdx === -1) { 
+  if (["studentId", "studentName", "status"].some(header => !studentTable.headers.includes(header))) { 
     const errorMsg = `parseRawSurveyData (V2) ERROR: Required headers (studentId, studentName, status) not found in "${listStudentsSheetName}". Please check PaMasterStudentList headers.`;
     Logger.log(errorMsg);
     throw new Error(errorMsg);
   }
     
-  for (let i = 1; i < listStudentsDataWithHeaders.length; i++) {
-    const rowData = listStudentsDataWithHeaders[i];
-    
-    const idFromSheet = (idColLsIdx !== -1 && rowData[idColLsIdx]) ? rowData[idColLsIdx].toString().trim().toUpperCase() : null;
-    if (!idFromSheet || !(/^[A-Z]{1}[0-9]{9}$/.test(idFromSheet))) { 
+  for (const record of studentTable.records) {
+    const idFromSheet = record.studentId ? record.studentId.toString().trim().toUpperCase() : null;
+    if (!idFromSheet || !isValidStudentId(idFromSheet)) { 
       continue; 
     }
 
     let nameFromSheet = `[NameDefaultInParserFor_${idFromSheet}]`;
-    if (nameColLsIdx !== -1 && rowData[nameColLsIdx] && rowData[nameColLsIdx].toString().trim() !== "") {
-        nameFromSheet = rowData[nameColLsIdx].toString().trim();
+    if (record.studentName && record.studentName.toString().trim() !== "") {
+        nameFromSheet = record.studentName.toString().trim();
     }
     
-    const statusFromSheet = (statusColLsIdx !== -1 && rowData[statusColLsIdx]) ? rowData[statusColLsIdx].toString().trim().toLowerCase() : "active"; 
+    const statusFromSheet = record.status ? record.status.toString().trim().toLowerCase() : "active"; 
     if (!(statusFromSheet === "active" || statusFromSheet === "enrolled")) {
       continue; 
     }
 
-    let unit1FromSheet = (unit1ColLsIdx !== -1 && rowData[unit1ColLsIdx]) ? rowData[unit1ColLsIdx].toString().trim().toUpperCase() : "";
-    if (unit1FromSheet.startsWith("UNIT ") && unit1FromSheet.length > 5) unit1FromSheet = unit1FromSheet.substring(5,6);
-    if (unit1FromSheet && !isValidProductionUnit(unit1FromSheet)) unit1FromSheet = ""; 
-
-    let unit2FromSheet = (unit2ColLsIdx !== -1 && rowData[unit2ColLsIdx]) ? rowData[unit2ColLsIdx].toString().trim().toUpperCase() : "";
-    if (unit2FromSheet.startsWith("UNIT ") && unit2FromSheet.length > 5) unit2FromSheet = unit2FromSheet.substring(5,6);
-    if (unit2FromSheet && !isValidProductionUnit(unit2FromSheet)) unit2FromSheet = ""; 
+    // Units missing from 'PaUnits' are dropped; retired units are kept for past rounds
+    const unit1FromSheet = normalizeRegisteredProductionUnit(record.unit1);
+    const unit2FromSheet = normalizeRegisteredProductionUnit(record.unit2);
 
     let emailFromSheet = ""; 
-    if (emailColLsIdx !== -1) { 
-        if (rowData[emailColLsIdx] && rowData[emailColLsIdx].toString().trim() !== "") {
-            emailFromSheet = rowData[emailColLsIdx].toString().trim().toLowerCase();
-            if (!isValidShuEmail(emailFromSheet)) {
-                emailFromSheet = ""; 
-            }
+    if (record.email && record.email.toString().trim() !== "") {
+        emailFromSheet = record.email.toString().trim().toLowerCase();
+        if (!isValidInstitutionEmail(emailFromSheet)) {
+            emailFromSheet = ""; 
         }
     }
 
-    if (!emailFromSheet && idFromSheet && /^[A-Z]{1}[0-9]{9}$/.test(idFromSheet)) {
-        let derivedEmail = idFromSheet.toLowerCase() + "@mail.shu.edu.tw";
-        if (isValidShuEmail(derivedEmail)) {
+    if (!emailFromSheet && idFromSheet && isValidStudentId(idFromSheet)) {
+        let derivedEmail = getStudentEmailForId(idFromSheet);
+        if (derivedEmail) {
             emailFromSheet = derivedEmail;
         } else {
             emailFromSheet = `[NoValidEmailFor_${idFromSheet}]`; 
@@ -220,10 +261,10 @@ function parseRawSurveyData() {
   Logger.log(`parseRawSurveyData (V2): Populated allStudentsFromMaster with ${Object.keys(allStudentsFromMaster).length} active/enrolled students.`);
 
   // --- 3. Process PA_RAW_SUBMISSIONS_V2 (New Format Responses) ---
-  const surveySheet = ss.getSheetByName(rawSubmissionsSheetName);
+  const submissionTable = storage.submissions.read();
   let responsesArray = [];
 
-  if (!surveySheet) { 
+  if (!submissionTable) { 
       Logger.log(`parseRawSurveyData (V2) WARNING: Raw submissions sheet "${rawSubmissionsSheetName}" not found. Returning with students and questions only.`);
       return { 
         students: allStudentsFromMaster, 
@@ -231,8 +272,7 @@ function parseRawSurveyData() {
         responses: responsesArray 
       };
   }
-  const rawDataFromSurvey = surveySheet.getDataRange().getValues();
-  if (rawDataFromSurvey.length < 2) { 
+  if (submissionTable.records.length < 1) { 
       Logger.log(`parseRawSurveyData (V2) INFO: Raw submissions sheet "${rawSubmissionsSheetName}" is empty or has only headers. No responses to process.`);
       return { 
         students: allStudentsFromMaster, 
@@ -240,38 +280,37 @@ function parseRawSurveyData() {
         responses: responsesArray 
       };
   }
-  const submissionHeaders = rawDataFromSurvey[0].map(h => h ? h.toString().trim() : "");
-
-  const evaluatorIdCol = submissionHeaders.indexOf("evaluatorId");
-  const evaluatedStudentIdCol = submissionHeaders.indexOf("evaluatedStudentId");
-  const evaluatedStudentNameCol = submissionHeaders.indexOf("evaluatedStudentName");
-  const questionIdCol = submissionHeaders.indexOf("questionId");
-  const responseTypeCol = submissionHeaders.indexOf("responseType");
-  const responseValueCol = submissionHeaders.indexOf("responseValue");
-  const timestampCol = submissionHeaders.indexOf("timestamp");
-  const unitContextCol = submissionHeaders.indexOf("unitContextOfEvaluation");
-
-  if (evaluatorIdCol === -1 || evaluatedStudentIdCol === -1 || questionIdCol === -1 || responseTypeCol === -1 || responseValueCol === -1) {
+  const submissionHeaders = submissionTable.headers;
+  const requiredSubmissionHeaders = ["evaluatorId", "evaluatedStudentId", "questionId", "responseType", "responseValue"];
+
+  if (requiredSubmissionHeaders.some(header => !submissionHeaders.includes(header))) {
       const errorMsg = `parseRawSurveyData (V2) ERROR: Required headers missing in "${rawSubmissionsSheetName}". Found: [${submissionHeaders.join(', ')}]. Expected: evaluatorId, evaluatedStudentId, questionId, responseType, responseValue.`;
       Logger.log(errorMsg);
       return { students: allStudentsFromMaster, questions: questionsFromConfig, responses: [] }; 
   }
 
-  Logger.log(`parseRawSurveyData (V2): Processing ${rawDataFromSurvey.length - 1} response rows from "${rawSubmissionsSheetName}".`);
+  Logger.log(`parseRawSurveyData (V2): Processing ${submissionTable.records.length} response rows from "${rawSubmissionsSheetName}".`);
 
-  for (let i = 1; i < rawDataFromSurvey.length; i++) {
-    const row = rawDataFromSurvey[i];
-    
-    const evaluatorIdFromRow = (evaluatorIdCol !== -1 && row[evaluatorIdCol]) ? row[evaluatorIdCol].toString().trim().toUpperCase() : null;
-    const evaluatedStudentIdFromRow = (evaluatedStudentIdCol !== -1 && row[evaluatedStudentIdCol]) ? row[evaluatedStudentIdCol].toString().trim().toUpperCase() : null;
-    const evaluatedStudentNameFromRow = (evaluatedStudentNameCol !== -1 && row[evaluatedStudentNameCol]) ? row[evaluatedStudentNameCol].toString().trim() : ""; 
+  let supersededSkipped = 0;
+  let otherRoundsSkipped = 0;
+  for (const [index, record] of submissionTable.records.entries()) {
+    if (roundFilter && (record.roundId || "").toString().trim().toUpperCase() !== roundFilter) {
+        otherRoundsSkipped++;
+        continue;
+    }
+    if (!includeSuperseded && isSupersededSubmission(record)) {
+        supersededSkipped++;
+        continue;
+    }
+    const evaluatorIdFromRow = record.evaluatorId ? record.evaluatorId.toString().trim().toUpperCase() : null;
+    const evaluatedStudentIdFromRow = record.evaluatedStudentId ? record.evaluatedStudentId.toString().trim().toUpperCase() : null;
+    const evaluatedStudentNameFromRow = record.evaluatedStudentName ? record.evaluatedStudentName.toString().trim() : ""; 
     
-    const questionIdFromRow = (questionIdCol !== -1 && row[questionIdCol]) ? row[questionIdCol].toString().trim().toUpperCase() : null;
-    const responseTypeFromRow = (responseTypeCol !== -1 && row[responseTypeCol]) ? row[responseTypeCol].toString().trim().toUpperCase() : null;
-    const responseValueFromRow = (responseValueCol !== -1) ? row[responseValueCol] : undefined; 
-    const timestampFromRow = (timestampCol !== -1 && row[timestampCol]) ? (row[timestampCol] instanceof Date ? row[timestampCol].toISOString() : row[timestampCol].toString()) : new Date().toISOString();
-    let unitContextFromRow = (unitContextCol !== -1 && row[unitContextCol]) ? row[unitContextCol].toString().trim().toUpperCase() : "";
-    if (unitContextFromRow && !isValidProductionUnit(unitContextFromRow)) unitContextFromRow = ""; 
+    const questionIdFromRow = record.questionId ? record.questionId.toString().trim().toUpperCase() : null;
+    const responseTypeFromRow = record.responseType ? record.responseType.toString().trim().toUpperCase() : null;
+    const responseValueFromRow = record.responseValue; 
+    const timestampFromRow = record.timestamp ? (record.timestamp instanceof Date ? record.timestamp.toISOString() : record.timestamp.toString()) : new Date().toISOString();
+    const unitContextFromRow = normalizeRegisteredProductionUnit(record.unitContextOfEvaluation);
 
     if (!evaluatorIdFromRow || !evaluatedStudentIdFromRow || !questionIdFromRow || !responseTypeFromRow || responseValueFromRow === undefined || responseValueFromRow === null) {
         continue;
@@ -282,7 +321,7 @@ function parseRawSurveyData() {
         continue; 
     }
 
-    if (!evaluator.studentId || !evaluator.studentEmail || !isValidShuEmail(evaluator.studentEmail)) {
+    if (!evaluator.studentId || !evaluator.studentEmail || !isValidInstitutionEmail(evaluator.studentEmail)) {
         Logger.log(`parseRawSurveyData (V2) CRITICAL: Active Evaluator '${evaluator.studentId || evaluatorIdFromRow}' from master list has invalid/missing studentId or studentEmail ('${evaluator.studentEmail || 'undefined'}'). Skipping response for this row only.`);
         continue;
     }
@@ -298,7 +337,7 @@ function parseRawSurveyData() {
         }); 
         
         if (!evaluatedStudent || !evaluatedStudent.studentId) { 
-            Logger.log(`parseRawSurveyData (V2) WARNING: Failed to create/resolve placeholder for evaluated student ID '${evaluatedStudentIdFromRow}' from survey row ${i+1}. Skipping response.`);
+            Logger.log(`parseRawSurveyData (V2) WARNING: Failed to create/resolve placeholder for evaluated student ID '${evaluatedStudentIdFromRow}' from survey row ${index+2}. Skipping response.`);
             continue; 
         }
     }
@@ -309,7 +348,7 @@ function parseRawSurveyData() {
     }
     
     let actualResponseValue = responseValueFromRow;
-    if (responseTypeFromRow === "SCORE") {
+    if (responseTypeFromRow === "SCORE" || responseTypeFromRow === "RANK" || responseTypeFromRow === "POINTS") {
         actualResponseValue = parseFloat(responseValueFromRow);
         if (isNaN(actualResponseValue)) { 
             continue; 
@@ -323,10 +362,23 @@ function parseRawSurveyData() {
     );
 
     if (responseObj && responseObj.isValid()) { 
+        responseObj.roundId = (record.roundId || "").toString().trim().toUpperCase();
+        responseObj.formOpenedAt = toTelemetryTime(record.formOpenedAt);
+        responseObj.formSubmittedAt = toTelemetryTime(record.formSubmittedAt);
+        responseObj.ratingChanges = record.ratingChanges === "" || record.ratingChanges === null || record.ratingChanges === undefined ||
+          isNaN(Number(record.ratingChanges)) ? null : Number(record.ratingChanges);
+        responseObj.isSelfAssessment = (record.assessmentType || "").toString().trim().toUpperCase() === "SELF" ||
+          responseObj.responseByStudentId === responseObj.evaluatedStudentId;
         responsesArray.push(responseObj); 
     }
   } 
 
+  if (otherRoundsSkipped > 0) {
+    Logger.log(`parseRawSurveyData (V2): Skipped ${otherRoundsSkipped} response rows from other assessment rounds.`);
+  }
+  if (supersededSkipped > 0) {
+    Logger.log(`parseRawSurveyData (V2): Skipped ${supersededSkipped} superseded response rows (earlier revisions).`);
+  }
   Logger.log(`parseRawSurveyData (V2): Final counts - Students processed from master: ${Object.keys(allStudentsFromMaster).length}, Questions from config: ${Object.keys(questionsFromConfig).length}, Valid responses parsed: ${responsesArray.length}`);
   return { 
     students: allStudentsFromMaster, 
@@ -0,0 +1,159 @@
+/* global DEFAULT_PRODUCTION_UNITS, PA_UNITS_SHEET_NAME, getStorageAdapter */
+
+/**
+ * @file ProductionUnits.js
+ * @description The production units (teams) of the course. Every module that reads a unit from a
+ * sheet (the master student list, submissions, rounds, staff scopes) parses it with
+ * normalizeProductionUnit(), so units are not limited to single letters and a course can have any
+ * number of them.
+ *
+ * Units are defined in the optional 'PaUnits' sheet (columns `unitCode`, `displayName`, `active`).
+ * Codes are compared case-insensitively and stored upper-cased ("Camera-1" is stored as "CAMERA-1");
+ * a "Unit " prefix is optional wherever a unit is entered. Inactive units are treated like unknown
+ * units when sessions are created and evaluations submitted (normalizeProductionUnit): students
+ * are no longer grouped by them and no new evaluations can be made in them. Data that is already
+ * recorded (the master list, submissions and team marks read by the parser and the workflows) is
+ * read with normalizeRegisteredProductionUnit, so retiring a unit keeps its past rounds intact.
+ * Without the sheet, the units are DEFAULT_PRODUCTION_UNITS (A to D).
+ *
+ * @requires Config.js (for DEFAULT_PRODUCTION_UNITS and PA_UNITS_SHEET_NAME)
+ * @requires Repositories.js (for getStorageAdapter)
+ */
+
+const PRODUCTION_UNIT_ACTIVE_VALUES = ["true", "yes", "y", "1", "active"];
+const PRODUCTION_UNIT_INACTIVE_VALUES = ["false", "no", "n", "0", "inactive"];
+
+let cachedProductionUnits = null;
+
+// ===================================================================================
+// REGISTRY LOADING
+// ===================================================================================
+
+/**
+ * Cleans a unit as entered in a sheet: trimmed, upper-cased, inner whitespace collapsed and a
+ * leading "Unit " removed ("unit camera-1" -> "CAMERA-1"). The result is not checked against the
+ * registry; use {@link normalizeProductionUnit} for that.
+ * @param {*} value The cell value.
+ * @returns {string} The cleaned code ("" for a blank cell).
+ */
+function normalizeUnitCode(value) {
+  if (value === null || value === undefined) return "";
+  const code = value.toString().trim().toUpperCase().replace(/\s+/g, " ");
+  const withoutPrefix = code.replace(/^UNIT\s+/, "");
+  return withoutPrefix || code;
+}
+
+/**
+ * Reads an `active` cell. Blank cells mean active.
+ * @param {*} value The cell value (a boolean when Sheets shows a checkbox).
+ * @param {string} unitCode The unit of the row (for error messages).
+ * @returns {boolean} Whether the unit is active.
+ * @throws {Error} If the cell holds something other than a yes/no value.
+ */
+function parseProductionUnitActive(value, unitCode) {
+  if (typeof value === "boolean") return value;
+  const text = value === null || value === undefined ? "" : value.toString().trim().toLowerCase();
+  if (text === "" || PRODUCTION_UNIT_ACTIVE_VALUES.includes(text)) return true;
+  if (PRODUCTION_UNIT_INACTIVE_VALUES.includes(text)) return false;
+  throw new Error(`Invalid active value "${value}" for unit ${unitCode} in the "${PA_UNITS_SHEET_NAME}" sheet`);
+}
+
+/**
+ * Builds the unit list from 'PaUnits' rows. Rows with a blank unitCode are ignored.
+ * @param {object[]} records The rows, keyed by PA_UNITS_HEADERS.
+ * @returns {{unitCode: string, displayName: string, active: boolean}[]} The units, in sheet order.
+ * @throws {Error} If a code is duplicated or contains a list separator, or no unit is defined.
+ */
+function createProductionUnits(records) {
+  const units = [];
+  records.forEach(record => {
+    const unitCode = normalizeUnitCode(record.unitCode);
+    if (!unitCode) return;
+    if (/[,;]/.test(unitCode)) {
+      throw new Error(`Unit code "${record.unitCode}" in the "${PA_UNITS_SHEET_NAME}" sheet must not contain commas or semicolons`);
+    }
+    if (units.some(unit => unit.unitCode === unitCode)) {
+      throw new Error(`Unit ${unitCode} is listed twice in the "${PA_UNITS_SHEET_NAME}" sheet`);
+    }
+    const displayName = record.displayName ? record.displayName.toString().trim() : "";
+    units.push({
+      unitCode,
+      displayName: displayName || record.unitCode.toString().trim(),
+      active: parseProductionUnitActive(record.active, unitCode)
+    });
+  });
+  if (units.length === 0) {
+    throw new Error(`The "${PA_UNITS_SHEET_NAME}" sheet defines no units`);
+  }
+  return units;
+}
+
+/**
+ * Returns every unit of this deployment (active or not), loading them once per execution.
+ * @returns {{unitCode: string, displayName: string, active: boolean}[]} The units.
+ * @throws {Error} If the 'PaUnits' sheet is invalid.
+ */
+function getProductionUnits() {
+  if (!cachedProductionUnits) {
+    const table = getStorageAdapter().units.read();
+    cachedProductionUnits = table
+      ? createProductionUnits(table.records)
+      : DEFAULT_PRODUCTION_UNITS.map(unit => Object.assign({}, unit));
+  }
+  return cachedProductionUnits;
+}
+
+/**
+ * Forgets the loaded units, so the next call to getProductionUnits reads them again.
+ */
+// eslint-disable-next-line no-unused-vars
+function resetProductionUnitCache() {
+  cachedProductionUnits = null;
+}
+
+// ===================================================================================
+// LOOKUPS
+// ===================================================================================
+
+/**
+ * @returns {string[]} The codes of the active units, in registry order.
+ */
+function getActiveProductionUnitCodes() {
+  return getProductionUnits().filter(unit => unit.active).map(unit => unit.unitCode);
+}
+
+/**
+ * Parses a unit as entered in a sheet or sent by the web app.
+ * @param {*} value E.g. "B", "Unit B" or "camera-1".
+ * @returns {string} The code of the matching active unit, or "" if the value is blank, unknown or
+ *   the unit is inactive.
+ */
+// eslint-disable-next-line no-unused-vars
+function normalizeProductionUnit(value) {
+  const code = normalizeUnitCode(value);
+  return code && getActiveProductionUnitCodes().includes(code) ? code : "";
+}
+
+/**
+ * Parses a unit of recorded data, such as past submissions or team marks.
+ * @param {*} value E.g. "B", "Unit B" or "camera-1".
+ * @returns {string} The code of the matching unit, active or not, or "" if the value is blank or unknown.
+ */
+// eslint-disable-next-line no-unused-vars
+function normalizeRegisteredProductionUnit(value) {
+  const code = normalizeUnitCode(value);
+  return code && getProductionUnits().some(unit => unit.unitCode === code) ? code : "";
+}
+
+/**
+ * Display names of the active units, for the web app's unit filter and badges.
+ * @returns {Object<string, string>} unitCode -> displayName, in registry order.
+ */
+// eslint-disable-next-line no-unused-vars
+function getActiveProductionUnitNames() {
+  const names = {};
+  getProductionUnits().filter(unit => unit.active).forEach(unit => {
+    names[unit.unitCode] = unit.displayName;
+  });
+  return names;
+}
@@ -0,0 +1,311 @@
+/* global QUESTION_TYPE_RESPONSE_TYPES, QUESTION_TYPE_ALIASES, POINT_ALLOCATION_TOTAL, SHORT_TEXT_MAX_LENGTH, DEFAULT_RATING_SCALE, RATING_SCALE_MAX_POINTS, calculateMean, isSelfAssessmentResponse, roundStrategyValue */
+
+/**
+ * @file QuestionTypes.js
+ * @description The question types of 'PaQuestionConfig' (see QUESTION_TYPE_RESPONSE_TYPES):
+ * - LikertScale: a rating (SCORE) on the question's scale, 1-5 unless ScaleMin/ScaleMax/ScaleStep
+ *   say otherwise, the only answers the analytics and scoring strategies use.
+ * - ShortText: a line of text (TEXT), shown in the raw responses report.
+ * - MultipleChoice: one of the question's Choices (CHOICE).
+ * - Ranking: the teammate's rank among the unit's other members, 1 for the largest contribution (RANK).
+ * - PointAllocation: the teammate's share of the POINT_ALLOCATION_TOTAL points the evaluator splits
+ *   among the unit's other members (POINTS).
+ *
+ * The parser normalizes each question's type, the web app sends the types to the assessment form,
+ * the submission handler validates answers against them, and the scoring workflow adds one summary
+ * column per MultipleChoice, Ranking and PointAllocation question to 'PaFinalScoresSummary'.
+ * The analytics put ratings given on other scales on DEFAULT_RATING_SCALE before comparing
+ * evaluators ({@link normalizeScoreResponses}).
+ *
+ * @requires Config.js (for QUESTION_TYPE_RESPONSE_TYPES, QUESTION_TYPE_ALIASES, POINT_ALLOCATION_TOTAL, SHORT_TEXT_MAX_LENGTH, DEFAULT_RATING_SCALE and RATING_SCALE_MAX_POINTS)
+ * @requires Utils.js (for calculateMean)
+ * @requires SelfAssessment.js (for isSelfAssessmentResponse)
+ * @requires ScoringStrategies.js (for roundStrategyValue)
+ */
+
+// ===================================================================================
+// QUESTION DEFINITIONS
+// ===================================================================================
+
+/**
+ * Resolves a QuestionType cell to its canonical name. A blank type is a LikertScale question.
+ * @param {*} value The cell value, e.g. "PointAllocation", "point allocation" or "SCORE".
+ * @returns {string} A key of QUESTION_TYPE_RESPONSE_TYPES.
+ * @throws {Error} If the type is unknown.
+ */
+// eslint-disable-next-line no-unused-vars
+function normalizeQuestionType(value) {
+  const text = value === null || value === undefined ? "" : value.toString().trim();
+  if (text === "") return "LikertScale";
+  const key = text.replace(/\s+/g, "").toUpperCase();
+  const questionType = Object.keys(QUESTION_TYPE_RESPONSE_TYPES).find(type => type.toUpperCase() === key) ||
+    QUESTION_TYPE_ALIASES[key];
+  if (!questionType) {
+    throw new Error(`unknown QuestionType "${text}" (use ${Object.keys(QUESTION_TYPE_RESPONSE_TYPES).join(", ")})`);
+  }
+  return questionType;
+}
+
+/**
+ * The response types a question may be answered with: its own type, and COMMENT for every type
+ * except ShortText.
+ * @param {Object} question A question (see createQuestion), with a normalized questionType.
+ * @returns {string[]} E.g. ["SCORE", "COMMENT"].
+ */
+// eslint-disable-next-line no-unused-vars
+function getQuestionResponseTypes(question) {
+  const responseType = QUESTION_TYPE_RESPONSE_TYPES[question.questionType] || "SCORE";
+  return question.questionType === "ShortText" ? [responseType] : [responseType, "COMMENT"];
+}
+
+/**
+ * @param {Object} question A question.
+ * @returns {boolean} True for LikertScale questions, the ones the scoring strategies score.
+ */
+// eslint-disable-next-line no-unused-vars
+function isScaleQuestion(question) {
+  return !!question && (question.questionType || "LikertScale") === "LikertScale";
+}
+
+/**
+ * @param {Object} question A question.
+ * @returns {boolean} True for Ranking and PointAllocation questions, which are about teammates
+ *   only and cannot be answered about oneself.
+ */
+// eslint-disable-next-line no-unused-vars
+function isTeammateQuestion(question) {
+  return !!question && (question.questionType === "Ranking" || question.questionType === "PointAllocation");
+}
+
+/**
+ * The question as the assessment form needs it.
+ * @param {Object} question A question (see createQuestion).
+ * @returns {{questionId: string, questionPrompt: string, questionInstruction: string, questionType: string,
+ *   responseType: string, choices: string[], scale: (Object|undefined), pointsTotal: (number|undefined),
+ *   maxLength: (number|undefined)}} `scale` (LikertScale questions) adds the values to offer.
+ */
+// eslint-disable-next-line no-unused-vars
+function toClientQuestion(question) {
+  const clientQuestion = {
+    questionId: question.questionId,
+    questionPrompt: question.questionPrompt,
+    questionInstruction: question.questionInstruction,
+    questionType: question.questionType,
+    responseType: QUESTION_TYPE_RESPONSE_TYPES[question.questionType],
+    choices: question.choices.slice()
+  };
+  if (question.scale) {
+    clientQuestion.scale = {
+      min: question.scale.min,
+      max: question.scale.max,
+      step: question.scale.step,
+      values: getRatingScaleValues(question.scale),
+      labels: question.scale.labels.map(anchor => ({ value: anchor.value, label: anchor.label }))
+    };
+  }
+  if (question.questionType === "PointAllocation") clientQuestion.pointsTotal = POINT_ALLOCATION_TOTAL;
+  if (question.questionType === "ShortText") clientQuestion.maxLength = SHORT_TEXT_MAX_LENGTH;
+  return clientQuestion;
+}
+
+// ===================================================================================
+// RATING SCALES
+// ===================================================================================
+
+/**
+ * Rounds away the float noise of scale arithmetic (0.1 + 0.2).
+ * @param {number} value The value.
+ * @returns {number} The value rounded to 10 decimals.
+ */
+function roundScaleValue(value) {
+  return parseFloat(value.toFixed(10));
+}
+
+/**
+ * Reads the rating scale of a LikertScale question from its 'PaQuestionConfig' cells. Blank cells
+ * take the value of DEFAULT_RATING_SCALE.
+ * @param {{min: *, max: *, step: *, labels: *}} cells The ScaleMin, ScaleMax, ScaleStep and
+ *   ScaleLabels cells. Labels anchor values of the scale, e.g. "1=Never; 7=Always".
+ * @returns {{min: number, max: number, step: number, labels: {value: number, label: string}[]}}
+ *   The scale, with the labels in value order.
+ * @throws {Error} If the numbers do not make a scale of 2 to RATING_SCALE_MAX_POINTS points, or a
+ *   label is malformed or not on the scale.
+ */
+// eslint-disable-next-line no-unused-vars
+function parseRatingScale(cells) {
+  const readNumber = (value, name, fallback) => {
+    if (value === null || value === undefined || value.toString().trim() === "") return fallback;
+    const number = Number(value);
+    if (!isFinite(number)) throw new Error(`${name} must be a number, not "${value}"`);
+    return number;
+  };
+  const scale = {
+    min: readNumber(cells.min, "ScaleMin", DEFAULT_RATING_SCALE.min),
+    max: readNumber(cells.max, "ScaleMax", DEFAULT_RATING_SCALE.max),
+    step: readNumber(cells.step, "ScaleStep", DEFAULT_RATING_SCALE.step),
+    labels: []
+  };
+  if (scale.max <= scale.min) {
+    throw new Error(`ScaleMax (${scale.max}) must be above ScaleMin (${scale.min})`);
+  }
+  const steps = (scale.max - scale.min) / scale.step;
+  if (!(scale.step > 0) || Math.abs(steps - Math.round(steps)) > 1e-9) {
+    throw new Error(`ScaleStep (${scale.step}) must be above 0 and divide ${scale.min}-${scale.max} into equal steps`);
+  }
+  if (Math.round(steps) + 1 > RATING_SCALE_MAX_POINTS) {
+    throw new Error(`the scale ${describeRatingScale(scale)} has ${Math.round(steps) + 1} points (at most ${RATING_SCALE_MAX_POINTS})`);
+  }
+
+  const labelText = cells.labels === null || cells.labels === undefined ? "" : cells.labels.toString();
+  labelText.split(/[;\n]/).map(part => part.trim()).filter(part => part !== "").forEach(part => {
+    const match = part.match(/^(-?[0-9]+(?:\.[0-9]+)?)\s*=\s*(.+)$/);
+    if (!match) {
+      throw new Error(`ScaleLabels entry "${part}" must look like "1=Never"`);
+    }
+    const value = Number(match[1]);
+    if (!isOnRatingScale(value, scale)) {
+      throw new Error(`ScaleLabels value ${match[1]} is not on the scale ${describeRatingScale(scale)}`);
+    }
+    if (scale.labels.some(anchor => anchor.value === value)) {
+      throw new Error(`ScaleLabels value ${match[1]} is labelled twice`);
+    }
+    scale.labels.push({ value, label: match[2].trim() });
+  });
+  scale.labels.sort((a, b) => a.value - b.value);
+  return scale;
+}
+
+/**
+ * @param {{min: number, max: number, step: number}} scale A rating scale.
+ * @returns {number[]} Every value of the scale, from min to max.
+ */
+function getRatingScaleValues(scale) {
+  const count = Math.round((scale.max - scale.min) / scale.step) + 1;
+  return Array.from({ length: count }, (_, index) => roundScaleValue(scale.min + index * scale.step));
+}
+
+/**
+ * @param {number} value A rating.
+ * @param {{min: number, max: number, step: number}} scale A rating scale.
+ * @returns {boolean} True if the value is one of the scale's values.
+ */
+function isOnRatingScale(value, scale) {
+  if (typeof value !== "number" || !isFinite(value)) return false;
+  const steps = (value - scale.min) / scale.step;
+  return value >= scale.min - 1e-9 && value <= scale.max + 1e-9 && Math.abs(steps - Math.round(steps)) <= 1e-9;
+}
+
+/**
+ * @param {{min: number, max: number, step: number}} scale A rating scale.
+ * @returns {string} E.g. "1-5", or "0-10 in steps of 0.5".
+ */
+function describeRatingScale(scale) {
+  return scale.step === 1 ? `${scale.min}-${scale.max}` : `${scale.min}-${scale.max} in steps of ${scale.step}`;
+}
+
+/**
+ * Puts a rating on DEFAULT_RATING_SCALE, keeping its relative position on its own scale.
+ * @param {number} value A rating.
+ * @param {{min: number, max: number}} scale The scale it was given on.
+ * @returns {number} The rating between DEFAULT_RATING_SCALE.min and .max.
+ */
+function normalizeRating(value, scale) {
+  const common = DEFAULT_RATING_SCALE;
+  return roundScaleValue(common.min + (value - scale.min) / (scale.max - scale.min) * (common.max - common.min));
+}
+
+/**
+ * The responses with every SCORE put on DEFAULT_RATING_SCALE ({@link normalizeRating}), so the
+ * ratings of questions with different scales can be compared and pooled. Responses to questions
+ * on the default scale, or to questions that are no longer configured, are returned as they are.
+ * @param {Object[]} responses The parsed responses.
+ * @param {Object<string, Object>} questions The questions, keyed by questionId.
+ * @returns {Object[]} The responses, rescaled ones as copies.
+ */
+// eslint-disable-next-line no-unused-vars
+function normalizeScoreResponses(responses, questions) {
+  const common = DEFAULT_RATING_SCALE;
+  return responses.map(resp => {
+    const question = questions[resp.responseToQuestionId];
+    const scale = question && question.scale;
+    if (resp.responseType !== "SCORE" || typeof resp.responseValue !== "number" || !scale ||
+        (scale.min === common.min && scale.max === common.max)) {
+      return resp;
+    }
+    return Object.assign({}, resp, { responseValue: normalizeRating(resp.responseValue, scale) });
+  });
+}
+
+// ===================================================================================
+// SUMMARIES
+// ===================================================================================
+
+/**
+ * The summary columns of 'PaFinalScoresSummary' for the questions that are not scored: per
+ * question, `<id>Choices` (MultipleChoice), `<id>MeanRank` (Ranking) or `<id>PointShare`
+ * (PointAllocation). ShortText answers only appear in the raw responses report.
+ * @param {Object<string, Object>} questions The run's questions, keyed by questionId.
+ * @returns {{header: string, questionId: string, questionType: string}[]} The columns, by questionId.
+ */
+function getQuestionSummaryColumns(questions) {
+  const suffixes = { MultipleChoice: "Choices", Ranking: "MeanRank", PointAllocation: "PointShare" };
+  return Object.keys(questions).sort()
+    .filter(questionId => suffixes[questions[questionId].questionType])
+    .map(questionId => ({
+      header: `${questionId.toLowerCase()}${suffixes[questions[questionId].questionType]}`,
+      questionId,
+      questionType: questions[questionId].questionType
+    }));
+}
+
+/**
+ * Summarises the peers' answers to each summary column's question ({@link getQuestionSummaryColumns})
+ * about every student. Self-assessments are left out.
+ * - Choices: how many peers picked each choice, in the question's order, e.g. "Leader: 2; Member: 1".
+ * - MeanRank: the mean rank received (1 is the largest contribution).
+ * - PointShare: the mean share of each evaluator's points, out of POINT_ALLOCATION_TOTAL. Every
+ *   evaluator's allocation in a unit is scaled to that total first, so allocations that were not
+ *   finished, or add up to more, count the same as complete ones.
+ * @param {Object} context The scoring context `{studentIds, students, responses}` (see getScoringStrategy).
+ * @param {Object<string, Object>} questions The run's questions, keyed by questionId.
+ * @returns {Object<string, Array>} studentId -> one value per summary column ("" without answers).
+ */
+// eslint-disable-next-line no-unused-vars
+function createQuestionSummaries(context, questions) {
+  const columns = getQuestionSummaryColumns(questions);
+  const peerResponses = context.responses.filter(resp => !isSelfAssessmentResponse(resp) &&
+    resp.evaluatedStudentId && Object.prototype.hasOwnProperty.call(context.students, resp.evaluatedStudentId));
+  const numericValue = resp => typeof resp.responseValue === "number" && isFinite(resp.responseValue);
+
+  // evaluatorId|unit|questionId -> the points that evaluator gave in that unit
+  const pointTotals = {};
+  peerResponses.filter(resp => resp.responseType === "POINTS" && numericValue(resp)).forEach(resp => {
+    const key = [resp.responseByStudentId, resp.unitContextOfEvaluation, resp.responseToQuestionId].join("|");
+    pointTotals[key] = (pointTotals[key] || 0) + resp.responseValue;
+  });
+
+  const summaries = {};
+  context.studentIds.forEach(studentId => {
+    summaries[studentId] = columns.map(column => {
+      const received = peerResponses.filter(resp => resp.evaluatedStudentId === studentId &&
+        resp.responseToQuestionId === column.questionId);
+      if (column.questionType === "MultipleChoice") {
+        return questions[column.questionId].choices
+          .map(choice => [choice, received.filter(resp => resp.responseType === "CHOICE" && resp.responseValue === choice).length])
+          .filter(([, count]) => count > 0)
+          .map(([choice, count]) => `${choice}: ${count}`)
+          .join("; ");
+      }
+      if (column.questionType === "Ranking") {
+        const ranks = received.filter(resp => resp.responseType === "RANK" && numericValue(resp)).map(resp => resp.responseValue);
+        return ranks.length > 0 ? roundStrategyValue(calculateMean(ranks), 2) : "";
+      }
+      const shares = received.filter(resp => resp.responseType === "POINTS" && numericValue(resp)).map(resp => {
+        const total = pointTotals[[resp.responseByStudentId, resp.unitContextOfEvaluation, resp.responseToQuestionId].join("|")];
+        return total > 0 ? resp.responseValue / total * POINT_ALLOCATION_TOTAL : null;
+      }).filter(share => share !== null);
+      return shares.length > 0 ? roundStrategyValue(calculateMean(shares), 1) : "";
+    });
+  });
+  return summaries;
+}
@@ -0,0 +1,216 @@
+/* global RASCH_FACETS, RASCH_MAX_ITERATIONS, RASCH_CONVERGENCE_LOGITS, RASCH_MAX_STEP_LOGITS, RASCH_PRIOR_SD_LOGITS */
+
+/**
+ * @file RaschModel.js
+ * @description A many-facet Rasch rating scale model in plain JavaScript, used by the "rasch"
+ * analytics mode (see Workflow_Analytics.js). Each score is modelled as
+ *
+ *   log(P(k) / P(k-1)) = ability(student) - severity(rater) - difficulty(question) - threshold(k)
+ *
+ * and the parameters are estimated jointly (JMLE): each facet in turn gets a Newton-Raphson step
+ * from its score residuals until no measure moves more than RASCH_CONVERGENCE_LOGITS. Raters,
+ * questions and thresholds are then centred on 0 (which leaves every logit unchanged), so an
+ * ability is relative to an average rater on an average question.
+ *
+ * A peer assessment has few scores per element, and with plain maximum likelihood a rater who
+ * gives every peer a 1, or a team whose scores are perfectly predictable, has no finite estimate.
+ * Every measure therefore gets a weak normal prior (mean 0, RASCH_PRIOR_SD_LOGITS), which keeps
+ * the estimates finite and barely moves them when the data are informative. Elements with only
+ * the lowest or highest category are flagged and get no fit statistics.
+ *
+ * Score values are ranked into consecutive categories (scores 1, 3, 4 become categories 0, 1, 2),
+ * so an unused value does not break the estimation.
+ *
+ * @requires Config.js (for the RASCH_* constants)
+ */
+
+/**
+ * The category probabilities of one observation.
+ * @param {number} logit ability - severity - difficulty.
+ * @param {number[]} thresholds thresholds[k] for k = 1..m (index 0 unused).
+ * @returns {number[]} P(0)..P(m).
+ */
+function getRaschCategoryProbabilities(logit, thresholds) {
+  const logNumerators = [0];
+  for (let k = 1; k < thresholds.length; k++) {
+    logNumerators.push(logNumerators[k - 1] + logit - thresholds[k]);
+  }
+  const maxLog = Math.max(...logNumerators);
+  const numerators = logNumerators.map(value => Math.exp(value - maxLog));
+  const total = numerators.reduce((sum, value) => sum + value, 0);
+  return numerators.map(value => value / total);
+}
+
+/**
+ * Expected category and its variance for one observation.
+ * @param {number} logit ability - severity - difficulty.
+ * @param {number[]} thresholds See {@link getRaschCategoryProbabilities}.
+ * @returns {{probabilities: number[], expected: number, variance: number}} The moments.
+ */
+function getRaschExpectation(logit, thresholds) {
+  const probabilities = getRaschCategoryProbabilities(logit, thresholds);
+  let expected = 0;
+  let secondMoment = 0;
+  probabilities.forEach((probability, category) => {
+    expected += category * probability;
+    secondMoment += category * category * probability;
+  });
+  return { probabilities, expected, variance: Math.max(secondMoment - expected * expected, 1e-9) };
+}
+
+/**
+ * Converts an expected category back to the score scale, interpolating between score values.
+ * @param {number} expected Expected category (0..m).
+ * @param {number[]} scoreValues The score value of each category.
+ * @returns {number} The expected score.
+ */
+function raschCategoryToScore(expected, scoreValues) {
+  const lower = Math.floor(expected);
+  if (lower >= scoreValues.length - 1) return scoreValues[scoreValues.length - 1];
+  return scoreValues[lower] + (expected - lower) * (scoreValues[lower + 1] - scoreValues[lower]);
+}
+
+/**
+ * Fits the model.
+ * @param {{studentId: string, raterId: string, questionId: string, score: number}[]} observations
+ *   One entry per score.
+ * @returns {{converged: boolean, iterations: number, scoreValues: number[], thresholds: Object[],
+ *   student: Object<string, Object>, rater: Object<string, Object>, question: Object<string, Object>}}
+ *   Per element of each facet: `{measure, standardError, infit, outfit, observations,
+ *   observedAverage, status}` where status is "", "minimum" or "maximum"; students also get
+ *   `fairAverage`, the expected score from an average rater on an average question.
+ *   `thresholds` lists `{score, measure, observations}` per category (measure null for the lowest).
+ * @throws {Error} If there are no observations or every score is the same.
+ */
+// eslint-disable-next-line no-unused-vars
+function estimateManyFacetRaschModel(observations) {
+  const scoreValues = [...new Set(observations.map(observation => observation.score))].sort((a, b) => a - b);
+  if (observations.length === 0 || scoreValues.length < 2) {
+    throw new Error("The Rasch analysis needs scores with at least two different values.");
+  }
+  const categoryCount = scoreValues.length - 1;
+  const data = observations.map(observation => ({
+    student: observation.studentId,
+    rater: observation.raterId,
+    question: observation.questionId,
+    category: scoreValues.indexOf(observation.score)
+  }));
+
+  // Elements, their observation counts and extreme status
+  const elements = {};
+  RASCH_FACETS.forEach(facet => {
+    elements[facet] = {};
+    data.forEach(entry => {
+      const element = elements[facet][entry[facet]] = elements[facet][entry[facet]] || { measure: 0, categories: [] };
+      element.categories.push(entry.category);
+    });
+    Object.values(elements[facet]).forEach(element => {
+      if (element.categories.every(category => category === 0)) element.status = "minimum";
+      else if (element.categories.every(category => category === categoryCount)) element.status = "maximum";
+      else element.status = "";
+    });
+  });
+  const thresholds = new Array(categoryCount + 1).fill(0);
+
+  const logitOf = entry => elements.student[entry.student].measure - elements.rater[entry.rater].measure - elements.question[entry.question].measure;
+  // +1 when a higher measure raises the expected score (students), -1 when it lowers it
+  const direction = { student: 1, rater: -1, question: -1 };
+  const boundStep = step => Math.max(-RASCH_MAX_STEP_LOGITS, Math.min(RASCH_MAX_STEP_LOGITS, step));
+  const priorPrecision = 1 / (RASCH_PRIOR_SD_LOGITS * RASCH_PRIOR_SD_LOGITS);
+
+  let converged = false;
+  let iteration = 0;
+  while (iteration < RASCH_MAX_ITERATIONS && !converged) {
+    iteration++;
+    let largestChange = 0;
+
+    RASCH_FACETS.forEach(facet => {
+      const residuals = {};
+      const information = {};
+      data.forEach(entry => {
+        const { expected, variance } = getRaschExpectation(logitOf(entry), thresholds);
+        residuals[entry[facet]] = (residuals[entry[facet]] || 0) + entry.category - expected;
+        information[entry[facet]] = (information[entry[facet]] || 0) + variance;
+      });
+      Object.keys(elements[facet]).forEach(id => {
+        const element = elements[facet][id];
+        const step = boundStep((direction[facet] * residuals[id] - element.measure * priorPrecision) / (information[id] + priorPrecision));
+        element.measure += step;
+        largestChange = Math.max(largestChange, Math.abs(step));
+      });
+    });
+
+    // Thresholds: observed vs expected counts of reaching each category
+    const gradients = new Array(categoryCount + 1).fill(0);
+    const curvatures = new Array(categoryCount + 1).fill(0);
+    data.forEach(entry => {
+      const { probabilities } = getRaschExpectation(logitOf(entry), thresholds);
+      let atLeast = 1;
+      for (let k = 1; k <= categoryCount; k++) {
+        atLeast -= probabilities[k - 1];
+        gradients[k] += atLeast - (entry.category >= k ? 1 : 0);
+        curvatures[k] += atLeast * (1 - atLeast);
+      }
+    });
+    for (let k = 1; k <= categoryCount; k++) {
+      const step = boundStep((gradients[k] - thresholds[k] * priorPrecision) / (curvatures[k] + priorPrecision));
+      thresholds[k] += step;
+      largestChange = Math.max(largestChange, Math.abs(step));
+    }
+
+    converged = largestChange < RASCH_CONVERGENCE_LOGITS;
+  }
+
+  // Centre raters and questions (on their non-extreme elements) and thresholds on 0; students
+  // absorb the shifts, so ability - severity - difficulty - threshold is unchanged
+  ["rater", "question"].forEach(facet => {
+    const all = Object.values(elements[facet]);
+    const regular = all.filter(element => !element.status);
+    const reference = regular.length > 0 ? regular : all;
+    const mean = reference.reduce((sum, element) => sum + element.measure, 0) / reference.length;
+    all.forEach(element => { element.measure -= mean; });
+    Object.values(elements.student).forEach(element => { element.measure -= mean; });
+  });
+  const thresholdMean = thresholds.slice(1).reduce((sum, value) => sum + value, 0) / categoryCount;
+  for (let k = 1; k <= categoryCount; k++) thresholds[k] -= thresholdMean;
+  Object.values(elements.student).forEach(element => { element.measure -= thresholdMean; });
+
+  // Standard errors and fit statistics at the final estimates
+  const result = { converged, iterations: iteration, scoreValues };
+  RASCH_FACETS.forEach(facet => {
+    const sums = {};
+    data.forEach(entry => {
+      const { expected, variance } = getRaschExpectation(logitOf(entry), thresholds);
+      const sum = sums[entry[facet]] = sums[entry[facet]] || { information: 0, squaredResiduals: 0, standardizedSquares: 0, count: 0, scoreTotal: 0 };
+      const residual = entry.category - expected;
+      sum.information += variance;
+      sum.squaredResiduals += residual * residual;
+      sum.standardizedSquares += residual * residual / variance;
+      sum.count++;
+      sum.scoreTotal += scoreValues[entry.category];
+    });
+    result[facet] = {};
+    Object.keys(elements[facet]).forEach(id => {
+      const element = elements[facet][id];
+      const sum = sums[id];
+      result[facet][id] = {
+        measure: element.measure,
+        standardError: 1 / Math.sqrt(sum.information),
+        infit: element.status ? null : sum.squaredResiduals / sum.information,
+        outfit: element.status ? null : sum.standardizedSquares / sum.count,
+        observations: sum.count,
+        observedAverage: sum.scoreTotal / sum.count,
+        status: element.status
+      };
+      if (facet === "student") {
+        result[facet][id].fairAverage = raschCategoryToScore(getRaschExpectation(element.measure, thresholds).expected, scoreValues);
+      }
+    });
+  });
+  result.thresholds = scoreValues.map((score, category) => ({
+    score,
+    measure: category === 0 ? null : thresholds[category],
+    observations: data.filter(entry => entry.category === category).length
+  }));
+  return result;
+}
@@ -0,0 +1,206 @@
+/* global RELIABILITY_WARNING_THRESHOLD, RELIABILITY_WARNING_THRESHOLD_PROPERTY_KEY, RELIABILITY_FIT_TOLERANCE, RELIABILITY_FIT_MAX_ITERATIONS */
+
+/**
+ * @file Reliability.js
+ * @description Inter-rater reliability of the peer scores, written by the analytics workflow to
+ * 'PaReliability' (see Workflow_Analytics.js). Ratings are grouped per round, unit and question;
+ * within a group the evaluated students are the targets and the evaluators the raters.
+ *
+ * - ICC(2,k) (Shrout & Fleiss): the reliability of a student's mean rating when raters are a
+ *   random sample. Peers never rate themselves, so the rating table always has gaps; the two-way
+ *   model is fitted by least squares on the observed cells and the target and rater mean squares
+ *   are adjusted for each other. With a complete table this is the textbook ANOVA estimate.
+ * - Krippendorff's alpha with the interval metric: 1 - observed / expected disagreement, which
+ *   handles missing ratings natively.
+ *
+ * @requires Config.js (for RELIABILITY_WARNING_THRESHOLD and the RELIABILITY_FIT_* constants)
+ */
+
+/**
+ * Merges ratings of the same target by the same rater (their mean), so each cell has one value.
+ * @param {{target: string, rater: string, value: number}[]} ratings The ratings.
+ * @returns {{target: string, rater: string, value: number}[]} One rating per cell.
+ */
+function getReliabilityCells(ratings) {
+  const cells = {};
+  ratings.forEach(rating => {
+    const key = JSON.stringify([rating.target, rating.rater]);
+    const cell = cells[key] = cells[key] || { target: rating.target, rater: rating.rater, total: 0, count: 0 };
+    cell.total += rating.value;
+    cell.count++;
+  });
+  return Object.values(cells).map(cell => ({ target: cell.target, rater: cell.rater, value: cell.total / cell.count }));
+}
+
+/**
+ * Fits value = mean + targetEffect + raterEffect (either effect may be left out) by least squares.
+ * @param {Object[]} cells From {@link getReliabilityCells}.
+ * @param {boolean} withTargets Whether the model has target effects.
+ * @param {boolean} withRaters Whether the model has rater effects.
+ * @returns {number} The residual sum of squares.
+ */
+function getAdditiveModelResidualSS(cells, withTargets, withRaters) {
+  const mean = cells.reduce((sum, cell) => sum + cell.value, 0) / cells.length;
+  const effects = { target: {}, rater: {} };
+  cells.forEach(cell => {
+    effects.target[cell.target] = 0;
+    effects.rater[cell.rater] = 0;
+  });
+
+  // One Gauss-Seidel sweep for a factor: its effects become the mean residual of their cells
+  const updateEffects = (factor, other) => {
+    const sums = {};
+    const counts = {};
+    cells.forEach(cell => {
+      sums[cell[factor]] = (sums[cell[factor]] || 0) + cell.value - mean - effects[other][cell[other]];
+      counts[cell[factor]] = (counts[cell[factor]] || 0) + 1;
+    });
+    let largestChange = 0;
+    Object.keys(effects[factor]).forEach(id => {
+      const effect = sums[id] / counts[id];
+      largestChange = Math.max(largestChange, Math.abs(effect - effects[factor][id]));
+      effects[factor][id] = effect;
+    });
+    return largestChange;
+  };
+
+  for (let iteration = 0; iteration < RELIABILITY_FIT_MAX_ITERATIONS; iteration++) {
+    let largestChange = 0;
+    if (withTargets) largestChange = Math.max(largestChange, updateEffects("target", "rater"));
+    if (withRaters) largestChange = Math.max(largestChange, updateEffects("rater", "target"));
+    if (largestChange < RELIABILITY_FIT_TOLERANCE) break;
+  }
+  return cells.reduce((sum, cell) => {
+    const residual = cell.value - mean - effects.target[cell.target] - effects.rater[cell.rater];
+    return sum + residual * residual;
+  }, 0);
+}
+
+/**
+ * ICC(2,k): (MS_targets - MS_error) / (MS_targets + (MS_raters - MS_error) / n), where n is the
+ * number of targets each rater rated (its mean when the table has gaps).
+ * @param {{target: string, rater: string, value: number}[]} ratings The ratings of one group.
+ * @returns {number|null} The coefficient (may be negative), or null with fewer than 2 targets or
+ *   raters, no residual degrees of freedom, or no variance at all.
+ */
+function calculateIcc2k(ratings) {
+  const cells = getReliabilityCells(ratings);
+  const targetCount = new Set(cells.map(cell => cell.target)).size;
+  const raterCount = new Set(cells.map(cell => cell.rater)).size;
+  const errorDf = cells.length - targetCount - raterCount + 1;
+  if (targetCount < 2 || raterCount < 2 || errorDf < 1) return null;
+
+  const residualSS = getAdditiveModelResidualSS(cells, true, true);
+  const msError = residualSS / errorDf;
+  const msTargets = (getAdditiveModelResidualSS(cells, false, true) - residualSS) / (targetCount - 1);
+  const msRaters = (getAdditiveModelResidualSS(cells, true, false) - residualSS) / (raterCount - 1);
+  const denominator = msTargets + (msRaters - msError) / (cells.length / raterCount);
+  if (!(denominator > 1e-12)) return null;
+  return (msTargets - msError) / denominator;
+}
+
+/**
+ * Krippendorff's alpha with the interval metric (squared differences). Targets with a single
+ * rating cannot be paired and are left out.
+ * @param {{target: string, rater: string, value: number}[]} ratings The ratings of one group.
+ * @returns {number|null} The coefficient, or null when fewer than 2 targets can be paired or all
+ *   paired ratings are equal.
+ */
+function calculateKrippendorffAlpha(ratings) {
+  const valuesByTarget = {};
+  getReliabilityCells(ratings).forEach(cell => {
+    (valuesByTarget[cell.target] = valuesByTarget[cell.target] || []).push(cell.value);
+  });
+  const pairable = Object.values(valuesByTarget).filter(values => values.length >= 2);
+  const allValues = [].concat(...pairable);
+  if (pairable.length < 2) return null;
+
+  // The sum of squared differences over all ordered pairs of n values is 2n times their sum of squares
+  const sumOfSquares = values => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0);
+  };
+  const n = allValues.length;
+  const observed = pairable.reduce((sum, values) => sum + 2 * values.length * sumOfSquares(values) / (values.length - 1), 0) / n;
+  const expected = 2 * sumOfSquares(allValues) / (n - 1);
+  if (!(expected > 1e-12)) return null;
+  return 1 - observed / expected;
+}
+
+/**
+ * Decides the warning threshold: the RELIABILITY_WARNING_THRESHOLD script property, else
+ * RELIABILITY_WARNING_THRESHOLD.
+ * @returns {number} The threshold.
+ * @throws {Error} If the script property is not a number.
+ */
+// eslint-disable-next-line no-unused-vars
+function getReliabilityWarningThreshold() {
+  const property = PropertiesService.getScriptProperties().getProperty(RELIABILITY_WARNING_THRESHOLD_PROPERTY_KEY);
+  if (property === null || property === undefined || property.toString().trim() === "") {
+    return RELIABILITY_WARNING_THRESHOLD;
+  }
+  const threshold = Number(property.toString().trim());
+  if (!isFinite(threshold)) {
+    throw new Error(`The ${RELIABILITY_WARNING_THRESHOLD_PROPERTY_KEY} script property "${property}" is not a number.`);
+  }
+  return threshold;
+}
+
+/**
+ * Whether a group's reliability calls for a warning.
+ * @param {number|null} icc2k The group's ICC(2,k).
+ * @param {number|null} krippendorffAlpha The group's alpha.
+ * @param {number} threshold From {@link getReliabilityWarningThreshold}.
+ * @returns {string} "low" if either coefficient is below the threshold, "insufficient data" if
+ *   neither could be calculated, else "ok".
+ */
+function getReliabilityStatus(icc2k, krippendorffAlpha, threshold) {
+  const coefficients = [icc2k, krippendorffAlpha].filter(value => typeof value === "number" && isFinite(value));
+  if (coefficients.length === 0) return "insufficient data";
+  return coefficients.some(value => value < threshold) ? "low" : "ok";
+}
+
+/**
+ * Calculates the reliability of every group of peer scores as 'PaReliability' rows (see
+ * PA_RELIABILITY_HEADERS). Self-ratings and ratings of or by inactive students are left out.
+ * @param {Object[]} responses The parsed responses (with their `roundId`).
+ * @param {Object<string, Object>} students The active students by ID.
+ * @param {number} threshold From {@link getReliabilityWarningThreshold}.
+ * @returns {Array[]} Rows ordered by round and unit; within a unit, each question, then "ALL".
+ */
+// eslint-disable-next-line no-unused-vars
+function createReliabilityRows(responses, students, threshold) {
+  const groups = {};
+  const addRating = (roundId, unit, questionId, rating) => {
+    const key = JSON.stringify([roundId, unit, questionId]);
+    const group = groups[key] = groups[key] || { roundId, unit, questionId, ratings: [] };
+    group.ratings.push(rating);
+  };
+  responses
+    .filter(r => r.responseType === "SCORE" && typeof r.responseValue === "number" && !isNaN(r.responseValue) &&
+      r.responseByStudentId && r.evaluatedStudentId && r.responseByStudentId !== r.evaluatedStudentId &&
+      students[r.responseByStudentId] && students[r.evaluatedStudentId])
+    .forEach(r => {
+      const roundId = r.roundId || "";
+      const unit = r.unitContextOfEvaluation || "";
+      addRating(roundId, unit, r.responseToQuestionId, { target: r.evaluatedStudentId, rater: r.responseByStudentId, value: r.responseValue });
+      addRating(roundId, unit, "ALL", { target: `${r.evaluatedStudentId}/${r.responseToQuestionId}`, rater: r.responseByStudentId, value: r.responseValue });
+    });
+
+  const round = value => typeof value === "number" && isFinite(value) ? parseFloat(value.toFixed(3)) : "";
+  return Object.values(groups)
+    .sort((a, b) => a.roundId.localeCompare(b.roundId) || a.unit.localeCompare(b.unit) ||
+      (a.questionId === "ALL") - (b.questionId === "ALL") || a.questionId.localeCompare(b.questionId))
+    .map(group => {
+      const icc2k = calculateIcc2k(group.ratings);
+      const krippendorffAlpha = calculateKrippendorffAlpha(group.ratings);
+      return [
+        group.roundId, group.unit, group.questionId,
+        new Set(group.ratings.map(rating => rating.target.split("/")[0])).size,
+        new Set(group.ratings.map(rating => rating.rater)).size,
+        group.ratings.length,
+        round(icc2k), round(krippendorffAlpha),
+        getReliabilityStatus(icc2k, krippendorffAlpha, threshold)
+      ];
+    });
+}
@@ -0,0 +1,745 @@
+/* global PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_QUESTION_CONFIG_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_HEADERS, PA_ASSESSMENT_ROUNDS_SHEET_NAME, PA_DRAFTS_SHEET_NAME, PA_DRAFTS_HEADERS, PA_INSTITUTION_PROFILE_SHEET_NAME, PA_STAFF_SHEET_NAME, PA_AUDIT_LOG_SHEET_NAME, PA_AUDIT_LOG_HEADERS, PA_UNITS_SHEET_NAME, PA_WEIGHT_RULES_SHEET_NAME, PA_TEAM_MARKS_SHEET_NAME, PA_OVERRIDES_SHEET_NAME, resetInstitutionProfileCache, resetProductionUnitCache */
+
+/**
+ * @file Repositories.js
+ * @description Storage adapter layer for the Peer Assessment system. Workflows read and write
+ * their data through repositories (students, questions, rounds, submissions, drafts, institution
+ * profile, staff, production units, weight rules, team marks, overrides, audit log, output
+ * sheets) instead of calling SpreadsheetApp directly, so the same parsing, analytics and scoring
+ * code can run against the live spreadsheet or against an in-memory/JSON data set (Node tests,
+ * offline batch runs).
+ *
+ * Both backends implement the same small "table store" contract, where a table is a sheet-like
+ * grid whose first row holds the headers:
+ * - readTable(name)                    -> {headers: string[], rows: any[][]} or null if the table does not exist
+ * - ensureTable(name, headers)         -> creates the table (or appends missing header cells) and returns its headers
+ * - appendRows(name, rows)             -> appends data rows below the existing ones
+ * - deleteRowsWhere(name, predicate)   -> re-reads the table and deletes the data rows whose record matches; returns the count
+ * - updateRows(name, changesFor)       -> re-reads the table and, for each record where changesFor(record) returns
+ *                                         an object of {header: value}, writes those cells; returns the count
+ * - writeTable(name, headers, rows, o) -> replaces the table content (used for generated output sheets)
+ * - writeLines(name, lines, o)         -> replaces the table content with free-form lines (summary sheets)
+ * - activate(name)                     -> brings the table to the front (no-op outside Sheets)
+ *
+ * The repositories built on top of a store are shared by both backends.
+ *
+ * @requires Config.js (for sheet name and header constants)
+ */
+
+// ===================================================================================
+// RECORD HELPERS
+// ===================================================================================
+
+/**
+ * Converts a table (as returned by `readTable`) into an array of records keyed by header name.
+ * Blank headers are ignored; if a header appears more than once the first column wins.
+ * @param {{headers: string[], rows: any[][]}} table The table to convert.
+ * @returns {Object<string, *>[]} One record per data row.
+ */
+function tableToRecords(table) {
+  if (!table) return [];
+  return table.rows.map(row => {
+    const record = {};
+    table.headers.forEach((header, index) => {
+      if (header && !Object.prototype.hasOwnProperty.call(record, header)) {
+        record[header] = row[index];
+      }
+    });
+    return record;
+  });
+}
+
+/**
+ * Lays out a record as a row matching the given headers. Missing fields become "".
+ * @param {string[]} headers The target column order.
+ * @param {Object<string, *>} record The record to convert.
+ * @returns {Array} The row values.
+ */
+function recordToRow(headers, record) {
+  return headers.map(header => (record[header] !== undefined && record[header] !== null) ? record[header] : "");
+}
+
+/**
+ * Whether a submission record has been replaced by a later revision.
+ * @param {Object<string, *>} record A 'PaRawSubmissionsV2' record.
+ * @returns {boolean} True if the record's `supersededBy` column is filled in.
+ */
+// eslint-disable-next-line no-unused-vars
+function isSupersededSubmission(record) {
+  return !!(record.supersededBy && record.supersededBy.toString().trim());
+}
+
+/**
+ * Reads the revision number of a submission record. Rows written before revisions were tracked
+ * have no value and count as revision 1.
+ * @param {Object<string, *>} record A 'PaRawSubmissionsV2' record.
+ * @returns {number} The revision number (1-based).
+ */
+// eslint-disable-next-line no-unused-vars
+function getSubmissionRevision(record) {
+  const revision = parseInt(record.revision, 10);
+  return isNaN(revision) || revision < 1 ? 1 : revision;
+}
+
+// ===================================================================================
+// TABLE STORES
+// ===================================================================================
+
+/**
+ * Creates a table store backed by a Google Spreadsheet.
+ * @param {Spreadsheet} [spreadsheet] The spreadsheet to use. Defaults to the active spreadsheet.
+ * @returns {object} A table store (see file description for the contract).
+ */
+function createSheetsTableStore(spreadsheet) {
+  const ss = spreadsheet || SpreadsheetApp.getActiveSpreadsheet();
+
+  const getOrCreateClearedSheet = (name) => {
+    let sheet = ss.getSheetByName(name);
+    if (sheet) {
+      sheet.clearContents().clearFormats();
+    } else {
+      sheet = ss.insertSheet(name);
+      Logger.log(`Sheet "${name}" created.`);
+    }
+    return sheet;
+  };
+
+  return {
+    kind: "sheets",
+    spreadsheet: ss,
+
+    readTable(name) {
+      const sheet = ss.getSheetByName(name);
+      if (!sheet) return null;
+      const values = sheet.getDataRange().getValues();
+      if (values.length === 0) return { headers: [], rows: [] };
+      return {
+        headers: values[0].map(h => h ? h.toString().trim() : ""),
+        rows: values.slice(1)
+      };
+    },
+
+    ensureTable(name, headers) {
+      let sheet = ss.getSheetByName(name);
+      if (!sheet) {
+        sheet = ss.insertSheet(name);
+        Logger.log(`Created new sheet: ${name}`);
+      }
+      if (sheet.getLastRow() === 0) {
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold").setHorizontalAlignment("center");
+        sheet.setFrozenRows(1);
+        return headers.slice();
+      }
+      const existingHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0]
+                                   .map(h => h ? h.toString().trim() : "");
+      const missingHeaders = headers.filter(h => !existingHeaders.includes(h));
+      if (missingHeaders.length > 0) {
+        sheet.getRange(1, existingHeaders.length + 1, 1, missingHeaders.length).setValues([missingHeaders])
+             .setFontWeight("bold").setHorizontalAlignment("center");
+        Logger.log(`Added missing headers to "${name}": ${missingHeaders.join(', ')}`);
+      }
+      return existingHeaders.concat(missingHeaders);
+    },
+
+    appendRows(name, rows) {
+      if (!rows || rows.length === 0) return;
+      const sheet = ss.getSheetByName(name);
+      if (!sheet) throw new Error(`Sheet "${name}" not found.`);
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    },
+
+    deleteRowsWhere(name, predicate) {
+      const sheet = ss.getSheetByName(name);
+      if (!sheet) return 0;
+      // Re-read right before deleting so row positions reflect the sheet as it is now
+      const table = this.readTable(name);
+      const rowNumbers = [];
+      tableToRecords(table).forEach((record, index) => {
+        if (predicate(record)) rowNumbers.push(index + 2); // +2: 0-based data index and header row
+      });
+      // Delete from the bottom up so earlier deletions do not shift later row numbers
+      rowNumbers.reverse().forEach(rowNumber => sheet.deleteRow(rowNumber));
+      return rowNumbers.length;
+    },
+
+    updateRows(name, changesFor) {
+      const sheet = ss.getSheetByName(name);
+      if (!sheet) return 0;
+      const table = this.readTable(name);
+      let updatedCount = 0;
+      tableToRecords(table).forEach((record, index) => {
+        const changes = changesFor(record);
+        if (!changes) return;
+        Object.keys(changes).forEach(header => {
+          const colIdx = table.headers.indexOf(header);
+          if (colIdx === -1) throw new Error(`Column "${header}" not found in sheet "${name}".`);
+          sheet.getRange(index + 2, colIdx + 1).setValue(changes[header]);
+        });
+        updatedCount++;
+      });
+      return updatedCount;
+    },
+
+    writeTable(name, headers, rows, options = {}) {
+      const sheet = getOrCreateClearedSheet(name);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold").setHorizontalAlignment("center");
+      sheet.setFrozenRows(1);
+
+      if (rows.length > 0) {
+        const dataRange = sheet.getRange(2, 1, rows.length, headers.length).setValues(rows)
+                               .setVerticalAlignment("middle");
+        if (options.align) dataRange.setHorizontalAlignment(options.align);
+
+        const alignColumns = (headerNames, alignment) => {
+          (headerNames || []).forEach(headerName => {
+            const colIdx = headers.indexOf(headerName);
+            if (colIdx !== -1) sheet.getRange(2, colIdx + 1, rows.length, 1).setHorizontalAlignment(alignment);
+          });
+        };
+        alignColumns(options.centerColumns, "center");
+        alignColumns(options.rightColumns, "right");
+
+        Object.keys(options.numberFormats || {}).forEach(headerName => {
+          const colIdx = headers.indexOf(headerName);
+          if (colIdx === -1) return;
+          const format = options.numberFormats[headerName];
+          const range = sheet.getRange(2, colIdx + 1, rows.length, 1);
+          if (typeof format === 'function') {
+            range.setNumberFormats(rows.map(row => [format(row[colIdx])]));
+          } else {
+            range.setNumberFormat(format);
+          }
+        });
+      } else if (options.emptyMessage) {
+        sheet.getRange(2, 1).setValue(options.emptyMessage);
+      }
+
+      try { sheet.autoResizeColumns(1, headers.length); } catch (e) { Logger.log(`Warning: autoResizeColumns failed. Error: ${e.message}`); }
+      if (options.activate !== false) ss.setActiveSheet(sheet);
+    },
+
+    writeLines(name, lines, options = {}) {
+      const sheet = getOrCreateClearedSheet(name);
+      lines.forEach((line, index) => {
+        const cells = line.length > 0 ? line : [""];
+        const range = sheet.getRange(index + 1, 1, 1, cells.length).setValues([cells]);
+        if ((options.boldLines || []).includes(index)) range.setFontWeight("bold");
+        if ((options.headerLines || []).includes(index)) range.setFontWeight("bold").setHorizontalAlignment("center");
+      });
+      if (options.centerBlock && options.centerBlock.lineCount > 0) {
+        const block = options.centerBlock;
+        block.columns.forEach(colIdx => {
+          sheet.getRange(block.startLine + 1, colIdx + 1, block.lineCount, 1).setHorizontalAlignment("center");
+        });
+      }
+      if (options.autoResizeColumns) {
+        try { sheet.autoResizeColumns(1, options.autoResizeColumns); } catch (e) { Logger.log(`Warning: autoResizeColumns failed. ${e.message}`); }
+      }
+      if (options.activate !== false) ss.setActiveSheet(sheet);
+    },
+
+    activate(name) {
+      const sheet = ss.getSheetByName(name);
+      if (sheet) ss.setActiveSheet(sheet);
+    }
+  };
+}
+
+/**
+ * Creates an in-memory table store. Tables are kept in the same shape that
+ * `Range.getValues()` returns (first row = headers), which makes the store trivially
+ * serializable to and from JSON for offline runs and tests.
+ * @param {Object<string, Array[]>} [initialTables={}] Map of table name to rows (headers first).
+ * @returns {object} A table store (see file description for the contract), plus `snapshot()`.
+ */
+function createMemoryTableStore(initialTables = {}) {
+  const tables = {};
+  Object.keys(initialTables).forEach(name => {
+    tables[name] = initialTables[name].map(row => row.slice());
+  });
+  let activeTableName = null;
+
+  const headersOf = (name) => (tables[name] && tables[name].length > 0)
+    ? tables[name][0].map(h => h ? h.toString().trim() : "")
+    : [];
+
+  return {
+    kind: "memory",
+
+    readTable(name) {
+      if (!tables[name]) return null;
+      return {
+        headers: headersOf(name),
+        rows: tables[name].slice(1).map(row => row.slice())
+      };
+    },
+
+    ensureTable(name, headers) {
+      if (!tables[name] || tables[name].length === 0) {
+        tables[name] = [headers.slice()];
+        return headers.slice();
+      }
+      const existingHeaders = headersOf(name);
+      const missingHeaders = headers.filter(h => !existingHeaders.includes(h));
+      tables[name][0] = existingHeaders.concat(missingHeaders);
+      return tables[name][0].slice();
+    },
+
+    appendRows(name, rows) {
+      if (!rows || rows.length === 0) return;
+      if (!tables[name]) throw new Error(`Table "${name}" not found.`);
+      rows.forEach(row => tables[name].push(row.slice()));
+    },
+
+    deleteRowsWhere(name, predicate) {
+      if (!tables[name]) return 0;
+      const records = tableToRecords(this.readTable(name));
+      const keptRows = tables[name].slice(1).filter((_row, index) => !predicate(records[index]));
+      const deletedCount = tables[name].length - 1 - keptRows.length;
+      tables[name] = [tables[name][0]].concat(keptRows);
+      return deletedCount;
+    },
+
+    updateRows(name, changesFor) {
+      if (!tables[name]) return 0;
+      const headers = headersOf(name);
+      const records = tableToRecords(this.readTable(name));
+      let updatedCount = 0;
+      records.forEach((record, index) => {
+        const changes = changesFor(record);
+        if (!changes) return;
+        const row = tables[name][index + 1];
+        Object.keys(changes).forEach(header => {
+          const colIdx = headers.indexOf(header);
+          if (colIdx === -1) throw new Error(`Column "${header}" not found in table "${name}".`);
+          while (row.length <= colIdx) row.push("");
+          row[colIdx] = changes[header];
+        });
+        updatedCount++;
+      });
+      return updatedCount;
+    },
+
+    writeTable(name, headers, rows, options = {}) {
+      tables[name] = [headers.slice()].concat(rows.map(row => row.slice()));
+      if (rows.length === 0 && options.emptyMessage) tables[name].push([options.emptyMessage]);
+      if (options.activate !== false) activeTableName = name;
+    },
+
+    writeLines(name, lines, options = {}) {
+      tables[name] = lines.map(line => line.slice());
+      if (options.activate !== false) activeTableName = name;
+    },
+
+    activate(name) {
+      activeTableName = name;
+    },
+
+    getActiveTableName() {
+      return activeTableName;
+    },
+
+    /**
+     * Returns a deep copy of every table, suitable for JSON serialization.
+     * @returns {Object<string, Array[]>}
+     */
+    snapshot() {
+      const copy = {};
+      Object.keys(tables).forEach(name => {
+        copy[name] = tables[name].map(row => row.slice());
+      });
+      return copy;
+    }
+  };
+}
+
+// ===================================================================================
+// REPOSITORIES
+// ===================================================================================
+
+/**
+ * Repository for the master student list ('PaMasterStudentList').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createStudentRepository(store) {
+  const sheetName = PA_MASTER_STUDENT_LIST_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the question configuration ('PaQuestionConfig').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createQuestionRepository(store) {
+  const sheetName = PA_QUESTION_CONFIG_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the assessment round configuration ('PaAssessmentRounds').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createRoundRepository(store) {
+  const sheetName = PA_ASSESSMENT_ROUNDS_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the institution profile overrides ('PaInstitutionProfile', setting/value rows).
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createInstitutionProfileRepository(store) {
+  const sheetName = PA_INSTITUTION_PROFILE_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the staff directory ('PaStaff').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createStaffRepository(store) {
+  const sheetName = PA_STAFF_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the production unit registry ('PaUnits').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createUnitRepository(store) {
+  const sheetName = PA_UNITS_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the evaluator weighting rules ('PaWeightRules').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createWeightRuleRepository(store) {
+  const sheetName = PA_WEIGHT_RULES_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the instructor's team marks ('PaTeamMarks').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createTeamMarkRepository(store) {
+  const sheetName = PA_TEAM_MARKS_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for the instructor's score overrides ('PaOverrides').
+ * @param {object} store A table store.
+ * @returns {{sheetName: string, read: function(): ({headers: string[], records: object[]}|null)}}
+ */
+function createOverrideRepository(store) {
+  const sheetName = PA_OVERRIDES_SHEET_NAME;
+  return {
+    sheetName,
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    }
+  };
+}
+
+/**
+ * Repository for raw peer assessment submissions ('PaRawSubmissionsV2').
+ * Records are plain objects keyed by the column headers in PA_RAW_SUBMISSIONS_V2_HEADERS.
+ * @param {object} store A table store.
+ * @returns {object} The submission repository.
+ */
+function createSubmissionRepository(store) {
+  const sheetName = PA_RAW_SUBMISSIONS_V2_SHEET_NAME;
+  return {
+    sheetName,
+
+    /**
+     * @returns {{headers: string[], records: object[]}|null} All submission rows, or null if the sheet is missing.
+     */
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    },
+
+    /**
+     * Creates the submissions sheet if needed and makes sure all canonical headers exist.
+     * @returns {string[]} The headers of the sheet, in column order.
+     */
+    ensureSheet() {
+      return store.ensureTable(sheetName, PA_RAW_SUBMISSIONS_V2_HEADERS);
+    },
+
+    /**
+     * Appends submission records, laying them out according to the sheet's actual headers.
+     * @param {object[]} records Submission records.
+     */
+    append(records) {
+      const headers = this.ensureSheet();
+      store.appendRows(sheetName, records.map(record => recordToRow(headers, record)));
+    },
+
+    /**
+     * Stamps `supersededBy` on the rows being replaced by a re-submission. Rows are located when the
+     * update happens, not from an earlier read; callers must hold the script lock.
+     * @param {function(object): (string|null)} supersededByFor Returns the responseId of the replacing
+     *   row for each record that should be superseded, or null to leave the record alone.
+     * @returns {number} The number of rows marked as superseded.
+     */
+    markSuperseded(supersededByFor) {
+      return store.updateRows(sheetName, record => {
+        const supersededBy = supersededByFor(record);
+        return supersededBy ? { supersededBy } : null;
+      });
+    }
+  };
+}
+
+/**
+ * Repository for autosaved evaluation drafts ('PaDrafts'). Drafts live outside 'PaRawSubmissionsV2',
+ * so nothing in them reaches analytics, scoring or reports until it is actually submitted.
+ * @param {object} store A table store.
+ * @returns {object} The draft repository.
+ */
+function createDraftRepository(store) {
+  const sheetName = PA_DRAFTS_SHEET_NAME;
+  return {
+    sheetName,
+
+    /**
+     * @returns {{headers: string[], records: object[]}|null} All draft rows, or null if the sheet is missing.
+     */
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    },
+
+    /**
+     * Replaces the draft rows matching `isSameDraft` with `record`, or appends it if there are none.
+     * Callers must hold the script lock.
+     * @param {object} record A draft record keyed by PA_DRAFTS_HEADERS.
+     * @param {function(object): boolean} isSameDraft Identifies the stored rows of the same draft.
+     */
+    save(record, isSameDraft) {
+      const headers = store.ensureTable(sheetName, PA_DRAFTS_HEADERS);
+      const updated = store.updateRows(sheetName, existing => (isSameDraft(existing) ? record : null));
+      if (updated === 0) {
+        store.appendRows(sheetName, [recordToRow(headers, record)]);
+      }
+    },
+
+    /**
+     * Deletes the drafts matching a predicate. Callers must hold the script lock.
+     * @param {function(object): boolean} predicate Selects the drafts to delete.
+     * @returns {number} The number of drafts deleted.
+     */
+    deleteWhere(predicate) {
+      return store.deleteRowsWhere(sheetName, predicate);
+    }
+  };
+}
+
+/**
+ * Repository for the access audit log ('PaAuditLog'). Rows are only ever appended.
+ * @param {object} store A table store.
+ * @returns {object} The audit log repository.
+ */
+function createAuditLogRepository(store) {
+  const sheetName = PA_AUDIT_LOG_SHEET_NAME;
+  return {
+    sheetName,
+
+    /**
+     * @returns {{headers: string[], records: object[]}|null} All audit rows, or null if the sheet is missing.
+     */
+    read() {
+      const table = store.readTable(sheetName);
+      return table ? { headers: table.headers, records: tableToRecords(table) } : null;
+    },
+
+    /**
+     * Creates the sheet if needed and appends one entry. Callers must hold the script lock.
+     * @param {object} record An audit record keyed by PA_AUDIT_LOG_HEADERS.
+     */
+    append(record) {
+      const headers = store.ensureTable(sheetName, PA_AUDIT_LOG_HEADERS);
+      store.appendRows(sheetName, [recordToRow(headers, record)]);
+    }
+  };
+}
+
+/**
+ * Writer for generated output/report sheets (analytics, scores, reports).
+ * @param {object} store A table store.
+ * @returns {object} The output sheet writer.
+ */
+function createOutputSheetWriter(store) {
+  return {
+    /**
+     * Replaces a sheet's content with a header row and data rows.
+     * @param {string} sheetName Target sheet name.
+     * @param {string[]} headers Header row.
+     * @param {Array[]} rows Data rows (same length as headers).
+     * @param {object} [options] Presentation hints, ignored by non-Sheets stores:
+     *   align, centerColumns, rightColumns, numberFormats ({header: format | function(value): format}),
+     *   emptyMessage (written in A2 when there are no rows), activate (default true).
+     */
+    writeTable(sheetName, headers, rows, options = {}) {
+      store.writeTable(sheetName, headers, rows, options);
+    },
+
+    /**
+     * Replaces a sheet's content with free-form lines (e.g. a summary block).
+     * @param {string} sheetName Target sheet name.
+     * @param {Array[]} lines Rows of varying length.
+     * @param {object} [options] boldLines, headerLines, centerBlock ({startLine, lineCount, columns}), autoResizeColumns, activate.
+     */
+    writeLines(sheetName, lines, options = {}) {
+      store.writeLines(sheetName, lines, options);
+    },
+
+    /**
+     * Reads back a previously generated sheet.
+     * @param {string} sheetName Sheet name.
+     * @returns {{headers: string[], rows: Array[]}|null}
+     */
+    readTable(sheetName) {
+      return store.readTable(sheetName);
+    }
+  };
+}
+
+// ===================================================================================
+// STORAGE ADAPTERS
+// ===================================================================================
+
+/**
+ * Bundles all repositories over a single table store.
+ * @param {object} store A table store.
+ * @returns {{store: object, students: object, questions: object, rounds: object, institution: object, staff: object, units: object, weightRules: object, teamMarks: object, overrides: object, submissions: object, drafts: object, audit: object, output: object}}
+ */
+function createStorageAdapter(store) {
+  return {
+    store,
+    students: createStudentRepository(store),
+    questions: createQuestionRepository(store),
+    rounds: createRoundRepository(store),
+    institution: createInstitutionProfileRepository(store),
+    staff: createStaffRepository(store),
+    units: createUnitRepository(store),
+    weightRules: createWeightRuleRepository(store),
+    teamMarks: createTeamMarkRepository(store),
+    overrides: createOverrideRepository(store),
+    submissions: createSubmissionRepository(store),
+    drafts: createDraftRepository(store),
+    audit: createAuditLogRepository(store),
+    output: createOutputSheetWriter(store)
+  };
+}
+
+/**
+ * Creates a storage adapter over a Google Spreadsheet.
+ * @param {Spreadsheet} [spreadsheet] Defaults to the active spreadsheet.
+ * @returns {object} A storage adapter.
+ */
+function createSheetsStorageAdapter(spreadsheet) {
+  return createStorageAdapter(createSheetsTableStore(spreadsheet));
+}
+
+/**
+ * Creates a storage adapter over in-memory tables (e.g. loaded from a JSON export).
+ * @param {Object<string, Array[]>} [tables={}] Map of sheet name to rows (headers first).
+ * @returns {object} A storage adapter.
+ */
+// eslint-disable-next-line no-unused-vars
+function createMemoryStorageAdapter(tables = {}) {
+  return createStorageAdapter(createMemoryTableStore(tables));
+}
+
+let activeStorageAdapter = null;
+
+/**
+ * Returns the storage adapter used by the workflows. Unless one has been installed with
+ * {@link setStorageAdapter}, a Sheets adapter over the active spreadsheet is created on first use.
+ * @returns {object} The active storage adapter.
+ */
+// eslint-disable-next-line no-unused-vars
+function getStorageAdapter() {
+  if (!activeStorageAdapter) {
+    activeStorageAdapter = createSheetsStorageAdapter();
+  }
+  return activeStorageAdapter;
+}
+
+/**
+ * Installs the storage adapter used by the workflows (e.g. a memory adapter for offline runs).
+ * Pass null to go back to the default Sheets adapter.
+ * @param {object|null} adapter The adapter to use.
+ */
+// eslint-disable-next-line no-unused-vars
+function setStorageAdapter(adapter) {
+  activeStorageAdapter = adapter;
+  // The institution profile and the unit registry may be read from the new adapter's tables
+  resetInstitutionProfileCache();
+  resetProductionUnitCache();
+}
@@ -0,0 +1,138 @@
+/* global BOOTSTRAP_RESAMPLES, BOOTSTRAP_CONFIDENCE_LEVEL, BOOTSTRAP_SEED, SCORE_REVIEW_MIN_RATERS, SCORE_REVIEW_MAX_CI_WIDTH, getStrategyScoreResponses, calculateStrategyWeightedMean, calculateMedianFromArray */
+
+/**
+ * @file ScoreConfidence.js
+ * @description How far the weighted scores of 'PaFinalScoresSummary' (the weightedMean strategy)
+ * can be trusted, written by the scoring workflow to 'PaScoreConfidence' (see Workflow_Scoring.js).
+ * For every student and question, and for the overall weighted median, it counts the raters and
+ * bootstraps a percentile confidence interval: the student's evaluators are drawn with replacement
+ * (all of an evaluator's scores together, with their weights) and the score is recalculated for
+ * each draw. A score with too few raters or too wide an interval is marked for manual review.
+ * Like the overall weighted median itself, the OVERALL row uses the ratings on the common scale.
+ *
+ * The draws come from a seeded PRNG, so the same data always gives the same intervals.
+ *
+ * @requires Config.js (for the BOOTSTRAP_* and SCORE_REVIEW_* constants)
+ * @requires ScoringStrategies.js (for getStrategyScoreResponses, calculateStrategyWeightedMean)
+ * @requires Utils.js (for calculateMedianFromArray)
+ */
+
+/**
+ * A seeded pseudo-random number generator (mulberry32, seeded with the FNV-1a hash of the text).
+ * @param {string} seedText Anything that identifies the sequence.
+ * @returns {function(): number} Returns the next number in [0, 1) on each call.
+ */
+function createBootstrapRandom(seedText) {
+  let state = 0x811c9dc5;
+  for (let index = 0; index < seedText.length; index++) {
+    state = Math.imul(state ^ seedText.charCodeAt(index), 0x01000193) >>> 0;
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * The p-quantile of sorted values, interpolating between neighbours.
+ * @param {number[]} sorted Values in ascending order (at least one).
+ * @param {number} p Between 0 and 1.
+ * @returns {number} The quantile.
+ */
+function getBootstrapQuantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+/**
+ * Bootstraps a percentile confidence interval by resampling evaluators.
+ * @param {{value: number, evaluatorId: string}[]} entries The scores the statistic is calculated from.
+ * @param {function(Object[]): (number|string)} statistic Calculates the score from entries ("" for none).
+ * @param {{resamples: number, level: number, random: function(): number}} settings The number of
+ *   draws, the confidence level and the PRNG.
+ * @returns {{lower: number, upper: number}|null} The interval, or null without entries.
+ */
+function bootstrapScoreInterval(entries, statistic, settings) {
+  const byEvaluator = {};
+  entries.forEach(entry => { (byEvaluator[entry.evaluatorId] = byEvaluator[entry.evaluatorId] || []).push(entry); });
+  const evaluatorIds = Object.keys(byEvaluator).sort();
+  if (evaluatorIds.length === 0) return null;
+
+  const estimates = [];
+  for (let draw = 0; draw < settings.resamples; draw++) {
+    let sample = [];
+    evaluatorIds.forEach(() => {
+      sample = sample.concat(byEvaluator[evaluatorIds[Math.floor(settings.random() * evaluatorIds.length)]]);
+    });
+    const estimate = statistic(sample);
+    if (typeof estimate === "number" && isFinite(estimate)) estimates.push(estimate);
+  }
+  if (estimates.length === 0) return null;
+  estimates.sort((a, b) => a - b);
+  const tail = (1 - settings.level) / 2;
+  return { lower: getBootstrapQuantile(estimates, tail), upper: getBootstrapQuantile(estimates, 1 - tail) };
+}
+
+/**
+ * Calculates the 'PaScoreConfidence' rows (see PA_SCORE_CONFIDENCE_HEADERS) from the scoring context.
+ * @param {Object} context The scoring context `{studentIds, students, questionIds, responses,
+ *   commonScaleResponses, evaluatorWeights}` (see getScoringStrategy).
+ * @returns {Array[]} Rows in the order of context.studentIds; per student, each question, then "OVERALL".
+ */
+// eslint-disable-next-line no-unused-vars
+function createScoreConfidenceRows(context) {
+  const scoreResponses = getStrategyScoreResponses(context);
+  const commonScaleResponses = getStrategyScoreResponses(context, false, true);
+  const weightedMean = entries => calculateStrategyWeightedMean(entries, context.evaluatorWeights);
+  // The overall weighted median: the median of the per-question weighted means
+  const overallMedian = entries => {
+    const questionScores = context.questionIds
+      .map(questionId => weightedMean(entries.filter(entry => entry.questionId === questionId)))
+      .filter(score => score !== "");
+    return questionScores.length > 0 ? calculateMedianFromArray(questionScores) : "";
+  };
+  const round = value => typeof value === "number" && isFinite(value) ? parseFloat(value.toFixed(2)) : "";
+
+  const rows = [];
+  context.studentIds.forEach(studentId => {
+    const student = context.students[studentId];
+    const receivedFrom = responses => responses
+      .filter(resp => resp.evaluatedStudentId === studentId && context.questionIds.includes(resp.responseToQuestionId))
+      .map(resp => ({ value: resp.responseValue, evaluatorId: resp.responseByStudentId, questionId: resp.responseToQuestionId }));
+    const received = receivedFrom(scoreResponses);
+    const addRow = (questionId, entries, statistic) => {
+      const raters = new Set(entries.map(entry => entry.evaluatorId)).size;
+      const interval = bootstrapScoreInterval(entries, statistic, {
+        resamples: BOOTSTRAP_RESAMPLES,
+        level: BOOTSTRAP_CONFIDENCE_LEVEL,
+        random: createBootstrapRandom(`${BOOTSTRAP_SEED}|${studentId}|${questionId}`)
+      });
+      const width = interval ? round(interval.upper - interval.lower) : "";
+      const reasons = [];
+      if (raters === 0) {
+        reasons.push("no raters");
+      } else if (raters < SCORE_REVIEW_MIN_RATERS) {
+        reasons.push(`only ${raters} rater(s), at least ${SCORE_REVIEW_MIN_RATERS} needed`);
+      }
+      if (width !== "" && width > SCORE_REVIEW_MAX_CI_WIDTH) {
+        reasons.push(`${Math.round(BOOTSTRAP_CONFIDENCE_LEVEL * 100)}% interval ${width} points wide, more than ${SCORE_REVIEW_MAX_CI_WIDTH}`);
+      }
+      rows.push([
+        studentId, student.studentName || `[Name missing for ${studentId}]`, questionId,
+        round(statistic(entries)), raters,
+        interval ? round(interval.lower) : "", interval ? round(interval.upper) : "", width,
+        reasons.length > 0, reasons.join("; ")
+      ]);
+    };
+    context.questionIds.forEach(questionId => {
+      addRow(questionId, received.filter(entry => entry.questionId === questionId), weightedMean);
+    });
+    addRow("OVERALL", receivedFrom(commonScaleResponses), overallMedian);
+  });
+  return rows;
+}
@@ -0,0 +1,204 @@
+/* global PA_OVERRIDES_SHEET_NAME, PA_OVERRIDES_HEADERS, SCORE_OVERRIDE_TYPES, getStorageAdapter */
+
+/**
+ * @file ScoreOverrides.js
+ * @description Instructor decisions that take precedence over the calculated results, kept in the
+ * optional 'PaOverrides' sheet instead of edits to 'PaRawSubmissionsV2' (see SCORE_OVERRIDE_TYPES):
+ * excluding an evaluator's ratings of one student or all their ratings, fixing an evaluator's weight
+ * and fixing a student's final score. Every entry records why and by whom.
+ *
+ * The analytics, scoring and grading workflows read the entries that apply to their run with
+ * getApplicableScoreOverrides(). Exclusions are applied to the parsed responses before anything is
+ * calculated; the workflows apply the fixed values themselves and list the entries that affected a
+ * row in its `overrides` column.
+ *
+ * @requires Config.js (for PA_OVERRIDES_SHEET_NAME, PA_OVERRIDES_HEADERS and SCORE_OVERRIDE_TYPES)
+ * @requires Repositories.js (for getStorageAdapter)
+ */
+
+// The IDs each override type needs
+const SCORE_OVERRIDE_REQUIRED_IDS = {
+  "exclude-evaluation": ["evaluatorId", "studentId"],
+  "exclude-evaluator": ["evaluatorId"],
+  "fixed-weight": ["evaluatorId"],
+  "fixed-final-score": ["studentId"]
+};
+
+// ===================================================================================
+// LOADING
+// ===================================================================================
+
+/**
+ * Reads a cell as trimmed text.
+ * @param {*} value The cell value.
+ * @returns {string} The text ("" for a blank cell).
+ */
+function getScoreOverrideText(value) {
+  return value === null || value === undefined ? "" : value.toString().trim();
+}
+
+/**
+ * Parses one 'PaOverrides' record.
+ * @param {Object<string, *>} record A record keyed by PA_OVERRIDES_HEADERS.
+ * @param {number} row The sheet row (for the listing in the outputs).
+ * @returns {{row: number, type: string, roundId: string, evaluatorId: string, studentId: string,
+ *   value: (number|null), reason: string, author: string}} The override.
+ * @throws {Error} If the type is unknown, a needed ID, the reason or the author is missing, or
+ *   the value is missing or out of range.
+ */
+function createScoreOverride(record, row) {
+  const type = getScoreOverrideText(record.type).toLowerCase();
+  if (!SCORE_OVERRIDE_TYPES.includes(type)) {
+    throw new Error(`unknown type "${getScoreOverrideText(record.type)}" (use ${SCORE_OVERRIDE_TYPES.join(", ")})`);
+  }
+  const override = {
+    row,
+    type,
+    roundId: getScoreOverrideText(record.roundId).toUpperCase(),
+    evaluatorId: getScoreOverrideText(record.evaluatorId).toUpperCase(),
+    studentId: getScoreOverrideText(record.studentId).toUpperCase(),
+    value: null,
+    reason: getScoreOverrideText(record.reason),
+    author: getScoreOverrideText(record.author)
+  };
+  SCORE_OVERRIDE_REQUIRED_IDS[type].forEach(idColumn => {
+    if (!override[idColumn]) throw new Error(`${type} needs a ${idColumn}`);
+  });
+  if (type === "fixed-weight" || type === "fixed-final-score") {
+    const text = getScoreOverrideText(record.value);
+    override.value = Number(text);
+    if (text === "" || !isFinite(override.value)) {
+      throw new Error(`${type} needs a numeric value, not "${text}"`);
+    }
+    if (type === "fixed-weight" && (override.value < 0 || override.value > 1)) {
+      throw new Error(`a fixed weight must be between 0 and 1, not ${override.value}`);
+    }
+  }
+  if (!override.reason) throw new Error("reason is required");
+  if (!override.author) throw new Error("author is required");
+  return override;
+}
+
+/**
+ * Builds the overrides from 'PaOverrides' records. Blank rows are ignored.
+ * @param {Object<string, *>[]} records Records keyed by PA_OVERRIDES_HEADERS.
+ * @returns {Object[]} The overrides (see {@link createScoreOverride}), in sheet order.
+ * @throws {Error} If an entry is invalid, or an evaluator's weight or a student's score is fixed
+ *   twice for the same round.
+ */
+function createScoreOverrides(records) {
+  const overrides = [];
+  records.forEach((record, index) => {
+    if (PA_OVERRIDES_HEADERS.every(header => getScoreOverrideText(record[header]) === "")) return;
+    const row = index + 2;
+    let override;
+    try {
+      override = createScoreOverride(record, row);
+    } catch (error) {
+      throw new Error(`Invalid override in the "${PA_OVERRIDES_SHEET_NAME}" sheet row ${row}: ${error.message}`, { cause: error });
+    }
+    const duplicate = overrides.find(other => other.type === override.type && other.roundId === override.roundId &&
+      (override.type === "fixed-weight" || override.type === "fixed-final-score") &&
+      other.evaluatorId === override.evaluatorId && other.studentId === override.studentId);
+    if (duplicate) {
+      throw new Error(`Invalid override in the "${PA_OVERRIDES_SHEET_NAME}" sheet row ${row}: row ${duplicate.row} already sets this ${override.type}`);
+    }
+    overrides.push(override);
+  });
+  return overrides;
+}
+
+/**
+ * The overrides in effect for a workflow run. Exclusions apply to the responses of their round
+ * (every response without one), so a run over all submissions applies all of them. Fixed values
+ * belong to the results of one run: those of the run's round, or those without a round. A fixed
+ * value for the round wins over one without.
+ * @param {string} roundId The run's round, normalized (see resolveWorkflowRoundId; "" for all submissions).
+ * @returns {Object[]} The overrides (see {@link createScoreOverride}); empty without the sheet.
+ * @throws {Error} If the sheet holds an invalid entry.
+ */
+// eslint-disable-next-line no-unused-vars
+function getApplicableScoreOverrides(roundId) {
+  const table = getStorageAdapter().overrides.read();
+  const overrides = table ? createScoreOverrides(table.records) : [];
+  return overrides.filter(override => {
+    if (override.type === "exclude-evaluation" || override.type === "exclude-evaluator") {
+      return !roundId || !override.roundId || override.roundId === roundId;
+    }
+    if (override.roundId !== roundId && override.roundId !== "") return false;
+    // A round's fixed value replaces the one without a round
+    return override.roundId !== "" || !overrides.some(other => other.type === override.type && other.roundId === roundId && roundId !== "" &&
+      other.evaluatorId === override.evaluatorId && other.studentId === override.studentId);
+  });
+}
+
+// ===================================================================================
+// APPLYING
+// ===================================================================================
+
+/**
+ * Whether an exclusion covers a response.
+ * @param {Object} override An exclude-evaluation or exclude-evaluator override.
+ * @param {Object} response A parsed response.
+ * @returns {boolean} True if the response must be left out.
+ */
+function scoreOverrideExcludesResponse(override, response) {
+  if (override.type !== "exclude-evaluation" && override.type !== "exclude-evaluator") return false;
+  if (override.roundId && (response.roundId || "") !== override.roundId) return false;
+  if ((response.responseByStudentId || "").toUpperCase() !== override.evaluatorId) return false;
+  return override.type === "exclude-evaluator" || (response.evaluatedStudentId || "").toUpperCase() === override.studentId;
+}
+
+/**
+ * Leaves out the responses the exclusions cover.
+ * @param {Object[]} responses Parsed responses (see parseRawSurveyData).
+ * @param {Object[]} overrides The run's overrides ({@link getApplicableScoreOverrides}).
+ * @returns {Object[]} The remaining responses.
+ */
+// eslint-disable-next-line no-unused-vars
+function applyScoreOverrideExclusions(responses, overrides) {
+  const exclusions = overrides.filter(override => override.type === "exclude-evaluation" || override.type === "exclude-evaluator");
+  if (exclusions.length === 0) return responses;
+  const kept = responses.filter(response => !exclusions.some(override => scoreOverrideExcludesResponse(override, response)));
+  Logger.log(`Overrides: ${responses.length - kept.length} responses excluded by ${exclusions.length} entries of "${PA_OVERRIDES_SHEET_NAME}".`);
+  return kept;
+}
+
+/**
+ * The fixed value an override type sets for an ID.
+ * @param {Object[]} overrides The run's overrides ({@link getApplicableScoreOverrides}).
+ * @param {string} type "fixed-weight" (by evaluatorId) or "fixed-final-score" (by studentId).
+ * @param {string} id The evaluator or student.
+ * @returns {Object|null} The override, or null if the value is not fixed.
+ */
+// eslint-disable-next-line no-unused-vars
+function findFixedScoreOverride(overrides, type, id) {
+  const idColumn = type === "fixed-weight" ? "evaluatorId" : "studentId";
+  return overrides.find(override => override.type === type && override[idColumn] === id) || null;
+}
+
+/**
+ * Describes an override for the `overrides` column of the outputs.
+ * @param {Object} override An override.
+ * @returns {string} E.g. "exclude-evaluation A113000002 -> A113000001 (conflict of interest; ichen, row 2)".
+ */
+function describeScoreOverride(override) {
+  let what = override.type;
+  if (override.type === "exclude-evaluation") what += ` ${override.evaluatorId} -> ${override.studentId}`;
+  if (override.type === "exclude-evaluator" || override.type === "fixed-weight") what += ` ${override.evaluatorId}`;
+  if (override.type === "fixed-final-score") what += ` ${override.studentId}`;
+  if (override.value !== null) what += ` = ${override.value}`;
+  if (override.roundId) what += ` in ${override.roundId}`;
+  return `${what} (${override.reason}; ${override.author}, row ${override.row})`;
+}
+
+/**
+ * Lists the overrides that affected a row of an output sheet.
+ * @param {Object[]} overrides The run's overrides.
+ * @param {function(Object): boolean} affects Whether an override affected the row.
+ * @returns {string} The descriptions, separated by "; ", or "".
+ */
+// eslint-disable-next-line no-unused-vars
+function describeScoreOverrides(overrides, affects) {
+  return overrides.filter(affects).map(describeScoreOverride).join("; ");
+}
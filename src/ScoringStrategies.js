@@ -0,0 +1,401 @@
+/* global DEFAULT_SCORING_STRATEGIES, SCORING_STRATEGIES_PROPERTY_KEY, SCORING_STRATEGIES, calculateMean, calculateStdDev, calculateMedianFromArray, isSelfAssessmentResponse */
+
+/**
+ * @file ScoringStrategies.js
+ * @description The ways peer scores can be aggregated into 'PaFinalScoresSummary'. Every strategy
+ * (SCORING_STRATEGIES in Config.js) has the same shape:
+ *   `{label, numberFormat, getHeaders(questionIds), scoreStudents(context)}`
+ * where `getHeaders` names the columns the strategy adds and `scoreStudents` returns, per student,
+ * one value per column ("" when there is nothing to score). The scoring workflow builds the context
+ * once and writes the columns of every selected strategy side by side, after studentId/studentName.
+ *
+ * - weightedMean: evaluator-weighted mean per question and the median of those means (the original
+ *   algorithm, and the default).
+ * - webpa: the WebPA contribution factor. Each evaluator's marks are turned into shares of what they
+ *   gave their team; a student's factor is the average share received times the number of peers,
+ *   so 1.0 is an equal contribution.
+ * - spark: the SPARK SPA factor (square root of the student's mean peer rating over the team's) and
+ *   SAPA factor (square root of their mean self-rating over their mean peer rating).
+ * - zScore: each score as a z-score within its evaluator's own scores (removing lenient or harsh
+ *   raters' offsets), then evaluator-weighted means per question and overall.
+ *
+ * The factor strategies (webpa, spark) follow their published definitions and do not use evaluator
+ * weights. They are computed per production unit (the unit context of the evaluation); a student in
+ * two units gets the mean of their two factors. The per-unit factors themselves
+ * (calculateWebpaUnitFactors, calculateSparkUnitFactors) are also what FinalGrades.js scales the
+ * team marks with.
+ *
+ * Self-ratings (see SelfAssessment.js) are not peer scores: every strategy leaves them out, except
+ * SPARK, whose SAPA factor compares them with the peer ratings.
+ *
+ * Questions may have their own rating scale (see QuestionTypes.js). The weightedMean column of
+ * each question stays on that question's scale; everything that pools ratings across questions
+ * (overallWeightedMedian, the z-scores, the WebPA and SPARK factors) uses the context's
+ * `commonScaleResponses`, where every rating is put on DEFAULT_RATING_SCALE.
+ *
+ * @requires Config.js (for SCORING_STRATEGIES, DEFAULT_SCORING_STRATEGIES and SCORING_STRATEGIES_PROPERTY_KEY)
+ * @requires Utils.js (for calculateMean, calculateStdDev, calculateMedianFromArray)
+ * @requires SelfAssessment.js (for isSelfAssessmentResponse)
+ */
+
+// ===================================================================================
+// SHARED HELPERS
+// ===================================================================================
+
+/**
+ * @param {Object} context The scoring context (see {@link getScoringStrategy}).
+ * @param {boolean} [selfRatings=false] Return the students' ratings of themselves instead of the peer scores.
+ * @param {boolean} [commonScale=false] Take the ratings on DEFAULT_RATING_SCALE (`commonScaleResponses`),
+ *   for pooling the ratings of several questions.
+ * @returns {Object[]} The numeric SCORE responses about students of the context.
+ */
+function getStrategyScoreResponses(context, selfRatings = false, commonScale = false) {
+  return (commonScale ? context.commonScaleResponses : context.responses).filter(resp => resp.responseType === "SCORE" &&
+    typeof resp.responseValue === "number" && !isNaN(resp.responseValue) &&
+    resp.evaluatedStudentId && Object.prototype.hasOwnProperty.call(context.students, resp.evaluatedStudentId) &&
+    isSelfAssessmentResponse(resp) === selfRatings);
+}
+
+/**
+ * The weight of an evaluator; evaluators without a numeric weight count as 0.
+ * @param {Object<string, number>} evaluatorWeights evaluatorId -> weight.
+ * @param {string} evaluatorId The evaluator.
+ * @returns {number} The weight.
+ */
+function getStrategyEvaluatorWeight(evaluatorWeights, evaluatorId) {
+  const weight = evaluatorId && evaluatorWeights ? evaluatorWeights[evaluatorId] : undefined;
+  return typeof weight === "number" && !isNaN(weight) ? weight : 0;
+}
+
+/**
+ * Evaluator-weighted mean of values, falling back to the plain mean when every weight is 0.
+ * @param {{value: number, evaluatorId: string}[]} entries The values and who gave them.
+ * @param {Object<string, number>} evaluatorWeights evaluatorId -> weight.
+ * @returns {number|string} The mean, or "" for no entries.
+ */
+function calculateStrategyWeightedMean(entries, evaluatorWeights) {
+  if (entries.length === 0) return "";
+  let weightedSum = 0;
+  let weightSum = 0;
+  entries.forEach(entry => {
+    const weight = getStrategyEvaluatorWeight(evaluatorWeights, entry.evaluatorId);
+    if (weight > 0) {
+      weightedSum += entry.value * weight;
+      weightSum += weight;
+    }
+  });
+  return weightSum > 0 ? weightedSum / weightSum : calculateMean(entries.map(entry => entry.value));
+}
+
+/**
+ * Rounds a strategy result for the sheet.
+ * @param {number|string} value The value ("" stays "").
+ * @param {number} decimals Decimal places.
+ * @returns {number|string} The rounded value.
+ */
+function roundStrategyValue(value, decimals) {
+  return typeof value === "number" && isFinite(value) ? parseFloat(value.toFixed(decimals)) : "";
+}
+
+/**
+ * The members of each production unit among the students being scored.
+ * @param {Object<string, Object>} students studentId -> student (productionUnit1/productionUnit2).
+ * @returns {Object<string, string[]>} unit -> studentIds.
+ */
+function getStrategyTeams(students) {
+  const teams = {};
+  Object.keys(students).forEach(studentId => {
+    [students[studentId].productionUnit1, students[studentId].productionUnit2].forEach(unit => {
+      if (!unit) return;
+      if (!teams[unit]) teams[unit] = [];
+      if (!teams[unit].includes(studentId)) teams[unit].push(studentId);
+    });
+  });
+  return teams;
+}
+
+/**
+ * Gathers each student's factors over their units.
+ * @param {Object<string, Object<string, *>>} unitFactors unit -> studentId -> the unit's factors.
+ * @param {function(*): (number|undefined)} pick Selects the factor from a student's unit entry.
+ * @returns {Object<string, number[]>} studentId -> the student's factor in each unit that has one.
+ */
+function collectUnitFactors(unitFactors, pick) {
+  const factorsByStudent = {};
+  Object.keys(unitFactors).forEach(unit => {
+    Object.keys(unitFactors[unit]).forEach(studentId => {
+      const factor = pick(unitFactors[unit][studentId]);
+      if (typeof factor !== "number") return;
+      if (!factorsByStudent[studentId]) factorsByStudent[studentId] = [];
+      factorsByStudent[studentId].push(factor);
+    });
+  });
+  return factorsByStudent;
+}
+
+/**
+ * Averages per-unit factors into one factor per student.
+ * @param {Object<string, number[]>} factorsByStudent studentId -> the student's factor in each unit.
+ * @param {string} studentId The student.
+ * @returns {number|string} The mean factor, or "" if the student got none.
+ */
+function averageUnitFactors(factorsByStudent, studentId) {
+  const factors = factorsByStudent[studentId] || [];
+  return factors.length > 0 ? calculateMean(factors) : "";
+}
+
+// ===================================================================================
+// PER-UNIT FACTORS
+// ===================================================================================
+
+/**
+ * The WebPA contribution factor of every rated student in each production unit. Each evaluator's
+ * marks are turned into shares of what they gave their unit; a student's factor is the average
+ * share received times the number of peers, so 1.0 is an equal contribution.
+ * @param {Object} context The scoring context (see {@link getScoringStrategy}).
+ * @returns {Object<string, Object<string, number>>} unit -> studentId -> factor (unrounded).
+ */
+function calculateWebpaUnitFactors(context) {
+  const scoreResponses = getStrategyScoreResponses(context, false, true);
+  const unitFactors = {};
+  const teams = getStrategyTeams(context.students);
+  Object.keys(teams).forEach(unit => {
+    const members = teams[unit];
+    unitFactors[unit] = {};
+    // evaluatorId -> peerId -> total marks given in this unit
+    const marksGiven = {};
+    scoreResponses.forEach(resp => {
+      if (resp.unitContextOfEvaluation !== unit || !members.includes(resp.evaluatedStudentId) ||
+          !resp.responseByStudentId || resp.responseByStudentId === resp.evaluatedStudentId) return;
+      const given = marksGiven[resp.responseByStudentId] = marksGiven[resp.responseByStudentId] || {};
+      given[resp.evaluatedStudentId] = (given[resp.evaluatedStudentId] || 0) + resp.responseValue;
+    });
+    const shares = {};
+    Object.keys(marksGiven).forEach(evaluatorId => {
+      const total = Object.values(marksGiven[evaluatorId]).reduce((sum, marks) => sum + marks, 0);
+      if (total <= 0) return;
+      members.forEach(peerId => {
+        if (peerId === evaluatorId) return;
+        if (!shares[peerId]) shares[peerId] = [];
+        shares[peerId].push((marksGiven[evaluatorId][peerId] || 0) / total);
+      });
+    });
+    members.forEach(studentId => {
+      if (!shares[studentId] || members.length < 2) return;
+      unitFactors[unit][studentId] = calculateMean(shares[studentId]) * (members.length - 1);
+    });
+  });
+  return unitFactors;
+}
+
+/**
+ * The SPARK factors of every rated student in each production unit: SPA (square root of the
+ * student's mean peer rating over the unit's) and SAPA (square root of their mean self-rating over
+ * their mean peer rating; only with self-ratings). A self-rating counts in every unit of the student,
+ * whichever unit it was given in.
+ * @param {Object} context The scoring context (see {@link getScoringStrategy}).
+ * @returns {Object<string, Object<string, {spa: (number|undefined), sapa: (number|undefined)}>>}
+ *   unit -> studentId -> factors (unrounded).
+ */
+function calculateSparkUnitFactors(context) {
+  const scoreResponses = getStrategyScoreResponses(context, false, true);
+  const selfScoreResponses = getStrategyScoreResponses(context, true, true);
+  const unitFactors = {};
+  const teams = getStrategyTeams(context.students);
+  Object.keys(teams).forEach(unit => {
+    const members = teams[unit];
+    unitFactors[unit] = {};
+    const peerRatings = {};
+    const selfRatings = {};
+    const addRating = (ratings, resp) => {
+      if (!ratings[resp.evaluatedStudentId]) ratings[resp.evaluatedStudentId] = [];
+      ratings[resp.evaluatedStudentId].push(resp.responseValue);
+    };
+    scoreResponses.forEach(resp => {
+      if (resp.unitContextOfEvaluation === unit && members.includes(resp.evaluatedStudentId)) addRating(peerRatings, resp);
+    });
+    selfScoreResponses.forEach(resp => {
+      if (members.includes(resp.evaluatedStudentId)) addRating(selfRatings, resp);
+    });
+    const rated = members.filter(studentId => peerRatings[studentId]);
+    if (rated.length === 0) return;
+    const teamMean = calculateMean(rated.map(studentId => calculateMean(peerRatings[studentId])));
+    rated.forEach(studentId => {
+      const peerMean = calculateMean(peerRatings[studentId]);
+      const factors = {};
+      if (teamMean > 0) factors.spa = Math.sqrt(peerMean / teamMean);
+      if (selfRatings[studentId] && peerMean > 0) factors.sapa = Math.sqrt(calculateMean(selfRatings[studentId]) / peerMean);
+      unitFactors[unit][studentId] = factors;
+    });
+  });
+  return unitFactors;
+}
+
+// ===================================================================================
+// STRATEGIES
+// ===================================================================================
+
+/**
+ * The weightedMean columns: the evaluator-weighted mean per question (on the question's scale)
+ * and the median of those means on the common scale.
+ * @param {Object} context The scoring context (see {@link getScoringStrategy}).
+ * @returns {Object<string, Array>} studentId -> the strategy's column values.
+ */
+// eslint-disable-next-line no-unused-vars
+function scoreWeightedMeanStrategy(context) {
+  const scoreResponses = getStrategyScoreResponses(context);
+  const commonScaleResponses = getStrategyScoreResponses(context, false, true);
+  const toEntries = (responses, studentId, questionId) => responses
+    .filter(resp => resp.evaluatedStudentId === studentId && resp.responseToQuestionId === questionId)
+    .map(resp => ({ value: resp.responseValue, evaluatorId: resp.responseByStudentId }));
+  const results = {};
+  context.studentIds.forEach(studentId => {
+    // The median is taken over the question means on the common scale
+    const questionScores = [];
+    const row = context.questionIds.map(questionId => {
+      const entries = toEntries(scoreResponses, studentId, questionId);
+      const score = calculateStrategyWeightedMean(entries, context.evaluatorWeights);
+      if (score !== "" && entries.every(entry => getStrategyEvaluatorWeight(context.evaluatorWeights, entry.evaluatorId) <= 0)) {
+        Logger.log(`Info: Zero total weight for ${studentId} on ${questionId}. Using MEAN of ${entries.length} unweighted scores as fallback.`);
+      }
+      if (score !== "") {
+        questionScores.push(calculateStrategyWeightedMean(toEntries(commonScaleResponses, studentId, questionId), context.evaluatorWeights));
+      }
+      return roundStrategyValue(score, 2);
+    });
+    const median = questionScores.length > 0 ? calculateMedianFromArray(questionScores) : "";
+    results[studentId] = row.concat([roundStrategyValue(median, 2)]);
+  });
+  return results;
+}
+
+/**
+ * The webpa column: each student's WebPA factor, averaged over their units.
+ * @param {Object} context The scoring context (see {@link getScoringStrategy}).
+ * @returns {Object<string, Array>} studentId -> the strategy's column values.
+ */
+// eslint-disable-next-line no-unused-vars
+function scoreWebpaStrategy(context) {
+  const factorsByStudent = collectUnitFactors(calculateWebpaUnitFactors(context), factor => factor);
+  const results = {};
+  context.studentIds.forEach(studentId => {
+    results[studentId] = [roundStrategyValue(averageUnitFactors(factorsByStudent, studentId), 3)];
+  });
+  return results;
+}
+
+/**
+ * The spark columns: each student's SPARK SPA and SAPA factors, averaged over their units.
+ * @param {Object} context The scoring context (see {@link getScoringStrategy}).
+ * @returns {Object<string, Array>} studentId -> the strategy's column values.
+ */
+// eslint-disable-next-line no-unused-vars
+function scoreSparkStrategy(context) {
+  const unitFactors = calculateSparkUnitFactors(context);
+  const spaByStudent = collectUnitFactors(unitFactors, factors => factors.spa);
+  const sapaByStudent = collectUnitFactors(unitFactors, factors => factors.sapa);
+  const results = {};
+  context.studentIds.forEach(studentId => {
+    results[studentId] = [
+      roundStrategyValue(averageUnitFactors(spaByStudent, studentId), 3),
+      roundStrategyValue(averageUnitFactors(sapaByStudent, studentId), 3)
+    ];
+  });
+  return results;
+}
+
+/**
+ * The zScore columns: the evaluator-weighted mean z-score per question and overall.
+ * @param {Object} context The scoring context (see {@link getScoringStrategy}).
+ * @returns {Object<string, Array>} studentId -> the strategy's column values.
+ */
+// eslint-disable-next-line no-unused-vars
+function scoreZScoreStrategy(context) {
+  const scoreResponses = getStrategyScoreResponses(context, false, true);
+  // Evaluators who gave a single value (or one score) carry no relative information: z = 0
+  const evaluatorStats = {};
+  scoreResponses.forEach(resp => {
+    if (!evaluatorStats[resp.responseByStudentId]) evaluatorStats[resp.responseByStudentId] = [];
+    evaluatorStats[resp.responseByStudentId].push(resp.responseValue);
+  });
+  Object.keys(evaluatorStats).forEach(evaluatorId => {
+    const scores = evaluatorStats[evaluatorId];
+    evaluatorStats[evaluatorId] = { mean: calculateMean(scores), sd: calculateStdDev(scores) };
+  });
+  const toEntry = resp => {
+    const stats = evaluatorStats[resp.responseByStudentId];
+    return { value: stats.sd > 0 ? (resp.responseValue - stats.mean) / stats.sd : 0, evaluatorId: resp.responseByStudentId };
+  };
+
+  const results = {};
+  context.studentIds.forEach(studentId => {
+    const received = scoreResponses.filter(resp => resp.evaluatedStudentId === studentId);
+    const row = context.questionIds.map(questionId => roundStrategyValue(calculateStrategyWeightedMean(
+      received.filter(resp => resp.responseToQuestionId === questionId).map(toEntry), context.evaluatorWeights), 2));
+    row.push(roundStrategyValue(calculateStrategyWeightedMean(received.map(toEntry), context.evaluatorWeights), 2));
+    results[studentId] = row;
+  });
+  return results;
+}
+
+// ===================================================================================
+// SELECTION
+// ===================================================================================
+
+/**
+ * Parses a list of strategy names.
+ * @param {string|string[]} value E.g. "weightedMean, webpa" or ["spark"].
+ * @param {string} source Where the list came from (for error messages).
+ * @returns {string[]} The strategy names, without duplicates.
+ * @throws {Error} If a name is not a strategy or the list is empty.
+ */
+function parseScoringStrategyList(value, source) {
+  const names = (Array.isArray(value) ? value : value.toString().split(/[,;]/))
+    .map(name => name.toString().trim())
+    .filter(name => name !== "");
+  const strategies = [];
+  names.forEach(name => {
+    const strategyName = Object.keys(SCORING_STRATEGIES).find(key => key.toLowerCase() === name.toLowerCase());
+    if (!strategyName) {
+      throw new Error(`Unknown scoring strategy "${name}" in ${source} (use ${Object.keys(SCORING_STRATEGIES).join(", ")})`);
+    }
+    if (!strategies.includes(strategyName)) strategies.push(strategyName);
+  });
+  if (strategies.length === 0) {
+    throw new Error(`No scoring strategy selected in ${source}`);
+  }
+  return strategies;
+}
+
+/**
+ * Decides which strategies a scoring run uses: the run's `strategies` option, else the
+ * SCORING_STRATEGIES script property, else DEFAULT_SCORING_STRATEGIES.
+ * @param {Object} [options] The workflow options.
+ * @returns {string[]} The strategy names, in column order.
+ * @throws {Error} If a strategy is unknown.
+ */
+// eslint-disable-next-line no-unused-vars
+function resolveScoringStrategies(options) {
+  if (options && typeof options === "object" && options.strategies) {
+    return parseScoringStrategyList(options.strategies, "the strategies option");
+  }
+  const property = PropertiesService.getScriptProperties().getProperty(SCORING_STRATEGIES_PROPERTY_KEY);
+  if (property) {
+    return parseScoringStrategyList(property, `the ${SCORING_STRATEGIES_PROPERTY_KEY} script property`);
+  }
+  return parseScoringStrategyList(DEFAULT_SCORING_STRATEGIES, "DEFAULT_SCORING_STRATEGIES");
+}
+
+/**
+ * Looks up a strategy. Its `scoreStudents` receives the scoring context
+ * `{studentIds, students, questionIds, responses, commonScaleResponses, evaluatorWeights}`: the
+ * active students (in output order and by ID), the sorted question IDs, the parsed responses, the
+ * same responses with every rating on DEFAULT_RATING_SCALE (see normalizeScoreResponses) and the
+ * evaluator weights.
+ * @param {string} name A name returned by {@link resolveScoringStrategies}.
+ * @returns {Object} The strategy.
+ */
+// eslint-disable-next-line no-unused-vars
+function getScoringStrategy(name) {
+  return SCORING_STRATEGIES[name];
+}
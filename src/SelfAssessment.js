@@ -0,0 +1,83 @@
+/* global DEFAULT_SELF_ASSESSMENT_ENABLED, SELF_ASSESSMENT_PROPERTY_KEY, calculateMean */
+
+/**
+ * @file SelfAssessment.js
+ * @description The optional self-assessment mode. When it is on, students get a "Rate yourself"
+ * card next to their peers in the assessment form, and the submission handler stores those
+ * ratings with assessmentType "SELF". Self-ratings never count as peer ratings: the scoring
+ * strategies, the evaluator analytics and the peer factors leave them out (SPARK's SAPA factor is
+ * the one calculation that uses them). What they are for is the comparison with the peers'
+ * ratings, written by the scoring workflow to 'PaSelfAssessment' as each student's self-vs-peer gap.
+ *
+ * @requires Config.js (for DEFAULT_SELF_ASSESSMENT_ENABLED and SELF_ASSESSMENT_PROPERTY_KEY)
+ * @requires Utils.js (for calculateMean)
+ */
+
+/**
+ * Whether students rate themselves: the SELF_ASSESSMENT script property ("true" or "false"),
+ * else DEFAULT_SELF_ASSESSMENT_ENABLED.
+ * @returns {boolean} True in the self-assessment mode.
+ * @throws {Error} If the script property is neither "true" nor "false".
+ */
+// eslint-disable-next-line no-unused-vars
+function isSelfAssessmentEnabled() {
+  const property = PropertiesService.getScriptProperties().getProperty(SELF_ASSESSMENT_PROPERTY_KEY);
+  if (property === null || property === undefined || property.toString().trim() === "") return DEFAULT_SELF_ASSESSMENT_ENABLED;
+  const value = property.toString().trim().toLowerCase();
+  if (value !== "true" && value !== "false") {
+    throw new Error(`Invalid ${SELF_ASSESSMENT_PROPERTY_KEY} script property "${property}" (use true or false)`);
+  }
+  return value === "true";
+}
+
+/**
+ * Whether a parsed response is a student's rating of themselves. Rows written before the
+ * assessmentType column existed are recognised by their evaluator being the evaluated student.
+ * @param {Object} response A parsed response (see parseRawSurveyData).
+ * @returns {boolean} True for a self-assessment.
+ */
+function isSelfAssessmentResponse(response) {
+  return response.isSelfAssessment === true ||
+    (!!response.responseByStudentId && response.responseByStudentId === response.evaluatedStudentId);
+}
+
+/**
+ * Compares every student's self-ratings with their peers' ratings (see PA_SELF_ASSESSMENT_HEADERS).
+ * Plain means are used on both sides, as in SPARK: the gap is about how the student sees their
+ * contribution, not about how reliable each peer is. Each question is compared on its own scale,
+ * OVERALL on DEFAULT_RATING_SCALE.
+ * @param {Object} context The scoring context `{studentIds, students, questionIds, responses,
+ *   commonScaleResponses}` (see getScoringStrategy), with the self-ratings still in the responses.
+ * @returns {Array[]} Rows in the order of context.studentIds; per student, each question, then "OVERALL".
+ */
+// eslint-disable-next-line no-unused-vars
+function createSelfAssessmentRows(context) {
+  const round = value => typeof value === "number" && isFinite(value) ? parseFloat(value.toFixed(2)) : "";
+  const toScoreResponses = responses => responses.filter(resp => resp.responseType === "SCORE" &&
+    typeof resp.responseValue === "number" && !isNaN(resp.responseValue) &&
+    context.questionIds.includes(resp.responseToQuestionId));
+  const scoreResponses = toScoreResponses(context.responses);
+  const commonScaleResponses = toScoreResponses(context.commonScaleResponses);
+
+  const rows = [];
+  context.studentIds.forEach(studentId => {
+    const student = context.students[studentId];
+    const received = scoreResponses.filter(resp => resp.evaluatedStudentId === studentId);
+    const addRow = (questionId, responses) => {
+      const selfScores = responses.filter(isSelfAssessmentResponse).map(resp => resp.responseValue);
+      const peerResponses = responses.filter(resp => !isSelfAssessmentResponse(resp));
+      const selfScore = selfScores.length > 0 ? calculateMean(selfScores) : "";
+      const peerScore = peerResponses.length > 0 ? calculateMean(peerResponses.map(resp => resp.responseValue)) : "";
+      rows.push([
+        studentId, student.studentName || `[Name missing for ${studentId}]`, questionId,
+        round(selfScore), round(peerScore), new Set(peerResponses.map(resp => resp.responseByStudentId)).size,
+        selfScore !== "" && peerScore !== "" ? round(selfScore - peerScore) : ""
+      ]);
+    };
+    context.questionIds.forEach(questionId => {
+      addRow(questionId, received.filter(resp => resp.responseToQuestionId === questionId));
+    });
+    addRow("OVERALL", commonScaleResponses.filter(resp => resp.evaluatedStudentId === studentId));
+  });
+  return rows;
+}
@@ -1,10 +1,11 @@
-/* global PA_EVALUATOR_ANALYTICS_SHEET_NAME, PA_FINAL_SCORES_SUMMARY_SHEET_NAME, PA_REPORT_ALL_RESPONSES_SHEET_NAME, PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME, PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME*/
+/* global PA_EVALUATOR_ANALYTICS_SHEET_NAME, PA_WEIGHT_EXPLANATIONS_SHEET_NAME, PA_RASCH_MEASURES_SHEET_NAME, PA_RELIABILITY_SHEET_NAME, PA_COLLUSION_REVIEW_SHEET_NAME, PA_SUBMISSION_QUALITY_SHEET_NAME, PA_FINAL_SCORES_SUMMARY_SHEET_NAME, PA_SCORE_CONFIDENCE_SHEET_NAME, PA_SELF_ASSESSMENT_SHEET_NAME, PA_FINAL_GRADES_SHEET_NAME, PA_REPORT_ALL_RESPONSES_SHEET_NAME, PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME, PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME, requireWorkflowAccess*/
 
 /**
  * @file SheetUtils.js
  * @description This file provides utility functions for managing (primarily clearing)
  * various output sheets used in the Peer Assessment system. These functions are
- * typically invoked from the custom menu in Google Sheets.
+ * typically invoked from the custom menu in Google Sheets. Like the workflows, they may only be
+ * run by staff who can run workflows for all units (see requireWorkflowAccess in AccessGuard.js).
  *
  * @requires Config.gs (for sheet name constants like PA_EVALUATOR_ANALYTICS_SHEET_NAME)
  */
@@ -25,6 +26,7 @@
 // This function is called by other functions in this file which are menu items.
 // ESLint might not trace this usage back effectively, so we disable the warning.
 function clearSpecifiedSheets(sheetNamesArray, keepHeaders = true) {
+  requireWorkflowAccess("clearSpecifiedSheets");
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const ui = SpreadsheetApp.getUi(); // Using SpreadsheetApp.getUi() for consistency
   let clearedCount = 0;
@@ -77,23 +79,36 @@ function clearSpecifiedSheets(sheetNamesArray, keepHeaders = true) {
 // We use eslint-disable-next-line to acknowledge this.
 
 /**
- * Clears content (below headers) from the 'PaEvaluatorAnalytics' sheet.
+ * Clears content (below headers) from the 'PaEvaluatorAnalytics' sheet and the
+ * 'PaWeightExplanations', 'PaRaschMeasures', 'PaReliability', 'PaCollusionReview' and 'PaSubmissionQuality'
+ * sheets written with it.
  * Invoked from the custom menu.
  * @function clearEvaluatorAnalyticsSheet
  */
 // eslint-disable-next-line no-unused-vars
 function clearEvaluatorAnalyticsSheet() {
-  clearSpecifiedSheets([PA_EVALUATOR_ANALYTICS_SHEET_NAME], true); 
+  clearSpecifiedSheets([PA_EVALUATOR_ANALYTICS_SHEET_NAME, PA_WEIGHT_EXPLANATIONS_SHEET_NAME, PA_RASCH_MEASURES_SHEET_NAME, PA_RELIABILITY_SHEET_NAME, PA_COLLUSION_REVIEW_SHEET_NAME, PA_SUBMISSION_QUALITY_SHEET_NAME], true); 
 }
 
 /**
- * Clears content (below headers) from the 'PaFinalScoresSummary' sheet.
+ * Clears content (below headers) from the 'PaFinalScoresSummary' sheet and its 'PaScoreConfidence' and
+ * 'PaSelfAssessment' companions.
  * Invoked from the custom menu.
  * @function clearFinalScoresSummarySheet
  */
 // eslint-disable-next-line no-unused-vars
 function clearFinalScoresSummarySheet() {
-  clearSpecifiedSheets([PA_FINAL_SCORES_SUMMARY_SHEET_NAME], true); 
+  clearSpecifiedSheets([PA_FINAL_SCORES_SUMMARY_SHEET_NAME, PA_SCORE_CONFIDENCE_SHEET_NAME, PA_SELF_ASSESSMENT_SHEET_NAME], true); 
+}
+
+/**
+ * Clears content (below headers) from the 'PaFinalGrades' sheet.
+ * Invoked from the custom menu.
+ * @function clearFinalGradesSheet
+ */
+// eslint-disable-next-line no-unused-vars
+function clearFinalGradesSheet() {
+  clearSpecifiedSheets([PA_FINAL_GRADES_SHEET_NAME], true);
 }
 
 /**
@@ -142,7 +157,15 @@ function clearALLOutputSheets() {
   if (result === ui.Button.YES) {
     const sheetsToClear = [
       PA_EVALUATOR_ANALYTICS_SHEET_NAME,
+      PA_WEIGHT_EXPLANATIONS_SHEET_NAME,
+      PA_RASCH_MEASURES_SHEET_NAME,
+      PA_RELIABILITY_SHEET_NAME,
+      PA_COLLUSION_REVIEW_SHEET_NAME,
+      PA_SUBMISSION_QUALITY_SHEET_NAME,
       PA_FINAL_SCORES_SUMMARY_SHEET_NAME,
+      PA_SCORE_CONFIDENCE_SHEET_NAME,
+      PA_SELF_ASSESSMENT_SHEET_NAME,
+      PA_FINAL_GRADES_SHEET_NAME,
       PA_REPORT_ALL_RESPONSES_SHEET_NAME,
       PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME,
       PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME
@@ -0,0 +1,179 @@
+/* global PA_STAFF_SHEET_NAME, STAFF_ROLE_PERMISSIONS, getStorageAdapter, getInstitutionProfile, isValidInstitutionEmail, normalizeUnitCode, normalizeRegisteredProductionUnit, getProductionUnits */
+
+/**
+ * @file StaffRoles.js
+ * @description Staff roles for the dashboard, managed in the optional 'PaStaff' sheet
+ * (email, name, role, units). Roles are owner, instructor, ta (teaching assistant) and observer;
+ * STAFF_ROLE_PERMISSIONS (Config.js) lists what each role may do. A staff member with units is
+ * limited to those production units: a TA for unit B only sees unit B statistics, analytics and
+ * revision history. Owners always see every unit.
+ *
+ * The instructorEmails of the institution profile are instructors for all units even without a
+ * 'PaStaff' row, so a new deployment is never locked out; a 'PaStaff' row for the same address wins.
+ *
+ * @requires Config.js (for PA_STAFF_SHEET_NAME and STAFF_ROLE_PERMISSIONS)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires InstitutionProfile.js (for getInstitutionProfile)
+ * @requires Utils.js (for isValidInstitutionEmail)
+ * @requires ProductionUnits.js (for the unit registry)
+ */
+
+// ===================================================================================
+// STAFF DIRECTORY
+// ===================================================================================
+
+/**
+ * Splits a 'units' cell into unit codes ("Unit B" is read as "B"). Units retired in 'PaUnits'
+ * are kept, so retiring a unit does not invalidate the staff directory.
+ * @param {*} value The cell value; blank means all units.
+ * @returns {string[]} The units, de-duplicated.
+ * @throws {Error} If an entry is not a unit of the 'PaUnits' registry.
+ */
+function parseStaffUnits(value) {
+  if (value === null || value === undefined) return [];
+  const units = [];
+  value.toString().split(/[,;]/).forEach(item => {
+    const unit = normalizeUnitCode(item);
+    if (!unit) return;
+    if (!getProductionUnits().some(candidate => candidate.unitCode === unit)) {
+      throw new Error(`"${item.trim()}" is not a valid production unit`);
+    }
+    if (!units.includes(unit)) units.push(unit);
+  });
+  return units;
+}
+
+/**
+ * Creates a staff member from a 'PaStaff' record.
+ * @param {Object<string, *>} record A record keyed by PA_STAFF_HEADERS.
+ * @returns {{email: string, name: string, role: string, units: string[]}} `units` is empty for all units.
+ * @throws {Error} If the email or role is invalid.
+ */
+function createStaffMember(record) {
+  const email = record.email ? record.email.toString().trim().toLowerCase() : "";
+  if (!isValidInstitutionEmail(email)) {
+    throw new Error(`"${email}" is not a valid institutional email`);
+  }
+  const role = record.role ? record.role.toString().trim().toLowerCase() : "";
+  if (!Object.prototype.hasOwnProperty.call(STAFF_ROLE_PERMISSIONS, role)) {
+    throw new Error(`Unknown role "${record.role}" (use ${Object.keys(STAFF_ROLE_PERMISSIONS).join(", ")})`);
+  }
+  return {
+    email,
+    name: record.name ? record.name.toString().trim() : "",
+    role,
+    units: role === "owner" ? [] : parseStaffUnits(record.units)
+  };
+}
+
+/**
+ * Reads the staff directory: the valid 'PaStaff' rows (invalid rows are logged and skipped; the
+ * first row for an email wins), then the profile's instructorEmails that have no row of their own.
+ * @returns {object[]} The staff members.
+ */
+function getStaffDirectory_() {
+  const table = getStorageAdapter().staff.read();
+  const staff = [];
+
+  (table ? table.records : []).forEach((record, index) => {
+    if (Object.values(record).every(value => value === null || value === undefined || value.toString().trim() === "")) return;
+    try {
+      const member = createStaffMember(record);
+      if (staff.some(existing => existing.email === member.email)) {
+        Logger.log(`getStaffDirectory WARNING: Duplicate email ${member.email} in "${PA_STAFF_SHEET_NAME}" row ${index + 2}. Skipping.`);
+        return;
+      }
+      staff.push(member);
+    } catch (error) {
+      Logger.log(`getStaffDirectory WARNING: Skipping "${PA_STAFF_SHEET_NAME}" row ${index + 2}: ${error.message}`);
+    }
+  });
+
+  getInstitutionProfile().instructorEmails.forEach(email => {
+    if (!staff.some(existing => existing.email === email)) {
+      staff.push({ email, name: "", role: "instructor", units: [] });
+    }
+  });
+  return staff;
+}
+
+/**
+ * @param {string} email The email to look up (case-insensitive).
+ * @param {object[]} [staff] Staff to search; defaults to the staff directory.
+ * @returns {object|null} The staff member, or null if the email is not staff.
+ */
+// eslint-disable-next-line no-unused-vars
+function findStaffMember_(email, staff = getStaffDirectory_()) {
+  if (typeof email !== "string") return null;
+  const normalizedEmail = email.trim().toLowerCase();
+  return staff.find(member => member.email === normalizedEmail) || null;
+}
+
+// ===================================================================================
+// ROLE AND SCOPE CHECKS
+// ===================================================================================
+
+/**
+ * @param {object} member A staff member (or a staff session, which has `staffRole`).
+ * @param {string} permission A permission from STAFF_ROLE_PERMISSIONS.
+ * @returns {boolean} True if the member's role grants the permission.
+ */
+// eslint-disable-next-line no-unused-vars
+function staffHasPermission(member, permission) {
+  const role = member.staffRole || member.role;
+  return (STAFF_ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * @param {object} member A staff member (or a staff session, which has `staffUnits`).
+ * @returns {string[]} The member's units; empty when the member sees every unit.
+ */
+function getStaffUnitScope(member) {
+  return (member.staffUnits || member.units || []).slice();
+}
+
+/**
+ * @param {object} member A staff member or staff session.
+ * @param {string|string[]} units A unit, or the units of a student (unit1, unit2).
+ * @returns {boolean} True if the member may see data of (at least one of) the units.
+ */
+// eslint-disable-next-line no-unused-vars
+function staffCanAccessUnit(member, units) {
+  const scope = getStaffUnitScope(member);
+  if (scope.length === 0) return true;
+  return [].concat(units).some(unit => scope.includes(normalizeUnitCode(unit)));
+}
+
+/**
+ * The session fields that describe a staff member's role and scope.
+ * @param {object} member A staff member.
+ * @returns {{isStaff: boolean, staffRole: string, staffName: string, staffUnits: string[], permissions: string[]}}
+ */
+// eslint-disable-next-line no-unused-vars
+function getStaffSessionFields(member) {
+  return {
+    isStaff: true,
+    staffRole: member.role,
+    staffName: member.name,
+    staffUnits: member.units.slice(),
+    permissions: STAFF_ROLE_PERMISSIONS[member.role].slice()
+  };
+}
+
+/**
+ * Maps student IDs to the production units they belong to, for unit-scoped staff checks.
+ * @returns {Object<string, string[]>} studentId -> [unit1, unit2] (blank units omitted).
+ */
+// eslint-disable-next-line no-unused-vars
+function getStudentUnitsById_() {
+  const table = getStorageAdapter().students.read();
+  const unitsById = {};
+  (table ? table.records : []).forEach(record => {
+    const studentId = record.studentId ? record.studentId.toString().trim().toUpperCase() : "";
+    if (!studentId) return;
+    unitsById[studentId] = [record.unit1, record.unit2]
+      .map(unit => normalizeRegisteredProductionUnit(unit))
+      .filter(unit => unit !== "");
+  });
+  return unitsById;
+}
@@ -1,15 +1,39 @@
-/* global PA_RAW_SUBMISSIONS_V2_SHEET_NAME, isValidShuEmail, isValidProductionUnit, validateAssessmentPermission */
+/* global PA_RAW_SUBMISSIONS_V2_SHEET_NAME, isSelfAssessmentEnabled, isValidInstitutionEmail, isValidStudentId, getInstitutionProfile, normalizeUnitCode, normalizeProductionUnit, getActiveProductionUnitCodes, validateAssessmentPermission, getStorageAdapter, withScriptLock, isSupersededSubmission, getSubmissionRevision, PA_ASSESSMENT_ROUNDS_SHEET_NAME, getAssessmentRounds, findAssessmentRound, getActiveAssessmentRound, isAssessmentRoundOpen, assessmentRoundIncludesUnit, assessmentRoundIncludesQuestion, deleteSubmittedDrafts_, authorizeCall, denyAccess, recordAccessAudit_, staffCanAccessUnit, getStudentUnitsById_, getQuestionDefinitions, getQuestionResponseTypes, isTeammateQuestion, isOnRatingScale, describeRatingScale, POINT_ALLOCATION_TOTAL, SHORT_TEXT_MAX_LENGTH, DEFAULT_RATING_SCALE */
 
 /**
  * @file SubmissionHandler.js
  * @description Enhanced submission handler for the improved assessment interface
  * Handles individual and batch submissions with better validation and tracking
+ * Reads and writes 'PaRawSubmissionsV2' through the submission repository (see Repositories.js).
+ * The sheet is append-only: a re-submission is stored as a new revision and the rows it replaces
+ * are marked with `supersededBy` instead of being deleted. The read-check-mark-append sequence
+ * runs under the script lock so concurrent submissions cannot interleave.
+ * When assessment rounds are configured (see AssessmentRounds.js), every response is stamped with
+ * its roundId and responses outside the round's open window are rejected.
+ * Submitting an evaluation deletes its autosaved draft (see DraftHandler.js).
+ * Only signed-in students can submit, and the evaluator of every response is the signed-in
+ * student: evaluatorId/evaluatorEmail sent by the browser are overwritten (see AccessGuard.js).
+ * Students in two production units evaluate the members of both; each response records the unit
+ * it was given in (unitContextOfEvaluation), checked against the session's unit member lists.
+ * The form's telemetry (formOpenedAt, formSubmittedAt, ratingChanges) is optional: values that
+ * cannot be used are stored blank rather than failing the submission.
+ * In the self-assessment mode (see SelfAssessment.js) a student may also evaluate themselves; those
+ * responses are stored with assessmentType 'SELF', all others with 'PEER'.
+ * Answers are validated against the type of their question (see QuestionTypes.js): SCORE
+ * ratings on the question's scale, TEXT, CHOICE, RANK or POINTS answers, and COMMENTs. Ranks and points are checked
+ * against the unit's team, together with the evaluator's current answers for the other teammates in
+ * the same round (the form submits one teammate at a time): a rank is at most the number of
+ * teammates and not given twice, and no more than POINT_ALLOCATION_TOTAL points are split. This
+ * check runs under the script lock, with the stored answers read there.
  */
 
 /**
  * Enhanced submission handler that supports both individual and batch submissions
  * @param {Array} submissions - Array of submission objects from the frontend
- * @returns {Object} Result object with success status and detailed information
+ * @returns {Object} Result object with success status and detailed information.
+ *   When the script lock cannot be taken the result is `{success: false, conflict: true, error}`
+ *   and nothing has been written, so the client can safely resubmit.
+ *   When the assessment round is not open the result is `{success: false, roundClosed: true, error}`.
  */
 
 
@@ -18,27 +42,23 @@ function submitPeerAssessments(submissions) {
   try {
     Logger.log(`Received ${submissions.length} assessment submissions for processing`);
     
+    // The evaluator is whoever is signed in, whatever the browser sent
+    const userSession = authorizeCall('submitPeerAssessments', { audience: 'student', action: 'submit peer assessments' });
+    
     // Validate input
     if (!submissions || !Array.isArray(submissions) || submissions.length === 0) {
       throw new Error("No valid submissions provided");
     }
     
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let targetSheet = ss.getSheetByName(PA_RAW_SUBMISSIONS_V2_SHEET_NAME);
-    
-    // Create sheet if it doesn't exist
-    if (!targetSheet) {
-      targetSheet = ss.insertSheet(PA_RAW_SUBMISSIONS_V2_SHEET_NAME);
-      const headers = [
-        "submissionId", "responseId", "timestamp", "evaluatorId", "evaluatorEmail", 
-        "evaluatedStudentId", "evaluatedStudentName", "unitContextOfEvaluation", 
-        "questionId", "responseType", "responseValue"
-      ];
-      targetSheet.appendRow(headers);
-      targetSheet.getRange(1, 1, 1, headers.length).setFontWeight("bold").setHorizontalAlignment("center");
-      targetSheet.setFrozenRows(1);
-      Logger.log(`Created new sheet: ${PA_RAW_SUBMISSIONS_V2_SHEET_NAME}`);
+    const replacedEvaluators = applySessionEvaluator(submissions, userSession);
+    if (replacedEvaluators.length > 0) {
+      recordAccessAudit_('submitPeerAssessments', userSession, 'overridden',
+        `Client sent evaluator ${replacedEvaluators.join(', ')}; stored as ${userSession.studentId} <${userSession.email}>`);
     }
+    applyEvaluationUnitContext(submissions, userSession);
+    
+    const submissionRepository = getStorageAdapter().submissions;
+    const questions = getQuestionDefinitions();
     
     // Validate and process submissions
     const validatedSubmissions = [];
@@ -47,7 +67,7 @@ function submitPeerAssessments(submissions) {
     
     submissions.forEach((submission, index) => {
       try {
-        const validatedSubmission = validateAndFormatSubmission(submission);
+        const validatedSubmission = validateAndFormatSubmission(submission, questions);
         if (validatedSubmission) {
           validatedSubmissions.push(validatedSubmission);
         }
@@ -65,37 +85,67 @@ function submitPeerAssessments(submissions) {
       throw new Error("No valid submissions to process after validation");
     }
     
-    // Check for duplicate submissions and handle overwrites
-    const existingData = getExistingSubmissions(targetSheet);
-    const duplicateHandling = handleDuplicateSubmissions(validatedSubmissions, existingData);
-    
-    // Remove old submissions if overwriting
-    if (duplicateHandling.toRemove.length > 0) {
-      removeDuplicateSubmissions(targetSheet, duplicateHandling.toRemove);
-      Logger.log(`Removed ${duplicateHandling.toRemove.length} duplicate submissions for overwrite`);
-    }
-    
-    // Prepare data rows for batch insertion
-    const dataRows = validatedSubmissions.map(submission => [
-      submission.submissionId,
-      submission.responseId,
-      submission.timestamp,
-      submission.evaluatorId,
-      submission.evaluatorEmail,
-      submission.evaluatedStudentId,
-      submission.evaluatedStudentName,
-      submission.unitContextOfEvaluation,
-      submission.questionId,
-      submission.responseType,
-      submission.responseValue
-    ]);
-    
-    // Insert all data in one batch operation for better performance
-    if (dataRows.length > 0) {
-      targetSheet.getRange(targetSheet.getLastRow() + 1, 1, dataRows.length, dataRows[0].length)
-                 .setValues(dataRows);
+    // Stamp the assessment round; the window is checked against server time, not the client timestamp
+    const roundErrors = assignSubmissionRounds(validatedSubmissions, new Date());
+    if (roundErrors.length > 0) {
+      Logger.log(`Round errors: ${roundErrors.join('; ')}`);
+      return {
+        success: false,
+        roundClosed: true,
+        error: roundErrors.join('; ')
+      };
+    }
+    
+    // Everything from reading existing rows to appending new ones must happen under the lock
+    const lockOutcome = withScriptLock(() => {
+      // Create sheet (and any missing headers) if it doesn't exist
+      submissionRepository.ensureSheet();
+      
+      // Ranks and points must fit the team together with the answers already stored for other teammates
+      const existingData = getExistingSubmissions(submissionRepository);
+      const teammateErrors = validateTeammateAnswers(validatedSubmissions, userSession, existingData);
+      if (teammateErrors.length > 0) {
+        return { errors: teammateErrors };
+      }
       
-      Logger.log(`Successfully inserted ${dataRows.length} assessment responses into ${PA_RAW_SUBMISSIONS_V2_SHEET_NAME}`);
+      // Number each response as the next revision of its evaluator/evaluated/question/type
+      const revisionPlan = planSubmissionRevisions(validatedSubmissions, existingData);
+      
+      // Point the rows being replaced at their replacements (nothing is deleted)
+      let supersededCount = 0;
+      if (revisionPlan.replacements.size > 0) {
+        supersededCount = submissionRepository.markSuperseded(record => 
+          isSupersededSubmission(record) ? null : (revisionPlan.replacements.get(getSubmissionKey(record)) || null)
+        );
+        Logger.log(`Marked ${supersededCount} earlier responses as superseded`);
+      }
+      
+      // Insert all data in one batch operation for better performance
+      submissionRepository.append(validatedSubmissions);
+      Logger.log(`Successfully inserted ${validatedSubmissions.length} assessment responses into ${PA_RAW_SUBMISSIONS_V2_SHEET_NAME}`);
+      
+      // The submitted answers replace the autosaved drafts; a leftover draft is harmless
+      try {
+        deleteSubmittedDrafts_(validatedSubmissions);
+      } catch (error) {
+        Logger.log(`Could not delete submitted drafts: ${error.message}`);
+      }
+      return { errors: [], supersededCount };
+    });
+    
+    if (!lockOutcome.acquired) {
+      Logger.log(`submitPeerAssessments: could not acquire the submission lock after ${lockOutcome.attempts} attempts`);
+      return {
+        success: false,
+        conflict: true,
+        error: "Another submission is being saved right now, so yours was not saved. Please submit again in a moment."
+      };
+    }
+    
+    if (lockOutcome.result.errors.length > 0) {
+      const teammateErrors = lockOutcome.result.errors;
+      Logger.log(`Validation errors: ${teammateErrors.join('; ')}`);
+      throw new Error(`Validation failed for ${teammateErrors.length} submissions: ${teammateErrors.join('; ')}`);
     }
     
     // Generate detailed submission summary
@@ -106,7 +156,7 @@ function submitPeerAssessments(submissions) {
       success: true,
       message: `Successfully submitted ${validatedSubmissions.length} assessment responses`,
       inserted: validatedSubmissions.length,
-      overwritten: duplicateHandling.toRemove.length,
+      superseded: lockOutcome.result.supersededCount,
       summary: submissionSummary
     };
     
@@ -119,6 +169,50 @@ function submitPeerAssessments(submissions) {
   }
 }
 
+/**
+ * Overwrites the evaluator fields of each submission with the signed-in student's
+ * @param {Array} submissions - Submissions from the frontend (changed in place)
+ * @param {Object} userSession - The signed-in student's session
+ * @returns {string[]} The distinct client-supplied evaluators that differed from the session ("ID <email>")
+ */
+function applySessionEvaluator(submissions, userSession) {
+  const replaced = new Set();
+  submissions.forEach(submission => {
+    if (!submission || typeof submission !== 'object') return;
+    const clientId = (submission.evaluatorId || '').toString().trim().toUpperCase();
+    const clientEmail = (submission.evaluatorEmail || '').toString().trim().toLowerCase();
+    if (clientId !== userSession.studentId || clientEmail !== userSession.email.toLowerCase()) {
+      replaced.add(`${clientId || '(none)'} <${clientEmail || 'none'}>`);
+    }
+    submission.evaluatorId = userSession.studentId;
+    submission.evaluatorEmail = userSession.email;
+  });
+  return Array.from(replaced);
+}
+
+/**
+ * Sets the unit each peer is evaluated in. A student in two units evaluates the members of both;
+ * the client's unitContextOfEvaluation is kept when the peer is in that unit, otherwise the first
+ * unit the two students share (from the session) is used. Peers outside the student's units are
+ * left alone and rejected by validateAndFormatSubmission. A self-assessment may be given in any of
+ * the student's units.
+ * @param {Array} submissions - Submissions from the frontend (changed in place)
+ * @param {Object} userSession - The signed-in student's session (with unitMembersByUnit)
+ */
+function applyEvaluationUnitContext(submissions, userSession) {
+  const unitMembersByUnit = userSession.unitMembersByUnit || {};
+  submissions.forEach(submission => {
+    if (!submission || typeof submission !== 'object') return;
+    const evaluatedId = (submission.evaluatedStudentId || '').toString().trim().toUpperCase();
+    const sharedUnits = Object.keys(unitMembersByUnit)
+      .filter(unit => evaluatedId === userSession.studentId || unitMembersByUnit[unit].some(member => member.studentId === evaluatedId));
+    if (sharedUnits.length === 0) return;
+    
+    const requestedUnit = normalizeUnitCode(submission.unitContextOfEvaluation);
+    submission.unitContextOfEvaluation = sharedUnits.includes(requestedUnit) ? requestedUnit : sharedUnits[0];
+  });
+}
+
 /**
  * Groups submissions by evaluated student for better organization
  * @param {Array} submissions - Array of submission objects
@@ -147,9 +241,10 @@ function groupSubmissionsByEvaluatedStudent(submissions) {
 /**
  * Enhanced validation function with better error messages
  * @param {Object} submission - Raw submission from frontend
+ * @param {Object} [questions] - The question definitions (see getQuestionDefinitions); read when omitted
  * @returns {Object} Validated and formatted submission
  */
-function validateAndFormatSubmission(submission) {
+function validateAndFormatSubmission(submission, questions = getQuestionDefinitions()) {
   // Required fields validation
   const requiredFields = [
     'submissionId', 'evaluatorId', 'evaluatorEmail', 'evaluatedStudentId',
@@ -163,36 +258,79 @@ function validateAndFormatSubmission(submission) {
   }
   
   // Enhanced email validation
-  if (!isValidShuEmail(submission.evaluatorEmail)) {
-    throw new Error(`Invalid evaluator email format: ${submission.evaluatorEmail}. Must be SHU format (e.g., x123456789@mail.shu.edu.tw)`);
+  const profile = getInstitutionProfile();
+  if (!isValidInstitutionEmail(submission.evaluatorEmail)) {
+    throw new Error(`Invalid evaluator email format: ${submission.evaluatorEmail}. Must be ${profile.institutionShortName} format (e.g., ${profile.studentEmailExample})`);
   }
   
-  // Enhanced student ID validation
-  const studentIdPattern = /^[A-Z]{1}[0-9]{9}$/;
-  if (!studentIdPattern.test(submission.evaluatorId)) {
-    throw new Error(`Invalid evaluator ID format: ${submission.evaluatorId}. Must be 1 letter + 9 digits (e.g., S123456789)`);
+  // Student ID validation (institution profile studentIdPattern)
+  if (!isValidStudentId(submission.evaluatorId)) {
+    throw new Error(`Invalid evaluator ID format: ${submission.evaluatorId}. Must match ${profile.studentIdPattern}`);
   }
-  if (!studentIdPattern.test(submission.evaluatedStudentId)) {
-    throw new Error(`Invalid evaluated student ID format: ${submission.evaluatedStudentId}. Must be 1 letter + 9 digits`);
+  if (!isValidStudentId(submission.evaluatedStudentId)) {
+    throw new Error(`Invalid evaluated student ID format: ${submission.evaluatedStudentId}. Must match ${profile.studentIdPattern}`);
   }
   
-  // Enhanced response type validation
-  const validResponseTypes = ['SCORE', 'COMMENT'];
-  if (!validResponseTypes.includes(submission.responseType.toUpperCase())) {
-    throw new Error(`Invalid response type: ${submission.responseType}. Must be 'SCORE' or 'COMMENT'`);
+  // Enhanced response type validation: the answer must fit the question's type
+  const question = questions[submission.questionId.toString().trim().toUpperCase()];
+  if (!question) {
+    throw new Error(`Unknown question: ${submission.questionId}`);
+  }
+  const validResponseTypes = getQuestionResponseTypes(question);
+  const responseType = submission.responseType.toString().trim().toUpperCase();
+  if (!validResponseTypes.includes(responseType)) {
+    throw new Error(`Invalid response type: ${submission.responseType}. Must be ${validResponseTypes.map(type => `'${type}'`).join(' or ')} for ${question.questionType} question ${question.questionId}`);
   }
   
-  // Enhanced score validation
-  if (submission.responseType.toUpperCase() === 'SCORE') {
+  // Enhanced score validation: a value of the question's rating scale
+  if (responseType === 'SCORE') {
     const score = Number(submission.responseValue);
-    if (isNaN(score) || score < 1 || score > 5) {
-      throw new Error(`Invalid score value: ${submission.responseValue}. Must be between 1-5`);
+    const scale = question.scale || DEFAULT_RATING_SCALE;
+    if (isNaN(score) || !isOnRatingScale(score, scale)) {
+      throw new Error(`Invalid score value: ${submission.responseValue}. Must be between ${describeRatingScale(scale)}`);
     }
     submission.responseValue = score;
   }
   
+  // Short text answers: like comments, with a lower length limit
+  if (responseType === 'TEXT') {
+    if (typeof submission.responseValue !== 'string' || submission.responseValue.trim() === '') {
+      throw new Error(`Invalid text answer: must be non-empty string`);
+    }
+    submission.responseValue = submission.responseValue.trim();
+    if (submission.responseValue.length > SHORT_TEXT_MAX_LENGTH) {
+      throw new Error(`Text answer too long: ${submission.responseValue.length} characters. Maximum ${SHORT_TEXT_MAX_LENGTH} characters allowed`);
+    }
+  }
+  
+  // Multiple choice answers are stored as the configured choice
+  if (responseType === 'CHOICE') {
+    const answer = submission.responseValue.toString().trim().toLowerCase();
+    const choice = question.choices.find(option => option.toLowerCase() === answer);
+    if (!choice) {
+      throw new Error(`Invalid choice: ${submission.responseValue}. Must be one of ${question.choices.join(', ')}`);
+    }
+    submission.responseValue = choice;
+  }
+  
+  // Ranks and points (the upper rank and the points total are checked against the team, see validateTeammateAnswers)
+  if (responseType === 'RANK') {
+    const rank = Number(submission.responseValue);
+    if (!Number.isInteger(rank) || rank < 1) {
+      throw new Error(`Invalid rank: ${submission.responseValue}. Must be a whole number from 1`);
+    }
+    submission.responseValue = rank;
+  }
+  if (responseType === 'POINTS') {
+    const points = Number(submission.responseValue);
+    if (!Number.isInteger(points) || points < 0 || points > POINT_ALLOCATION_TOTAL) {
+      throw new Error(`Invalid points: ${submission.responseValue}. Must be a whole number between 0-${POINT_ALLOCATION_TOTAL}`);
+    }
+    submission.responseValue = points;
+  }
+  
   // Enhanced comment validation
-  if (submission.responseType.toUpperCase() === 'COMMENT') {
+  if (responseType === 'COMMENT') {
     if (typeof submission.responseValue !== 'string' || submission.responseValue.trim() === '') {
       throw new Error(`Invalid comment value: must be non-empty string`);
     }
@@ -204,13 +342,23 @@ function validateAndFormatSubmission(submission) {
     }
   }
   
-  // Validate unit context
-  if (submission.unitContextOfEvaluation && 
-      !isValidProductionUnit(submission.unitContextOfEvaluation)) {
-    throw new Error(`Invalid unit context: ${submission.unitContextOfEvaluation}. Must be A, B, C, or D`);
+  // Validate unit context (an active unit of 'PaUnits'), stored as its unit code
+  if (submission.unitContextOfEvaluation) {
+    const unitCode = normalizeProductionUnit(submission.unitContextOfEvaluation);
+    if (!unitCode) {
+      throw new Error(`Invalid unit context: ${submission.unitContextOfEvaluation}. Must be one of ${getActiveProductionUnitCodes().join(', ')}`);
+    }
+    submission.unitContextOfEvaluation = unitCode;
   }
   
   // Validate assessment permission
+  const isSelfAssessment = submission.evaluatorId.toString().trim().toUpperCase() === submission.evaluatedStudentId.toString().trim().toUpperCase();
+  if (isSelfAssessment && !isSelfAssessmentEnabled()) {
+    throw new Error(`Assessment not permitted: ${submission.evaluatorId} cannot evaluate themselves (self-assessment is not enabled)`);
+  }
+  if (isSelfAssessment && isTeammateQuestion(question)) {
+    throw new Error(`Assessment not permitted: ${question.questionType} question ${question.questionId} is about teammates only`);
+  }
   if (!validateAssessmentPermission(submission.evaluatorId, submission.evaluatedStudentId)) {
     throw new Error(`Assessment not permitted: ${submission.evaluatorId} cannot evaluate ${submission.evaluatedStudentId} (not in same unit)`);
   }
@@ -218,6 +366,7 @@ function validateAndFormatSubmission(submission) {
   // Generate unique response ID
   const timestamp = submission.timestamp || new Date().toISOString();
   const responseId = generateResponseId(submission, timestamp);
+  const telemetry = normalizeSubmissionTelemetry(submission);
   
   return {
     submissionId: submission.submissionId.toString().trim(),
@@ -229,63 +378,196 @@ function validateAndFormatSubmission(submission) {
     evaluatedStudentName: submission.evaluatedStudentName || `[Name for ${submission.evaluatedStudentId}]`,
     unitContextOfEvaluation: submission.unitContextOfEvaluation || '',
     questionId: submission.questionId.toString().trim().toUpperCase(),
-    responseType: submission.responseType.toString().trim().toUpperCase(),
-    responseValue: submission.responseValue
+    responseType: responseType,
+    responseValue: submission.responseValue,
+    roundId: submission.roundId ? submission.roundId.toString().trim().toUpperCase() : '',
+    formOpenedAt: telemetry.formOpenedAt,
+    formSubmittedAt: telemetry.formSubmittedAt,
+    ratingChanges: telemetry.ratingChanges,
+    assessmentType: isSelfAssessment ? 'SELF' : 'PEER'
   };
 }
 
 /**
- * Enhanced duplicate handling with overwrite capability
- * @param {Array} newSubmissions - New submissions to check
- * @param {Array} existingSubmissions - Existing submissions in sheet
- * @returns {Object} Object with duplicates and items to remove
+ * Checks the RANK and POINTS answers of a batch against the evaluator's team: the other members
+ * of the unit each answer was given in (from the session). The evaluator's current answers for
+ * other teammates on the same question, unit and round count too, since the form submits one
+ * teammate at a time; answers the batch replaces do not. Re-ranking a teammate to a rank that is
+ * already given therefore means resubmitting both teammates together.
+ * @param {Array} submissions - Validated submissions, with their roundId assigned
+ * @param {Object} userSession - The signed-in student's session (with unitMembersByUnit)
+ * @param {Array} [existingSubmissions] - Stored submissions (see getExistingSubmissions)
+ * @returns {string[]} One message per problem; empty if the answers fit the teams
  */
-function handleDuplicateSubmissions(newSubmissions, existingSubmissions) {
-  const duplicates = [];
-  const toRemove = [];
+function validateTeammateAnswers(submissions, userSession, existingSubmissions = []) {
+  const unitMembersByUnit = userSession.unitMembersByUnit || {};
+  const errors = [];
+  const answersByQuestion = {};
+  const groupKey = (roundId, questionId, unit) => [roundId, questionId, unit]
+    .map(value => (value || '').toString().trim().toUpperCase()).join('|');
+  submissions.forEach(submission => {
+    if (submission.responseType !== 'RANK' && submission.responseType !== 'POINTS') return;
+    const key = groupKey(submission.roundId, submission.questionId, submission.unitContextOfEvaluation);
+    if (!answersByQuestion[key]) answersByQuestion[key] = { submitted: [], stored: [] };
+    answersByQuestion[key].submitted.push(submission);
+  });
   
-  newSubmissions.forEach(newSub => {
-    const duplicateIndex = existingSubmissions.findIndex(existing => 
-      existing.evaluatorId === newSub.evaluatorId &&
-      existing.evaluatedStudentId === newSub.evaluatedStudentId &&
-      existing.questionId === newSub.questionId &&
-      existing.responseType === newSub.responseType
-    );
-    
-    if (duplicateIndex !== -1) {
-      const duplicate = existingSubmissions[duplicateIndex];
-      duplicates.push({
-        new: newSub,
-        existing: duplicate
-      });
-      
-      // Mark for removal (will be overwritten)
-      toRemove.push({
-        rowIndex: duplicateIndex + 2, // +2 because array is 0-indexed and sheet has header
-        submission: duplicate
+  const replacedKeys = new Set(submissions.map(getSubmissionKey));
+  const evaluatorId = (userSession.studentId || '').toString().toUpperCase();
+  existingSubmissions.forEach(existing => {
+    if ((existing.evaluatorId || '').toString().trim().toUpperCase() !== evaluatorId) return;
+    if (isSupersededSubmission(existing) || replacedKeys.has(getSubmissionKey(existing))) return;
+    const group = answersByQuestion[groupKey(existing.roundId, existing.questionId, normalizeUnitCode(existing.unitContextOfEvaluation))];
+    if (group && group.submitted[0].responseType === existing.responseType) {
+      group.stored.push({ evaluatedStudentId: existing.evaluatedStudentId, responseValue: Number(existing.responseValue) });
+    }
+  });
+  
+  Object.keys(answersByQuestion).forEach(key => {
+    const { submitted, stored } = answersByQuestion[key];
+    const { questionId, unitContextOfEvaluation: unit } = submitted[0];
+    if (submitted[0].responseType === 'RANK') {
+      const teamSize = (unitMembersByUnit[unit] || []).length;
+      submitted.filter(answer => answer.responseValue > teamSize).forEach(answer => {
+        errors.push(`Invalid rank for ${answer.evaluatedStudentId} on ${questionId}: ${answer.responseValue}. Unit ${unit} has ${teamSize} teammates to rank`);
       });
+      const ranks = submitted.map(answer => answer.responseValue);
+      const repeated = ranks.find((rank, index) =>
+        ranks.indexOf(rank) !== index || stored.some(answer => answer.responseValue === rank));
+      if (repeated !== undefined) {
+        errors.push(`Rank ${repeated} is given to more than one teammate on ${questionId}`);
+      }
+    } else {
+      const total = submitted.concat(stored).reduce((sum, answer) => sum + answer.responseValue, 0);
+      if (total > POINT_ALLOCATION_TOTAL) {
+        errors.push(`Too many points on ${questionId}: ${total} given in unit ${unit}. Split at most ${POINT_ALLOCATION_TOTAL} points among your teammates`);
+      }
     }
   });
+  return errors;
+}
+
+/**
+ * Normalizes the assessment form's telemetry sent with a submission. The times come from the
+ * browser's clock, so only their difference is meaningful; a form "submitted" before it was
+ * opened is dropped altogether.
+ * @param {Object} submission - Raw submission from frontend
+ * @returns {Object} `{formOpenedAt, formSubmittedAt, ratingChanges}`: ISO strings and a
+ *   non-negative integer, each '' when missing or unusable
+ */
+function normalizeSubmissionTelemetry(submission) {
+  const toIsoString = value => {
+    if (value === undefined || value === null || value === '') return '';
+    const date = value instanceof Date ? value : new Date(value.toString());
+    return isNaN(date.getTime()) ? '' : date.toISOString();
+  };
+  let formOpenedAt = toIsoString(submission.formOpenedAt);
+  let formSubmittedAt = toIsoString(submission.formSubmittedAt);
+  if (formOpenedAt && formSubmittedAt && formOpenedAt > formSubmittedAt) {
+    formOpenedAt = '';
+    formSubmittedAt = '';
+  }
+  const changes = submission.ratingChanges === '' || submission.ratingChanges === null ? NaN : Number(submission.ratingChanges);
+  return {
+    formOpenedAt,
+    formSubmittedAt,
+    ratingChanges: Number.isInteger(changes) && changes >= 0 ? changes : ''
+  };
+}
+
+/**
+ * Resolves the assessment round of each validated submission and checks it is open.
+ * A submission without a roundId goes to the round currently open for its unit. Without a
+ * 'PaAssessmentRounds' configuration there is a single, always-open cycle and roundId stays blank.
+ * @param {Array} submissions - Validated submissions (roundId is set in place)
+ * @param {Date} now - The time of submission
+ * @returns {string[]} One message per distinct problem; empty if every submission may be stored
+ */
+function assignSubmissionRounds(submissions, now) {
+  const rounds = getAssessmentRounds();
+  if (rounds.length === 0) {
+    submissions.forEach(submission => { submission.roundId = ''; });
+    return [];
+  }
+  
+  const errors = [];
+  const addError = message => { if (!errors.includes(message)) errors.push(message); };
   
-  return { duplicates, toRemove };
+  submissions.forEach(submission => {
+    const unit = submission.unitContextOfEvaluation;
+    const round = submission.roundId
+      ? findAssessmentRound(submission.roundId, rounds)
+      : getActiveAssessmentRound(unit, now, rounds);
+    
+    if (!round) {
+      addError(submission.roundId
+        ? `Unknown assessment round: ${submission.roundId}. Check the ${PA_ASSESSMENT_ROUNDS_SHEET_NAME} sheet`
+        : `No assessment round is open${unit ? ` for unit ${unit}` : ''} right now`);
+      return;
+    }
+    if (!isAssessmentRoundOpen(round, now)) {
+      addError(round.opensAt && now.getTime() < round.opensAt.getTime()
+        ? `Assessment round "${round.name}" has not opened yet (opens ${round.opensAt.toISOString()})`
+        : `Assessment round "${round.name}" closed on ${round.closesAt.toISOString()}; submissions are no longer accepted`);
+      return;
+    }
+    if (unit && !assessmentRoundIncludesUnit(round, unit)) {
+      addError(`Unit ${unit} does not take part in assessment round "${round.name}"`);
+      return;
+    }
+    if (!assessmentRoundIncludesQuestion(round, submission.questionId)) {
+      addError(`Question ${submission.questionId} is not part of assessment round "${round.name}"`);
+      return;
+    }
+    submission.roundId = round.roundId;
+  });
+  
+  return errors;
 }
 
 /**
- * Remove duplicate submissions from sheet
- * @param {Sheet} sheet - The target sheet
- * @param {Array} toRemove - Array of items to remove
+ * Builds the key that identifies "the same answer" across revisions. Answers given in different
+ * assessment rounds are different answers, so the round is part of the key.
+ * @param {Object} submission - A submission or stored submission record
+ * @returns {string} roundId|evaluatorId|evaluatedStudentId|questionId|responseType
  */
-function removeDuplicateSubmissions(sheet, toRemove) {
-  // Sort by row index in descending order to avoid index shifting
-  toRemove.sort((a, b) => b.rowIndex - a.rowIndex);
+function getSubmissionKey(submission) {
+  return [
+    submission.roundId, submission.evaluatorId, submission.evaluatedStudentId, submission.questionId, submission.responseType
+  ].map(value => (value || '').toString().trim().toUpperCase()).join('|');
+}
+
+/**
+ * Assigns revision numbers to new submissions and works out which stored rows they replace.
+ * A new response gets revision max(existing revisions for its key) + 1, or 1 if it is the first.
+ * If the batch itself answers the same key twice, the earlier one is superseded by the later one.
+ * @param {Array} newSubmissions - Validated submissions (revision and supersededBy are set in place)
+ * @param {Array} existingSubmissions - Existing submissions in sheet (see getExistingSubmissions)
+ * @returns {Object} `replacements`: Map of submission key to the responseId that replaces stored rows
+ */
+function planSubmissionRevisions(newSubmissions, existingSubmissions) {
+  const latestRevisionByKey = new Map();
+  existingSubmissions.forEach(existing => {
+    const key = getSubmissionKey(existing);
+    latestRevisionByKey.set(key, Math.max(latestRevisionByKey.get(key) || 0, getSubmissionRevision(existing)));
+  });
   
-  toRemove.forEach(item => {
-    try {
-      sheet.deleteRow(item.rowIndex);
-    } catch (error) {
-      Logger.log(`Error removing duplicate row ${item.rowIndex}: ${error.message}`);
+  const newSubmissionByKey = new Map();
+  newSubmissions.forEach(newSub => {
+    const key = getSubmissionKey(newSub);
+    newSub.revision = (latestRevisionByKey.get(key) || 0) + 1;
+    newSub.supersededBy = '';
+    latestRevisionByKey.set(key, newSub.revision);
+    
+    if (newSubmissionByKey.has(key)) {
+      newSubmissionByKey.get(key).supersededBy = newSub.responseId;
     }
+    newSubmissionByKey.set(key, newSub);
   });
+  
+  const replacements = new Map();
+  newSubmissionByKey.forEach((newSub, key) => replacements.set(key, newSub.responseId));
+  return { replacements };
 }
 
 /**
@@ -330,6 +612,8 @@ function generateDetailedSubmissionSummary(submissions) {
     const studentSummary = summary.submissionsByStudent[sub.evaluatedStudentId];
     if (sub.responseType === 'SCORE') {
       studentSummary.scores++;
+    }
+    if (sub.responseType !== 'COMMENT') {
       studentSummary.questions.add(sub.questionId);
     }
     if (sub.responseType === 'COMMENT') {
@@ -376,38 +660,28 @@ function generateResponseId(submission, timestamp) {
 
 /**
  * Enhanced function to get existing submissions with better performance
- * @param {Sheet} sheet - The target sheet
- * @returns {Array} Array of existing submission objects
+ * @param {Object} submissionRepository - The submission repository
+ * @returns {Array} Array of existing submission objects, in sheet row order
  */
-function getExistingSubmissions(sheet) {
+function getExistingSubmissions(submissionRepository) {
   try {
-    const data = sheet.getDataRange().getValues();
-    if (data.length <= 1) return []; // Only headers or empty
-    
-    const headers = data[0];
-    const existingSubmissions = [];
-    
-    // Create header index map for better performance
-    const headerMap = {};
-    headers.forEach((header, index) => {
-      headerMap[header] = index;
-    });
-    
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      const submission = {};
-      
-      // Only extract the fields we need for duplicate detection
-      submission.evaluatorId = row[headerMap.evaluatorId];
-      submission.evaluatedStudentId = row[headerMap.evaluatedStudentId];
-      submission.questionId = row[headerMap.questionId];
-      submission.responseType = row[headerMap.responseType];
-      submission.timestamp = row[headerMap.timestamp];
-      
-      existingSubmissions.push(submission);
-    }
-    
-    return existingSubmissions;
+    const table = submissionRepository.read();
+    if (!table) return [];
+    
+    // Only extract the fields we need for revision tracking and the rank/points checks
+    return table.records.map(record => ({
+      responseId: record.responseId ? record.responseId.toString() : "",
+      revision: record.revision,
+      supersededBy: record.supersededBy,
+      evaluatorId: record.evaluatorId,
+      evaluatedStudentId: record.evaluatedStudentId,
+      questionId: record.questionId,
+      responseType: record.responseType,
+      responseValue: record.responseValue,
+      unitContextOfEvaluation: record.unitContextOfEvaluation,
+      roundId: record.roundId,
+      timestamp: record.timestamp
+    }));
   } catch (error) {
     Logger.log(`Error getting existing submissions: ${error.message}`);
     return [];
@@ -415,47 +689,44 @@ function getExistingSubmissions(sheet) {
 }
 
 /**
- * Get assessment completion status for a specific evaluator
+ * Get assessment completion status for a specific evaluator (staff only, within their units)
  * @param {string} evaluatorId - Student ID of evaluator
+ * @param {string} [roundId] - Only count responses of this assessment round
  * @returns {Object} Completion status object
  */
 
 // eslint-disable-next-line no-unused-vars 
-function getAssessmentCompletionStatus(evaluatorId) {
+function getAssessmentCompletionStatus(evaluatorId, roundId) {
   try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName(PA_RAW_SUBMISSIONS_V2_SHEET_NAME);
+    const userSession = authorizeCall('getAssessmentCompletionStatus', { audience: 'staff', permission: 'viewDashboard', action: 'view completion status' });
+    if (!staffCanAccessUnit(userSession, getStudentUnitsById_()[(evaluatorId || '').toString().trim().toUpperCase()] || [])) {
+      throw denyAccess('getAssessmentCompletionStatus', userSession, `${evaluatorId} is not in your units (${userSession.staffUnits.join(', ')})`);
+    }
+    
+    const table = getStorageAdapter().submissions.read();
     
-    if (!sheet) {
+    if (!table) {
       return { error: "Submissions sheet not found" };
     }
     
-    const data = sheet.getDataRange().getValues();
-    if (data.length <= 1) {
+    if (table.records.length === 0) {
       return { completedAssessments: [], totalSubmissions: 0 };
     }
     
-    const headers = data[0];
-    const evaluatorIdColIdx = headers.indexOf("evaluatorId");
-    const evaluatedStudentIdColIdx = headers.indexOf("evaluatedStudentId");
-    const questionIdColIdx = headers.indexOf("questionId");
-    const responseTypeColIdx = headers.indexOf("responseType");
-    
-    if (evaluatorIdColIdx === -1 || evaluatedStudentIdColIdx === -1) {
+    if (!table.headers.includes("evaluatorId") || !table.headers.includes("evaluatedStudentId")) {
       return { error: "Required columns not found" };
     }
     
     const completedAssessments = {};
     let totalSubmissions = 0;
     
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      if (row[evaluatorIdColIdx] === evaluatorId) {
+    table.records.forEach(record => {
+      // Superseded rows are earlier revisions, not current answers
+      if (roundId && (record.roundId || '').toString().toUpperCase() !== roundId.toString().toUpperCase()) return;
+      if (record.evaluatorId === evaluatorId && !isSupersededSubmission(record)) {
         totalSubmissions++;
         
-        const evaluatedId = row[evaluatedStudentIdColIdx];
-        const questionId = row[questionIdColIdx];
-        const responseType = row[responseTypeColIdx];
+        const evaluatedId = record.evaluatedStudentId;
         
         if (!completedAssessments[evaluatedId]) {
           completedAssessments[evaluatedId] = {
@@ -466,14 +737,16 @@ function getAssessmentCompletionStatus(evaluatorId) {
           };
         }
         
-        if (responseType === 'SCORE') {
-          completedAssessments[evaluatedId].questions.add(questionId);
+        if (record.responseType === 'SCORE') {
           completedAssessments[evaluatedId].scores++;
-        } else if (responseType === 'COMMENT') {
+        } else if (record.responseType === 'COMMENT') {
           completedAssessments[evaluatedId].comments++;
         }
+        if (record.responseType !== 'COMMENT') {
+          completedAssessments[evaluatedId].questions.add(record.questionId);
+        }
       }
-    }
+    });
     
     // Convert to array format
     const completedArray = Object.values(completedAssessments).map(assessment => ({
@@ -493,4 +766,57 @@ function getAssessmentCompletionStatus(evaluatorId) {
     Logger.log(`Error getting completion status: ${error.message}`);
     return { error: error.message };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Builds the full revision history of one evaluator's assessment of one peer, oldest first.
+ * Responses are grouped by submissionId, i.e. by each time the evaluator pressed submit.
+ * @param {string} evaluatorId - Student ID of evaluator
+ * @param {string} evaluatedStudentId - Student ID of the evaluated peer
+ * @returns {Object} History object with a `submissions` array (timestamps as ISO strings)
+ */
+// eslint-disable-next-line no-unused-vars
+function buildSubmissionRevisionHistory_(evaluatorId, evaluatedStudentId) {
+  const normalizedEvaluatorId = (evaluatorId || '').toString().trim().toUpperCase();
+  const normalizedEvaluatedId = (evaluatedStudentId || '').toString().trim().toUpperCase();
+  if (!normalizedEvaluatorId || !normalizedEvaluatedId) {
+    throw new Error("Both an evaluator ID and an evaluated student ID are required");
+  }
+  
+  const table = getStorageAdapter().submissions.read();
+  const submissionsById = new Map();
+  
+  (table ? table.records : []).forEach(record => {
+    const recordEvaluatorId = (record.evaluatorId || '').toString().trim().toUpperCase();
+    const recordEvaluatedId = (record.evaluatedStudentId || '').toString().trim().toUpperCase();
+    if (recordEvaluatorId !== normalizedEvaluatorId || recordEvaluatedId !== normalizedEvaluatedId) return;
+    
+    const submissionId = (record.submissionId || '').toString();
+    if (!submissionsById.has(submissionId)) {
+      const timestamp = record.timestamp instanceof Date ? record.timestamp.toISOString() : (record.timestamp || '').toString();
+      const roundId = (record.roundId || '').toString();
+      submissionsById.set(submissionId, { submissionId, roundId, timestamp, isCurrent: false, responses: [] });
+    }
+    
+    const entry = submissionsById.get(submissionId);
+    const isCurrent = !isSupersededSubmission(record);
+    entry.isCurrent = entry.isCurrent || isCurrent;
+    entry.responses.push({
+      responseId: (record.responseId || '').toString(),
+      questionId: (record.questionId || '').toString(),
+      responseType: (record.responseType || '').toString(),
+      responseValue: record.responseValue,
+      revision: getSubmissionRevision(record),
+      supersededBy: isCurrent ? '' : record.supersededBy.toString(),
+      isCurrent
+    });
+  });
+  
+  const submissions = Array.from(submissionsById.values());
+  return {
+    evaluatorId: normalizedEvaluatorId,
+    evaluatedStudentId: normalizedEvaluatedId,
+    totalResponses: submissions.reduce((total, entry) => total + entry.responses.length, 0),
+    submissions
+  };
+}
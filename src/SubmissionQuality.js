@@ -0,0 +1,217 @@
+/* global QUALITY_MIN_SAME_RATING_QUESTIONS, QUALITY_MIN_COMMENT_CHARACTERS, QUALITY_MIN_SECONDS_PER_QUESTION, QUALITY_SITTING_GAP_MINUTES */
+
+/**
+ * @file SubmissionQuality.js
+ * @description Flags low-effort assessments, i.e. an evaluator's latest answers for one peer in a
+ * round. The analytics workflow (Workflow_Analytics.js) writes the flagged assessments to
+ * 'PaSubmissionQuality' and adds each evaluator's share of flagged assessments to
+ * 'PaEvaluatorAnalytics', where weighting rules can use them. The flags are:
+ *
+ * - "same rating": the same score on every question for the peer.
+ * - "copied scores": the evaluator gave every peer of the unit the same scores, question by question.
+ * - "boilerplate comment": a comment that is too short to say anything, or that the evaluator also
+ *   wrote for another peer.
+ * - "too fast": too little time for the questions answered. The time is how long the peer's form
+ *   was open (from the form telemetry stored with the submission) or, for older submissions, the
+ *   time since the evaluator's previous assessment; assessments submitted together, or first in a
+ *   sitting, then cannot be timed.
+ *
+ * The form time also gives each evaluator's median time per assessment.
+ *
+ * @requires Config.js (for the QUALITY_* constants)
+ */
+
+/**
+ * Normalizes a comment for comparison: lower case, letters and digits only.
+ * @param {string} comment The comment.
+ * @returns {string} The normalized text.
+ */
+function normalizeQualityComment(comment) {
+  return comment.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+/**
+ * Groups the responses into assessments and flags each one. Self-assessments and assessments
+ * of or by inactive students are left out.
+ * @param {Object[]} responses The parsed responses (with their `roundId`).
+ * @param {Object<string, Object>} students The active students by ID.
+ * @returns {Object[]} One `{roundId, unit, evaluatorId, evaluatedId, submittedAt, scores, comments,
+ *   secondsSincePrevious, secondsOnForm, ratingChanges, flags, details}` per assessment, where
+ *   `scores` maps question IDs to scores, `comments` lists the comment texts and `flags` the names
+ *   of the flags raised (`details` says why, one entry per flag). The form telemetry is that of
+ *   the latest submission that sent it; secondsOnForm and ratingChanges are null without any.
+ */
+// eslint-disable-next-line no-unused-vars
+function assessSubmissionQuality(responses, students) {
+  const assessmentsByKey = {};
+  responses
+    .filter(r => r.responseByStudentId && r.evaluatedStudentId && r.responseByStudentId !== r.evaluatedStudentId &&
+      students[r.responseByStudentId] && students[r.evaluatedStudentId])
+    .forEach(r => {
+      const key = JSON.stringify([r.roundId || "", r.responseByStudentId, r.evaluatedStudentId]);
+      const assessment = assessmentsByKey[key] = assessmentsByKey[key] || {
+        roundId: r.roundId || "", unit: r.unitContextOfEvaluation || "", evaluatorId: r.responseByStudentId,
+        evaluatedId: r.evaluatedStudentId, submittedAt: "", scores: {}, comments: [],
+        secondsSincePrevious: null, secondsOnForm: null, ratingChanges: null, formSubmittedAt: "", flags: [], details: []
+      };
+      if (r.responseType === "SCORE" && typeof r.responseValue === "number" && !isNaN(r.responseValue)) {
+        assessment.scores[r.responseToQuestionId] = r.responseValue;
+      } else if (r.responseType === "COMMENT" && typeof r.responseValue === "string" && r.responseValue.trim() !== "") {
+        assessment.comments.push(r.responseValue.trim());
+      }
+      if (r.timestamp > assessment.submittedAt) assessment.submittedAt = r.timestamp;
+      if (r.formOpenedAt && r.formSubmittedAt && r.formSubmittedAt > assessment.formSubmittedAt) {
+        assessment.formSubmittedAt = r.formSubmittedAt;
+        assessment.secondsOnForm = (new Date(r.formSubmittedAt).getTime() - new Date(r.formOpenedAt).getTime()) / 1000;
+        assessment.ratingChanges = typeof r.ratingChanges === "number" ? r.ratingChanges : null;
+      }
+    });
+  const assessments = Object.values(assessmentsByKey);
+  const flag = (assessment, name, detail) => {
+    assessment.flags.push(name);
+    assessment.details.push(detail);
+  };
+
+  // The same rating on every question for a peer
+  assessments.forEach(assessment => {
+    const values = Object.values(assessment.scores);
+    if (values.length >= QUALITY_MIN_SAME_RATING_QUESTIONS && values.every(value => value === values[0])) {
+      flag(assessment, "same rating", `${values[0]} on all ${values.length} questions`);
+    }
+  });
+
+  // Identical score vectors for every peer the evaluator scored in the unit
+  const byEvaluatorUnit = {};
+  assessments.forEach(assessment => {
+    const key = JSON.stringify([assessment.roundId, assessment.unit, assessment.evaluatorId]);
+    (byEvaluatorUnit[key] = byEvaluatorUnit[key] || []).push(assessment);
+  });
+  Object.values(byEvaluatorUnit).forEach(group => {
+    const vectors = group.map(assessment => JSON.stringify(Object.keys(assessment.scores).sort().map(id => [id, assessment.scores[id]])));
+    if (group.length < 2 || Object.keys(group[0].scores).length < 2 || vectors.some(vector => vector !== vectors[0])) return;
+    group.forEach(assessment => flag(assessment, "copied scores", `the same scores for all ${group.length} peers`));
+  });
+
+  // Comments that are too short, or repeated for another peer in the round
+  const commentPeers = {};
+  assessments.forEach(assessment => {
+    assessment.comments.forEach(comment => {
+      const key = JSON.stringify([assessment.roundId, assessment.evaluatorId, normalizeQualityComment(comment)]);
+      (commentPeers[key] = commentPeers[key] || new Set()).add(assessment.evaluatedId);
+    });
+  });
+  assessments.forEach(assessment => {
+    const reasons = [];
+    assessment.comments.forEach(comment => {
+      const normalized = normalizeQualityComment(comment);
+      const peers = commentPeers[JSON.stringify([assessment.roundId, assessment.evaluatorId, normalized])];
+      if (normalized.length < QUALITY_MIN_COMMENT_CHARACTERS) {
+        reasons.push(`"${comment}" is too short`);
+      } else if (peers.size > 1) {
+        reasons.push(`"${comment}" was also written for ${peers.size - 1} other peer(s)`);
+      }
+    });
+    if (reasons.length > 0) flag(assessment, "boilerplate comment", reasons.join("; "));
+  });
+
+  // Time since the evaluator's previous assessment (in the same round and sitting), for
+  // submissions without form telemetry
+  Object.values(assessments.reduce((groups, assessment) => {
+    const key = JSON.stringify([assessment.roundId, assessment.evaluatorId]);
+    (groups[key] = groups[key] || []).push(assessment);
+    return groups;
+  }, {})).forEach(group => {
+    group.sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+    group.forEach((assessment, index) => {
+      const previous = group.slice(0, index).reverse().find(other => other.submittedAt < assessment.submittedAt);
+      if (!previous) return;
+      const seconds = (new Date(assessment.submittedAt).getTime() - new Date(previous.submittedAt).getTime()) / 1000;
+      if (!isFinite(seconds) || seconds > QUALITY_SITTING_GAP_MINUTES * 60) return;
+      assessment.secondsSincePrevious = seconds;
+    });
+  });
+  assessments.forEach(assessment => {
+    const onForm = assessment.secondsOnForm !== null;
+    const seconds = onForm ? assessment.secondsOnForm : assessment.secondsSincePrevious;
+    const answered = Object.keys(assessment.scores).length + assessment.comments.length;
+    if (seconds !== null && answered > 0 && seconds < answered * QUALITY_MIN_SECONDS_PER_QUESTION) {
+      flag(assessment, "too fast", `${seconds} s ${onForm ? "on the form" : "after the previous assessment"} for ${answered} answers ` +
+        `(at least ${answered * QUALITY_MIN_SECONDS_PER_QUESTION} s expected)`);
+    }
+  });
+
+  return assessments;
+}
+
+/**
+ * The metrics of an evaluator without assessments (see {@link getSubmissionQualityMetrics}).
+ * @returns {Object} All percentages 0, no median.
+ */
+function createEmptySubmissionQualityMetrics() {
+  return {
+    assessments: 0, percentStraightLined: 0, percentCopiedScores: 0, percentBoilerplateComments: 0, percentTooFast: 0,
+    medianSecondsPerAssessment: null
+  };
+}
+
+/**
+ * Each evaluator's share of flagged assessments, per flag, and their median time on the form.
+ * @param {Object[]} assessments From {@link assessSubmissionQuality}.
+ * @returns {Object<string, {assessments: number, percentStraightLined: number, percentCopiedScores: number,
+ *   percentBoilerplateComments: number, percentTooFast: number, medianSecondsPerAssessment: number|null}>}
+ *   By evaluator ID; percentages are 0-100 and the median is null when no assessment was timed.
+ */
+// eslint-disable-next-line no-unused-vars
+function getSubmissionQualityMetrics(assessments) {
+  const metricNames = {
+    "same rating": "percentStraightLined",
+    "copied scores": "percentCopiedScores",
+    "boilerplate comment": "percentBoilerplateComments",
+    "too fast": "percentTooFast"
+  };
+  const metrics = {};
+  const formSeconds = {};
+  assessments.forEach(assessment => {
+    const entry = metrics[assessment.evaluatorId] = metrics[assessment.evaluatorId] || createEmptySubmissionQualityMetrics();
+    entry.assessments++;
+    assessment.flags.forEach(name => { entry[metricNames[name]]++; });
+    if (assessment.secondsOnForm !== null) {
+      (formSeconds[assessment.evaluatorId] = formSeconds[assessment.evaluatorId] || []).push(assessment.secondsOnForm);
+    }
+  });
+  Object.keys(metrics).forEach(evaluatorId => {
+    const entry = metrics[evaluatorId];
+    Object.values(metricNames).forEach(name => { entry[name] = entry[name] / entry.assessments * 100; });
+    const seconds = (formSeconds[evaluatorId] || []).sort((a, b) => a - b);
+    const middle = Math.floor(seconds.length / 2);
+    if (seconds.length > 0) {
+      entry.medianSecondsPerAssessment = seconds.length % 2 ? seconds[middle] : (seconds[middle - 1] + seconds[middle]) / 2;
+    }
+  });
+  return metrics;
+}
+
+/**
+ * Lays out the flagged assessments as 'PaSubmissionQuality' rows (see PA_SUBMISSION_QUALITY_HEADERS).
+ * @param {Object[]} assessments From {@link assessSubmissionQuality}.
+ * @param {Object<string, Object>} students The active students by ID (for names).
+ * @returns {Array[]} Rows ordered by round, unit, evaluator and submission time.
+ */
+// eslint-disable-next-line no-unused-vars
+function createSubmissionQualityRows(assessments, students) {
+  const nameOf = id => students[id] ? students[id].studentName : id;
+  return assessments
+    .filter(assessment => assessment.flags.length > 0)
+    .sort((a, b) => a.roundId.localeCompare(b.roundId) || a.unit.localeCompare(b.unit) ||
+      a.evaluatorId.localeCompare(b.evaluatorId) || a.submittedAt.localeCompare(b.submittedAt) || a.evaluatedId.localeCompare(b.evaluatedId))
+    .map(assessment => [
+      assessment.roundId, assessment.unit, assessment.evaluatorId, nameOf(assessment.evaluatorId),
+      assessment.evaluatedId, nameOf(assessment.evaluatedId), assessment.submittedAt,
+      Object.keys(assessment.scores).length, assessment.comments.length,
+      assessment.secondsSincePrevious === null ? "" : assessment.secondsSincePrevious,
+      assessment.secondsOnForm === null ? "" : assessment.secondsOnForm,
+      assessment.ratingChanges === null ? "" : assessment.ratingChanges,
+      assessment.flags.join(", "),
+      assessment.details.join("; ")
+    ]);
+}
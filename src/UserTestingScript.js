@@ -1,4 +1,4 @@
-/* global getStudentDetailsByEmail, getUnitMembers, checkIfInstructor, getAllActiveStudentsForFaculty */
+/* global getStudentDetailsByEmail, getStudentAssessmentScope, findStaffMember_, getStaffSessionFields, getActiveStudentsForStaff_, getAssessmentWindowForSession, getActiveProductionUnitNames, isSelfAssessmentEnabled */
 
 /**
  * @file UserTestingScript.js
@@ -47,11 +47,11 @@ function createTestSessionFromRealStudent(testEmail) {
   try {
     Logger.log(`Creating test session for real student: ${testEmail}`);
     
-    // Check if user is an instructor
-    const isInstructor = checkIfInstructor(testEmail);
+    // Check if user is staff
+    const staffMember = findStaffMember_(testEmail);
     
-    if (isInstructor) {
-      return createFacultySession(testEmail);
+    if (staffMember) {
+      return createFacultySession(testEmail, staffMember);
     }
     
     // Get real student details from master list
@@ -60,14 +60,11 @@ function createTestSessionFromRealStudent(testEmail) {
       throw new Error(`Test student not found in master list: ${testEmail}`);
     }
     
-    const productionUnit = studentDetails.productionUnit1;
-    let unitMembers = [];
-    
-    // Get real unit members
-    if (productionUnit) {
-      unitMembers = getUnitMembers(productionUnit, studentDetails.studentId);
-      Logger.log(`Found ${unitMembers.length} unit members for test student ${studentDetails.studentId} in unit ${productionUnit}`);
-    }
+    // Get real unit members of both production units
+    const assessmentScope = getStudentAssessmentScope(studentDetails);
+    const productionUnit = assessmentScope.productionUnit;
+    const unitMembers = assessmentScope.unitMembers;
+    const assessmentWindow = assessmentScope.assessmentWindow;
     
     return {
       email: testEmail,
@@ -76,14 +73,22 @@ function createTestSessionFromRealStudent(testEmail) {
       studentId: studentDetails.studentId,
       studentName: studentDetails.studentName,
       productionUnit: productionUnit,
+      productionUnits: assessmentScope.productionUnits,
       unitMembers: unitMembers,
+      unitMembersByUnit: assessmentScope.unitMembersByUnit,
+      unitNames: getActiveProductionUnitNames(),
+      selfAssessment: isSelfAssessmentEnabled(),
+      activeRound: assessmentWindow.activeRound,
       timestamp: new Date().toISOString(),
       sessionData: {
         totalPeersToEvaluate: unitMembers ? unitMembers.length : 0,
         hasValidUnit: !!productionUnit,
-        canSubmitAssessments: !!studentDetails && !!productionUnit && unitMembers && unitMembers.length > 0
+        roundsConfigured: assessmentWindow.roundsConfigured,
+        canSubmitAssessments: !!studentDetails && !!productionUnit && unitMembers && unitMembers.length > 0 &&
+          (!assessmentWindow.roundsConfigured || !!assessmentWindow.activeRound)
       },
-      isTestSession: true // Flag to indicate this is a test session
+      isTestSession: true, // Flag to indicate this is a test session
+      isStaff: false
     };
     
   } catch (error) {
@@ -101,32 +106,37 @@ function createTestSessionFromRealStudent(testEmail) {
 /**
  * Enhanced faculty session that can access all students
  * @param {string} email - Faculty email address
+ * @param {Object} staffMember - The faculty member's 'PaStaff' entry (role and units)
  * @returns {Object} Faculty session object
  */
-function createFacultySession(email) {
+function createFacultySession(email, staffMember) {
   try {
     Logger.log(`Creating faculty session for: ${email}`);
     
     // Get all active students for faculty to evaluate
-    const allStudents = getAllActiveStudentsForFaculty();
+    const allStudents = getActiveStudentsForStaff_(staffMember);
+    const assessmentWindow = getAssessmentWindowForSession(null);
     
-    return {
+    return Object.assign({
       email: email,
       isAuthenticated: true,
-      role: 'instructor',
+      role: staffMember.role,
       studentId: 'FACULTY_' + email.split('@')[0].toUpperCase(),
       studentName: 'Faculty Member (' + email.split('@')[0].toUpperCase() + ')',
       productionUnit: 'FACULTY',
       unitMembers: allStudents, // Faculty can evaluate all students
+      unitNames: getActiveProductionUnitNames(),
+      activeRound: assessmentWindow.activeRound,
       timestamp: new Date().toISOString(),
       sessionData: {
         totalPeersToEvaluate: allStudents.length,
         hasValidUnit: true,
+        roundsConfigured: assessmentWindow.roundsConfigured,
         canSubmitAssessments: true
       },
       isFaculty: true,
       isTestSession: true
-    };
+    }, getStaffSessionFields(staffMember));
     
   } catch (error) {
     Logger.log(`Faculty session creation error: ${error.message}`);
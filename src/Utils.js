@@ -1,13 +1,15 @@
-/* global PA_QUESTION_CONFIG_SHEET_NAME, PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, parseRawSurveyData, createQuestion */
+/* global PA_QUESTION_CONFIG_SHEET_NAME, PA_MASTER_STUDENT_LIST_SHEET_NAME, PA_RAW_SUBMISSIONS_V2_SHEET_NAME, SUBMISSION_LOCK_TIMEOUT_MS, SUBMISSION_LOCK_MAX_ATTEMPTS, SUBMISSION_LOCK_RETRY_DELAY_MS, parseRawSurveyData, createQuestion, getInstitutionProfile, normalizeRegisteredProductionUnit */
 
 /**
  * @file Utils.js
  * @description This file contains all helper and utility functions used across
  * the Peer Assessment system. It includes functions for data validation (emails, units),
- * mathematical calculations (median, mean, standard deviation), authentication helpers,
+ * mathematical calculations (median, mean, standard deviation), script locking, authentication helpers,
  * system statistics, and dedicated test functions for developers.
  *
  * @requires Config.js (for sheet name constants)
+ * @requires InstitutionProfile.js (for getInstitutionProfile, used by the email and student ID helpers)
+ * @requires ProductionUnits.js (for normalizeRegisteredProductionUnit, used by isValidProductionUnit)
  * @requires Models.js (for createQuestion function, if getQuestionDefinitions here is primary)
  * @requires Parser_V2.js (for parseRawSurveyData function, used in testNewParser)
  */
@@ -17,43 +19,52 @@
 // ===================================================================================
 
 /**
- * Validates if the given email string matches the SHU (Shih Hsin University) email format.
- * Expected formats:
- * - Student: one lowercase letter, followed by 9 digits, then '@mail.shu.edu.tw'
- * - Faculty: letters and possibly numbers, then '@mail.shu.edu.tw'
+ * Splits an email address into its lower-cased local part and domain.
+ * @param {string} email The email address.
+ * @returns {{localPart: string, domain: string}|null} The parts, or null if it is not an address.
+ */
+function splitEmailAddress(email) {
+  if (typeof email !== 'string') return null;
+  const parts = email.trim().toLowerCase().split('@');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+  return { localPart: parts[0], domain: parts[1] };
+}
+
+/**
+ * Validates if the given email string is an address of the institution (see InstitutionProfile.js).
+ * Accepted formats:
+ * - Student: a local part matching the profile's studentEmailLocalPattern
+ * - Faculty: a local part matching the profile's facultyEmailLocalPattern
+ * in one of the profile's emailDomains. Case-insensitive.
  * @param {string} email The email string to validate.
- * @returns {boolean} True if the email is a valid SHU format, false otherwise.
+ * @returns {boolean} True if the email is a valid institutional address, false otherwise.
  */
-function isValidShuEmail(email) {
-  if (typeof email !== 'string') return false;
-  
-  // Student format: one lowercase letter, followed by 9 digits
-  const studentEmailPattern = /^[a-z]{1}[0-9]{9}@mail\.shu\.edu\.tw$/;
-  
-  // Faculty/staff format: letters and possibly numbers, no specific length requirement
-  const facultyEmailPattern = /^[a-z][a-z0-9]*@mail\.shu\.edu\.tw$/;
-  
-  const lowerEmail = email.toLowerCase();
-  return studentEmailPattern.test(lowerEmail) || facultyEmailPattern.test(lowerEmail);
+function isValidInstitutionEmail(email) {
+  const address = splitEmailAddress(email);
+  if (!address) return false;
+
+  const profile = getInstitutionProfile();
+  if (!profile.emailDomains.includes(address.domain)) return false;
+  return profile.studentEmailLocalRegex.test(address.localPart) || profile.facultyEmailLocalRegex.test(address.localPart);
 }
 
 /**
- * Extracts the student ID from a valid SHU email address, or creates a faculty ID
- * @param {string} email The SHU email address.
+ * Extracts the student ID from a valid institutional email address, or creates a faculty ID
+ * @param {string} email The institutional email address.
  * @returns {string|null} The uppercase student ID, faculty ID, or null if invalid format.
  */
 // eslint-disable-next-line no-unused-vars
 function extractStudentIdFromEmail(email) {
-  if (!isValidShuEmail(email)) return null;
-  
-  const idPart = email.split('@')[0];
-  
-  // Check if it's student format (1 letter + 9 digits)
-  const studentPattern = /^[a-z]{1}[0-9]{9}$/;
-  if (studentPattern.test(idPart.toLowerCase())) {
-    return idPart.toUpperCase();
+  if (!isValidInstitutionEmail(email)) return null;
+
+  const idPart = splitEmailAddress(email).localPart;
+
+  // Student addresses: the ID is capture group 1 of the profile pattern (or the whole match)
+  const studentMatch = getInstitutionProfile().studentEmailLocalRegex.exec(idPart);
+  if (studentMatch) {
+    return (studentMatch[1] || studentMatch[0]).toUpperCase();
   }
-  
+
   // For faculty/staff, create a special ID format
   return 'FACULTY_' + idPart.toUpperCase();
 }
@@ -65,25 +76,48 @@ function extractStudentIdFromEmail(email) {
  */
 // eslint-disable-next-line no-unused-vars
 function isFacultyEmail(email) {
-  if (!isValidShuEmail(email)) return false;
-  
-  const idPart = email.split('@')[0];
-  const studentPattern = /^[a-z]{1}[0-9]{9}$/;
-  
-  // If it doesn't match student pattern but is valid SHU email, it's faculty
-  return !studentPattern.test(idPart.toLowerCase());
+  if (!isValidInstitutionEmail(email)) return false;
+
+  // If it doesn't match the student pattern but is a valid institutional email, it's faculty
+  return !getInstitutionProfile().studentEmailLocalRegex.test(splitEmailAddress(email).localPart);
+}
+
+/**
+ * Validates a student ID against the institution's studentIdPattern.
+ * IDs are expected upper-cased, as they are stored in the master list and submissions.
+ * @param {string} studentId The student ID to validate.
+ * @returns {boolean} True if the ID has the institution's format.
+ */
+function isValidStudentId(studentId) {
+  if (typeof studentId !== 'string' || studentId === '') return false;
+  return getInstitutionProfile().studentIdRegex.test(studentId);
+}
+
+/**
+ * Derives a student's institutional email address from their ID (profile studentEmailTemplate).
+ * @param {string} studentId The student ID.
+ * @returns {string} The address, or "" if the ID is invalid, no template is configured,
+ *   or the derived address is not a valid institutional email.
+ */
+// eslint-disable-next-line no-unused-vars
+function getStudentEmailForId(studentId) {
+  const template = getInstitutionProfile().studentEmailTemplate;
+  if (!template || !isValidStudentId(studentId)) return "";
+  const email = template.replace('{studentId}', studentId.toLowerCase());
+  return isValidInstitutionEmail(email) ? email : "";
 }
 
 /**
- * Validates if the given unit string is a valid single-letter production unit (A, B, C, or D).
- * Case-insensitive check.
+ * Validates if the given unit string is a production unit of the 'PaUnits' registry, active or
+ * retired (see ProductionUnits.js), for reading recorded data. Case-insensitive check; a "Unit "
+ * prefix is accepted.
  * @param {string} unit The unit string to validate.
  * @returns {boolean} True if the unit is valid, false otherwise.
  */
 // eslint-disable-next-line no-unused-vars
 function isValidProductionUnit(unit) {
-    if (typeof unit !== 'string' || unit.length !== 1) return false; 
-    return ["A", "B", "C", "D"].includes(unit.toUpperCase());
+    if (typeof unit !== 'string') return false;
+    return normalizeRegisteredProductionUnit(unit) !== "";
 }
 
 // ===================================================================================
@@ -135,25 +169,58 @@ function calculateStdDev(arr, mean) {
     return Math.sqrt(arr.map(x => Math.pow(x - meanToUse, 2)).reduce((a, b) => a + b) / n);
 }
 
+// ===================================================================================
+// LOCKING HELPER FUNCTIONS
+// ===================================================================================
+
+/**
+ * Runs a callback while holding the script lock, retrying with a linear back-off when another
+ * execution holds it. The lock is always released, even if the callback throws.
+ * @param {Function} callback The work to do under the lock. Its return value is passed through.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] How long each attempt waits for the lock.
+ * @param {number} [options.maxAttempts] How many times to try before giving up.
+ * @param {number} [options.retryDelayMs] Base delay between attempts.
+ * @returns {{acquired: boolean, attempts: number, result: *}} `acquired` is false if the lock could not be taken.
+ */
+// eslint-disable-next-line no-unused-vars
+function withScriptLock(callback, {
+  timeoutMs = SUBMISSION_LOCK_TIMEOUT_MS,
+  maxAttempts = SUBMISSION_LOCK_MAX_ATTEMPTS,
+  retryDelayMs = SUBMISSION_LOCK_RETRY_DELAY_MS
+} = {}) {
+  const lock = LockService.getScriptLock();
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (lock.tryLock(timeoutMs)) {
+      try {
+        return { acquired: true, attempts: attempt, result: callback() };
+      } finally {
+        lock.releaseLock();
+      }
+    }
+    Logger.log(`withScriptLock: lock busy (attempt ${attempt}/${maxAttempts})`);
+    if (attempt < maxAttempts) {
+      Utilities.sleep(retryDelayMs * attempt);
+    }
+  }
+  return { acquired: false, attempts: maxAttempts, result: undefined };
+}
+
 // ===================================================================================
 // AUTHENTICATION HELPER FUNCTIONS
 // ===================================================================================
 
 /**
- * Enhanced instructor check with configurable instructor list
+ * Checks whether an email belongs to an instructor listed in the institution profile
  * @param {string} email - Email address to check
  * @returns {boolean} True if instructor, false otherwise
  */
 // eslint-disable-next-line no-unused-vars
 function checkIfInstructor(email) {
-  const instructorEmails = [
-    'ichen@mail.shu.edu.tw',
-    // Add more instructor emails here as needed
-    // 'instructor2@mail.shu.edu.tw',
-    // 'admin@mail.shu.edu.tw'
-  ];
-  
-  const isInstructor = instructorEmails.includes(email.toLowerCase());
+  // Instructors are listed in the institution profile (instructorEmails)
+  const instructorEmails = getInstitutionProfile().instructorEmails;
+
+  const isInstructor = typeof email === 'string' && instructorEmails.includes(email.trim().toLowerCase());
   Logger.log(`Instructor check for ${email}: ${isInstructor}`);
   return isInstructor;
 }
@@ -1,9 +1,11 @@
-/* global getCurrentUserSession, parseRawSurveyData, PA_QUESTION_CONFIG_SHEET_NAME */
+/* global PA_RAW_SUBMISSIONS_V2_SHEET_NAME, getCurrentUserSession, authorizeCall, denyAccess, staffCanAccessUnit, getStudentUnitsById_, getStorageAdapter, tableToRecords, resolveWorkflowRoundId, getRoundScopedSheetName, PA_EVALUATOR_ANALYTICS_SHEET_NAME, PA_FINAL_SCORES_SUMMARY_SHEET_NAME, PA_WEIGHT_EXPLANATIONS_SHEET_NAME, PA_RELIABILITY_SHEET_NAME, PA_SUBMISSION_QUALITY_SHEET_NAME, getReliabilityWarningThreshold, getReliabilityStatus, generateEvaluatorAnalyticsAndWeights, calculateWeightedScoresAndUpdateSheet, calculateFinalGradesAndUpdateSheet, generateRawScoresReportWithWeights, findStudentsWhoHaventAssessedSpecificPeers, getInstitutionProfile, DEFAULT_INSTITUTION_PROFILE, parseRawSurveyData, buildSubmissionRevisionHistory_, getQuestionDefinitions, toClientQuestion, getAssessmentRounds, isAssessmentRoundOpen, toClientAssessmentRound */
 
 /**
  * @file WebAPI.js
  * @description Unified Web Application API - CORRECTED VERSION
  * All function calls have been standardized to use getCurrentUserSession()
+ * Every endpoint below except doGet, doPost and getCurrentUser checks the caller with authorizeCall()
+ * (see AccessGuard.js) before reading any data
  */
 
 // ==============================================
@@ -25,8 +27,8 @@ function doGet(e) {
       return createAuthenticationInterface(userSession.error);
     }
     
-    // Route based on user role
-    if (userSession.role === 'instructor') {
+    // Route based on user role (owners, instructors, TAs and observers share the dashboard)
+    if (userSession.isStaff) {
       return createInstructorInterface(userSession);
     } else if (userSession.role === 'student') {
       return createStudentInterface(userSession);
@@ -69,66 +71,309 @@ function getCurrentUser() {
 
 /**
  * Get question definitions for the web interface
- * Uses your existing parser logic
+ * Uses your existing parser logic, so the form gets the normalized question types and their choices
  */
-// eslint-disable-next-line no-unused-vars
 function getQuestionDefinitionsForWeb() {
   try {
-    // Use existing function from Parser_V2.js logic
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const configSheetName = PA_QUESTION_CONFIG_SHEET_NAME;
-    const sheet = ss.getSheetByName(configSheetName);
+    authorizeCall('getQuestionDefinitionsForWeb', { action: 'load the questions' });
     
-    if (!sheet) {
-      throw new Error(`Question configuration sheet "${configSheetName}" not found`);
+    const questions = getQuestionDefinitions();
+    if (Object.keys(questions).length === 0) {
+      throw new Error('No questions found in configuration sheet');
     }
     
-    const data = sheet.getDataRange().getValues();
-    if (data.length < 2) {
-      throw new Error('No questions found in configuration sheet');
+    const questionsMap = {};
+    Object.keys(questions).forEach(qId => {
+      questionsMap[qId] = toClientQuestion(questions[qId]);
+    });
+    
+    Logger.log(`Loaded ${Object.keys(questionsMap).length} questions for web interface`);
+    return questionsMap;
+    
+  } catch (error) {
+    Logger.log(`Error in getQuestionDefinitionsForWeb: ${error.message}`);
+    throw new Error(`Failed to load questions: ${error.message}`);
+  }
+}
+
+// Note: submitPeerAssessments is already defined in SubmissionHandler.js
+// No need to redefine it here - it will be called directly
+
+/**
+ * Get every revision one student submitted for one peer (instructor dashboard)
+ * Earlier revisions are kept in PaRawSubmissionsV2 with a supersededBy pointer
+ * Unit-scoped staff need access to the units of both students
+ */
+// eslint-disable-next-line no-unused-vars
+function getSubmissionRevisionHistory(evaluatorId, evaluatedStudentId) {
+  try {
+    const userSession = authorizeCall('getSubmissionRevisionHistory', { audience: 'staff', permission: 'viewRevisionHistory', action: 'view revision history' });
+    
+    const history = buildSubmissionRevisionHistory_(evaluatorId, evaluatedStudentId);
+    const unitsById = getStudentUnitsById_();
+    [history.evaluatorId, history.evaluatedStudentId].forEach(studentId => {
+      if (!staffCanAccessUnit(userSession, unitsById[studentId] || [])) {
+        throw denyAccess('getSubmissionRevisionHistory', userSession, `${studentId} is not in your units (${userSession.staffUnits.join(', ')})`);
+      }
+    });
+    Logger.log(`Revision history for ${history.evaluatorId} -> ${history.evaluatedStudentId}: ${history.submissions.length} submissions`);
+    return Object.assign({ success: true }, history);
+    
+  } catch (error) {
+    Logger.log(`Error in getSubmissionRevisionHistory: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * List the configured assessment rounds (instructor dashboard round selector)
+ * An empty list means no PaAssessmentRounds sheet: workflows then cover all submissions
+ * Unit-scoped staff only see the rounds their units take part in
+ */
+// eslint-disable-next-line no-unused-vars
+function getAssessmentRoundsForWeb() {
+  try {
+    const userSession = authorizeCall('getAssessmentRoundsForWeb', { audience: 'staff', permission: 'viewDashboard', action: 'list assessment rounds' });
+    
+    const now = new Date();
+    const rounds = getAssessmentRounds()
+      .filter(round => round.units.length === 0 || staffCanAccessUnit(userSession, round.units))
+      .map(round => 
+        Object.assign(toClientAssessmentRound(round), { isOpen: isAssessmentRoundOpen(round, now) })
+      );
+    return { success: true, rounds };
+    
+  } catch (error) {
+    Logger.log(`Error in getAssessmentRoundsForWeb: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Run a workflow from the dashboard (owners and instructors with access to all units)
+ * @param {string} action - 'analytics', 'scoring', 'grading', 'reports' or 'missing'
+ * @param {Object} [options] - Workflow options, e.g. `{roundId}`
+ */
+// eslint-disable-next-line no-unused-vars
+function runStaffWorkflow(action, options) {
+  try {
+    const userSession = authorizeCall('runStaffWorkflow', { audience: 'staff', permission: 'runWorkflows', allUnits: true, action: 'run workflows' });
+    const workflows = {
+      analytics: generateEvaluatorAnalyticsAndWeights,
+      scoring: calculateWeightedScoresAndUpdateSheet,
+      grading: calculateFinalGradesAndUpdateSheet,
+      reports: generateRawScoresReportWithWeights,
+      missing: findStudentsWhoHaventAssessedSpecificPeers
+    };
+    if (!Object.prototype.hasOwnProperty.call(workflows, action)) {
+      throw new Error(`Unknown action type: ${action}`);
     }
     
-    const headers = data[0].map(h => h ? h.toString().trim() : "");
-    const idColIdx = headers.indexOf("QuestionID");
-    const textColIdx = headers.indexOf("QuestionText");
-    const typeColIdx = headers.indexOf("QuestionType");
-    const instructionColIdx = headers.indexOf("InstructionalComment");
+    Logger.log(`${userSession.email} (${userSession.staffRole}) running ${workflows[action].name}`);
+    workflows[action](options || {});
+    return { success: true };
+    
+  } catch (error) {
+    Logger.log(`Error in runStaffWorkflow: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the evaluator analytics and final scores the signed-in staff member may see
+ * Unit-scoped staff (e.g. a TA for unit B) only get the rows of students in their units
+ * @param {Object} [options] - `{roundId}` to read a round's sheets (e.g. PaEvaluatorAnalytics_MIDTERM)
+ * @returns {Object} `{success, units, evaluatorAnalytics, finalScores}`; each table is
+ *   `{headers, records}`, or null if the workflow has not been run yet
+ */
+// eslint-disable-next-line no-unused-vars
+function getUnitAnalyticsForWeb(options) {
+  try {
+    const userSession = authorizeCall('getUnitAnalyticsForWeb', { audience: 'staff', permission: 'viewAnalytics', action: 'view analytics' });
+    const roundId = resolveWorkflowRoundId(options);
+    const unitsById = getStudentUnitsById_();
+    const output = getStorageAdapter().output;
+    
+    const readScopedTable = (baseName, idHeader) => {
+      const table = output.readTable(getRoundScopedSheetName(baseName, roundId));
+      if (!table || !table.headers.includes(idHeader)) return null;
+      const records = tableToRecords(table)
+        .filter(record => staffCanAccessUnit(userSession, unitsById[(record[idHeader] || '').toString().toUpperCase()] || []));
+      return { headers: table.headers, records };
+    };
+    
+    return {
+      success: true,
+      roundId,
+      units: userSession.staffUnits.slice(),
+      evaluatorAnalytics: readScopedTable(PA_EVALUATOR_ANALYTICS_SHEET_NAME, 'evaluatorId'),
+      finalScores: readScopedTable(PA_FINAL_SCORES_SUMMARY_SHEET_NAME, 'studentId')
+    };
     
-    if (idColIdx === -1 || textColIdx === -1) {
-      throw new Error('Required headers (QuestionID, QuestionText) not found');
+  } catch (error) {
+    Logger.log(`Error in getUnitAnalyticsForWeb: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Explain how evaluators' weights were calculated: the rules that fired, the adjustment each made
+ * and the floor, ceiling or 0..1 limit applied, and any weight fixed in PaOverrides (read from
+ * PaWeightExplanations)
+ * Unit-scoped staff only get the evaluators in their units
+ * @param {Object} [options] - `{roundId, evaluatorId}`; without an evaluatorId every evaluator the
+ *   caller may see is returned
+ * @returns {Object} `{success, roundId, explanations}`; each explanation is `{evaluatorId,
+ *   evaluatorName, weightRuleVersion, calculatedWeight, steps}`, and explanations is null if the
+ *   analytics workflow has not been run yet
+ */
+// eslint-disable-next-line no-unused-vars
+function getWeightExplanationsForWeb(options) {
+  try {
+    const userSession = authorizeCall('getWeightExplanationsForWeb', { audience: 'staff', permission: 'viewAnalytics', action: 'view weight explanations' });
+    const roundId = resolveWorkflowRoundId(options);
+    const evaluatorId = options && options.evaluatorId ? options.evaluatorId.toString().trim().toUpperCase() : '';
+    const unitsById = getStudentUnitsById_();
+    
+    if (evaluatorId && !staffCanAccessUnit(userSession, unitsById[evaluatorId] || [])) {
+      throw denyAccess('getWeightExplanationsForWeb', userSession, `${evaluatorId} is not in your units (${userSession.staffUnits.join(', ')})`);
     }
     
-    const questionsMap = {};
+    const table = getStorageAdapter().output.readTable(getRoundScopedSheetName(PA_WEIGHT_EXPLANATIONS_SHEET_NAME, roundId));
+    if (!table || !table.headers.includes('evaluatorId')) {
+      return { success: true, roundId, explanations: null };
+    }
     
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      const qId = row[idColIdx] ? row[idColIdx].toString().trim().toUpperCase() : null;
-      const qText = row[textColIdx] ? row[textColIdx].toString().trim() : null;
+    const explanations = [];
+    tableToRecords(table).forEach(record => {
+      const recordEvaluatorId = (record.evaluatorId || '').toString().toUpperCase();
+      if (evaluatorId ? recordEvaluatorId !== evaluatorId : !staffCanAccessUnit(userSession, unitsById[recordEvaluatorId] || [])) return;
       
-      if (qId && qText) {
-        const qType = (typeColIdx !== -1 && row[typeColIdx]) ? row[typeColIdx].toString().trim() : "LikertScale";
-        const qInstruction = (instructionColIdx !== -1 && row[instructionColIdx]) ? row[instructionColIdx].toString().trim() : "";
-        
-        questionsMap[qId] = {
-          questionId: qId,
-          questionPrompt: qText,
-          questionInstruction: qInstruction,
-          questionType: qType
+      let explanation = explanations[explanations.length - 1];
+      if (!explanation || explanation.evaluatorId !== recordEvaluatorId) {
+        explanation = {
+          evaluatorId: recordEvaluatorId,
+          evaluatorName: record.evaluatorName,
+          weightRuleVersion: record.weightRuleVersion,
+          calculatedWeight: null,
+          steps: []
         };
+        explanations.push(explanation);
       }
+      explanation.steps.push({
+        step: Number(record.step),
+        ruleId: record.ruleId,
+        description: record.description,
+        conditions: record.conditions,
+        adjustment: record.adjustment === '' ? null : Number(record.adjustment),
+        clamp: record.clamp,
+        weightBefore: record.weightBefore === '' ? null : Number(record.weightBefore),
+        weightAfter: Number(record.weightAfter)
+      });
+      if (record.ruleId === 'RESULT' || record.ruleId === 'OVERRIDE') {
+        explanation.calculatedWeight = Number(record.weightAfter);
+      }
+    });
+    
+    return { success: true, roundId, explanations };
+    
+  } catch (error) {
+    Logger.log(`Error in getWeightExplanationsForWeb: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * List the assessments flagged as low-effort (read from PaSubmissionQuality): the same rating on
+ * every question, scores copied to every peer, boilerplate comments or implausibly fast submissions
+ * Unit-scoped staff only get the assessments in their units
+ * @param {Object} [options] - `{roundId}`
+ * @returns {Object} `{success, roundId, flags}`; flags is `{headers, records}`, or null if the
+ *   analytics workflow has not been run yet
+ */
+// eslint-disable-next-line no-unused-vars
+function getSubmissionQualityFlagsForWeb(options) {
+  try {
+    const userSession = authorizeCall('getSubmissionQualityFlagsForWeb', { audience: 'staff', permission: 'viewAnalytics', action: 'view submission quality flags' });
+    const roundId = resolveWorkflowRoundId(options);
+    
+    const table = getStorageAdapter().output.readTable(getRoundScopedSheetName(PA_SUBMISSION_QUALITY_SHEET_NAME, roundId));
+    if (!table || !table.headers.includes('unit')) {
+      return { success: true, roundId, flags: null };
     }
     
-    Logger.log(`Loaded ${Object.keys(questionsMap).length} questions for web interface`);
-    return questionsMap;
+    const records = tableToRecords(table).filter(record => staffCanAccessUnit(userSession, record.unit));
+    return { success: true, roundId, flags: { headers: table.headers, records } };
     
   } catch (error) {
-    Logger.log(`Error in getQuestionDefinitionsForWeb: ${error.message}`);
-    throw new Error(`Failed to load questions: ${error.message}`);
+    Logger.log(`Error in getSubmissionQualityFlagsForWeb: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
   }
 }
 
-// Note: submitPeerAssessments is already defined in SubmissionHandler.js
-// No need to redefine it here - it will be called directly
+/**
+ * List the groups of peer scores whose inter-rater reliability is below the warning threshold
+ * (read from PaReliability), for the banner on the instructor dashboard
+ * Unit-scoped staff only get the groups of their units
+ * @param {Object} [options] - `{roundId}`
+ * @returns {Object} `{success, roundId, threshold, warnings}`; each warning is `{roundId, unit,
+ *   questionId, ratees, raters, icc2k, krippendorffAlpha}` (null coefficients could not be
+ *   calculated), and warnings is null if the analytics workflow has not been run yet
+ */
+// eslint-disable-next-line no-unused-vars
+function getReliabilityWarningsForWeb(options) {
+  try {
+    const userSession = authorizeCall('getReliabilityWarningsForWeb', { audience: 'staff', permission: 'viewAnalytics', action: 'view reliability warnings' });
+    const roundId = resolveWorkflowRoundId(options);
+    const threshold = getReliabilityWarningThreshold();
+    
+    const table = getStorageAdapter().output.readTable(getRoundScopedSheetName(PA_RELIABILITY_SHEET_NAME, roundId));
+    if (!table || !table.headers.includes('unit')) {
+      return { success: true, roundId, threshold, warnings: null };
+    }
+    
+    const toCoefficient = value => value === '' || value === null || value === undefined ? null : Number(value);
+    const warnings = tableToRecords(table)
+      .filter(record => staffCanAccessUnit(userSession, record.unit))
+      .map(record => ({
+        roundId: record.roundId,
+        unit: record.unit,
+        questionId: record.questionId,
+        ratees: Number(record.ratees),
+        raters: Number(record.raters),
+        icc2k: toCoefficient(record.icc2k),
+        krippendorffAlpha: toCoefficient(record.krippendorffAlpha)
+      }))
+      .filter(warning => getReliabilityStatus(warning.icc2k, warning.krippendorffAlpha, threshold) === 'low');
+    
+    return { success: true, roundId, threshold, warnings };
+    
+  } catch (error) {
+    Logger.log(`Error in getReliabilityWarningsForWeb: ${error.message}`);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
 // ==============================================
 // INTERFACE CREATION FUNCTIONS
@@ -146,8 +391,14 @@ function createStudentInterface(userSession) {
 
 /**
  * Create the instructor dashboard interface
+ * Shared by every staff role: sections the role may not use are left out, and unit-scoped staff
+ * get their units' statistics and analytics only (the endpoints enforce the same rules)
  */
 function createInstructorInterface(userSession) {
+  const canRunWorkflows = userSession.permissions.includes('runWorkflows') && userSession.staffUnits.length === 0;
+  const canViewHistory = userSession.permissions.includes('viewRevisionHistory');
+  const scopeText = userSession.staffUnits.length > 0 ? `Units ${userSession.staffUnits.join(', ')}` : 'All units';
+  
   const htmlOutput = HtmlService.createHtmlOutput(`
     <!DOCTYPE html>
     <html>
@@ -241,15 +492,51 @@ function createInstructorInterface(userSession) {
           border: 1px solid #f5c6cb; 
           display: block; 
         }
+        .round-picker select { 
+          padding: 10px; 
+          border: 1px solid #ccc; 
+          border-radius: 5px; 
+          margin: 5px; 
+        }
+        .lookup-form input { 
+          padding: 10px; 
+          border: 1px solid #ccc; 
+          border-radius: 5px; 
+          margin: 5px; 
+        }
+        .history-table { 
+          width: 100%; 
+          border-collapse: collapse; 
+          margin-top: 15px; 
+        }
+        .history-table th, .history-table td { 
+          border-bottom: 1px solid #eee; 
+          padding: 8px; 
+          text-align: left; 
+        }
+        .history-table tr.superseded { 
+          color: #999; 
+        }
+        #reliabilityWarning { 
+          background: #fff3cd; 
+          color: #856404; 
+          border: 1px solid #ffeeba; 
+          padding: 15px 20px; 
+          border-radius: 8px; 
+          margin: 15px 0; 
+          display: none; 
+        }
       </style>
     </head>
     <body>
       <div class="header">
         <h1>📊 Instructor Dashboard</h1>
-        <p>Welcome, ${userSession.email}</p>
+        <p>Welcome, ${userSession.staffName || userSession.email}</p>
+        <p>Role: ${userSession.staffRole} · ${scopeText}</p>
       </div>
       
       <div id="status"></div>
+      <div id="reliabilityWarning"></div>
       
       <div class="stats-grid">
         <div class="stat-card">
@@ -266,20 +553,63 @@ function createInstructorInterface(userSession) {
         </div>
       </div>
       
+      <div class="card round-picker">
+        <label for="roundSelect">Assessment round:</label>
+        <select id="roundSelect">
+          <option value="">All submissions</option>
+        </select>
+      </div>
+      
+      ${canRunWorkflows ? `
       <div class="card">
         <h2>🔧 System Actions</h2>
         <div class="actions">
           <button class="btn" onclick="runAction('analytics')">Generate Analytics</button>
           <button class="btn" onclick="runAction('scoring')">Calculate Scores</button>
+          <button class="btn" onclick="runAction('grading')">Calculate Final Grades</button>
           <button class="btn" onclick="runAction('reports')">Generate Reports</button>
           <button class="btn" onclick="runAction('missing')">Find Missing Assessments</button>
           <button class="btn" onclick="openSpreadsheet()">Open Spreadsheet</button>
         </div>
       </div>
+      ` : ''}
+      
+      <div class="card">
+        <h2>📈 Analytics</h2>
+        <p>Evaluator analytics and final scores from the last workflow run (${scopeText}).</p>
+        <button class="btn" onclick="loadAnalytics(event)">Show Analytics</button>
+        <div id="unitAnalytics"></div>
+        <h3>Why this weight?</h3>
+        <div class="lookup-form">
+          <input type="text" id="explanationEvaluatorId" placeholder="Evaluator ID (e.g. A113031034)">
+          <button class="btn" onclick="loadWeightExplanation(event)">Explain Weight</button>
+        </div>
+        <div id="weightExplanation"></div>
+        <h3>Submission quality</h3>
+        <p>Assessments with the same rating on every question, scores copied to every peer, boilerplate comments or implausibly fast submissions.</p>
+        <button class="btn" onclick="loadQualityFlags(event)">Show Quality Flags</button>
+        <div id="qualityFlags"></div>
+      </div>
+      
+      ${canViewHistory ? `
+      <div class="card">
+        <h2>🕘 Revision History</h2>
+        <p>See every version a student submitted for one peer, including answers they later changed.</p>
+        <div class="lookup-form">
+          <input type="text" id="historyEvaluatorId" placeholder="Evaluator ID (e.g. A113031034)">
+          <input type="text" id="historyEvaluatedId" placeholder="Evaluated student ID">
+          <button class="btn" onclick="loadRevisionHistory(event)">Show History</button>
+        </div>
+        <div id="revisionHistory"></div>
+      </div>
+      ` : ''}
       
       <script>
         document.addEventListener('DOMContentLoaded', function() {
           loadStatistics();
+          loadRounds();
+          loadReliabilityWarnings();
+          document.getElementById('roundSelect').addEventListener('change', loadReliabilityWarnings);
         });
         
         function showStatus(message, type) {
@@ -310,6 +640,66 @@ function createInstructorInterface(userSession) {
           }
         }
         
+        async function loadRounds() {
+          try {
+            const result = await new Promise((resolve, reject) => {
+              google.script.run
+                .withSuccessHandler(resolve)
+                .withFailureHandler(reject)
+                .getAssessmentRoundsForWeb();
+            });
+            if (!result.success) {
+              throw new Error(result.error);
+            }
+            
+            const select = document.getElementById('roundSelect');
+            result.rounds.forEach(round => {
+              const option = document.createElement('option');
+              option.value = round.roundId;
+              option.textContent = round.name + ' (' + round.roundId + ')' + (round.isOpen ? ' - open' : '');
+              select.appendChild(option);
+            });
+            
+          } catch (error) {
+            console.error('Failed to load assessment rounds:', error);
+            showStatus('Failed to load assessment rounds: ' + error.message, 'error');
+          }
+        }
+        
+        async function loadReliabilityWarnings() {
+          const banner = document.getElementById('reliabilityWarning');
+          try {
+            const roundId = document.getElementById('roundSelect').value;
+            const result = await new Promise((resolve, reject) => {
+              google.script.run
+                .withSuccessHandler(resolve)
+                .withFailureHandler(reject)
+                .getReliabilityWarningsForWeb({ roundId: roundId });
+            });
+            if (!result.success) {
+              throw new Error(result.error);
+            }
+            if (!result.warnings || result.warnings.length === 0) {
+              banner.style.display = 'none';
+              return;
+            }
+            
+            const format = value => value === null ? 'n/a' : value.toFixed(2);
+            banner.innerHTML = '<strong>⚠️ Low inter-rater reliability</strong> (below ' + escapeHtml(result.threshold) + '): ' +
+              'peers disagree too much for these scores to be dependable.<ul>' +
+              result.warnings.map(warning => '<li>' +
+                (warning.roundId ? escapeHtml(warning.roundId) + ' · ' : '') + 'Unit ' + escapeHtml(warning.unit) + ' · ' +
+                (warning.questionId === 'ALL' ? 'all questions' : escapeHtml(warning.questionId)) +
+                ': ICC(2,k) ' + escapeHtml(format(warning.icc2k)) + ', α ' + escapeHtml(format(warning.krippendorffAlpha)) +
+                ' (' + escapeHtml(warning.raters) + ' raters, ' + escapeHtml(warning.ratees) + ' students)</li>').join('') + '</ul>';
+            banner.style.display = 'block';
+            
+          } catch (error) {
+            console.error('Failed to load reliability warnings:', error);
+            banner.style.display = 'none';
+          }
+        }
+        
         async function runAction(type) {
           const button = event.target;
           const originalText = button.textContent;
@@ -317,33 +707,20 @@ function createInstructorInterface(userSession) {
           button.disabled = true;
           
           try {
-            let functionName;
-            switch(type) {
-              case 'analytics':
-                functionName = 'generateEvaluatorAnalyticsAndWeights';
-                break;
-              case 'scoring':
-                functionName = 'calculateWeightedScoresAndUpdateSheet';
-                break;
-              case 'reports':
-                functionName = 'generateRawScoresReportWithWeights';
-                break;
-              case 'missing':
-                functionName = 'findStudentsWhoHaventAssessedSpecificPeers';
-                break;
-              default:
-                throw new Error('Unknown action type');
-            }
-            
-            await new Promise((resolve, reject) => {
+            const roundId = document.getElementById('roundSelect').value;
+            const result = await new Promise((resolve, reject) => {
               google.script.run
                 .withSuccessHandler(resolve)
                 .withFailureHandler(reject)
-                [functionName]();
+                .runStaffWorkflow(type, { roundId: roundId });
             });
+            if (!result.success) {
+              throw new Error(result.error);
+            }
             
             showStatus(originalText + ' completed successfully!', 'success');
             loadStatistics(); // Refresh stats
+            loadReliabilityWarnings();
             
           } catch (error) {
             console.error('Action failed:', error);
@@ -354,6 +731,180 @@ function createInstructorInterface(userSession) {
           }
         }
         
+        function escapeHtml(value) {
+          return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        }
+        
+        function renderAnalyticsTable(title, table) {
+          if (!table) {
+            return '<h3>' + escapeHtml(title) + '</h3><p>Not generated yet for this round.</p>';
+          }
+          if (table.records.length === 0) {
+            return '<h3>' + escapeHtml(title) + '</h3><p>No rows for your units.</p>';
+          }
+          let html = '<h3>' + escapeHtml(title) + '</h3><table class="history-table"><tr>' +
+            table.headers.map(header => '<th>' + escapeHtml(header) + '</th>').join('') + '</tr>';
+          table.records.forEach(record => {
+            html += '<tr>' + table.headers.map(header => '<td>' + escapeHtml(record[header]) + '</td>').join('') + '</tr>';
+          });
+          return html + '</table>';
+        }
+        
+        async function loadAnalytics(event) {
+          const button = event.target;
+          const container = document.getElementById('unitAnalytics');
+          button.disabled = true;
+          
+          try {
+            const roundId = document.getElementById('roundSelect').value;
+            const analytics = await new Promise((resolve, reject) => {
+              google.script.run
+                .withSuccessHandler(resolve)
+                .withFailureHandler(reject)
+                .getUnitAnalyticsForWeb({ roundId: roundId });
+            });
+            if (!analytics.success) {
+              throw new Error(analytics.error);
+            }
+            container.innerHTML = renderAnalyticsTable('Evaluator Analytics', analytics.evaluatorAnalytics) +
+              renderAnalyticsTable('Final Scores', analytics.finalScores);
+            
+          } catch (error) {
+            console.error('Failed to load analytics:', error);
+            showStatus('Failed to load analytics: ' + error.message, 'error');
+          } finally {
+            button.disabled = false;
+          }
+        }
+        
+        async function loadQualityFlags(event) {
+          const button = event.target;
+          const container = document.getElementById('qualityFlags');
+          button.disabled = true;
+          
+          try {
+            const roundId = document.getElementById('roundSelect').value;
+            const result = await new Promise((resolve, reject) => {
+              google.script.run
+                .withSuccessHandler(resolve)
+                .withFailureHandler(reject)
+                .getSubmissionQualityFlagsForWeb({ roundId: roundId });
+            });
+            if (!result.success) {
+              throw new Error(result.error);
+            }
+            container.innerHTML = renderAnalyticsTable('Flagged Assessments', result.flags);
+            
+          } catch (error) {
+            console.error('Failed to load quality flags:', error);
+            showStatus('Failed to load quality flags: ' + error.message, 'error');
+          } finally {
+            button.disabled = false;
+          }
+        }
+        
+        async function loadWeightExplanation(event) {
+          const button = event.target;
+          const container = document.getElementById('weightExplanation');
+          const evaluatorId = document.getElementById('explanationEvaluatorId').value.trim();
+          button.disabled = true;
+          
+          try {
+            const roundId = document.getElementById('roundSelect').value;
+            const result = await new Promise((resolve, reject) => {
+              google.script.run
+                .withSuccessHandler(resolve)
+                .withFailureHandler(reject)
+                .getWeightExplanationsForWeb({ roundId: roundId, evaluatorId: evaluatorId });
+            });
+            if (!result.success) {
+              throw new Error(result.error);
+            }
+            if (!result.explanations) {
+              container.innerHTML = '<p>Analytics have not been generated yet for this round.</p>';
+              return;
+            }
+            if (result.explanations.length === 0) {
+              container.innerHTML = '<p>No weight explanation found for ' + escapeHtml(evaluatorId) + '.</p>';
+              return;
+            }
+            
+            let html = '';
+            result.explanations.forEach(explanation => {
+              html += '<p><strong>' + escapeHtml(explanation.evaluatorName) + ' (' + escapeHtml(explanation.evaluatorId) + ')</strong>: weight ' +
+                escapeHtml(explanation.calculatedWeight) + ' · rules ' + escapeHtml(explanation.weightRuleVersion) + '</p>' +
+                '<table class="history-table"><tr><th>Step</th><th>Rule</th><th>Description</th><th>Conditions</th><th>Adjustment</th><th>Clamp</th><th>Before</th><th>After</th></tr>';
+              explanation.steps.forEach(step => {
+                html += '<tr>' +
+                  '<td>' + escapeHtml(step.step) + '</td>' +
+                  '<td>' + escapeHtml(step.ruleId) + '</td>' +
+                  '<td>' + escapeHtml(step.description) + '</td>' +
+                  '<td>' + escapeHtml(step.conditions) + '</td>' +
+                  '<td>' + escapeHtml(step.adjustment) + '</td>' +
+                  '<td>' + escapeHtml(step.clamp) + '</td>' +
+                  '<td>' + escapeHtml(step.weightBefore) + '</td>' +
+                  '<td>' + escapeHtml(step.weightAfter) + '</td>' +
+                  '</tr>';
+              });
+              html += '</table>';
+            });
+            container.innerHTML = html;
+            
+          } catch (error) {
+            console.error('Failed to load weight explanation:', error);
+            showStatus('Failed to load weight explanation: ' + error.message, 'error');
+          } finally {
+            button.disabled = false;
+          }
+        }
+        
+        async function loadRevisionHistory(event) {
+          const button = event.target;
+          const container = document.getElementById('revisionHistory');
+          const evaluatorId = document.getElementById('historyEvaluatorId').value.trim();
+          const evaluatedId = document.getElementById('historyEvaluatedId').value.trim();
+          button.disabled = true;
+          
+          try {
+            const history = await new Promise((resolve, reject) => {
+              google.script.run
+                .withSuccessHandler(resolve)
+                .withFailureHandler(reject)
+                .getSubmissionRevisionHistory(evaluatorId, evaluatedId);
+            });
+            if (!history.success) {
+              throw new Error(history.error);
+            }
+            if (history.submissions.length === 0) {
+              container.innerHTML = '<p>No submissions found for ' + escapeHtml(history.evaluatorId) + ' → ' + escapeHtml(history.evaluatedStudentId) + '.</p>';
+              return;
+            }
+            
+            let html = '<table class="history-table"><tr><th>Submitted</th><th>Submission</th><th>Question</th><th>Type</th><th>Value</th><th>Revision</th><th>Status</th></tr>';
+            history.submissions.forEach(submission => {
+              submission.responses.forEach(response => {
+                html += '<tr class="' + (response.isCurrent ? 'current' : 'superseded') + '">' +
+                  '<td>' + escapeHtml(submission.timestamp) + '</td>' +
+                  '<td>' + escapeHtml(submission.submissionId) + '</td>' +
+                  '<td>' + escapeHtml(response.questionId) + '</td>' +
+                  '<td>' + escapeHtml(response.responseType) + '</td>' +
+                  '<td>' + escapeHtml(response.responseValue) + '</td>' +
+                  '<td>' + escapeHtml(response.revision) + '</td>' +
+                  '<td>' + (response.isCurrent ? 'Current' : 'Superseded') + '</td>' +
+                  '</tr>';
+              });
+            });
+            container.innerHTML = html + '</table>';
+            
+          } catch (error) {
+            console.error('Failed to load revision history:', error);
+            showStatus('Failed to load revision history: ' + error.message, 'error');
+          } finally {
+            button.disabled = false;
+          }
+        }
+        
         function openSpreadsheet() {
           window.open('${SpreadsheetApp.getActiveSpreadsheet().getUrl()}', '_blank');
         }
@@ -371,6 +922,15 @@ function createInstructorInterface(userSession) {
  * Create authentication required interface
  */
 function createAuthenticationInterface(errorMessage) {
+  // The page may be shown because the profile itself is misconfigured, so fall back to the defaults
+  let profile = DEFAULT_INSTITUTION_PROFILE;
+  try {
+    profile = getInstitutionProfile();
+  } catch (error) {
+    Logger.log(`createAuthenticationInterface: Using the default institution profile: ${error.message}`);
+  }
+  const domainText = profile.emailDomains.map(domain => `@${domain}`).join(' or ');
+
   const htmlOutput = HtmlService.createHtmlOutput(`
     <!DOCTYPE html>
     <html>
@@ -426,12 +986,12 @@ function createAuthenticationInterface(errorMessage) {
       <div class="container">
         <div class="icon">🔐</div>
         <h1>Authentication Required</h1>
-        <p>Please log in with your SHU Google account to access the Peer Assessment system.</p>
+        <p>Please log in with your ${profile.institutionShortName} Google account to access the Peer Assessment system.</p>
         
         ${errorMessage ? `<div class="error">Error: ${errorMessage}</div>` : ''}
         
         <p style="margin-top: 30px; color: #666; font-size: 0.9em;">
-          Make sure you're using your institutional email address ending with @mail.shu.edu.tw
+          Make sure you're using your institutional email address ending with ${domainText}
         </p>
         
         <button onclick="window.location.reload()" class="btn">
@@ -520,11 +1080,13 @@ function createErrorInterface(errorMessage) {
 
 /**
  * Get system statistics for the instructor dashboard (SAFE VERSION)
+ * Unit-scoped staff get the counts of their units only
  */
 // eslint-disable-next-line no-unused-vars
 function getSystemStatisticsSafe() {
   try {
     Logger.log('getSystemStatisticsSafe called');
+    const userSession = authorizeCall('getSystemStatisticsSafe', { audience: 'staff', permission: 'viewDashboard', action: 'view system statistics' });
     
     const parsedData = parseRawSurveyData();
     if (!parsedData) {
@@ -537,9 +1099,11 @@ function getSystemStatisticsSafe() {
       };
     }
     
-    const totalStudents = Object.keys(parsedData.students).length;
+    const totalStudents = Object.values(parsedData.students)
+      .filter(student => staffCanAccessUnit(userSession, [student.productionUnit1, student.productionUnit2])).length;
     const totalQuestions = Object.keys(parsedData.questions).length;
-    const totalResponses = parsedData.responses.length;
+    const totalResponses = parsedData.responses
+      .filter(response => staffCanAccessUnit(userSession, response.unitContextOfEvaluation)).length;
     
     Logger.log(`Statistics: ${totalStudents} students, ${totalQuestions} questions, ${totalResponses} responses`);
     
@@ -600,56 +1164,43 @@ function getCompletedAssessments() {
   try {
     Logger.log('getCompletedAssessments called');
     
-    // Get current user session to identify evaluator
-    const userSession = getCurrentUserSession();
-    if (!userSession || !userSession.isAuthenticated) {
-      Logger.log('User not authenticated');
-      return [];
-    }
+    // Identify the evaluator from the session, never from the client
+    const userSession = authorizeCall('getCompletedAssessments', { audience: 'student', action: 'list completed assessments' });
     
     const evaluatorId = userSession.studentId;
+    const activeRoundId = userSession.activeRound ? userSession.activeRound.roundId : '';
     Logger.log('Checking completed assessments for evaluator: ' + evaluatorId);
     
-    // Get submissions sheet
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const submissionsSheet = ss.getSheetByName('PaRawSubmissionsV2');
+    // Read the submissions through the storage adapter
+    const table = getStorageAdapter().submissions.read();
     
-    if (!submissionsSheet) {
-      Logger.log('PaRawSubmissionsV2 sheet not found');
+    if (!table) {
+      Logger.log(`${PA_RAW_SUBMISSIONS_V2_SHEET_NAME} sheet not found`);
       return [];
     }
     
-    const data = submissionsSheet.getDataRange().getValues();
-    if (data.length <= 1) {
+    if (table.records.length === 0) {
       Logger.log('No submission data found');
       return [];
     }
     
-    // Find column indices
-    const headers = data[0];
-    const evaluatorIdCol = headers.indexOf('evaluatorId');
-    const evaluatedStudentIdCol = headers.indexOf('evaluatedStudentId');
-    const responseTypeCol = headers.indexOf('responseType');
-    
-    if (evaluatorIdCol === -1 || evaluatedStudentIdCol === -1 || responseTypeCol === -1) {
+    if (!table.headers.includes('evaluatorId') || !table.headers.includes('evaluatedStudentId') || !table.headers.includes('responseType')) {
       Logger.log('Required columns not found in submissions sheet');
       return [];
     }
     
-    // Find unique students this evaluator has submitted SCORE responses for
+    // Find unique students this evaluator has submitted answers (anything but a comment) for
     const completedStudents = new Set();
     
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      const rowEvaluatorId = row[evaluatorIdCol];
-      const rowEvaluatedStudentId = row[evaluatedStudentIdCol];
-      const rowResponseType = row[responseTypeCol];
+    table.records.forEach(record => {
+      // Only the current round counts; earlier rounds must be assessed again
+      if (activeRoundId && String(record.roundId || '').toUpperCase() !== activeRoundId) return;
       
-      // Check if this is a score submission from our evaluator
-      if (rowEvaluatorId === evaluatorId && rowResponseType === 'SCORE' && rowEvaluatedStudentId) {
-        completedStudents.add(rowEvaluatedStudentId);
+      // Check if this is an answer from our evaluator
+      if (record.evaluatorId === evaluatorId && record.responseType && record.responseType !== 'COMMENT' && record.evaluatedStudentId) {
+        completedStudents.add(record.evaluatedStudentId);
       }
-    }
+    });
     
     const completedArray = Array.from(completedStudents);
     Logger.log(`Found ${completedArray.length} completed assessments: ${completedArray.join(', ')}`);
@@ -0,0 +1,236 @@
+/* global PA_WEIGHT_RULES_SHEET_NAME, PA_WEIGHT_RULES_HEADERS, DEFAULT_WEIGHT_RULES, WEIGHT_RULES_BASE_WEIGHT, WEIGHT_RULE_METRICS, WEIGHT_RULE_OPERATORS, getStorageAdapter, requireWorkflowAccess */
+
+/**
+ * @file WeightRules.js
+ * @description The evaluator weighting policy as data. Each rule compares metrics of the
+ * 'PaEvaluatorAnalytics' sheet with thresholds (e.g. avgScoreGiven > 3.5) and, when all of its
+ * conditions hold, adjusts the evaluator's weight and clamps it to the rule's floor and ceiling.
+ * Rules are read from the optional 'PaWeightRules' sheet (PA_WEIGHT_RULES_HEADERS), so the policy
+ * can be tuned per course; without the sheet DEFAULT_WEIGHT_RULES (Config.js) applies.
+ *
+ * A rule set carries a `version` derived from its content, which the analytics workflow writes
+ * next to every weight, so each set of weights can be traced to the rules that produced it.
+ *
+ * @requires Config.js (for DEFAULT_WEIGHT_RULES, WEIGHT_RULES_BASE_WEIGHT, WEIGHT_RULE_METRICS,
+ *   WEIGHT_RULE_OPERATORS and the sheet constants)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires AccessGuard.js (for requireWorkflowAccess)
+ */
+
+// ===================================================================================
+// RULE LOADING
+// ===================================================================================
+
+/**
+ * Reads a numeric cell.
+ * @param {*} value The cell value.
+ * @param {string} column The column name (for error messages).
+ * @param {boolean} required Whether a blank cell is an error.
+ * @returns {number|null} The number, or null for a blank optional cell.
+ * @throws {Error} If the cell is not a number, or blank when required.
+ */
+function parseWeightRuleNumber(value, column, required) {
+  const text = value === null || value === undefined ? "" : value.toString().trim();
+  if (text === "") {
+    if (required) throw new Error(`${column} is required`);
+    return null;
+  }
+  const number = Number(text);
+  if (!isFinite(number)) {
+    throw new Error(`${column} "${text}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Reads a `stop` cell. Blank cells mean false.
+ * @param {*} value The cell value (a boolean when Sheets shows a checkbox).
+ * @returns {boolean} Whether the rule ends the evaluation.
+ * @throws {Error} If the cell is not TRUE/FALSE.
+ */
+function parseWeightRuleStop(value) {
+  if (typeof value === "boolean") return value;
+  const text = value === null || value === undefined ? "" : value.toString().trim().toLowerCase();
+  if (text === "" || text === "false") return false;
+  if (text === "true") return true;
+  throw new Error(`stop "${value}" must be TRUE or FALSE`);
+}
+
+/**
+ * Parses the condition of a rule row.
+ * @param {Object<string, *>} record A record keyed by PA_WEIGHT_RULES_HEADERS.
+ * @returns {{metric: string, operator: string, threshold: number}} The condition.
+ * @throws {Error} If the metric or operator is unknown, or the threshold is not a number.
+ */
+function createWeightRuleCondition(record) {
+  const metric = record.metric ? record.metric.toString().trim() : "";
+  if (!WEIGHT_RULE_METRICS.includes(metric)) {
+    throw new Error(`Unknown metric "${metric}" (use ${WEIGHT_RULE_METRICS.join(", ")})`);
+  }
+  const operator = record.operator ? record.operator.toString().trim() : "";
+  if (!Object.prototype.hasOwnProperty.call(WEIGHT_RULE_OPERATORS, operator)) {
+    throw new Error(`Unknown operator "${operator}" (use ${Object.keys(WEIGHT_RULE_OPERATORS).join(" ")})`);
+  }
+  return { metric, operator, threshold: parseWeightRuleNumber(record.threshold, "threshold", true) };
+}
+
+/**
+ * Builds the rules from rule rows. Consecutive rows with the same ruleId form one rule; rows
+ * without a ruleId are rules of their own. Blank rows are ignored.
+ * @param {Object<string, *>[]} records Records keyed by PA_WEIGHT_RULES_HEADERS.
+ * @param {string} source Where the rows came from (for error messages).
+ * @returns {object[]} The rules: `{ruleId, conditions, adjustment, floor, ceiling, stop, description}`.
+ * @throws {Error} If a row is invalid, a ruleId is split across the sheet, or a floor exceeds a ceiling.
+ */
+function createWeightRules(records, source) {
+  const rules = [];
+  records.forEach((record, index) => {
+    if (PA_WEIGHT_RULES_HEADERS.every(header => record[header] === null || record[header] === undefined || record[header].toString().trim() === "")) return;
+    const rowLabel = `${source} row ${index + 2}`;
+    const ruleId = record.ruleId ? record.ruleId.toString().trim().toUpperCase() : `ROW${index + 2}`;
+    try {
+      const condition = createWeightRuleCondition(record);
+      const previous = rules[rules.length - 1];
+      if (previous && previous.ruleId === ruleId) {
+        previous.conditions.push(condition);
+        return;
+      }
+      if (rules.some(rule => rule.ruleId === ruleId)) {
+        throw new Error(`rule ${ruleId} is split; keep the rows of a rule together`);
+      }
+      const rule = {
+        ruleId,
+        conditions: [condition],
+        adjustment: parseWeightRuleNumber(record.adjustment, "adjustment", false) || 0,
+        floor: parseWeightRuleNumber(record.floor, "floor", false),
+        ceiling: parseWeightRuleNumber(record.ceiling, "ceiling", false),
+        stop: parseWeightRuleStop(record.stop),
+        description: record.description ? record.description.toString().trim() : ""
+      };
+      if (rule.floor !== null && rule.ceiling !== null && rule.floor > rule.ceiling) {
+        throw new Error(`floor ${rule.floor} is above ceiling ${rule.ceiling}`);
+      }
+      rules.push(rule);
+    } catch (error) {
+      throw new Error(`Invalid weight rule in ${rowLabel}: ${error.message}`, { cause: error });
+    }
+  });
+  return rules;
+}
+
+/**
+ * A short fingerprint of the rules (FNV-1a over their canonical form): equal rules give the same
+ * version, any edit to a condition, adjustment, bound or order gives a new one.
+ * @param {object[]} rules The rules.
+ * @returns {string} Eight hex digits.
+ */
+function getWeightRulesFingerprint(rules) {
+  const canonical = JSON.stringify(rules.map(rule => [
+    rule.ruleId, rule.conditions.map(condition => [condition.metric, condition.operator, condition.threshold]),
+    rule.adjustment, rule.floor, rule.ceiling, rule.stop
+  ]));
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < canonical.length; i++) {
+    hash ^= canonical.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * Loads the weighting policy of this deployment.
+ * @returns {{source: string, version: string, rules: object[]}} `source` is the sheet name or
+ *   "default"; `version` is "<source>@<fingerprint>".
+ * @throws {Error} If the 'PaWeightRules' sheet holds an invalid rule.
+ */
+// eslint-disable-next-line no-unused-vars
+function getWeightRuleSet() {
+  const table = getStorageAdapter().weightRules.read();
+  const source = table ? PA_WEIGHT_RULES_SHEET_NAME : "default";
+  const records = table
+    ? table.records
+    : DEFAULT_WEIGHT_RULES.map(row => Object.fromEntries(PA_WEIGHT_RULES_HEADERS.map((header, index) => [header, row[index]])));
+  const rules = createWeightRules(records, table ? `the "${PA_WEIGHT_RULES_SHEET_NAME}" sheet` : "DEFAULT_WEIGHT_RULES");
+  return { source, version: `${source}@${getWeightRulesFingerprint(rules)}`, rules };
+}
+
+// ===================================================================================
+// RULE EVALUATION
+// ===================================================================================
+
+/**
+ * Applies a rule set to one evaluator's metrics. The weight starts at WEIGHT_RULES_BASE_WEIGHT;
+ * each matching rule adds its adjustment, then clamps to its floor/ceiling, and a matching `stop`
+ * rule ends the evaluation. The result is kept within 0..1.
+ * @param {{rules: object[]}} ruleSet From {@link getWeightRuleSet}.
+ * @param {Object<string, number>} metrics Metric name -> value (see WEIGHT_RULE_METRICS; currentWeight
+ *   is the running weight and need not be given).
+ * @returns {{baseWeight: number, weight: number, rangeClamped: boolean, appliedRules: object[]}}
+ *   `appliedRules` lists the matching rules in order: `{ruleId, description, conditions, adjustment,
+ *   clamp, weightBefore, weightAfter, stop}`, where `conditions` carry the evaluator's `value` and
+ *   `clamp` is "floor" or "ceiling" when a bound changed the weight (else ""). `rangeClamped` is
+ *   true when the final 0..1 limit changed the weight.
+ */
+// eslint-disable-next-line no-unused-vars
+function evaluateWeightRules(ruleSet, metrics) {
+  let weight = WEIGHT_RULES_BASE_WEIGHT;
+  const appliedRules = [];
+  const valueOf = metric => (metric === "currentWeight" ? weight : metrics[metric]);
+
+  for (const rule of ruleSet.rules) {
+    const matches = rule.conditions.every(condition => {
+      const value = valueOf(condition.metric);
+      return typeof value === "number" && !isNaN(value) && WEIGHT_RULE_OPERATORS[condition.operator](value, condition.threshold);
+    });
+    if (!matches) continue;
+
+    const weightBefore = weight;
+    const adjusted = weight + rule.adjustment;
+    let clamp = "";
+    weight = adjusted;
+    if (rule.floor !== null && weight < rule.floor) {
+      weight = rule.floor;
+      clamp = "floor";
+    }
+    if (rule.ceiling !== null && weight > rule.ceiling) {
+      weight = rule.ceiling;
+      clamp = "ceiling";
+    }
+    appliedRules.push({
+      ruleId: rule.ruleId,
+      description: rule.description,
+      conditions: rule.conditions.map(condition => Object.assign({ value: valueOf(condition.metric) }, condition)),
+      adjustment: rule.adjustment,
+      clamp,
+      weightBefore,
+      weightAfter: weight,
+      stop: rule.stop
+    });
+    if (rule.stop) break;
+  }
+
+  const finalWeight = Math.max(0, Math.min(1, weight));
+  return { baseWeight: WEIGHT_RULES_BASE_WEIGHT, weight: finalWeight, rangeClamped: finalWeight !== weight, appliedRules };
+}
+
+// ===================================================================================
+// SHEET SETUP
+// ===================================================================================
+
+/**
+ * Creates the 'PaWeightRules' sheet with DEFAULT_WEIGHT_RULES, as a starting point for tuning
+ * the policy of a course. An existing sheet is never overwritten.
+ * @throws {Error} If the sheet already exists or the user may not run workflows.
+ */
+// eslint-disable-next-line no-unused-vars
+function createDefaultWeightRulesSheet() {
+  requireWorkflowAccess("createDefaultWeightRulesSheet");
+  const storage = getStorageAdapter();
+  if (storage.weightRules.read()) {
+    throw new Error(`The "${PA_WEIGHT_RULES_SHEET_NAME}" sheet already exists; edit it or delete it first.`);
+  }
+  storage.output.writeTable(PA_WEIGHT_RULES_SHEET_NAME, PA_WEIGHT_RULES_HEADERS, DEFAULT_WEIGHT_RULES.map(row => row.slice()), {
+    centerColumns: ["operator", "stop"]
+  });
+  Logger.log(`createDefaultWeightRulesSheet: wrote ${DEFAULT_WEIGHT_RULES.length} rows to "${PA_WEIGHT_RULES_SHEET_NAME}".`);
+}
@@ -1,4 +1,4 @@
-/* global PA_EVALUATOR_ANALYTICS_SHEET_NAME, parseRawSurveyData, calculateMedianFromArray, calculateMean, calculateStdDev */
+/* global PA_EVALUATOR_ANALYTICS_SHEET_NAME, PA_WEIGHT_EXPLANATIONS_SHEET_NAME, PA_WEIGHT_EXPLANATIONS_HEADERS, PA_RASCH_MEASURES_SHEET_NAME, PA_RASCH_MEASURES_HEADERS, PA_RELIABILITY_SHEET_NAME, PA_RELIABILITY_HEADERS, PA_COLLUSION_REVIEW_SHEET_NAME, PA_COLLUSION_REVIEW_HEADERS, PA_SUBMISSION_QUALITY_SHEET_NAME, PA_SUBMISSION_QUALITY_HEADERS, ANALYTICS_MODES, DEFAULT_ANALYTICS_MODE, ANALYTICS_MODE_PROPERTY_KEY, estimateManyFacetRaschModel, createReliabilityRows, getReliabilityWarningThreshold, createCollusionReviewRows, assessSubmissionQuality, getSubmissionQualityMetrics, createSubmissionQualityRows, createEmptySubmissionQualityMetrics, parseRawSurveyData, calculateMedianFromArray, calculateMean, calculateStdDev, isValidStudentId, getStorageAdapter, requireWorkflowAccess, resolveWorkflowRoundId, getRoundScopedSheetName, getWeightRuleSet, evaluateWeightRules, getApplicableScoreOverrides, applyScoreOverrideExclusions, findFixedScoreOverride, describeScoreOverride, describeScoreOverrides, isSelfAssessmentResponse, normalizeScoreResponses, DEFAULT_RATING_SCALE */
 
 /**
  * @file Workflow_Analytics.js
@@ -7,14 +7,190 @@
  * computes various metrics about each evaluator's behavior (e.g., average scores given,
  * consistency, comment frequency), and then applies a weighting algorithm.
  * The results, including analytics and calculated weights, are outputted to the
- * 'PaEvaluatorAnalytics' Google Sheet. This function is typically invoked from the
- * custom menu in Google Sheets.
+ * 'PaEvaluatorAnalytics' Google Sheet, and the rule-by-rule derivation of each weight to the
+ * 'PaWeightExplanations' sheet. In the "rasch" analytics mode it also fits a many-facet Rasch model
+ * and writes severity-adjusted scores, rater severities and fit statistics to 'PaRaschMeasures'.
+ * This function is typically invoked from the custom menu in Google Sheets.
  *
- * @requires Config.gs (for PA_EVALUATOR_ANALYTICS_SHEET_NAME)
+ * @requires Config.gs (for PA_EVALUATOR_ANALYTICS_SHEET_NAME, PA_WEIGHT_EXPLANATIONS_SHEET_NAME, PA_WEIGHT_EXPLANATIONS_HEADERS and DEFAULT_RATING_SCALE)
  * @requires Parser_V2.js (for parseRawSurveyData function)
  * @requires Utils.js (for calculateMedianFromArray, calculateMean, calculateStdDev functions)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires AssessmentRounds.js (for resolveWorkflowRoundId, getRoundScopedSheetName)
+ * @requires WeightRules.js (for getWeightRuleSet, evaluateWeightRules)
+ * @requires RaschModel.js (for estimateManyFacetRaschModel)
+ * @requires Reliability.js (for createReliabilityRows, getReliabilityWarningThreshold)
+ * @requires CollusionDetection.js (for createCollusionReviewRows)
+ * @requires SubmissionQuality.js (for assessSubmissionQuality, getSubmissionQualityMetrics, createSubmissionQualityRows, createEmptySubmissionQualityMetrics)
+ * @requires ScoreOverrides.js (for getApplicableScoreOverrides, applyScoreOverrideExclusions, findFixedScoreOverride, describeScoreOverride, describeScoreOverrides)
+ * @requires SelfAssessment.js (for isSelfAssessmentResponse)
+ * @requires QuestionTypes.js (for normalizeScoreResponses)
  */
 
+/**
+ * Decides the analytics mode of a run: the run's `analyticsMode` option, else the ANALYTICS_MODE
+ * script property, else DEFAULT_ANALYTICS_MODE.
+ * @param {Object|string} [options] The workflow options.
+ * @returns {string} One of ANALYTICS_MODES.
+ * @throws {Error} If the mode is unknown.
+ */
+function resolveAnalyticsMode(options) {
+  const optionMode = options && typeof options === "object" ? options.analyticsMode : "";
+  const propertyMode = PropertiesService.getScriptProperties().getProperty(ANALYTICS_MODE_PROPERTY_KEY);
+  const source = optionMode ? "the analyticsMode option" : propertyMode ? `the ${ANALYTICS_MODE_PROPERTY_KEY} script property` : "DEFAULT_ANALYTICS_MODE";
+  const mode = (optionMode || propertyMode || DEFAULT_ANALYTICS_MODE).toString().trim().toLowerCase();
+  if (!ANALYTICS_MODES.includes(mode)) {
+    throw new Error(`Unknown analytics mode "${mode}" in ${source} (use ${ANALYTICS_MODES.join(", ")})`);
+  }
+  return mode;
+}
+
+/**
+ * The scores the Rasch model is fitted to: every peer score between active students.
+ * Self-ratings are left out, as they are not judgements of a peer. The model turns each distinct
+ * score into a category, so ratings rescaled from another scale ({@link normalizeScoreResponses})
+ * are rounded to the nearest point of DEFAULT_RATING_SCALE: a 6 on a 1-7 question (4.33) counts as a 4.
+ * @param {Object[]} responses The parsed responses, on DEFAULT_RATING_SCALE.
+ * @param {Object<string, Object>} students The active students by ID.
+ * @returns {{studentId: string, raterId: string, questionId: string, score: number}[]} The observations.
+ */
+function getRaschObservations(responses, students) {
+  return responses
+    .filter(r => r.responseType === "SCORE" && typeof r.responseValue === "number" && !isNaN(r.responseValue) &&
+      r.responseByStudentId && r.evaluatedStudentId && r.responseByStudentId !== r.evaluatedStudentId &&
+      students[r.responseByStudentId] && students[r.evaluatedStudentId])
+    .map(r => ({ studentId: r.evaluatedStudentId, raterId: r.responseByStudentId, questionId: r.responseToQuestionId, score: roundToCommonScale(r.responseValue) }));
+}
+
+/**
+ * @param {number} value A rating on DEFAULT_RATING_SCALE, possibly between two of its points.
+ * @returns {number} The nearest point of DEFAULT_RATING_SCALE.
+ */
+function roundToCommonScale(value) {
+  const common = DEFAULT_RATING_SCALE;
+  const steps = Math.round((value - common.min) / common.step);
+  return Math.min(common.max, Math.max(common.min, common.min + steps * common.step));
+}
+
+/**
+ * The Rasch columns of an evaluator's 'PaEvaluatorAnalytics' row.
+ * @param {Object} [rater] The evaluator's element of the fitted model (absent if they gave no scores).
+ * @returns {Array} raterSeverity, raterSeverityError, raterInfit, raterOutfit ("N/A" when unknown).
+ */
+function getRaterMeasureCells(rater) {
+  if (!rater) return ["N/A", "N/A", "N/A", "N/A"];
+  return [rater.measure, rater.standardError, rater.infit, rater.outfit]
+    .map(value => typeof value === "number" && isFinite(value) ? parseFloat(value.toFixed(2)) : "N/A");
+}
+
+/**
+ * Lays out a fitted model as 'PaRaschMeasures' rows (see PA_RASCH_MEASURES_HEADERS).
+ * @param {Object} model The result of {@link estimateManyFacetRaschModel}.
+ * @param {Object<string, Object>} students The active students by ID (for names).
+ * @param {Object<string, Object>} questions The questions by ID (for prompts).
+ * @returns {Array[]} Students (by ability, highest first), raters (most severe first), questions
+ *   (hardest first), then the score categories. If the estimation did not converge (e.g. scores
+ *   that are perfectly predictable), every row's status says so.
+ */
+function createRaschMeasureRows(model, students, questions) {
+  const unconverged = model.converged ? "" : "not converged";
+  const round = (value, decimals) => typeof value === "number" && isFinite(value) ? parseFloat(value.toFixed(decimals)) : "";
+  const facetRows = (facet, getName) => Object.keys(model[facet])
+    .sort((a, b) => model[facet][b].measure - model[facet][a].measure)
+    .map(id => {
+      const element = model[facet][id];
+      return [
+        facet, id, getName(id), element.observations, round(element.observedAverage, 2),
+        facet === "student" ? round(element.fairAverage, 2) : "",
+        round(element.measure, 2), round(element.standardError, 2), round(element.infit, 2), round(element.outfit, 2), element.status || unconverged
+      ];
+    });
+  const studentName = id => students[id] ? students[id].studentName : id;
+  return facetRows("student", studentName)
+    .concat(facetRows("rater", studentName))
+    .concat(facetRows("question", id => questions[id] ? questions[id].questionPrompt : id))
+    .concat(model.thresholds.map(threshold => [
+      "category", threshold.score, `Score ${threshold.score}`, threshold.observations, "", "",
+      threshold.measure === null ? "" : round(threshold.measure, 2), "", "", "", unconverged
+    ]));
+}
+
+/**
+ * The metrics of an evaluator under the names weighting rules use (the 'PaEvaluatorAnalytics' headers).
+ * @param {Object} metrics An evaluator's entry of evaluatorMetrics.
+ * @returns {Object<string, number>} Metric name -> value.
+ */
+function getWeightRuleMetrics(metrics) {
+  return {
+    totalScoredAssessments: metrics.totalScoredAssessments,
+    avgScoreGiven: metrics.avgScoreGiven,
+    stdDevScoresGiven: metrics.stdDevScoresGiven,
+    distinctScoresUsed: metrics.distinctScoreValuesUsed.size,
+    rangeOfScoresUsed: metrics.rangeScoresUsed,
+    percentMaxScore: metrics.percentMaxScore,
+    percentMinScore: metrics.percentMinScore,
+    percentMidScores: metrics.percentMidScores,
+    avgIntraPeerSd: metrics.avgIntraPeerSd,
+    avgAbsDevFromGroupMedian: metrics.avgAbsDevFromGroupMedian,
+    totalComments: metrics.commentsMadeCount,
+    percentScoresWithComment: metrics.percentScoresWithComment,
+    avgCommentLength: metrics.avgCommentLength,
+    percentStraightLined: metrics.quality.percentStraightLined,
+    percentCopiedScores: metrics.quality.percentCopiedScores,
+    percentBoilerplateComments: metrics.quality.percentBoilerplateComments,
+    percentTooFast: metrics.quality.percentTooFast,
+    medianSecondsPerAssessment: metrics.quality.medianSecondsPerAssessment
+  };
+}
+
+/**
+ * Rounds a weight for the explanation sheet, so float noise (0.30000000000000004) does not show.
+ * @param {number} weight The weight.
+ * @returns {number} The weight rounded to three decimals.
+ */
+function roundExplainedWeight(weight) {
+  return parseFloat(weight.toFixed(3));
+}
+
+/**
+ * Writes out how one evaluator's weight was reached (see PA_WEIGHT_EXPLANATIONS_HEADERS).
+ * @param {string} evaluatorId The evaluator.
+ * @param {string} evaluatorName Their name.
+ * @param {Object} evaluation The result of {@link evaluateWeightRules}.
+ * @param {number} ruleWeight The rules' weight, rounded as in 'PaEvaluatorAnalytics'.
+ * @param {string} weightRuleVersion The version of the rule set.
+ * @param {Object|null} [weightOverride] A fixed-weight entry of 'PaOverrides' that replaces the rules' weight.
+ * @returns {Array[]} The BASE row, one row per applied rule, the RESULT row and, with a fixed
+ *   weight, an OVERRIDE row.
+ */
+function createWeightExplanationRows(evaluatorId, evaluatorName, evaluation, ruleWeight, weightRuleVersion, weightOverride) {
+  const rows = [[evaluatorId, evaluatorName, 0, "BASE", "Starting weight", "", "", "", "", roundExplainedWeight(evaluation.baseWeight), weightRuleVersion]];
+  let weight = evaluation.baseWeight;
+  evaluation.appliedRules.forEach((rule, index) => {
+    const conditions = rule.conditions
+      .map(condition => `${condition.metric} ${roundExplainedWeight(condition.value)} ${condition.operator} ${condition.threshold}`)
+      .join(" AND ");
+    rows.push([
+      evaluatorId, evaluatorName, index + 1, rule.ruleId, rule.description || "", conditions,
+      rule.adjustment, rule.clamp, roundExplainedWeight(rule.weightBefore), roundExplainedWeight(rule.weightAfter), weightRuleVersion
+    ]);
+    weight = rule.weightAfter;
+  });
+  const stopped = evaluation.appliedRules.some(rule => rule.stop);
+  rows.push([
+    evaluatorId, evaluatorName, evaluation.appliedRules.length + 1, "RESULT",
+    stopped ? "Final weight (a stop rule ended the evaluation)" : "Final weight",
+    "", "", evaluation.rangeClamped ? "range 0..1" : "", roundExplainedWeight(weight), ruleWeight, weightRuleVersion
+  ]);
+  if (weightOverride) {
+    rows.push([
+      evaluatorId, evaluatorName, evaluation.appliedRules.length + 2, "OVERRIDE", describeScoreOverride(weightOverride),
+      "", "", "", ruleWeight, weightOverride.value, weightRuleVersion
+    ]);
+  }
+  return rows;
+}
+
 /**
  * Generates detailed analytics for each evaluator based on their submitted peer assessments
  * and calculates a "weight" for each evaluator.
@@ -27,34 +203,73 @@
  * 5. Calculating advanced metrics: average score, standard deviation of scores,
  *    score range, percentage of max/min/mid scores, intra-peer consistency (standard deviation),
  *    average deviation from group median for items, comment frequency, and average comment length.
- * 6. Applying a heuristic algorithm to calculate an evaluator weight (0.0 to 1.0)
- *    based on these metrics, aiming to adjust for potential biases or rating styles.
- * 7. Outputting all calculated analytics and weights to the 'PaEvaluatorAnalytics' sheet.
+ * 6. Applying the weighting rules ({@link getWeightRuleSet}: the 'PaWeightRules' sheet, or
+ *    DEFAULT_WEIGHT_RULES) to calculate an evaluator weight (0.0 to 1.0) based on these metrics,
+ *    aiming to adjust for potential biases or rating styles.
+ * 7. Outputting all calculated analytics and weights to the 'PaEvaluatorAnalytics' sheet, with the
+ *    version of the rule set in the `weightRuleVersion` column.
+ * 8. Outputting, per evaluator, the rules that fired with their adjustments and clamps to the
+ *    'PaWeightExplanations' sheet ({@link getWeightExplanationsForWeb} serves it to staff).
+ * 9. In the "rasch" analytics mode ({@link resolveAnalyticsMode}), fitting a many-facet Rasch model
+ *    ({@link estimateManyFacetRaschModel}) to the peer scores: each evaluator's severity, its
+ *    standard error and infit/outfit are added to 'PaEvaluatorAnalytics', and every student,
+ *    rater, question and score category goes to 'PaRaschMeasures' (students with their
+ *    severity-adjusted `fairAverage`). The weights are not affected.
+ * 10. Outputting the inter-rater reliability (ICC(2,k) and Krippendorff's alpha) of the peer scores
+ *    per round, unit and question to the 'PaReliability' sheet, flagging groups below the
+ *    warning threshold ({@link getReliabilityWarningsForWeb} shows them on the dashboard).
+ * 11. Outputting evaluator pairs with suspicious patterns (reciprocal inflation, cliques, ganging
+ *    up on one student) and the scores behind them to the 'PaCollusionReview' sheet.
+ * 12. Flagging low-effort assessments ({@link assessSubmissionQuality}: the same rating on every
+ *    question, scores copied to every peer, boilerplate comments, implausibly fast submissions).
+ *    The flagged assessments go to 'PaSubmissionQuality', and each evaluator's share of them to
+ *    'PaEvaluatorAnalytics' (percentStraightLined etc.), before the weights are calculated.
+ *    Submissions with form telemetry also give each evaluator's medianSecondsPerAssessment.
+ *
+ * The entries of 'PaOverrides' that apply to the run ({@link getApplicableScoreOverrides}) come
+ * first: excluded evaluations and evaluators are left out of every step, and a fixed weight
+ * replaces the rules' weight (an OVERRIDE row after RESULT in 'PaWeightExplanations'). With any
+ * entries, 'PaEvaluatorAnalytics' gets an `overrides` column listing those about each evaluator.
+ * Self-ratings (see SelfAssessment.js) say nothing about how a student rates peers and are left out.
+ * Ratings of questions with their own scale (ScaleMin/ScaleMax in 'PaQuestionConfig') are first put
+ * on DEFAULT_RATING_SCALE ({@link normalizeScoreResponses}), so every metric, the weighting rules'
+ * thresholds and the other analyses compare evaluators on one range.
  *
  * This function is web-safe and can be called from both menu items and web interfaces.
+ * With a roundId only that round's submissions are analysed and the output goes to
+ * 'PaEvaluatorAnalytics_<roundId>', 'PaWeightExplanations_<roundId>' and so on, so each round gets its own weights.
  *
  * @function generateEvaluatorAnalyticsAndWeights
+ * @param {Object|string} [options] `{roundId, analyticsMode}` or a bare roundId; omit to analyse all
+ *   submissions. `analyticsMode` ("standard" or "rasch") overrides the configured mode.
  * @returns {Object<string, number>|null} An object where keys are evaluator student IDs and values
  *                                        are their calculated weights (e.g., `{ "S123...": 0.85, ... }`).
  *                                        Returns `null` if critical errors occur (e.g., data parsing failure).
  */
 // eslint-disable-next-line no-unused-vars
-function generateEvaluatorAnalyticsAndWeights() {
+function generateEvaluatorAnalyticsAndWeights(options) {
   // ✅ REMOVED: const ui = SpreadsheetApp.getUi(); - This was causing the web context error
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const storage = getStorageAdapter();
   Logger.clear();
   Logger.log("--- Starting Evaluator Analytics & Weight Generation (Web-Safe Version) ---");
 
-  const analyticsSheetName = PA_EVALUATOR_ANALYTICS_SHEET_NAME; 
+  requireWorkflowAccess("generateEvaluatorAnalyticsAndWeights");
+  const roundId = resolveWorkflowRoundId(options);
+  const analyticsSheetName = getRoundScopedSheetName(PA_EVALUATOR_ANALYTICS_SHEET_NAME, roundId); 
+  const explanationsSheetName = getRoundScopedSheetName(PA_WEIGHT_EXPLANATIONS_SHEET_NAME, roundId);
+  const analyticsMode = resolveAnalyticsMode(options);
 
-  const parsedData = parseRawSurveyData(); 
+  const parsedData = parseRawSurveyData({ roundId }); 
   if (!parsedData || !parsedData.students || !parsedData.responses || !parsedData.questions ) {
     // ✅ FIXED: Replaced ui.alert() with Logger.log() and throw error for web interface to handle
     Logger.log("ERROR: parseRawSurveyData did not return expected data for analytics.");
     throw new Error("Could not parse necessary data. Cannot generate analytics.");
   }
 
-  const { students: allStudents, questions: _questions, responses } = parsedData;
+  const { students: allStudents, questions } = parsedData;
+  const overrides = getApplicableScoreOverrides(roundId);
+  const responses = normalizeScoreResponses(applyScoreOverrideExclusions(parsedData.responses, overrides)
+    .filter(response => !isSelfAssessmentResponse(response)), questions);
 
   Logger.log(`Analytics - Parsed Students Count: ${Object.keys(allStudents).length}`);
   Logger.log(`Analytics - Parsed Responses Count: ${responses.length}`);
@@ -65,30 +280,24 @@ function generateEvaluatorAnalyticsAndWeights() {
     throw new Error("No student data found for analytics.");
   }
 
-  let reportSheet = ss.getSheetByName(analyticsSheetName);
-  if (reportSheet) { 
-    reportSheet.clearContents().clearFormats(); 
-  } else { 
-    reportSheet = ss.insertSheet(analyticsSheetName); 
-  }
-  Logger.log(`Prepared sheet "${analyticsSheetName}".`);
-
   const analyticsHeaders = [
     "evaluatorId", "evaluatorName", "totalScoredAssessments", "avgScoreGiven", "stdDevScoresGiven", 
     "distinctScoresUsed", "rangeOfScoresUsed", "percentMaxScore", "percentMinScore", "percentMidScores",
     "avgIntraPeerSd", "avgAbsDevFromGroupMedian", "totalComments", "percentScoresWithComment", "avgCommentLength",
-    "calculatedWeight"
+    "percentStraightLined", "percentCopiedScores", "percentBoilerplateComments", "percentTooFast",
+    "medianSecondsPerAssessment", "calculatedWeight", "weightRuleVersion"
   ];
-  
-  reportSheet.getRange(1, 1, 1, analyticsHeaders.length).setValues([analyticsHeaders]);
-  reportSheet.getRange(1, 1, 1, analyticsHeaders.length).setFontWeight("bold").setHorizontalAlignment("center");
-  reportSheet.setFrozenRows(1);
-  Logger.log(`Populated camelCase headers in "${analyticsSheetName}".`);
+  if (overrides.length > 0) {
+    analyticsHeaders.push("overrides");
+  }
+  if (analyticsMode === "rasch") {
+    analyticsHeaders.push("raterSeverity", "raterSeverityError", "raterInfit", "raterOutfit");
+  }
 
   let evaluatorMetrics = {}; 
   for (const studentId in allStudents) {
     if (Object.prototype.hasOwnProperty.call(allStudents, studentId) && allStudents[studentId] && 
-        !studentId.startsWith("UNKNOWNID_") && /^[A-Z]{1}[0-9]{9}$/.test(studentId)) {
+        !studentId.startsWith("UNKNOWNID_") && isValidStudentId(studentId)) {
       evaluatorMetrics[studentId] = {
         studentId: studentId,
         studentName: allStudents[studentId].studentName || `[Name missing for ${studentId}]`, 
@@ -177,8 +386,8 @@ function generateEvaluatorAnalyticsAndWeights() {
           const minVal = Math.min(...metrics.scoresGivenValues);
           const maxVal = Math.max(...metrics.scoresGivenValues);
           metrics.rangeScoresUsed = maxVal - minVal;
-          const MAX_POSSIBLE_SCORE = 4;
-          const MIN_POSSIBLE_SCORE = 1;
+          const MAX_POSSIBLE_SCORE = DEFAULT_RATING_SCALE.max;
+          const MIN_POSSIBLE_SCORE = DEFAULT_RATING_SCALE.min;
           metrics.percentMaxScore = (metrics.scoresGivenValues.filter(s => s === MAX_POSSIBLE_SCORE).length / metrics.scoresGivenValues.length) * 100;
           metrics.percentMinScore = (metrics.scoresGivenValues.filter(s => s === MIN_POSSIBLE_SCORE).length / metrics.scoresGivenValues.length) * 100;
           metrics.percentMidScores = (metrics.scoresGivenValues.filter(s => s > MIN_POSSIBLE_SCORE && s < MAX_POSSIBLE_SCORE).length / metrics.scoresGivenValues.length) * 100;
@@ -225,57 +434,54 @@ function generateEvaluatorAnalyticsAndWeights() {
   }
   Logger.log(`Analytics: Advanced metrics calculated for all evaluators.`);
 
-  // --- Calculate Evaluator Weights ---
+  // --- Per-assessment quality flags ---
+  const qualityAssessments = assessSubmissionQuality(responses, allStudents);
+  const qualityMetrics = getSubmissionQualityMetrics(qualityAssessments);
+  for (const evaluatorId in evaluatorMetrics) {
+    if (Object.prototype.hasOwnProperty.call(evaluatorMetrics, evaluatorId)) {
+      evaluatorMetrics[evaluatorId].quality = qualityMetrics[evaluatorId] || createEmptySubmissionQualityMetrics();
+    }
+  }
+  const qualityRows = createSubmissionQualityRows(qualityAssessments, allStudents);
+  Logger.log(`Analytics: ${qualityRows.length} of ${qualityAssessments.length} assessments flagged for quality.`);
+
+  // --- Calculate Evaluator Weights ('PaWeightRules' or DEFAULT_WEIGHT_RULES) ---
+  const weightRuleSet = getWeightRuleSet();
   let evaluatorWeights = {}; 
-  Logger.log("Analytics: Calculating evaluator weights...");
+  Logger.log(`Analytics: Calculating evaluator weights with ${weightRuleSet.rules.length} rules (${weightRuleSet.version})...`);
   for (const evaluatorId in evaluatorMetrics) {
     if (Object.prototype.hasOwnProperty.call(evaluatorMetrics, evaluatorId)) {
       const metrics = evaluatorMetrics[evaluatorId];
-      let weight = 1.0; 
-      const numScoresGiven = metrics.scoresGivenValues.length;
-
-      if (numScoresGiven === 0) {
-          weight = 0.0;
-      } else if (numScoresGiven < 5) { 
-          weight = 0.4; 
-      } else { 
-          if (metrics.avgScoreGiven > 3.5) weight -= 0.25;  
-          else if (metrics.avgScoreGiven > 3.2) weight -= 0.15; 
-          if (metrics.avgScoreGiven < 2.0) weight -= 0.25;  
-          else if (metrics.avgScoreGiven < 2.3) weight -= 0.15; 
-          
-          if (metrics.percentMaxScore > 70) weight -= 0.10; 
-          if (metrics.percentMaxScore > 90) weight -= 0.15;
-          
-          if (metrics.percentMinScore < 10 && metrics.avgScoreGiven > 3.2) weight -= 0.10;
-          
-          if (metrics.distinctScoreValuesUsed.size === 1) weight -= 0.30; 
-          else if (metrics.distinctScoreValuesUsed.size === 2) weight -= 0.20;
-          
-          if (metrics.distinctScoreValuesUsed.size >= 3 && metrics.stdDevScoresGiven < 0.50 && metrics.scoresGivenValues.length >=10) weight -= 0.10;
-          
-          if (metrics.avgIntraPeerSd < 0.25 && metrics.totalScoredAssessments >= 10) weight -= 0.15;
-          
-          if (metrics.avgAbsDevFromGroupMedian > 0.70 && numScoresGiven >= 10) weight -= 0.15;
-          
-          if (metrics.percentScoresWithComment > 30) weight += 0.05;
-          if (metrics.percentScoresWithComment > 50) weight += 0.05;
-      }
-
-      weight = Math.max(0.0, Math.min(1.0, weight));
-      
-      if (numScoresGiven > 0 && weight < 0.4 && weight !== 0.0) {
-          weight = 0.4; 
-      }
+      const evaluation = evaluateWeightRules(weightRuleSet, getWeightRuleMetrics(metrics));
 
-      metrics.calculatedWeight = parseFloat(weight.toFixed(3)); 
+      metrics.weightEvaluation = evaluation;
+      metrics.ruleWeight = parseFloat(evaluation.weight.toFixed(3));
+      metrics.weightOverride = findFixedScoreOverride(overrides, "fixed-weight", evaluatorId);
+      metrics.calculatedWeight = metrics.weightOverride ? metrics.weightOverride.value : metrics.ruleWeight;
       evaluatorWeights[evaluatorId] = metrics.calculatedWeight; 
     }
   }
   Logger.log("Analytics: Evaluator weights calculated.");
 
+  // --- Many-facet Rasch model ("rasch" analytics mode) ---
+  let raschModel = null;
+  if (analyticsMode === "rasch") {
+    raschModel = estimateManyFacetRaschModel(getRaschObservations(responses, allStudents));
+    Logger.log(`Analytics: Rasch model ${raschModel.converged ? "converged" : "did NOT converge"} after ${raschModel.iterations} iterations.`);
+  }
+
+  // --- Inter-rater reliability per round, unit and question ---
+  const reliabilityRows = createReliabilityRows(responses, allStudents, getReliabilityWarningThreshold());
+  const lowReliabilityCount = reliabilityRows.filter(row => row[row.length - 1] === "low").length;
+  Logger.log(`Analytics: Reliability calculated for ${reliabilityRows.length} groups (${lowReliabilityCount} below the warning threshold).`);
+
+  // --- Collusion and reciprocity patterns between evaluators ---
+  const collusionRows = createCollusionReviewRows(responses, allStudents);
+  Logger.log(`Analytics: ${collusionRows.length} evaluator pairs flagged for collusion review.`);
+
   // --- Prepare Data Rows for Output Sheet ---
   let outputDataRows = [];
+  let explanationRows = [];
   const evaluatorIdsFromMetrics = Object.keys(evaluatorMetrics);
 
   const sortedEvaluatorIdsForReport = evaluatorIdsFromMetrics.sort((a, b) => {
@@ -304,45 +510,74 @@ function generateEvaluatorAnalyticsAndWeights() {
       metrics.commentsMadeCount || 0, 
       (typeof metrics.percentScoresWithComment === 'number') ? metrics.percentScoresWithComment.toFixed(1) + "%" : "N/A",
       (typeof metrics.avgCommentLength === 'number' && metrics.commentLengths && metrics.commentLengths.length > 0) ? metrics.avgCommentLength.toFixed(1) : "N/A",
-      typeof metrics.calculatedWeight === 'number' ? metrics.calculatedWeight.toFixed(3) : "N/A"
-    ]);
+      ...["percentStraightLined", "percentCopiedScores", "percentBoilerplateComments", "percentTooFast"]
+        .map(name => metrics.quality.assessments > 0 ? metrics.quality[name].toFixed(1) + "%" : "N/A"),
+      metrics.quality.medianSecondsPerAssessment !== null ? parseFloat(metrics.quality.medianSecondsPerAssessment.toFixed(1)) : "N/A",
+      typeof metrics.calculatedWeight === 'number' ? metrics.calculatedWeight.toFixed(3) : "N/A",
+      weightRuleSet.version
+    ].concat(overrides.length > 0 ? [describeScoreOverrides(overrides, override => override.evaluatorId === evaluatorId)] : [])
+      .concat(raschModel ? getRaterMeasureCells(raschModel.rater[evaluatorId]) : []));
+    explanationRows = explanationRows.concat(createWeightExplanationRows(evaluatorId, metrics.studentName || `[Name for ${evaluatorId}]`,
+      metrics.weightEvaluation, metrics.ruleWeight, weightRuleSet.version, metrics.weightOverride));
   }
   Logger.log(`Prepared ${outputDataRows.length} rows for the analytics report.`);
 
   // --- Write Data to Sheet ---
+  const numericalHeaders = ["avgScoreGiven", "stdDevScoresGiven", "percentMaxScore", "percentMinScore", "percentMidScores", 
+                            "avgIntraPeerSd", "avgAbsDevFromGroupMedian", "percentScoresWithComment", "avgCommentLength",
+                            "percentStraightLined", "percentCopiedScores", "percentBoilerplateComments", "percentTooFast", "medianSecondsPerAssessment", "calculatedWeight"];
+  const numberFormats = {};
+  numericalHeaders.forEach(header => {
+      numberFormats[header] = value => value === "N/A" ? "@" : "0.00";
+  });
+  storage.output.writeTable(explanationsSheetName, PA_WEIGHT_EXPLANATIONS_HEADERS, explanationRows, {
+    centerColumns: ["evaluatorId", "step", "ruleId", "clamp"],
+    rightColumns: ["adjustment", "weightBefore", "weightAfter"],
+    numberFormats: { weightBefore: "0.000", weightAfter: "0.000" },
+    emptyMessage: "No weight explanations to display."
+  });
+  storage.output.writeTable(getRoundScopedSheetName(PA_RELIABILITY_SHEET_NAME, roundId), PA_RELIABILITY_HEADERS, reliabilityRows, {
+    centerColumns: ["roundId", "unit", "questionId", "ratees", "raters", "ratings", "status"],
+    rightColumns: ["icc2k", "krippendorffAlpha"],
+    emptyMessage: "No peer scores to assess reliability.",
+    activate: false
+  });
+  storage.output.writeTable(getRoundScopedSheetName(PA_SUBMISSION_QUALITY_SHEET_NAME, roundId), PA_SUBMISSION_QUALITY_HEADERS, qualityRows, {
+    centerColumns: ["roundId", "unit", "evaluatorId", "evaluatedId", "scoredQuestions", "comments", "secondsSincePrevious"],
+    emptyMessage: "No low-effort assessments found.",
+    activate: false
+  });
+  storage.output.writeTable(getRoundScopedSheetName(PA_COLLUSION_REVIEW_SHEET_NAME, roundId), PA_COLLUSION_REVIEW_HEADERS, collusionRows, {
+    centerColumns: ["roundId", "unit", "findingId", "pattern", "evaluatorId", "evaluatedId"],
+    rightColumns: ["meanScore", "strength"],
+    numberFormats: { meanScore: "0.00", strength: "0.00" },
+    emptyMessage: "No suspicious rating patterns found.",
+    activate: false
+  });
+  if (raschModel) {
+    storage.output.writeTable(getRoundScopedSheetName(PA_RASCH_MEASURES_SHEET_NAME, roundId), PA_RASCH_MEASURES_HEADERS,
+      createRaschMeasureRows(raschModel, allStudents, questions), {
+        centerColumns: ["facet", "elementId", "observations", "status"],
+        rightColumns: ["observedAverage", "fairAverage", "measure", "standardError", "infit", "outfit"],
+        activate: false
+      });
+  }
+  storage.output.writeTable(analyticsSheetName, analyticsHeaders, outputDataRows, {
+    centerColumns: ["evaluatorId", "totalScoredAssessments", "distinctScoresUsed", "rangeOfScoresUsed", "totalComments"],
+    rightColumns: numericalHeaders,
+    numberFormats: numberFormats,
+    emptyMessage: "No evaluator metrics to display (outputDataRows was empty)."
+  });
+
   if (outputDataRows.length > 0) { 
-    reportSheet.getRange(2, 1, outputDataRows.length, analyticsHeaders.length).setValues(outputDataRows)
-               .setVerticalAlignment("middle");
-    const centerAlignHeaders = ["evaluatorId", "totalScoredAssessments", "distinctScoresUsed", "rangeOfScoresUsed", "totalComments"];
-    centerAlignHeaders.forEach(header => {
-        const colIdx = analyticsHeaders.indexOf(header);
-        if (colIdx !== -1) {
-            reportSheet.getRange(2, colIdx + 1, outputDataRows.length, 1).setHorizontalAlignment("center");
-        }
-    });
-    const numericalHeaders = ["avgScoreGiven", "stdDevScoresGiven", "percentMaxScore", "percentMinScore", "percentMidScores", 
-                              "avgIntraPeerSd", "avgAbsDevFromGroupMedian", "percentScoresWithComment", "avgCommentLength", "calculatedWeight"];
-    numericalHeaders.forEach(header => {
-        const colIdx = analyticsHeaders.indexOf(header);
-        if (colIdx !== -1) {
-            const columnData = reportSheet.getRange(2, colIdx + 1, outputDataRows.length, 1).getValues();
-            const formats = columnData.map(row => [row[0] === "N/A" ? "@" : "0.00"]);
-            reportSheet.getRange(2, colIdx + 1, outputDataRows.length, 1)
-                       .setHorizontalAlignment("right")
-                       .setNumberFormats(formats);
-        }
-    });
-    reportSheet.autoResizeColumns(1, analyticsHeaders.length);
-    Logger.log(`Evaluator analytics and weights generated in sheet "${analyticsSheetName}".`);
+    Logger.log(`Evaluator analytics and weights generated in sheet "${analyticsSheetName}", explanations in "${explanationsSheetName}".`);
     // ✅ FIXED: Removed ui.alert() - web interface will show success message based on return value
     Logger.log(`SUCCESS: Analytics & Weights Generated - Evaluator analytics and weights written to sheet: "${analyticsSheetName}".`);
   } else {
-    reportSheet.getRange(2,1).setValue("No evaluator metrics to display (outputDataRows was empty).");
     Logger.log("No evaluator metrics data to write for analytics sheet because outputDataRows was empty.");
     // ✅ FIXED: Removed ui.alert() - throw error instead for web interface to handle
     throw new Error("No evaluator metrics were generated to display.");
   }
-  ss.setActiveSheet(reportSheet);
   Logger.log("--- Evaluator Analytics & Weight Generation Complete (Web-Safe) ---");
   return evaluatorWeights; 
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+/* global PA_FINAL_GRADES_SHEET_NAME, PA_FINAL_GRADES_HEADERS, parseRawSurveyData, getStorageAdapter, requireWorkflowAccess, resolveWorkflowRoundId, findAssessmentRound, assessmentRoundIncludesUnit, getRoundScopedSheetName, getProductionUnits, resolveGradeFormula, readTeamMarks, createFinalGradeRows, getApplicableScoreOverrides, applyScoreOverrideExclusions, normalizeScoreResponses */
+
+/**
+ * @file Workflow_Grading.js
+ * @description The grading stage after scoring: combines the instructor's mark of each unit
+ * ('PaTeamMarks') with every member's peer factor and writes the grades, with their derivation, to
+ * 'PaFinalGrades' (see FinalGrades.js for the formula).
+ * This function is typically invoked from the custom menu in Google Sheets.
+ *
+ * @requires Config.js (for PA_FINAL_GRADES_SHEET_NAME and PA_FINAL_GRADES_HEADERS)
+ * @requires Parser_V2.js (for parseRawSurveyData function)
+ * @requires FinalGrades.js (for resolveGradeFormula, readTeamMarks, createFinalGradeRows)
+ * @requires ScoreOverrides.js (for getApplicableScoreOverrides, applyScoreOverrideExclusions)
+ * @requires QuestionTypes.js (for normalizeScoreResponses, which puts the ratings of the peer factors on one scale)
+ * @requires ProductionUnits.js (for getProductionUnits)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires AssessmentRounds.js (for resolveWorkflowRoundId, findAssessmentRound, getRoundScopedSheetName)
+ */
+
+/**
+ * Calculates every student's grade from their unit's team mark and their peer factor and updates
+ * the 'PaFinalGrades' sheet.
+ *
+ * The process involves:
+ * 1. Resolving the formula ({@link resolveGradeFormula}: the `formula` option, the GRADE_FORMULA
+ *    script property and DEFAULT_GRADE_FORMULA) and reading the team marks ({@link readTeamMarks}).
+ * 2. Parsing the submissions using {@link parseRawSurveyData}, leaving out the evaluations and
+ *    evaluators excluded in 'PaOverrides' ({@link applyScoreOverrideExclusions}).
+ * 3. Calculating each unit's peer factors and combining them with the unit's mark
+ *    ({@link createFinalGradeRows}): one row per student and unit, students sorted by name.
+ * 4. Writing the rows to 'PaFinalGrades' through the storage adapter.
+ *
+ * Students without a peer factor or in a unit without a mark are listed without a grade, with a
+ * note saying why. With a roundId only that round's submissions, marks and units are used and the
+ * output goes to 'PaFinalGrades_<roundId>'.
+ *
+ * @function calculateFinalGradesAndUpdateSheet
+ * @param {Object|string} [options] `{roundId, formula}` or a bare roundId; omit to grade all
+ *   submissions. `formula` (e.g. `{peerWeighting: 0.5}`) overrides settings of the configured formula.
+ * @returns {void} This function does not return a value but updates a Google Sheet.
+ */
+// eslint-disable-next-line no-unused-vars
+function calculateFinalGradesAndUpdateSheet(options) {
+  const storage = getStorageAdapter();
+  Logger.clear();
+  Logger.log("--- calculateFinalGradesAndUpdateSheet: Starting ---");
+
+  requireWorkflowAccess("calculateFinalGradesAndUpdateSheet");
+  const roundId = resolveWorkflowRoundId(options);
+  const targetSheetName = getRoundScopedSheetName(PA_FINAL_GRADES_SHEET_NAME, roundId);
+  const formula = resolveGradeFormula(options);
+  const teamMarks = readTeamMarks(roundId);
+  Logger.log(`Grade formula: ${JSON.stringify(formula)}. Team marks: ${JSON.stringify(teamMarks)}.`);
+
+  const parsedData = parseRawSurveyData({ roundId });
+  if (!parsedData || !parsedData.students || !parsedData.responses) {
+    Logger.log("ERROR: V2 Parsed data is invalid or incomplete (students or responses missing).");
+    throw new Error("Could not parse data using V2 parser. Cannot calculate grades.");
+  }
+  const { students } = parsedData;
+  const responses = applyScoreOverrideExclusions(parsedData.responses, getApplicableScoreOverrides(roundId));
+  const studentIds = Object.keys(students).sort((a, b) =>
+    (students[a].studentName || a).localeCompare(students[b].studentName || b));
+
+  const round = roundId ? findAssessmentRound(roundId) : null;
+  // Retired units are still graded for the rounds they took part in
+  const units = getProductionUnits().map(unit => unit.unitCode).filter(unit =>
+    (!round || assessmentRoundIncludesUnit(round, unit)) &&
+    studentIds.some(studentId => students[studentId].productionUnit1 === unit || students[studentId].productionUnit2 === unit));
+
+  const commonScaleResponses = normalizeScoreResponses(responses, parsedData.questions);
+  const rows = createFinalGradeRows({ studentIds, students, responses, commonScaleResponses }, { roundId, units, teamMarks, formula });
+  const gradeIndex = PA_FINAL_GRADES_HEADERS.indexOf("grade");
+  Logger.log(`${rows.filter(row => row[gradeIndex] !== "").length} of ${rows.length} students graded in ${units.length} unit(s).`);
+
+  const numberFormat = format => value => (typeof value === "number" ? format : "@");
+  storage.output.writeTable(targetSheetName, PA_FINAL_GRADES_HEADERS, rows, {
+    centerColumns: ["roundId", "unit", "studentId", "peerFactorMethod"],
+    numberFormats: {
+      teamMark: numberFormat("0.00"),
+      peerFactor: numberFormat("0.000"),
+      appliedFactor: numberFormat("0.000"),
+      uncappedGrade: numberFormat("0.00"),
+      grade: numberFormat("0.00")
+    },
+    emptyMessage: "No students in the graded units."
+  });
+
+  Logger.log(`--- calculateFinalGradesAndUpdateSheet: Complete (${targetSheetName}) ---`);
+}
@@ -1,4 +1,4 @@
-/* global PA_REPORT_ALL_RESPONSES_SHEET_NAME, PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME, PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME, parseRawSurveyData, generateEvaluatorAnalyticsAndWeights, isValidProductionUnit*/ 
+/* global PA_REPORT_ALL_RESPONSES_SHEET_NAME, PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME, PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME, parseRawSurveyData, generateEvaluatorAnalyticsAndWeights, isValidProductionUnit, getStorageAdapter, requireWorkflowAccess, resolveWorkflowRoundId, getRoundScopedSheetName, findAssessmentRound, assessmentRoundIncludesUnit */ 
 
 /**
  * @file Workflow_Reporting.js
@@ -10,28 +10,37 @@
  * @requires Config.gs (for various PA_..._SHEET_NAME constants)
  * @requires Parser_V2.js (for parseRawSurveyData function)
  * @requires Workflow_Analytics.js (for generateEvaluatorAnalyticsAndWeights function)
- * @requires Utils.js (for isValidProductionUnit function)
+ * @requires Utils.js (for isValidProductionUnit, which checks units against the 'PaUnits' registry)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires AssessmentRounds.js (for round scoping helpers)
+ *
+ * Every report accepts `{roundId}` (or a bare roundId) to report on one assessment round; the
+ * report sheets of a round-scoped run get the roundId as a suffix (e.g. 'PaReportAllResponses_FINAL').
  */
 
 /**
  * Generates a detailed report of all individual raw responses submitted by students.
  * This report includes the timestamp, evaluated student details, question details,
- * response type (SCORE/COMMENT), response value, evaluator details, the evaluator's
- * calculated weight (from {@link generateEvaluatorAnalyticsAndWeights}), and the unit
- * context of the evaluation. The output is written to the 'PaReportAllResponses' sheet.
+ * response type (SCORE/COMMENT, or TEXT/CHOICE/RANK/POINTS for the other question types),
+ * response value, evaluator details, the evaluator's calculated weight
+ * (from {@link generateEvaluatorAnalyticsAndWeights}), and the unit context of the evaluation.
+ * The output is written to the 'PaReportAllResponses' sheet.
  * This function is invoked from the custom menu.
  *
  * @function generateRawScoresReportWithWeights
+ * @param {Object|string} [options] `{roundId}` or a bare roundId; omit to report on all submissions.
  */
 // eslint-disable-next-line no-unused-vars
-function generateRawScoresReportWithWeights() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+function generateRawScoresReportWithWeights(options) {
+  const storage = getStorageAdapter();
   Logger.clear();
   Logger.log("--- Starting Raw Scores Report Generation (camelCase Headers, with Weights, using V2 Parser) ---");
 
-  const reportSheetName = PA_REPORT_ALL_RESPONSES_SHEET_NAME;
+  requireWorkflowAccess("generateRawScoresReportWithWeights");
+  const roundId = resolveWorkflowRoundId(options);
+  const reportSheetName = getRoundScopedSheetName(PA_REPORT_ALL_RESPONSES_SHEET_NAME, roundId);
 
-  const parsedData = parseRawSurveyData(); 
+  const parsedData = parseRawSurveyData({ roundId }); 
   if (!parsedData || !parsedData.students || !parsedData.responses || !parsedData.questions) {
     const errorMsg = "ERROR: V2 Parser did not return expected data for raw scores report.";
     Logger.log(errorMsg);
@@ -39,7 +48,7 @@ function generateRawScoresReportWithWeights() {
   }
   const { students: allStudents, questions, responses } = parsedData;
   
-  const evaluatorWeights = generateEvaluatorAnalyticsAndWeights(); 
+  const evaluatorWeights = generateEvaluatorAnalyticsAndWeights({ roundId }); 
   if (!evaluatorWeights) {
       Logger.log("Warning: Evaluator weights not available (function returned null). Weights column will show 'N/A' or default.");
   } else if (Object.keys(evaluatorWeights).length === 0) {
@@ -53,25 +62,11 @@ function generateRawScoresReportWithWeights() {
   }
   Logger.log(`Generating raw scores report from ${responses.length} responses (V2 Parser).`);
 
-  let reportSheet = ss.getSheetByName(reportSheetName);
-  if (reportSheet) {
-    Logger.log(`Sheet "${reportSheetName}" found. Clearing all contents and formats.`);
-    reportSheet.clearContents().clearFormats();
-  } else {
-    reportSheet = ss.insertSheet(reportSheetName);
-    Logger.log(`Sheet "${reportSheetName}" created.`);
-  }
-
   const headers = [
     "timestamp", "evaluatedStudentId", "evaluatedStudentName", 
     "questionId", "questionPrompt", "responseType", "responseValue", 
     "evaluatorId", "evaluatorName", "evaluatorWeight", "unitContextOfEvaluation"
   ];
-  
-  reportSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-  reportSheet.getRange(1, 1, 1, headers.length).setFontWeight("bold").setHorizontalAlignment("center");
-  reportSheet.setFrozenRows(1);
-  Logger.log(`Populated camelCase headers in "${reportSheetName}".`);
 
   const outputRows = [];
   for (const response of responses) {
@@ -100,36 +95,19 @@ function generateRawScoresReportWithWeights() {
     ]);
   }
 
+  storage.output.writeTable(reportSheetName, headers, outputRows, {
+    align: "left",
+    centerColumns: ["evaluatedStudentId", "questionId", "responseType", "evaluatorId", "evaluatorWeight", "unitContextOfEvaluation"],
+    numberFormats: { timestamp: "yyyy-mm-dd hh:mm:ss", evaluatorWeight: "0.000" },
+    emptyMessage: "No response data to display (V2 Parser)."
+  });
+
   if (outputRows.length > 0) { 
-    reportSheet.getRange(2, 1, outputRows.length, headers.length).setValues(outputRows)
-               .setVerticalAlignment("middle").setHorizontalAlignment("left"); 
-    
-    const centerAlignHeaders = ["evaluatedStudentId", "questionId", "responseType", "evaluatorId", "evaluatorWeight", "unitContextOfEvaluation"];
-    centerAlignHeaders.forEach(headerName => {
-        const colIdx = headers.indexOf(headerName);
-        if (colIdx !== -1) {
-            reportSheet.getRange(2, colIdx + 1, outputRows.length, 1).setHorizontalAlignment("center");
-        }
-    });
-    // Ensure timestamp column exists before formatting
-    const timestampColIdx = headers.indexOf("timestamp");
-    if (timestampColIdx !== -1) {
-        reportSheet.getRange(2, timestampColIdx + 1, outputRows.length, 1).setNumberFormat("yyyy-mm-dd hh:mm:ss");
-    }
-    // Ensure evaluatorWeight column exists before formatting
-    const weightColIdx = headers.indexOf("evaluatorWeight");
-    if (weightColIdx !== -1) {
-        reportSheet.getRange(2, weightColIdx + 1, outputRows.length, 1).setNumberFormat("0.000");
-    }
-    
-    try { reportSheet.autoResizeColumns(1, headers.length); } catch (e) { Logger.log(`Warning: autoResizeColumns failed. Error: ${e.message}`); }
     Logger.log(`Raw scores report (V2 Parser) generated in sheet "${reportSheetName}". ${outputRows.length} data rows written.`);
     Logger.log("SUCCESS: Raw scores data (V2 Parser) report generated successfully.");
   } else {
-    reportSheet.getRange(2,1).setValue("No response data to display (V2 Parser).");
     Logger.log("No data rows to write to raw scores report (V2 Parser).");
   }
-  ss.setActiveSheet(reportSheet);
   Logger.log("--- Raw Scores Report (V2 Parser) Generation Complete ---");
 }
 
@@ -139,18 +117,23 @@ function generateRawScoresReportWithWeights() {
  * actual submissions recorded. The results are outputted to the 'PaReportMissingAssessments' sheet.
  * This function is invoked from the custom menu.
  * - USES THE V2 PARSER.
+ * For a round that lists its units, only those units are checked.
  *
  * @function findStudentsWhoHaventAssessedSpecificPeers
+ * @param {Object|string} [options] `{roundId}` or a bare roundId; omit to check all submissions.
  */
 // eslint-disable-next-line no-unused-vars
-function findStudentsWhoHaventAssessedSpecificPeers() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+function findStudentsWhoHaventAssessedSpecificPeers(options) {
+  const storage = getStorageAdapter();
   Logger.clear(); 
   Logger.log("--- findStudentsWhoHaventAssessedSpecificPeers: Starting (camelCase Headers, V2 Parser) ---");
 
-  const reportSheetName = PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME;
+  requireWorkflowAccess("findStudentsWhoHaventAssessedSpecificPeers");
+  const roundId = resolveWorkflowRoundId(options);
+  const round = roundId ? findAssessmentRound(roundId) : null;
+  const reportSheetName = getRoundScopedSheetName(PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME, roundId);
 
-  const parsedData = parseRawSurveyData(); 
+  const parsedData = parseRawSurveyData({ roundId }); 
   if (!parsedData || !parsedData.students || !parsedData.responses) {
     const errorMsg = "ERROR: V2 Parser did not return expected data (students/responses) for missing assessment check.";
     Logger.log(errorMsg);
@@ -206,24 +189,10 @@ function findStudentsWhoHaventAssessedSpecificPeers() {
   });
   Logger.log("findStudentsWhoHaventAssessedSpecificPeers: assessmentsMade structure built.");
   
-  let reportSheet = ss.getSheetByName(reportSheetName);
-  if (reportSheet) {
-    Logger.log(`Sheet "${reportSheetName}" found. Clearing all contents and formats.`);
-    reportSheet.clearContents().clearFormats();
-  } else {
-    reportSheet = ss.insertSheet(reportSheetName);
-    Logger.log(`Sheet "${reportSheetName}" created.`);
-  }
-
   const reportHeaders = [
     "evaluatorId", "evaluatorName", "evaluatorEmail", 
     "evaluatorUnitContext", "peerNotAssessedId", "peerNotAssessedName"
   ];
-  
-  reportSheet.getRange(1, 1, 1, reportHeaders.length).setValues([reportHeaders]);
-  reportSheet.getRange(1, 1, 1, reportHeaders.length).setFontWeight("bold").setHorizontalAlignment("center");
-  reportSheet.setFrozenRows(1);
-  Logger.log(`Populated camelCase headers in "${reportSheetName}".`);
 
   let reportDataRows = [];
   let foundAnyMissing = false;
@@ -245,6 +214,8 @@ function findStudentsWhoHaventAssessedSpecificPeers() {
         }
 
         for (const unitKey of unitsEvaluatorBelongsTo) { 
+            if (round && !assessmentRoundIncludesUnit(round, unitKey)) continue;
+
             const peersInThisUnit = studentsByUnit[unitKey] || []; 
             
             const assessedPeersInThisUnitByThisEvaluator = (assessmentsMade[evaluatorId] && assessmentsMade[evaluatorId][unitKey]) 
@@ -279,23 +250,17 @@ function findStudentsWhoHaventAssessedSpecificPeers() {
     reportDataRows.sort((a, b) => {
         return (a[0].localeCompare(b[0])) || (a[3].localeCompare(b[3])) || (a[4].localeCompare(b[4]));
     });
-    reportSheet.getRange(2, 1, reportDataRows.length, reportHeaders.length).setValues(reportDataRows)
-               .setVerticalAlignment("middle").setHorizontalAlignment("left");
-    
-    const centerAlignReportHeaders = ["evaluatorId", "evaluatorUnitContext", "peerNotAssessedId"];
-    centerAlignReportHeaders.forEach(headerName => {
-        const colIdx = reportHeaders.indexOf(headerName);
-        if (colIdx !== -1) {
-            reportSheet.getRange(2, colIdx + 1, reportDataRows.length, 1).setHorizontalAlignment("center");
-        }
+    storage.output.writeTable(reportSheetName, reportHeaders, reportDataRows, {
+      align: "left",
+      centerColumns: ["evaluatorId", "evaluatorUnitContext", "peerNotAssessedId"]
     });
-    try { reportSheet.autoResizeColumns(1, reportHeaders.length); } catch (e) { Logger.log(`Warning: autoResizeColumns failed. Error: ${e.message}`); }
     Logger.log("SUCCESS: Detailed missing assessments report (V2 Parser) generated successfully.");
   } else {
-    reportSheet.getRange(2,1).setValue("All students appear to have assessed all their required peers based on their assigned unit(s) and available responses (V2 Parser).");
+    storage.output.writeTable(reportSheetName, reportHeaders, [], {
+      emptyMessage: "All students appear to have assessed all their required peers based on their assigned unit(s) and available responses (V2 Parser)."
+    });
     Logger.log("INFO: No missing assessments found (V2 Parser).");
   }
-  ss.setActiveSheet(reportSheet);
   Logger.log("--- Detailed Missing Assessments Generation Complete (V2 Parser) ---");
 }
 
@@ -307,17 +272,20 @@ function findStudentsWhoHaventAssessedSpecificPeers() {
  * - USES THE V2 PARSER.
  *
  * @function verifyMissingAssessmentsReport
+ * @param {Object|string} [options] `{roundId}` or a bare roundId; must match the report being verified.
  */
 // eslint-disable-next-line no-unused-vars
-function verifyMissingAssessmentsReport() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+function verifyMissingAssessmentsReport(options) {
+  const storage = getStorageAdapter();
   Logger.clear();
   Logger.log("--- Starting Verification of Missing Assessments Report (camelCase Headers, V2 Parser) ---");
 
-  const generatedReportSheetName = PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME;
-  const verificationSummarySheetName = PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME;
+  requireWorkflowAccess("verifyMissingAssessmentsReport");
+  const roundId = resolveWorkflowRoundId(options);
+  const generatedReportSheetName = getRoundScopedSheetName(PA_REPORT_MISSING_ASSESSMENTS_SHEET_NAME, roundId);
+  const verificationSummarySheetName = getRoundScopedSheetName(PA_VERIFICATION_MISSING_ASSESSMENTS_SHEET_NAME, roundId);
 
-  const parsedData = parseRawSurveyData(); 
+  const parsedData = parseRawSurveyData({ roundId }); 
   if (!parsedData || !parsedData.students || !parsedData.responses) {
     const errorMsg = "ERROR: V2 Parser did not return expected data for verification.";
     Logger.log(errorMsg);
@@ -354,14 +322,14 @@ function verifyMissingAssessmentsReport() {
   });
   Logger.log("Verification: Re-built assessmentsMade structure from V2 data.");
 
-  let generatedReportSheet = ss.getSheetByName(generatedReportSheetName);
-  if (!generatedReportSheet) {
+  const generatedReportTable = storage.output.readTable(generatedReportSheetName);
+  if (!generatedReportTable) {
     const errorMsg = `ERROR: Report sheet "${generatedReportSheetName}" not found for verification.`;
     Logger.log(errorMsg);
     throw new Error(`The report sheet "${generatedReportSheetName}" to verify was not found. Please generate it first.`);
   }
-  const reportContent = generatedReportSheet.getDataRange().getValues();
-  if (reportContent.length < 1) { 
+  const reportContent = [generatedReportTable.headers].concat(generatedReportTable.rows);
+  if (generatedReportTable.headers.length === 0) { 
     const errorMsg = `INFO: Report sheet "${generatedReportSheetName}" is empty. Nothing to verify.`;
     Logger.log(errorMsg);
     throw new Error(`The report sheet "${generatedReportSheetName}" is empty or has no headers. Nothing to verify.`);
@@ -436,56 +404,43 @@ function verifyMissingAssessmentsReport() {
     }
   }
 
-  let summarySheet = ss.getSheetByName(verificationSummarySheetName);
-  if (summarySheet) { 
-    summarySheet.clearContents().clearFormats(); 
-    Logger.log(`Sheet "${verificationSummarySheetName}" found and cleared.`);
-  } else { 
-    summarySheet = ss.insertSheet(verificationSummarySheetName); 
-    Logger.log(`Sheet "${verificationSummarySheetName}" created.`);
-  }
-
-  summarySheet.appendRow(["Verification Summary for 'Detailed Missing Assessments' Report (based on V2 Parser data)"]);
-  summarySheet.getRange("A1").setFontWeight("bold");
-  summarySheet.appendRow([""]); 
-  summarySheet.appendRow(["Total Entries Checked in Report:", totalCheckedInReport]);
-  summarySheet.appendRow(["Entries Correctly Listed as Missing (or N/A in report):", correctlyMissingOrNA]);
-  summarySheet.appendRow(["Discrepancies (Reported Missing, but Found in current V2 data):", discrepanciesFound]);
-  summarySheet.appendRow([""]); 
+  const summaryLines = [];
+  const summaryFormatting = { boldLines: [0], headerLines: [] };
+  summaryLines.push(["Verification Summary for 'Detailed Missing Assessments' Report (based on V2 Parser data)"]);
+  summaryLines.push([""]); 
+  summaryLines.push(["Total Entries Checked in Report:", totalCheckedInReport]);
+  summaryLines.push(["Entries Correctly Listed as Missing (or N/A in report):", correctlyMissingOrNA]);
+  summaryLines.push(["Discrepancies (Reported Missing, but Found in current V2 data):", discrepanciesFound]);
+  summaryLines.push([""]); 
 
   if (discrepanciesFound > 0) {
-    summarySheet.appendRow(["--- Discrepancies Found ---"]);
-    summarySheet.getRange(summarySheet.getLastRow(), 1).setFontWeight("bold");
+    summaryFormatting.boldLines.push(summaryLines.length);
+    summaryLines.push(["--- Discrepancies Found ---"]);
     const discrepancyHeaders = [ 
         "reportedEvaluatorId", "evaluatorName", "reportedUnitContext", 
         "reportedPeerNotAssessedId", "peerName", "verificationStatus"
     ];
-    summarySheet.appendRow(discrepancyHeaders);
-    summarySheet.getRange(summarySheet.getLastRow(), 1, 1, discrepancyHeaders.length).setFontWeight("bold").setHorizontalAlignment("center");
+    summaryFormatting.headerLines.push(summaryLines.length);
+    summaryLines.push(discrepancyHeaders);
     if (verificationResults.length > 0) {
-        summarySheet.getRange(summarySheet.getLastRow() + 1, 1, verificationResults.length, verificationResults[0].length)
-                   .setValues(verificationResults)
-                   .setVerticalAlignment("middle").setHorizontalAlignment("left");
-        
-        const centerAlignSummaryHeaders = ["reportedEvaluatorId", "reportedUnitContext", "reportedPeerNotAssessedId"];
-        centerAlignSummaryHeaders.forEach(headerName => {
-            const colIdx = discrepancyHeaders.indexOf(headerName);
-            if (colIdx !== -1) {
-                summarySheet.getRange(summarySheet.getLastRow() - verificationResults.length + 1, colIdx + 1, verificationResults.length, 1).setHorizontalAlignment("center");
-            }
-        });
-        try { summarySheet.autoResizeColumns(1, discrepancyHeaders.length); } catch (e) { Logger.log(`Warning: autoResizeColumns for discrepancies failed. ${e.message}`);}
+        summaryFormatting.centerBlock = {
+          startLine: summaryLines.length,
+          lineCount: verificationResults.length,
+          columns: ["reportedEvaluatorId", "reportedUnitContext", "reportedPeerNotAssessedId"].map(headerName => discrepancyHeaders.indexOf(headerName))
+        };
+        summaryFormatting.autoResizeColumns = discrepancyHeaders.length;
+        verificationResults.forEach(resultRow => summaryLines.push(resultRow));
     }
   } else if (totalCheckedInReport > 0 || (reportContent.length >= 2 && typeof reportContent[1][0] === 'string' && reportContent[1][0].toLowerCase().includes("all students appear"))) {
-    summarySheet.appendRow(["No discrepancies found. The 'Detailed Missing Assessments' report appears consistent with current V2 data."]);
+    summaryLines.push(["No discrepancies found. The 'Detailed Missing Assessments' report appears consistent with current V2 data."]);
   } else if (reportContent.length <=1 && totalCheckedInReport === 0) { 
-     summarySheet.appendRow(["The 'Detailed Missing Assessments' report was empty (or only had headers), and no entries were checked."]);
+     summaryLines.push(["The 'Detailed Missing Assessments' report was empty (or only had headers), and no entries were checked."]);
   } else {
-    summarySheet.appendRow(["No specific missing assessment entries were found in the source report to verify, or no discrepancies noted (V2 Parser context)."]);
+    summaryLines.push(["No specific missing assessment entries were found in the source report to verify, or no discrepancies noted (V2 Parser context)."]);
   }
+  storage.output.writeLines(verificationSummarySheetName, summaryLines, summaryFormatting);
   
   Logger.log(`Verification Complete. Summary written to "${verificationSummarySheetName}". Discrepancies: ${discrepanciesFound}.`);
   Logger.log(`SUCCESS: Verification complete. Summary written to sheet: "${verificationSummarySheetName}". Discrepancies found: ${discrepanciesFound}. (V2 Parser context)`);
-  ss.setActiveSheet(summarySheet);
   Logger.log("--- Verification of Missing Assessments Report Complete (V2 Parser) ---");
 }
\ No newline at end of file
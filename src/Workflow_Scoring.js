@@ -1,17 +1,29 @@
-/* global PA_FINAL_SCORES_SUMMARY_SHEET_NAME, parseRawSurveyData, generateEvaluatorAnalyticsAndWeights, calculateMean, calculateMedianFromArray */
+/* global PA_FINAL_SCORES_SUMMARY_SHEET_NAME, PA_OVERRIDES_SHEET_NAME, parseRawSurveyData, generateEvaluatorAnalyticsAndWeights, getStorageAdapter, requireWorkflowAccess, resolveWorkflowRoundId, getRoundScopedSheetName, resolveScoringStrategies, getScoringStrategy, PA_SCORE_CONFIDENCE_SHEET_NAME, PA_SCORE_CONFIDENCE_HEADERS, createScoreConfidenceRows, getApplicableScoreOverrides, applyScoreOverrideExclusions, findFixedScoreOverride, describeScoreOverrides, PA_SELF_ASSESSMENT_SHEET_NAME, PA_SELF_ASSESSMENT_HEADERS, createSelfAssessmentRows, isSelfAssessmentResponse, isScaleQuestion, getQuestionSummaryColumns, createQuestionSummaries, normalizeScoreResponses */
 
 /**
  * @file Workflow_Scoring.js
- * @description This file is responsible for calculating the final weighted peer assessment scores
- * for each student and for each question, as well as an overall weighted median score per student.
- * It utilizes parsed submission data and evaluator weights. The results are outputted to the
- * 'PaFinalScoresSummary' Google Sheet. This function is typically invoked from the
- * custom menu in Google Sheets.
+ * @description This file is responsible for calculating the final peer assessment scores for each
+ * student with the selected scoring strategies (see ScoringStrategies.js): by default a weighted
+ * score per question and an overall weighted median score per student, optionally WebPA, SPARK or
+ * z-score columns. It utilizes parsed submission data and evaluator weights. The results are outputted to the
+ * 'PaFinalScoresSummary' Google Sheet. With the weightedMean strategy, the raters, bootstrap
+ * confidence interval and manual-review flag of each of its scores go to 'PaScoreConfidence'.
+ * The instructor's entries in 'PaOverrides' are applied and listed with the students they affect.
+ * When students rated themselves, each one's self-vs-peer gap goes to 'PaSelfAssessment'.
+ * Only LikertScale questions are scored; MultipleChoice, Ranking and PointAllocation questions
+ * get a summary column each (see QuestionTypes.js).
+ * This function is typically invoked from the custom menu in Google Sheets.
  *
- * @requires Config.gs (for PA_FINAL_SCORES_SUMMARY_SHEET_NAME)
+ * @requires Config.gs (for PA_FINAL_SCORES_SUMMARY_SHEET_NAME, PA_OVERRIDES_SHEET_NAME, PA_SELF_ASSESSMENT_SHEET_NAME and PA_SELF_ASSESSMENT_HEADERS)
  * @requires Parser_V2.js (for parseRawSurveyData function)
  * @requires Workflow_Analytics.js (for generateEvaluatorAnalyticsAndWeights function)
- * @requires Utils.js (for calculateMean, calculateMedianFromArray functions)
+ * @requires ScoringStrategies.js (for resolveScoringStrategies, getScoringStrategy)
+ * @requires ScoreConfidence.js (for createScoreConfidenceRows)
+ * @requires SelfAssessment.js (for createSelfAssessmentRows, isSelfAssessmentResponse)
+ * @requires QuestionTypes.js (for isScaleQuestion, getQuestionSummaryColumns, createQuestionSummaries, normalizeScoreResponses)
+ * @requires ScoreOverrides.js (for getApplicableScoreOverrides, applyScoreOverrideExclusions, findFixedScoreOverride, describeScoreOverrides)
+ * @requires Repositories.js (for getStorageAdapter)
+ * @requires AssessmentRounds.js (for resolveWorkflowRoundId, getRoundScopedSheetName)
  */
 
 /**
@@ -21,36 +33,66 @@
  * The process involves:
  * 1. Parsing raw submission data using {@link parseRawSurveyData}.
  * 2. Generating/retrieving evaluator weights using {@link generateEvaluatorAnalyticsAndWeights}.
- * 3. Preparing the target summary sheet ('PaFinalScoresSummary') by clearing it and setting up headers.
- * 4. Populating the sheet with a list of active students from the master list.
- * 5. For each student and each assessment question:
- *    a. Aggregating all scores received for that student on that question.
- *    b. Applying the respective evaluator's weight to each score.
- *    c. Calculating a weighted average score for the question.
- *    d. If no weighted scores are available but unweighted scores exist, a simple mean is used as a fallback.
- * 6. Calculating an overall weighted median score for each student across all their question scores.
- * 7. Writing these calculated scores and medians to the 'PaFinalScoresSummary' sheet.
+ * 3. Selecting the scoring strategies ({@link resolveScoringStrategies}: the `strategies` option,
+ *    the SCORING_STRATEGIES script property or DEFAULT_SCORING_STRATEGIES) and collecting their
+ *    camelCase headers for the summary sheet.
+ * 4. Building one output row per active student from the master list (sorted by name).
+ * 5. Letting each strategy score every student. The default `weightedMean` strategy:
+ *    a. Aggregates all scores received for that student on each question.
+ *    b. Applies the respective evaluator's weight to each score.
+ *    c. Calculates a weighted average score for the question.
+ *    d. If no weighted scores are available but unweighted scores exist, uses a simple mean as a fallback.
+ *    e. Calculates an overall weighted median score across all the student's question scores,
+ *       with every question's scale put on 1-5 first (see normalizeScoreResponses).
+ * 6. Writing the columns of every strategy to the 'PaFinalScoresSummary' sheet through the storage adapter.
+ *    With weightedMean, the evaluators behind each of its scores are resampled to give a confidence
+ *    interval ({@link createScoreConfidenceRows}), written to 'PaScoreConfidence' with the number
+ *    of raters and a flag on scores that need manual review (too few raters, too wide an interval).
+ *
+ * The entries of 'PaOverrides' that apply to the run ({@link getApplicableScoreOverrides}) leave
+ * the excluded evaluations and evaluators out of every strategy, and the analytics run applies the
+ * fixed weights. A fixed final score replaces the student's overallWeightedMedian (its
+ * 'PaScoreConfidence' row keeps only the raters and names the entry). With any entries, the summary
+ * gets an `overrides` column listing those about each student and their evaluators.
+ *
+ * The strategies score the LikertScale questions. After their columns, each MultipleChoice,
+ * Ranking and PointAllocation question gets a summary column of the peers' answers
+ * ({@link createQuestionSummaries}): the choices picked, the mean rank, or the mean share of the
+ * evaluators' points.
+ *
+ * Self-ratings (see SelfAssessment.js) are left out of every strategy but SPARK's SAPA factor. If
+ * the run has any, every student's self-ratings and plain mean peer ratings, per question and
+ * overall, and the gap between them are written to 'PaSelfAssessment' ({@link createSelfAssessmentRows}).
  *
  * This function is typically called from a custom menu item.
+ * With a roundId only that round's submissions (and that round's evaluator weights) are used and
+ * the output goes to 'PaFinalScoresSummary_<roundId>' (and 'PaScoreConfidence_<roundId>').
  *
  * @function calculateWeightedScoresAndUpdateSheet
+ * @param {Object|string} [options] `{roundId, strategies}` or a bare roundId; omit to score all
+ *   submissions. `strategies` (e.g. ["weightedMean", "webpa"] or "spark") overrides the configured ones.
  * @returns {void} This function does not return a value but updates a Google Sheet.
  */
 // eslint-disable-next-line no-unused-vars
-function calculateWeightedScoresAndUpdateSheet() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+function calculateWeightedScoresAndUpdateSheet(options) {
+  const storage = getStorageAdapter();
   Logger.clear();
   Logger.log("--- calculateWeightedScoresAndUpdateSheet: Starting (Using V2 Parser, camelCase Headers) ---");
 
-  const targetSheetName = PA_FINAL_SCORES_SUMMARY_SHEET_NAME; 
+  requireWorkflowAccess("calculateWeightedScoresAndUpdateSheet");
+  const roundId = resolveWorkflowRoundId(options);
+  const targetSheetName = getRoundScopedSheetName(PA_FINAL_SCORES_SUMMARY_SHEET_NAME, roundId); 
+  const strategyNames = resolveScoringStrategies(options);
 
-  const parsedData = parseRawSurveyData(); 
+  const parsedData = parseRawSurveyData({ roundId }); 
   if (!parsedData || !parsedData.students || !parsedData.responses || !parsedData.questions) {
     const errorMsg = "ERROR: V2 Parsed data is invalid or incomplete (students, questions, or responses missing).";
     Logger.log(errorMsg);
     throw new Error("Could not parse data using V2 parser. Cannot calculate scores.");
   }
-  const { students: allStudentsFromMaster, questions, responses } = parsedData; 
+  const { students: allStudentsFromMaster, questions } = parsedData;
+  const overrides = getApplicableScoreOverrides(roundId);
+  const responses = applyScoreOverrideExclusions(parsedData.responses, overrides);
   if (Object.keys(allStudentsFromMaster).length === 0 || Object.keys(questions).length === 0) {
     const errorMsg = `INFO: No active students (${Object.keys(allStudentsFromMaster).length}) or no questions (${Object.keys(questions).length}) parsed. Aborting score calculation.`;
     Logger.log(errorMsg);
@@ -58,7 +100,7 @@ function calculateWeightedScoresAndUpdateSheet() {
   }
   Logger.log(`V2 Parsed data: ${Object.keys(allStudentsFromMaster).length} active students, ${Object.keys(questions).length} questions, ${responses.length} responses.`);
 
-  const evaluatorWeights = generateEvaluatorAnalyticsAndWeights(); 
+  const evaluatorWeights = generateEvaluatorAnalyticsAndWeights({ roundId }); 
   if (!evaluatorWeights) { 
     const errorMsg = "CRITICAL ERROR: Evaluator weights function (generateEvaluatorAnalyticsAndWeights) returned null. Aborting score calculation.";
     Logger.log(errorMsg);
@@ -69,201 +111,122 @@ function calculateWeightedScoresAndUpdateSheet() {
     Logger.log(`Retrieved ${Object.keys(evaluatorWeights).length} evaluator weights.`);
   }
 
-  let targetSheet = ss.getSheetByName(targetSheetName);
-  if (targetSheet) {
-    Logger.log(`Sheet "${targetSheetName}" found. Clearing contents and formats.`);
-    targetSheet.clearContents().clearFormats(); 
-  } else {
-    targetSheet = ss.insertSheet(targetSheetName);
-    Logger.log(`Sheet "${targetSheetName}" created.`);
+  const sortedQuestionIds = Object.keys(questions).filter(questionId => isScaleQuestion(questions[questionId])).sort(); 
+  const summaryColumns = getQuestionSummaryColumns(questions);
+  const expectedHeadersInOrder = ["studentId", "studentName"];
+  const numberFormats = {};
+  const scoreFormat = format => value => (value === "" || typeof value !== 'number' || isNaN(value)) ? "@" : format;
+  strategyNames.forEach(name => {
+    const strategy = getScoringStrategy(name);
+    strategy.getHeaders(sortedQuestionIds).forEach(header => {
+      expectedHeadersInOrder.push(header);
+      numberFormats[header] = scoreFormat(strategy.numberFormat);
+    });
+  });
+  const summaryFormats = { MultipleChoice: "@", Ranking: scoreFormat("0.00"), PointAllocation: scoreFormat("0.0") };
+  summaryColumns.forEach(column => {
+    expectedHeadersInOrder.push(column.header);
+    numberFormats[column.header] = summaryFormats[column.questionType];
+  });
+  if (overrides.length > 0) {
+    expectedHeadersInOrder.push("overrides");
   }
-  
-  const studentIdHeader = "studentId";
-  const studentNameHeader = "studentName";
-  const overallMedianHeader = "overallWeightedMedian";
-  
-  const expectedHeadersInOrder = [studentIdHeader, studentNameHeader];
-  const sortedQuestionIds = Object.keys(questions).sort(); 
-  sortedQuestionIds.forEach(qId => expectedHeadersInOrder.push(qId.toLowerCase())); 
-  expectedHeadersInOrder.push(overallMedianHeader);
-
-  Logger.log(`Populating canonical camelCase headers in "${targetSheetName}". Headers: ${expectedHeadersInOrder.join(', ')}`);
-  targetSheet.getRange(1, 1, 1, expectedHeadersInOrder.length).setValues([expectedHeadersInOrder]);
-  targetSheet.getRange(1, 1, 1, expectedHeadersInOrder.length).setFontWeight("bold").setHorizontalAlignment("center");
-  targetSheet.setFrozenRows(1);
-    
-  const headerMap = {};
-  expectedHeadersInOrder.forEach((header, index) => { headerMap[header] = index; });
-  const studentIdColTargetIdx = headerMap[studentIdHeader]; 
-  const studentNameColTargetIdx = headerMap[studentNameHeader]; 
-  
-  const questionColMapTarget = {};
-  let overallMedianColNum = -1;
-
-  expectedHeadersInOrder.forEach((header, index) => {
-      if (header.match(/^q\d{1,2}$/)) { 
-          questionColMapTarget[header.toUpperCase()] = index + 1; 
-      } else if (header === overallMedianHeader) {
-          overallMedianColNum = index + 1;
+  Logger.log(`Scoring strategies: ${strategyNames.join(', ')}. Canonical camelCase headers for "${targetSheetName}": ${expectedHeadersInOrder.join(', ')}`);
+
+  const studentIdsFromMasterSorted = Object.keys(allStudentsFromMaster)
+    .filter(studentId => allStudentsFromMaster[studentId] && allStudentsFromMaster[studentId].studentId)
+    .sort((a,b) => {
+      const studentA = allStudentsFromMaster[a];
+      const studentB = allStudentsFromMaster[b];
+      if (studentA && studentA.studentName && studentB && studentB.studentName) {
+          return studentA.studentName.localeCompare(studentB.studentName);
       }
-  });
+      return a.localeCompare(b); 
+    });
 
-  if (Object.keys(questionColMapTarget).length !== sortedQuestionIds.length) {
-      const errorMsg = `CRITICAL ERROR: Question column mapping failed for target sheet "${targetSheetName}". Expected ${sortedQuestionIds.length} question columns, mapped ${Object.keys(questionColMapTarget).length}.`;
-      Logger.log(errorMsg);
-      throw new Error("Failed to map question columns in target sheet. Check logs.");
+  const context = {
+    studentIds: studentIdsFromMasterSorted,
+    students: allStudentsFromMaster,
+    questionIds: sortedQuestionIds,
+    responses,
+    commonScaleResponses: normalizeScoreResponses(responses, questions),
+    evaluatorWeights
+  };
+  const resultsByStrategy = strategyNames.map(name => getScoringStrategy(name).scoreStudents(context));
+  const questionSummaries = createQuestionSummaries(context, questions);
+
+  // A fixed final score replaces the last weightedMean column, overallWeightedMedian
+  const fixedScores = {};
+  studentIdsFromMasterSorted.forEach(studentId => {
+    const fixedScore = findFixedScoreOverride(overrides, "fixed-final-score", studentId);
+    if (fixedScore) fixedScores[studentId] = fixedScore;
+  });
+  const weightedMeanIndex = strategyNames.indexOf("weightedMean");
+  if (weightedMeanIndex === -1 && Object.keys(fixedScores).length > 0) {
+    Logger.log(`Warning: ${Object.keys(fixedScores).length} fixed final scores are not applied, as the weightedMean strategy is not selected.`);
   }
-  if (expectedHeadersInOrder.includes(overallMedianHeader) && overallMedianColNum === -1) {
-     const errorMsg = `CRITICAL ERROR: Overall median column mapping failed for target sheet "${targetSheetName}".`;
-     Logger.log(errorMsg);
-     throw new Error("Failed to map overall median column in target sheet. Check logs.");
+  if (weightedMeanIndex !== -1) {
+    Object.keys(fixedScores).forEach(studentId => {
+      const scores = resultsByStrategy[weightedMeanIndex][studentId];
+      scores[scores.length - 1] = fixedScores[studentId].value;
+    });
   }
 
-  const studentsToAddRows = [];
-  const studentIdsFromMasterSorted = Object.keys(allStudentsFromMaster).sort((a,b) => {
-    const studentA = allStudentsFromMaster[a];
-    const studentB = allStudentsFromMaster[b];
-    if (studentA && studentA.studentName && studentB && studentB.studentName) {
-        return studentA.studentName.localeCompare(studentB.studentName);
-    }
-    return a.localeCompare(b); 
+  // The entries about the student, and the exclusions of everyone who rated them
+  const describeStudentOverrides = studentId => describeScoreOverrides(overrides, override =>
+    override.studentId === studentId ||
+    (override.type === "exclude-evaluator" && parsedData.responses.some(response =>
+      response.evaluatedStudentId === studentId && response.responseByStudentId === override.evaluatorId)));
+
+  const outputRows = studentIdsFromMasterSorted.map(studentId => {
+    const studentDetails = allStudentsFromMaster[studentId];
+    let row = [studentDetails.studentId, studentDetails.studentName || `[Name missing for ${studentDetails.studentId}]`];
+    resultsByStrategy.forEach(results => { row = row.concat(results[studentId]); });
+    row = row.concat(questionSummaries[studentId]);
+    if (overrides.length > 0) row.push(describeStudentOverrides(studentId));
+    return row;
   });
+  Logger.log(`Scores calculated for ${outputRows.length} active students.`);
 
-  for (const studentId of studentIdsFromMasterSorted) { 
-      const studentDetails = allStudentsFromMaster[studentId];
-      if (studentDetails && studentDetails.studentId) { 
-          let studentRowValues = new Array(expectedHeadersInOrder.length).fill(""); 
-          studentRowValues[studentIdColTargetIdx] = studentDetails.studentId; 
-          if (studentNameColTargetIdx !== undefined) { 
-             studentRowValues[studentNameColTargetIdx] = studentDetails.studentName || `[Name missing for ${studentDetails.studentId}]`; 
-          }
-          studentsToAddRows.push(studentRowValues);
-      }
-  }
-  if (studentsToAddRows.length > 0) {
-      targetSheet.getRange(2, 1, studentsToAddRows.length, studentsToAddRows[0].length).setValues(studentsToAddRows);
-      Logger.log(`Populated ${studentsToAddRows.length} active students into "${targetSheetName}".`);
-  } else {
+  if (outputRows.length === 0) {
       Logger.log(`No active students from master list to populate into "${targetSheetName}".`);
       return;
   }
-  
-  const finalTargetSheetData = targetSheet.getDataRange().getValues();
-  
-  const updatesForSheet = [];
-  
-  for (let r = 1; r < finalTargetSheetData.length; r++) { 
-    const evaluatedStudentId = finalTargetSheetData[r][studentIdColTargetIdx] ? finalTargetSheetData[r][studentIdColTargetIdx].toString().trim() : null;
-    
-    if (!evaluatedStudentId || !allStudentsFromMaster[evaluatedStudentId]) { 
-        Logger.log(`Skipping sheet row ${r+1} (data array index ${r}), student ID '${finalTargetSheetData[r][studentIdColTargetIdx]}' not in active master list or is null.`);
-        continue;
-    }
-
-    let studentQuestionScoresForMedian = []; 
-    
-    for (const questionId of sortedQuestionIds) { 
-      const targetSheetQuestionColNum = questionColMapTarget[questionId]; 
-      
-      if (!targetSheetQuestionColNum) {
-        Logger.log(`Warning: Column for question ${questionId} (header: ${questionId.toLowerCase()}) not found in target sheet map for student ${evaluatedStudentId}. Skipping this question for this student.`);
-        continue;
-      }
-      
-      let weightedScoreSum = 0;
-      let totalWeightSum = 0;
-      let scoresForThisItemCount = 0; 
-      let unweightedScores = [];     
-
-      responses.forEach(resp => {
-        if (resp.evaluatedStudentId === evaluatedStudentId &&
-            resp.responseToQuestionId === questionId && 
-            resp.responseType === "SCORE" && typeof resp.responseValue === 'number' && !isNaN(resp.responseValue)) {
-          
-          unweightedScores.push(resp.responseValue);
-          const evaluatorId = resp.responseByStudentId;
-          
-          let evaluatorWeight = 0;
-          if (evaluatorId && evaluatorWeights && Object.prototype.hasOwnProperty.call(evaluatorWeights, evaluatorId)) {
-              const w = evaluatorWeights[evaluatorId];
-              if (typeof w === 'number' && !isNaN(w)) {
-                  evaluatorWeight = w;
-              } else {
-                  Logger.log(`Note: Evaluator ${evaluatorId} has a non-numeric or NaN weight (${w}). Treating as 0 for this calculation.`);
-              }
-          }
-          
-          if (evaluatorWeight > 0) { 
-            weightedScoreSum += resp.responseValue * evaluatorWeight;
-            totalWeightSum += evaluatorWeight;
-            scoresForThisItemCount++;
-          }
-        }
-      });
-
-      let finalScoreForQuestion = ""; 
-      if (scoresForThisItemCount > 0 && totalWeightSum > 0) {
-        finalScoreForQuestion = weightedScoreSum / totalWeightSum;
-      } else if (unweightedScores.length > 0) { 
-        Logger.log(`Info: Zero total weight for ${evaluatedStudentId} on ${questionId}. Using MEAN of ${unweightedScores.length} unweighted scores as fallback.`);
-        finalScoreForQuestion = calculateMean(unweightedScores); 
-      }
-      
-      if (typeof finalScoreForQuestion === 'number' && !isNaN(finalScoreForQuestion)) {
-        studentQuestionScoresForMedian.push(finalScoreForQuestion); 
-        updatesForSheet.push({ 
-            row: r + 1, 
-            col: targetSheetQuestionColNum, 
-            value: parseFloat(finalScoreForQuestion.toFixed(2))
-        });
-      } else {
-         updatesForSheet.push({ 
-            row: r + 1, 
-            col: targetSheetQuestionColNum, 
-            value: ""
-        });
-      }
-    } 
 
-    if (studentQuestionScoresForMedian.length > 0 && overallMedianColNum > 0) {
-        let overallMedianValue = calculateMedianFromArray(studentQuestionScoresForMedian); 
-        if (typeof overallMedianValue === 'number' && !isNaN(overallMedianValue)) {
-            updatesForSheet.push({
-                row: r + 1, 
-                col: overallMedianColNum,
-                value: parseFloat(overallMedianValue.toFixed(2))
-            });
-        } else { 
-            updatesForSheet.push({ row: r + 1, col: overallMedianColNum, value: "" });
-        }
-    } else if (overallMedianColNum > 0) { 
-        updatesForSheet.push({
-            row: r + 1, 
-            col: overallMedianColNum,
-            value: ""
-        });
-    }
-  } 
-  Logger.log("WEIGHTED scores and overall medians calculated for batch update. Total updates to apply: " + updatesForSheet.length);
+  if (strategyNames.includes("weightedMean")) {
+    const confidenceRows = createScoreConfidenceRows(context);
+    const column = header => PA_SCORE_CONFIDENCE_HEADERS.indexOf(header);
+    confidenceRows.forEach(row => {
+      const fixedScore = row[column("questionId")] === "OVERALL" ? fixedScores[row[column("studentId")]] : null;
+      if (!fixedScore) return;
+      row[column("score")] = fixedScore.value;
+      ["ciLower", "ciUpper", "ciWidth"].forEach(header => { row[column(header)] = ""; });
+      row[column("review")] = false;
+      row[column("reasons")] = `score fixed in ${PA_OVERRIDES_SHEET_NAME} row ${fixedScore.row}`;
+    });
+    Logger.log(`${confidenceRows.filter(row => row[PA_SCORE_CONFIDENCE_HEADERS.indexOf("review")]).length} of ${confidenceRows.length} weighted scores need manual review.`);
+    storage.output.writeTable(getRoundScopedSheetName(PA_SCORE_CONFIDENCE_SHEET_NAME, roundId), PA_SCORE_CONFIDENCE_HEADERS, confidenceRows, {
+      centerColumns: ["studentId", "questionId", "raters", "review"],
+      numberFormats: { score: scoreFormat("0.00"), ciLower: scoreFormat("0.00"), ciUpper: scoreFormat("0.00"), ciWidth: scoreFormat("0.00") },
+      activate: false
+    });
+  }
 
-  if (updatesForSheet.length > 0) {
-    updatesForSheet.forEach(update => { 
-        if (update.row > 0 && update.col > 0) { 
-            targetSheet.getRange(update.row, update.col)
-                       .setValue(update.value)
-                       .setNumberFormat((update.value === "" || typeof update.value !== 'number' || isNaN(update.value)) ? "@" : "0.00");
-        }
+  if (responses.some(isSelfAssessmentResponse)) {
+    const selfAssessmentRows = createSelfAssessmentRows(context);
+    const selfColumn = header => PA_SELF_ASSESSMENT_HEADERS.indexOf(header);
+    const selfRated = selfAssessmentRows.filter(row => row[selfColumn("questionId")] === "OVERALL" && row[selfColumn("selfScore")] !== "");
+    Logger.log(`Self-vs-peer gaps written for ${selfRated.length} students who rated themselves.`);
+    storage.output.writeTable(getRoundScopedSheetName(PA_SELF_ASSESSMENT_SHEET_NAME, roundId), PA_SELF_ASSESSMENT_HEADERS, selfAssessmentRows, {
+      centerColumns: ["studentId", "questionId", "peerRaters"],
+      numberFormats: { selfScore: scoreFormat("0.00"), peerScore: scoreFormat("0.00"), selfPeerGap: scoreFormat("+0.00;-0.00;0.00") },
+      activate: false
     });
-    try { 
-        targetSheet.autoResizeColumns(1, expectedHeadersInOrder.length);
-    } catch (e) {
-        Logger.log(`Warning: autoResizeColumns failed. Error: ${e.message}`);
-    }
-    Logger.log(`Updated score/median cells in "${targetSheetName}".`);
-    Logger.log("SUCCESS: WEIGHTED scores and overall medians updated successfully.");
-  } else {
-    Logger.log("No WEIGHTED scores or medians to update in target sheet (updatesForSheet array was empty).");
   }
-  ss.setActiveSheet(targetSheet); 
+
+  storage.output.writeTable(targetSheetName, expectedHeadersInOrder, outputRows, { numberFormats: numberFormats });
+
+  Logger.log(`Updated score cells in "${targetSheetName}".`);
+  Logger.log(`SUCCESS: Scores updated successfully (${strategyNames.join(', ')}).`);
   Logger.log(`--- calculateWeightedScoresAndUpdateSheet: Complete (Using V2 Parser for ${targetSheetName}) ---`);
-}
\ No newline at end of file
+}
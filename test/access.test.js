@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, STAFF, createClassroomSheets, webSubmission } = require('./fixtures/classroom');
+
+function loadAccessApp(activeUserEmail) {
+  return loadApp({
+    sheets: createClassroomSheets({ staff: [STAFF.tina] }),
+    activeUserEmail
+  });
+}
+
+test('submitPeerAssessments stores the signed-in student as evaluator, whatever the browser sent', () => {
+  const app = loadAccessApp(STUDENTS.bob.email);
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.carol, 'Q1', 1)]);
+
+  assert.equal(result.success, true, result.error);
+  const stored = app.sheetRecords('PaRawSubmissionsV2');
+  assert.deepEqual(stored.map(record => [record.evaluatorId, record.evaluatorEmail, record.evaluatedStudentId]),
+    [[STUDENTS.bob.studentId, STUDENTS.bob.email, STUDENTS.carol.studentId]]);
+
+  const [entry] = app.sheetRecords('PaAuditLog');
+  assert.equal(entry.email, STUDENTS.bob.email);
+  assert.equal(entry.functionName, 'submitPeerAssessments');
+  assert.equal(entry.outcome, 'overridden');
+  assert.match(entry.detail, /Client sent evaluator A113000001 <a113000001@mail\.shu\.edu\.tw>; stored as A113000002/);
+
+  app.run('submitPeerAssessments', [webSubmission(STUDENTS.bob, STUDENTS.carol, 'Q2', 4)]);
+  assert.equal(app.sheetRecords('PaAuditLog').length, 1, 'matching evaluator fields are not logged');
+});
+
+test('only signed-in students can submit', () => {
+  const app = loadAccessApp('');
+
+  const anonymous = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4)]);
+  assert.equal(anonymous.success, false);
+  assert.match(anonymous.error, /No authenticated user found/);
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  assert.match(app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4)]).error,
+    /Only students can submit peer assessments/);
+
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2').length, 0);
+  assert.deepEqual(app.sheetRecords('PaAuditLog').map(record => [record.email, record.role, record.outcome]), [
+    ['', '', 'denied'],
+    [INSTRUCTOR_EMAIL, 'instructor', 'denied']
+  ]);
+});
+
+test('students are denied the instructor functions and every denial is audited', () => {
+  const app = loadAccessApp(STUDENTS.alice.email);
+
+  assert.match(app.run('getUserStatistics').error, /Only staff can view user statistics/);
+  assert.equal(app.run('getSystemHealth').status, 'error');
+  assert.deepEqual(app.run('getAllActiveStudentsForFaculty'), []);
+
+  assert.deepEqual(app.sheetRecords('PaAuditLog').map(record => [record.email, record.role, record.functionName, record.outcome]), [
+    [STUDENTS.alice.email, 'student', 'getUserStatistics', 'denied'],
+    [STUDENTS.alice.email, 'student', 'getSystemHealth', 'denied'],
+    [STUDENTS.alice.email, 'student', 'getAllActiveStudentsForFaculty', 'denied']
+  ]);
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  assert.equal(app.run('getUserStatistics').activeStudents, 6);
+  assert.equal(app.run('getAllActiveStudentsForFaculty').length, 6);
+});
+
+test('students cannot reach the completion status or the helpers behind the endpoints', () => {
+  const app = loadAccessApp(STUDENTS.alice.email);
+
+  assert.match(app.run('getAssessmentCompletionStatus', STUDENTS.bob.studentId).error, /Only staff can view completion status/);
+  assert.deepEqual(app.sheetRecords('PaAuditLog').map(record => [record.email, record.functionName, record.outcome]),
+    [[STUDENTS.alice.email, 'getAssessmentCompletionStatus', 'denied']]);
+
+  // Apps Script does not let google.script.run call functions whose name ends in "_"
+  ['buildSubmissionRevisionHistory', 'deleteSubmittedDrafts', 'getStaffDirectory', 'findStaffMember',
+    'getStudentUnitsById', 'recordAccessAudit'].forEach(name => {
+    assert.throws(() => app.run(name), /is not a global function of the app/, `${name} is callable from the browser`);
+    assert.equal(typeof app.context[`${name}_`], 'function');
+  });
+
+  app.signIn(STAFF.tina.email);
+  assert.match(app.run('getAssessmentCompletionStatus', STUDENTS.alice.studentId).error, /A113000001 is not in your units \(B\)/);
+  assert.equal(app.run('getAssessmentCompletionStatus', STUDENTS.dave.studentId).totalSubmissions, 0);
+});
+
+test('unit-scoped staff only list their own students and cannot see statistics for all units', () => {
+  const app = loadAccessApp(STAFF.tina.email);
+
+  assert.deepEqual(app.run('getAllActiveStudentsForFaculty').map(student => student.studentId),
+    [STUDENTS.dave.studentId, STUDENTS.erin.studentId, STUDENTS.frank.studentId]);
+  assert.match(app.run('getUserStatistics').error, /Only staff with access to all units can view user statistics/);
+  assert.match(app.run('getDraftAssessments').error, /Only students can load drafts/);
+  assert.equal(app.sheetRecords('PaAuditLog').length, 2);
+});
+
+test('test-mode staff sessions list students without going through the endpoint guard', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ staff: [STAFF.tina] }), developmentMode: true, testEmail: STAFF.tina.email });
+
+  const session = app.run('getCurrentUserSession');
+
+  assert.equal(session.isAuthenticated, true, session.error);
+  assert.equal(session.isTestSession, true);
+  assert.equal(session.unitMembers.length, 3, 'a TA for unit B gets the unit B students');
+  assert.equal(app.sheetValues('PaAuditLog'), null);
+});
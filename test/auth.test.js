@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, createClassroomSheets } = require('./fixtures/classroom');
+
+test('getCurrentUserSession returns the student session with unit members', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+
+  const session = app.run('getCurrentUserSession');
+
+  assert.equal(session.isAuthenticated, true);
+  assert.equal(session.role, 'student');
+  assert.equal(session.studentId, STUDENTS.alice.studentId);
+  assert.equal(session.productionUnit, 'A');
+  assert.deepEqual(session.unitMembers.map(member => member.studentId),
+    [STUDENTS.bob.studentId, STUDENTS.carol.studentId, STUDENTS.dave.studentId]);
+  assert.equal(session.sessionData.canSubmitAssessments, true);
+});
+
+test('getCurrentUserSession lists the peers of both production units', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.dave.email });
+
+  const session = app.run('getCurrentUserSession');
+
+  assert.equal(session.productionUnit, 'B');
+  assert.deepEqual(session.productionUnits, ['B', 'A']);
+  assert.deepEqual(Object.keys(session.unitMembersByUnit), ['B', 'A']);
+  assert.deepEqual(session.unitMembersByUnit.A.map(member => member.studentId),
+    [STUDENTS.alice.studentId, STUDENTS.bob.studentId, STUDENTS.carol.studentId]);
+  assert.deepEqual(session.unitMembers.map(member => [member.studentId, member.productionUnit]), [
+    [STUDENTS.erin.studentId, 'B'],
+    [STUDENTS.frank.studentId, 'B'],
+    [STUDENTS.alice.studentId, 'A'],
+    [STUDENTS.bob.studentId, 'A'],
+    [STUDENTS.carol.studentId, 'A']
+  ]);
+  assert.equal(session.sessionData.totalPeersToEvaluate, 5);
+});
+
+test('getCurrentUserSession recognises instructors', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: INSTRUCTOR_EMAIL });
+
+  const session = app.run('getCurrentUserSession');
+
+  assert.equal(session.isAuthenticated, true);
+  assert.equal(session.role, 'instructor');
+  assert.equal(session.studentId, null);
+});
+
+test('getCurrentUserSession rejects inactive students and non-SHU accounts', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.gina.email });
+  const inactive = app.run('getCurrentUserSession');
+  assert.equal(inactive.isAuthenticated, false);
+  assert.match(inactive.error, /not active/);
+
+  app.signIn('someone@gmail.com');
+  const outsider = app.run('getCurrentUserSession');
+  assert.equal(outsider.isAuthenticated, false);
+  assert.match(outsider.error, /Invalid email domain/);
+
+  app.signIn('');
+  assert.equal(app.run('getCurrentUserSession').isAuthenticated, false);
+});
+
+test('getCurrentUserSession uses the test session in development mode', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets(),
+    activeUserEmail: INSTRUCTOR_EMAIL,
+    developmentMode: true,
+    testEmail: STUDENTS.erin.email
+  });
+
+  const session = app.run('getCurrentUserSession');
+
+  assert.equal(session.isTestSession, true);
+  assert.equal(session.studentId, STUDENTS.erin.studentId);
+  assert.equal(session.productionUnit, 'B');
+});
+
+test('validateAssessmentPermission allows peers who share a unit', () => {
+  const app = loadApp({ sheets: createClassroomSheets() });
+  const allowed = (evaluator, evaluated) => app.run('validateAssessmentPermission', evaluator.studentId, evaluated.studentId);
+
+  assert.equal(allowed(STUDENTS.alice, STUDENTS.bob), true);
+  assert.equal(allowed(STUDENTS.alice, STUDENTS.carol), true, '"Unit A" is normalised to "A"');
+  assert.equal(allowed(STUDENTS.alice, STUDENTS.dave), true, 'unit2 counts as a shared unit');
+  assert.equal(allowed(STUDENTS.dave, STUDENTS.erin), true);
+  assert.equal(allowed(STUDENTS.alice, STUDENTS.erin), false);
+  assert.equal(allowed(STUDENTS.alice, STUDENTS.alice), false);
+  assert.equal(allowed(STUDENTS.alice, STUDENTS.gina), false, 'inactive students cannot be assessed');
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, submissionRow } = require('./fixtures/classroom');
+
+/**
+ * Eight students who score each other 3, except that S1-S3 score each other 5, S4 and S5 give S7
+ * a 1, and S8 gives everyone 5.
+ */
+function cliqueAndGangScores() {
+  const ids = ['S1', 'S2', 'S3', 'S4', 'S5', 'S6', 'S7', 'S8'];
+  const scores = {};
+  ids.forEach(evaluatorId => {
+    scores[evaluatorId] = {};
+    ids.filter(evaluatedId => evaluatedId !== evaluatorId).forEach(evaluatedId => {
+      let score = 3;
+      if (['S1', 'S2', 'S3'].includes(evaluatorId) && ['S1', 'S2', 'S3'].includes(evaluatedId)) score = 5;
+      if (['S4', 'S5'].includes(evaluatorId) && evaluatedId === 'S7') score = 1;
+      if (evaluatorId === 'S8') score = 5;
+      scores[evaluatorId][evaluatedId] = score;
+    });
+  });
+  return scores;
+}
+
+test('cliques and ganging up are found, lenient evaluators are not', () => {
+  const app = loadApp();
+
+  const findings = app.run('detectCollusionPatterns', cliqueAndGangScores(), { margin: 1, minGangSize: 2 });
+
+  assert.deepEqual(findings.map(finding => finding.pattern), ['clique', 'ganging up'], 'clique pairs are not repeated as reciprocal inflation');
+  const [clique, gang] = findings;
+  assert.equal(clique.pairs.length, 6);
+  assert.match(clique.evidence, /^S1, S2, S3 all score each other at least 1\.67 points above/);
+  assert.deepEqual(gang.pairs, [{ evaluatorId: 'S4', evaluatedId: 'S7' }, { evaluatorId: 'S5', evaluatedId: 'S7' }]);
+  assert.equal(gang.strength, 2);
+  assert.match(gang.evidence, /S4→S7 1\.00 \(own average 3\.00\); S5→S7 1\.00 \(own average 3\.00\); the other 5 evaluator\(s\) average 3\.40$/);
+
+  const alone = cliqueAndGangScores();
+  alone.S5.S7 = 3;
+  assert.deepEqual(app.run('detectCollusionPatterns', alone, { margin: 1, minGangSize: 2 }).map(finding => finding.pattern), ['clique'],
+    'one harsh evaluator is not a gang');
+});
+
+test('the analytics workflow writes flagged pairs with evidence to PaCollusionReview', () => {
+  const members = [STUDENTS.alice, STUDENTS.bob, STUDENTS.carol, STUDENTS.dave];
+  const submissions = [];
+  members.forEach(evaluator => members.forEach(evaluated => {
+    if (evaluator === evaluated) return;
+    let score = 3;
+    if ([STUDENTS.alice, STUDENTS.carol].includes(evaluator) && [STUDENTS.alice, STUDENTS.carol].includes(evaluated)) score = 5;
+    if ([STUDENTS.alice, STUDENTS.carol].includes(evaluator) && evaluated === STUDENTS.bob) score = 1;
+    ['Q1', 'Q2', 'Q3'].forEach(questionId => submissions.push(submissionRow(evaluator, evaluated, questionId, score)));
+  }));
+  const app = loadApp({ sheets: createClassroomSheets({ submissions }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const rows = app.sheetRecords('PaCollusionReview');
+  assert.deepEqual(rows.map(row => [row.findingId, row.pattern, row.evaluatorName, row.evaluatedName, row.meanScore]), [
+    ['F1', 'reciprocal inflation', STUDENTS.alice.studentName, STUDENTS.carol.studentName, 5],
+    ['F1', 'reciprocal inflation', STUDENTS.carol.studentName, STUDENTS.alice.studentName, 5],
+    ['F2', 'ganging up', STUDENTS.alice.studentName, STUDENTS.bob.studentName, 1],
+    ['F2', 'ganging up', STUDENTS.carol.studentName, STUDENTS.bob.studentName, 1]
+  ]);
+  assert.equal(rows[0].unit, 'A');
+  assert.equal(rows[0].strength, 2);
+  assert.equal(rows[0].evidence,
+    `${STUDENTS.alice.studentId}→${STUDENTS.carol.studentId} 5.00 (own average 2.00, others' median 3.00); ` +
+    `${STUDENTS.carol.studentId}→${STUDENTS.alice.studentId} 5.00 (own average 2.00, others' median 3.00)`);
+  assert.equal(app.spreadsheet.getActiveSheet().getName(), 'PaEvaluatorAnalytics');
+});
+
+test('PaCollusionReview says so when nothing is suspicious', () => {
+  const members = [STUDENTS.alice, STUDENTS.bob, STUDENTS.carol];
+  const submissions = [];
+  members.forEach(evaluator => members.forEach(evaluated => {
+    if (evaluator !== evaluated) submissions.push(submissionRow(evaluator, evaluated, 'Q1', evaluator === STUDENTS.bob ? 5 : 3));
+  }));
+  const app = loadApp({ sheets: createClassroomSheets({ submissions }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  assert.deepEqual(app.sheetValues('PaCollusionReview')[1].slice(0, 1), ['No suspicious rating patterns found.']);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, createClassroomSheets, webSubmission } = require('./fixtures/classroom');
+
+function loadDraftsApp(options = {}) {
+  return loadApp({
+    sheets: createClassroomSheets(options),
+    activeUserEmail: STUDENTS.alice.email
+  });
+}
+
+test('saveDraftAssessment keeps one draft per peer and getDraftAssessments restores it', () => {
+  const app = loadDraftsApp();
+
+  const first = app.run('saveDraftAssessment', STUDENTS.bob.studentId, { Q1: { score: 4 } });
+  const second = app.run('saveDraftAssessment', STUDENTS.bob.studentId.toLowerCase(), { Q1: { score: 5 }, Q2: { comment: 'Half way there' } });
+  app.run('saveDraftAssessment', STUDENTS.carol.studentId, { Q3: { score: 2 } });
+
+  assert.equal(first.success, true, first.error);
+  assert.equal(second.success, true, second.error);
+  assert.equal(app.sheetRecords('PaDrafts').length, 2);
+
+  const restored = app.run('getDraftAssessments');
+  assert.equal(restored.success, true, restored.error);
+  assert.deepEqual(restored.drafts, {
+    [STUDENTS.bob.studentId]: { answers: { Q1: { score: 5 }, Q2: { comment: 'Half way there' } }, savedAt: second.savedAt },
+    [STUDENTS.carol.studentId]: { answers: { Q3: { score: 2 } }, savedAt: restored.drafts[STUDENTS.carol.studentId].savedAt }
+  });
+
+  app.signIn(STUDENTS.bob.email);
+  assert.deepEqual(app.run('getDraftAssessments').drafts, {}, 'drafts are private to their author');
+});
+
+test('saveDraftAssessment drops malformed answers and refuses peers outside the unit', () => {
+  const app = loadDraftsApp();
+
+  app.run('saveDraftAssessment', STUDENTS.bob.studentId, {
+    Q1: { score: 9, comment: '   ' },
+    Q2: { score: '3' },
+    Q3: 'not an answer'
+  });
+  assert.deepEqual(app.run('getDraftAssessments').drafts[STUDENTS.bob.studentId].answers, { Q2: { score: 3 } });
+
+  const outsider = app.run('saveDraftAssessment', STUDENTS.erin.studentId, { Q1: { score: 3 } });
+  assert.equal(outsider.success, false);
+  assert.match(outsider.error, /not one of your unit members/);
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  assert.match(app.run('saveDraftAssessment', STUDENTS.bob.studentId, {}).error, /Only students can save drafts/);
+});
+
+test('drafts are not scored and are deleted once the assessment is submitted', () => {
+  const app = loadDraftsApp();
+  app.run('saveDraftAssessment', STUDENTS.bob.studentId, { Q1: { score: 1 } });
+  app.run('saveDraftAssessment', STUDENTS.carol.studentId, { Q1: { score: 2 } });
+
+  assert.equal(app.run('parseRawSurveyData').responses.length, 0);
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4)]);
+
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetRecords('PaDrafts').map(record => record.evaluatedStudentId), [STUDENTS.carol.studentId]);
+});
+
+test('drafts belong to the round they were saved in', () => {
+  const app = loadDraftsApp({
+    rounds: [{ roundId: 'FINAL', name: 'Final review', opensAt: '2020-01-01T00:00:00Z', closesAt: '2999-01-01T00:00:00Z' }]
+  });
+
+  app.run('saveDraftAssessment', STUDENTS.bob.studentId, { Q1: { score: 3 } });
+
+  assert.equal(app.sheetRecords('PaDrafts')[0].roundId, 'FINAL');
+  assert.ok(app.run('getDraftAssessments').drafts[STUDENTS.bob.studentId]);
+});
+
+test('saveDraftAssessment reports a conflict when the lock stays busy', () => {
+  const app = loadDraftsApp();
+  app.LockService.contended = true;
+
+  const result = app.run('saveDraftAssessment', STUDENTS.bob.studentId, { Q1: { score: 3 } });
+
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, true);
+  assert.equal(app.sheetValues('PaDrafts'), null);
+});
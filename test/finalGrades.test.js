@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound } = require('./fixtures/classroom');
+
+const FINAL = { roundId: 'FINAL', name: 'Final review', opensAt: '', closesAt: '', units: 'A', questionIds: '' };
+
+function gradesById(app, sheetName = 'PaFinalGrades') {
+  return Object.fromEntries(app.sheetRecords(sheetName).map(record => [`${record.unit}|${record.studentId}`, record]));
+}
+
+test('each team mark is scaled by the member\'s WebPA factor, with the derivation per student', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({ submissions: completeUnitARound(), teamMarks: [{ unit: 'Unit A', teamMark: 80 }, { unit: 'b', teamMark: 70 }] })
+  });
+
+  app.run('calculateFinalGradesAndUpdateSheet');
+
+  assert.deepEqual(app.sheetValues('PaFinalGrades')[0], [
+    'roundId', 'unit', 'studentId', 'studentName', 'teamMark', 'peerFactorMethod', 'peerFactor',
+    'appliedFactor', 'peerWeighting', 'uncappedGrade', 'grade', 'derivation', 'notes'
+  ]);
+  const records = app.sheetRecords('PaFinalGrades');
+  assert.deepEqual(records.map(record => [record.unit, record.studentName]), [
+    ['A', 'Alice Wang'], ['A', 'Bob Lin'], ['A', 'Carol Chen'], ['A', 'Dave Huang'],
+    ['B', 'Dave Huang'], ['B', 'Erin Wu'], ['B', 'Frank Tsai']
+  ], 'one row per student and unit; Gina has withdrawn');
+
+  const grades = gradesById(app);
+  const alice = grades[`A|${STUDENTS.alice.studentId}`];
+  // The WebPA factor of the summary: 1.135 for Alice
+  assert.deepEqual([alice.teamMark, alice.peerFactorMethod, alice.peerFactor, alice.appliedFactor, alice.peerWeighting, alice.grade],
+    [80, 'webpa', 1.135, 1.135, 1, 90.8]);
+  assert.equal(alice.derivation, '80 × 1.135 = 90.8');
+  assert.equal(alice.notes, '');
+  assert.equal(grades[`A|${STUDENTS.carol.studentId}`].grade, 68.48);
+
+  const daveInB = grades[`B|${STUDENTS.dave.studentId}`];
+  assert.deepEqual([daveInB.teamMark, daveInB.peerFactor, daveInB.grade, daveInB.notes],
+    [70, '', '', 'no webpa factor: no peer ratings for this student in unit B']);
+  assert.equal(app.spreadsheet.getActiveSheet().getName(), 'PaFinalGrades');
+});
+
+test('the formula\'s weighting, floors and caps come from the script property and the run\'s formula option', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({ submissions: completeUnitARound(), teamMarks: [{ unit: 'A', teamMark: 90 }] }),
+    scriptProperties: { GRADE_FORMULA: JSON.stringify({ factorFloor: 0.9, gradeCap: 93 }) }
+  });
+
+  app.run('calculateFinalGradesAndUpdateSheet', { formula: { peerWeighting: 0.5, factorCap: 1.1 } });
+
+  const grades = gradesById(app);
+  const alice = grades[`A|${STUDENTS.alice.studentId}`];
+  assert.deepEqual([alice.appliedFactor, alice.uncappedGrade, alice.grade], [1.1, 94.5, 93]);
+  assert.equal(alice.derivation, '90 × (1 − 0.5 + 0.5 × 1.1) = 94.5');
+  assert.equal(alice.notes, 'peer factor 1.135 lowered to the cap of 1.1; grade 94.5 lowered to the cap of 93');
+  const carol = grades[`A|${STUDENTS.carol.studentId}`];
+  assert.deepEqual([carol.peerFactor, carol.appliedFactor, carol.grade, carol.notes],
+    [0.856, 0.9, 85.5, 'peer factor 0.856 raised to the floor of 0.9']);
+  assert.equal(grades[`B|${STUDENTS.erin.studentId}`].notes,
+    'no webpa factor: no peer ratings for this student in unit B; no team mark for unit B in PaTeamMarks');
+
+  app.run('calculateFinalGradesAndUpdateSheet', { formula: { peerFactor: 'sparkSpa', peerWeighting: 1, factorFloor: null, gradeCap: null } });
+  // SPA: √(Alice's mean peer rating 3.667 ÷ the unit's mean 3.25)
+  assert.deepEqual([gradesById(app)[`A|${STUDENTS.alice.studentId}`].peerFactor, gradesById(app)[`A|${STUDENTS.alice.studentId}`].grade],
+    [1.062, 95.58]);
+
+  assert.throws(() => app.run('calculateFinalGradesAndUpdateSheet', { formula: { peerFactor: 'median' } }),
+    /Invalid grade formula in the formula option: peerFactor "median" is unknown \(use webpa, sparkSpa\)/);
+  assert.throws(() => app.run('calculateFinalGradesAndUpdateSheet', { formula: { gradeFloor: 95 } }),
+    /Invalid grade formula in the formula option: gradeFloor 95 is above gradeCap 93/);
+});
+
+test('a round uses its own marks, falls back to the unit\'s mark without a round, and grades only its units', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      rounds: [FINAL],
+      submissions: completeUnitARound({ roundId: 'FINAL' }),
+      teamMarks: [{ unit: 'A', teamMark: 60 }, { unit: 'A', roundId: 'final', teamMark: 75 }, { unit: 'B', teamMark: 50 }]
+    })
+  });
+
+  app.run('calculateFinalGradesAndUpdateSheet', { roundId: 'final' });
+
+  const records = app.sheetRecords('PaFinalGrades_FINAL');
+  assert.deepEqual([...new Set(records.map(record => record.unit))], ['A'], 'unit B is not part of the final round');
+  assert.ok(records.every(record => record.roundId === 'FINAL' && record.teamMark === 75));
+  assert.equal(app.sheetValues('PaFinalGrades'), null, 'the all-rounds sheet is left alone');
+
+  app.run('calculateFinalGradesAndUpdateSheet');
+  assert.equal(gradesById(app)[`A|${STUDENTS.alice.studentId}`].teamMark, 60);
+});
+
+test('grading stops on a missing PaTeamMarks sheet or an invalid mark', () => {
+  const missing = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+  assert.throws(() => missing.run('calculateFinalGradesAndUpdateSheet'),
+    /The "PaTeamMarks" sheet is missing\. Add it with the columns unit, roundId, teamMark\./);
+
+  const invalid = (teamMarks, pattern) => {
+    const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound(), teamMarks }) });
+    assert.throws(() => app.run('calculateFinalGradesAndUpdateSheet'), pattern);
+  };
+  invalid([{ unit: 'A', teamMark: 'A+' }], /Invalid team mark in the "PaTeamMarks" sheet row 2: teamMark "A\+" is not a number/);
+  invalid([{ unit: 'A', teamMark: 80 }, { unit: 'Z', teamMark: 70 }], /Unknown unit "Z" in the "PaTeamMarks" sheet row 3/);
+  invalid([{ unit: 'A', teamMark: 80 }, { unit: 'unit a', teamMark: 70 }], /Unit A has a second mark without a round in the "PaTeamMarks" sheet row 3/);
+});
+
+test('a retired unit keeps the grades of the rounds it took part in', () => {
+  const sheets = createClassroomSheets({ submissions: completeUnitARound(), teamMarks: [{ unit: 'A', teamMark: 80 }] });
+  sheets.PaUnits = [['unitCode', 'displayName', 'active'], ['A', 'Unit A', false], ['B', 'Unit B', true]];
+  const app = loadApp({ sheets });
+
+  app.run('calculateFinalGradesAndUpdateSheet');
+
+  const alice = gradesById(app)[`A|${STUDENTS.alice.studentId}`];
+  assert.deepEqual([alice.peerFactor, alice.grade], [1.135, 90.8]);
+  assert.equal(app.run('normalizeProductionUnit', 'A'), '', 'no new sessions or submissions in unit A');
+});
@@ -0,0 +1,178 @@
+/**
+ * @file classroom.js
+ * @description A small class used by the tests: two production units, one student enrolled in
+ * both, one inactive student and one instructor. Sheet layouts match the live spreadsheet.
+ */
+
+'use strict';
+
+const INSTRUCTOR_EMAIL = 'ichen@mail.shu.edu.tw';
+
+const STUDENTS = {
+  alice: { studentId: 'A113000001', studentName: 'Alice Wang', email: 'a113000001@mail.shu.edu.tw', unit1: 'A', unit2: '', status: 'active' },
+  bob: { studentId: 'A113000002', studentName: 'Bob Lin', email: 'a113000002@mail.shu.edu.tw', unit1: 'A', unit2: '', status: 'active' },
+  carol: { studentId: 'A113000003', studentName: 'Carol Chen', email: 'a113000003@mail.shu.edu.tw', unit1: 'Unit A', unit2: '', status: 'enrolled' },
+  dave: { studentId: 'A113000004', studentName: 'Dave Huang', email: 'a113000004@mail.shu.edu.tw', unit1: 'B', unit2: 'A', status: 'active' },
+  erin: { studentId: 'A113000005', studentName: 'Erin Wu', email: 'a113000005@mail.shu.edu.tw', unit1: 'B', unit2: '', status: 'active' },
+  frank: { studentId: 'A113000006', studentName: 'Frank Tsai', email: 'a113000006@mail.shu.edu.tw', unit1: 'B', unit2: '', status: 'active' },
+  gina: { studentId: 'A113000007', studentName: 'Gina Lee', email: 'a113000007@mail.shu.edu.tw', unit1: 'A', unit2: '', status: 'withdrawn' }
+};
+
+const MASTER_LIST_HEADERS = ['studentId', 'studentName', 'email', 'unit1', 'unit2', 'status'];
+
+const QUESTIONS = [
+  ['QuestionID', 'QuestionText', 'QuestionType', 'Choices', 'InstructionalComment', 'ScaleMin', 'ScaleMax', 'ScaleStep', 'ScaleLabels'],
+  ['Q1', 'Contributed ideas to the production', 'SCORE', '', 'Rate 1-5'],
+  ['Q2', 'Met deadlines and commitments', 'SCORE', '', 'Rate 1-5'],
+  ['Q3', 'Communicated well with the team', 'SCORE', '', 'Rate 1-5']
+];
+
+const SUBMISSION_HEADERS = [
+  'submissionId', 'responseId', 'timestamp', 'evaluatorId', 'evaluatorEmail',
+  'evaluatedStudentId', 'evaluatedStudentName', 'unitContextOfEvaluation',
+  'questionId', 'responseType', 'responseValue', 'revision', 'supersededBy', 'roundId',
+  'formOpenedAt', 'formSubmittedAt', 'ratingChanges', 'assessmentType'
+];
+
+const ROUND_HEADERS = ['roundId', 'name', 'opensAt', 'closesAt', 'units', 'questionIds'];
+
+const STAFF_HEADERS = ['email', 'name', 'role', 'units'];
+
+const TEAM_MARK_HEADERS = ['unit', 'roundId', 'teamMark'];
+const OVERRIDE_HEADERS = ['type', 'roundId', 'evaluatorId', 'studentId', 'value', 'reason', 'author', 'createdAt'];
+
+/** Staff for the PaStaff sheet: a TA for unit B and a course-wide observer. */
+const STAFF = {
+  tina: { email: 'tina@mail.shu.edu.tw', name: 'Tina Kuo', role: 'TA', units: 'Unit B' },
+  oscar: { email: 'oscar@mail.shu.edu.tw', name: 'Oscar Yang', role: 'observer', units: '' }
+};
+
+/**
+ * Builds one stored submission row.
+ * @param {object} evaluator A STUDENTS entry.
+ * @param {object} evaluated A STUDENTS entry.
+ * @param {string} questionId Question ID (comments are attached to a question too).
+ * @param {number|string} value Score, or comment text (string values are stored as COMMENT rows).
+ * @param {object} [extra] Overrides: unit, timestamp, submissionId, revision, supersededBy, roundId,
+ *   formOpenedAt, formSubmittedAt, ratingChanges, assessmentType, responseType.
+ * @returns {Array} A row in SUBMISSION_HEADERS order.
+ */
+function submissionRow(evaluator, evaluated, questionId, value, extra = {}) {
+  const responseType = extra.responseType || (typeof value === 'string' ? 'COMMENT' : 'SCORE');
+  const submissionId = extra.submissionId || `SUB_${evaluator.studentId}_${evaluated.studentId}`;
+  return [
+    submissionId,
+    `RESP_${submissionId}_${questionId}_${responseType.substring(0, 4)}`,
+    extra.timestamp || new Date('2025-05-01T02:00:00.000Z'),
+    evaluator.studentId,
+    evaluator.email,
+    evaluated.studentId,
+    evaluated.studentName,
+    extra.unit || 'A',
+    questionId,
+    responseType,
+    value,
+    extra.revision || '',
+    extra.supersededBy || '',
+    extra.roundId || '',
+    extra.formOpenedAt || '',
+    extra.formSubmittedAt || '',
+    extra.ratingChanges === undefined ? '' : extra.ratingChanges,
+    extra.assessmentType || ''
+  ];
+}
+
+/**
+ * Builds the sheets for a fresh spreadsheet.
+ * @param {object} [options]
+ * @param {Array[]} [options.submissions=[]] Extra PaRawSubmissionsV2 rows (see submissionRow).
+ * @param {Array[]} [options.questions=[]] Extra PaQuestionConfig rows, after Q1-Q3; missing trailing cells are blank.
+ * @param {object[]} [options.rounds] PaAssessmentRounds records; the sheet is only created when given.
+ * @param {object[]} [options.staff] PaStaff records (see STAFF); the sheet is only created when given.
+ * @param {object[]} [options.teamMarks] PaTeamMarks records; the sheet is only created when given.
+ * @param {object[]} [options.overrides] PaOverrides records; the sheet is only created when given.
+ * @returns {Object<string, Array[]>} Sheet name -> values.
+ */
+function createClassroomSheets({ submissions = [], questions = [], rounds, staff, teamMarks, overrides } = {}) {
+  const sheets = {
+    PaMasterStudentList: [MASTER_LIST_HEADERS].concat(
+      Object.values(STUDENTS).map(student => MASTER_LIST_HEADERS.map(header => student[header]))
+    ),
+    PaQuestionConfig: QUESTIONS.concat(questions).map(row => QUESTIONS[0].map((header, index) => (row[index] === undefined ? '' : row[index]))),
+    PaRawSubmissionsV2: [SUBMISSION_HEADERS.slice()].concat(submissions)
+  };
+  if (rounds) {
+    sheets.PaAssessmentRounds = [ROUND_HEADERS.slice()].concat(
+      rounds.map(round => ROUND_HEADERS.map(header => (round[header] === undefined ? '' : round[header])))
+    );
+  }
+  if (staff) {
+    sheets.PaStaff = [STAFF_HEADERS.slice()].concat(
+      staff.map(member => STAFF_HEADERS.map(header => (member[header] === undefined ? '' : member[header])))
+    );
+  }
+  if (teamMarks) {
+    sheets.PaTeamMarks = [TEAM_MARK_HEADERS.slice()].concat(
+      teamMarks.map(mark => TEAM_MARK_HEADERS.map(header => (mark[header] === undefined ? '' : mark[header])))
+    );
+  }
+  if (overrides) {
+    sheets.PaOverrides = [OVERRIDE_HEADERS.slice()].concat(
+      overrides.map(override => OVERRIDE_HEADERS.map(header => (override[header] === undefined ? '' : override[header])))
+    );
+  }
+  return sheets;
+}
+
+/**
+ * A complete round for unit A: every active unit A member scores every other one on all questions.
+ * Bob gives everyone 1, Dave is the only member who also belongs to unit B.
+ * @param {object} [extra] Overrides applied to every row (see submissionRow), e.g. roundId.
+ * @returns {Array[]} Submission rows.
+ */
+function completeUnitARound(extra = {}) {
+  const members = [STUDENTS.alice, STUDENTS.bob, STUDENTS.carol, STUDENTS.dave];
+  const baseScores = { A113000001: 5, A113000002: 4, A113000003: 3, A113000004: 4 };
+  const rows = [];
+  members.forEach(evaluator => {
+    members.forEach(evaluated => {
+      if (evaluator === evaluated) return;
+      ['Q1', 'Q2', 'Q3'].forEach(questionId => {
+        const score = evaluator === STUDENTS.bob ? 1 : baseScores[evaluated.studentId];
+        rows.push(submissionRow(evaluator, evaluated, questionId, score, extra));
+      });
+      rows.push(submissionRow(evaluator, evaluated, 'Q1', `Feedback from ${evaluator.studentName} for ${evaluated.studentName}`, extra));
+    });
+  });
+  return rows;
+}
+
+/**
+ * A submission object in the shape AssessmentInterface.html sends to submitPeerAssessments.
+ * String values become COMMENT responses unless `extra.responseType` says otherwise.
+ */
+function webSubmission(evaluator, evaluated, questionId, value, extra = {}) {
+  return Object.assign({
+    submissionId: `WEB_${evaluator.studentId}_${evaluated.studentId}`,
+    evaluatorId: evaluator.studentId,
+    evaluatorEmail: evaluator.email,
+    evaluatedStudentId: evaluated.studentId,
+    evaluatedStudentName: evaluated.studentName,
+    unitContextOfEvaluation: 'A',
+    questionId,
+    responseType: typeof value === 'string' ? 'COMMENT' : 'SCORE',
+    responseValue: value,
+    timestamp: '2025-05-02T03:00:00.000Z'
+  }, extra);
+}
+
+module.exports = {
+  INSTRUCTOR_EMAIL,
+  STUDENTS,
+  STAFF,
+  SUBMISSION_HEADERS,
+  createClassroomSheets,
+  completeUnitARound,
+  submissionRow,
+  webSubmission
+};
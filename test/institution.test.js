@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, createClassroomSheets } = require('./fixtures/classroom');
+
+const EXAMPLE_PROFILE = [
+  ['setting', 'value'],
+  ['institutionName', 'Example University'],
+  ['institutionShortName', 'EXU'],
+  ['emailDomains', 'students.example.edu, example.edu'],
+  ['studentIdPattern', '^S[0-9]{7}$'],
+  ['studentEmailLocalPattern', '^(s[0-9]{7})$'],
+  ['studentEmailTemplate', '{studentId}@students.example.edu'],
+  ['studentEmailExample', 's1234567@students.example.edu'],
+  ['instructorEmails', 'PLee@example.edu'],
+  ['', '']
+];
+
+function loadExampleUniversityApp(options = {}) {
+  const sheets = createClassroomSheets();
+  sheets.PaMasterStudentList = [
+    ['studentId', 'studentName', 'email', 'unit1', 'unit2', 'status'],
+    ['S0000001', 'Ana Silva', 's0000001@students.example.edu', 'A', '', 'active'],
+    ['S0000002', 'Ben Okafor', '', 'A', '', 'active'],
+    ['S0000003', 'Chloe Martin', 's0000003@students.example.edu', 'A', '', 'active']
+  ];
+  sheets.PaInstitutionProfile = EXAMPLE_PROFILE.map(row => row.slice());
+  return loadApp(Object.assign({ sheets }, options));
+}
+
+test('the default profile keeps the SHU email and student ID rules', () => {
+  const app = loadApp({ sheets: createClassroomSheets() });
+
+  assert.equal(app.run('isValidInstitutionEmail', 'A113000001@mail.shu.edu.tw'), true);
+  assert.equal(app.run('isValidInstitutionEmail', 'a113000001@gmail.com'), false);
+  assert.equal(app.run('extractStudentIdFromEmail', 'a113000001@mail.shu.edu.tw'), 'A113000001');
+  assert.equal(app.run('extractStudentIdFromEmail', 'ichen@mail.shu.edu.tw'), 'FACULTY_ICHEN');
+  assert.equal(app.run('isFacultyEmail', 'ichen@mail.shu.edu.tw'), true);
+  assert.equal(app.run('isValidStudentId', 'A113000001'), true);
+  assert.equal(app.run('isValidStudentId', 'S0000001'), false);
+  assert.equal(app.run('getStudentEmailForId', 'A113000001'), 'a113000001@mail.shu.edu.tw');
+  assert.equal(app.run('checkIfInstructor', INSTRUCTOR_EMAIL.toUpperCase()), true);
+});
+
+test('a PaInstitutionProfile sheet replaces the domain, ID format and instructors', () => {
+  const app = loadExampleUniversityApp({ activeUserEmail: 's0000001@students.example.edu' });
+
+  const session = app.run('getCurrentUserSession');
+  assert.equal(session.isAuthenticated, true, session.error);
+  assert.equal(session.studentId, 'S0000001');
+  assert.deepEqual(session.unitMembers.map(member => member.studentId), ['S0000002', 'S0000003']);
+
+  assert.equal(app.run('getStudentEmailForId', 'S0000002'), 's0000002@students.example.edu');
+  assert.equal(app.run('extractStudentIdFromEmail', 'lee@example.edu'), 'FACULTY_LEE');
+  assert.equal(app.run('checkIfInstructor', 'plee@example.edu'), true);
+  assert.equal(app.run('checkIfInstructor', INSTRUCTOR_EMAIL), false);
+
+  app.signIn(STUDENTS.alice.email);
+  const shuSession = app.run('getCurrentUserSession');
+  assert.equal(shuSession.isAuthenticated, false);
+  assert.match(shuSession.error, /Please use your EXU email address \(format: s1234567@students\.example\.edu\)/);
+});
+
+test('parseRawSurveyData derives missing emails from the profile template', () => {
+  const app = loadExampleUniversityApp();
+
+  const { students } = app.run('parseRawSurveyData');
+
+  assert.equal(students.S0000002.studentEmail, 's0000002@students.example.edu');
+});
+
+test('the INSTITUTION_PROFILE script property overrides the sheet', () => {
+  const app = loadExampleUniversityApp({
+    scriptProperties: { INSTITUTION_PROFILE: JSON.stringify({ instructorEmails: ['dean@example.edu'], institutionShortName: 'EX' }) }
+  });
+
+  assert.equal(app.run('checkIfInstructor', 'plee@example.edu'), false);
+  assert.equal(app.run('checkIfInstructor', 'dean@example.edu'), true);
+  assert.deepEqual(app.run('getInstitutionProfileForWeb'), {
+    success: true,
+    profile: {
+      institutionName: 'Example University',
+      institutionShortName: 'EX',
+      emailDomains: ['students.example.edu', 'example.edu'],
+      studentEmailExample: 's1234567@students.example.edu',
+      studentEmailLocalPattern: '^(s[0-9]{7})$'
+    }
+  });
+});
+
+test('an invalid profile is reported instead of silently falling back to SHU rules', () => {
+  const app = loadExampleUniversityApp({
+    scriptProperties: { INSTITUTION_PROFILE: JSON.stringify({ studentIdPattern: '^S[0-9{7}$' }) },
+    activeUserEmail: 's0000001@students.example.edu'
+  });
+
+  assert.throws(() => app.run('isValidStudentId', 'S0000001'), /Invalid studentIdPattern in the INSTITUTION_PROFILE script property/);
+  assert.match(app.run('getInstitutionProfileForWeb').error, /Invalid studentIdPattern/);
+  assert.equal(app.run('getCurrentUserSession').isAuthenticated, false);
+
+  const typo = loadApp({ sheets: Object.assign(createClassroomSheets(), { PaInstitutionProfile: [['setting', 'value'], ['emailDomain', 'example.edu']] }) });
+  assert.throws(() => typo.run('getInstitutionProfile'), /Unknown institution profile setting "emailDomain" in the "PaInstitutionProfile" sheet/);
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, createClassroomSheets, completeUnitARound, submissionRow, webSubmission } = require('./fixtures/classroom');
+
+const QUESTIONS = [
+  ['Q4', 'Role in the production', 'MultipleChoice', 'Leader, Member, Supporter', ''],
+  ['Q5', 'Rank your teammates by contribution', 'Ranking', '', ''],
+  ['Q6', 'Split 100 points among your teammates', 'Point Allocation', '', ''],
+  ['Q7', 'One thing this teammate could improve', 'ShortText', '', '']
+];
+
+test('the form gets each question\'s type and answers are validated against it', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ questions: QUESTIONS }), activeUserEmail: STUDENTS.alice.email });
+
+  const definitions = app.run('getQuestionDefinitionsForWeb');
+  assert.deepEqual([definitions.Q1.questionType, definitions.Q1.responseType], ['LikertScale', 'SCORE'], 'SCORE is a LikertScale question');
+  assert.deepEqual(definitions.Q4.choices, ['Leader', 'Member', 'Supporter']);
+  assert.deepEqual([definitions.Q6.questionType, definitions.Q6.responseType, definitions.Q6.pointsTotal], ['PointAllocation', 'POINTS', 100]);
+  assert.equal(definitions.Q7.maxLength, 500);
+
+  const answer = (evaluated, questionId, responseType, value) => webSubmission(STUDENTS.alice, evaluated, questionId, value, { responseType });
+  const result = app.run('submitPeerAssessments', [
+    answer(STUDENTS.bob, 'Q4', 'CHOICE', 'leader'),
+    answer(STUDENTS.bob, 'Q5', 'RANK', '1'),
+    answer(STUDENTS.bob, 'Q5', 'COMMENT', 'Carried the edit'),
+    answer(STUDENTS.bob, 'Q6', 'POINTS', 50),
+    answer(STUDENTS.bob, 'Q7', 'TEXT', '  Share drafts earlier  '),
+    answer(STUDENTS.carol, 'Q5', 'RANK', 2),
+    answer(STUDENTS.carol, 'Q6', 'POINTS', 30)
+  ]);
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => [record.questionId, record.responseType, record.responseValue]), [
+    ['Q4', 'CHOICE', 'Leader'],
+    ['Q5', 'RANK', 1],
+    ['Q5', 'COMMENT', 'Carried the edit'],
+    ['Q6', 'POINTS', 50],
+    ['Q7', 'TEXT', 'Share drafts earlier'],
+    ['Q5', 'RANK', 2],
+    ['Q6', 'POINTS', 30]
+  ]);
+  app.signIn(INSTRUCTOR_EMAIL);
+  assert.deepEqual(app.run('getAssessmentCompletionStatus', STUDENTS.alice.studentId).completedAssessments
+    .find(assessment => assessment.studentId === STUDENTS.bob.studentId).questionsCompleted, 4, 'every answered question counts');
+  app.signIn(STUDENTS.alice.email);
+
+  const rejected = (submissions, pattern) => {
+    const outcome = app.run('submitPeerAssessments', submissions);
+    assert.equal(outcome.success, false);
+    assert.match(outcome.error, pattern);
+  };
+  rejected([answer(STUDENTS.bob, 'Q4', 'CHOICE', 'Captain')], /Invalid choice: Captain\. Must be one of Leader, Member, Supporter/);
+  rejected([answer(STUDENTS.bob, 'Q1', 'TEXT', 'Great')], /Invalid response type: TEXT\. Must be 'SCORE' or 'COMMENT' for LikertScale question Q1/);
+  rejected([answer(STUDENTS.bob, 'Q7', 'COMMENT', 'Great')], /Must be 'TEXT' for ShortText question Q7/);
+  rejected([answer(STUDENTS.bob, 'Q5', 'RANK', 4)], /Invalid rank for A113000002 on Q5: 4\. Unit A has 3 teammates to rank/);
+  rejected([answer(STUDENTS.bob, 'Q5', 'RANK', 1), answer(STUDENTS.carol, 'Q5', 'RANK', 1)], /Rank 1 is given to more than one teammate on Q5/);
+  rejected([answer(STUDENTS.bob, 'Q6', 'POINTS', 60), answer(STUDENTS.carol, 'Q6', 'POINTS', 50)], /Too many points on Q6: 110 given in unit A/);
+  rejected([answer(STUDENTS.bob, 'Q6', 'POINTS', 12.5)], /Invalid points: 12\.5\. Must be a whole number between 0-100/);
+  rejected([answer(STUDENTS.bob, 'Q9', 'SCORE', 4)], /Unknown question: Q9/);
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2').length, 7, 'nothing else was stored');
+
+  const selfAssessment = loadApp({ sheets: createClassroomSheets({ questions: QUESTIONS }), activeUserEmail: STUDENTS.alice.email, scriptProperties: { SELF_ASSESSMENT: 'true' } });
+  const selfRank = selfAssessment.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.alice, 'Q5', 1, { responseType: 'RANK' })]);
+  assert.match(selfRank.error, /Ranking question Q5 is about teammates only/);
+  assert.equal(selfAssessment.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.alice, 'Q7', 'Plan ahead', { responseType: 'TEXT' })]).success, true);
+});
+
+test('ranks and points are checked against the teammates submitted in earlier calls', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ questions: QUESTIONS }), activeUserEmail: STUDENTS.alice.email });
+  const answer = (evaluated, questionId, responseType, value) => webSubmission(STUDENTS.alice, evaluated, questionId, value, { responseType });
+  const submit = submissions => app.run('submitPeerAssessments', submissions);
+
+  assert.equal(submit([answer(STUDENTS.bob, 'Q5', 'RANK', 1), answer(STUDENTS.bob, 'Q6', 'POINTS', 60)]).success, true);
+  assert.match(submit([answer(STUDENTS.carol, 'Q5', 'RANK', 1)]).error, /Rank 1 is given to more than one teammate on Q5/);
+  assert.match(submit([answer(STUDENTS.carol, 'Q6', 'POINTS', 50)]).error, /Too many points on Q6: 110 given in unit A/);
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2').length, 2, 'nothing was stored for Carol');
+
+  assert.equal(submit([answer(STUDENTS.carol, 'Q5', 'RANK', 2), answer(STUDENTS.carol, 'Q6', 'POINTS', 40)]).success, true);
+  assert.equal(submit([answer(STUDENTS.bob, 'Q6', 'POINTS', 30)]).success, true, 'a teammate\'s own earlier answer is replaced, not added');
+  assert.equal(submit([answer(STUDENTS.bob, 'Q5', 'RANK', 2), answer(STUDENTS.carol, 'Q5', 'RANK', 1)]).success, true, 'ranks can be swapped together');
+  assert.match(submit([answer(STUDENTS.dave, 'Q6', 'POINTS', 31)]).error, /Too many points on Q6: 101 given in unit A/);
+});
+
+test('invalid question types stop the parser with the row and the problem', () => {
+  const invalid = (question, pattern) => {
+    const app = loadApp({ sheets: createClassroomSheets({ questions: [question] }) });
+    assert.throws(() => app.run('getQuestionDefinitions'), pattern);
+  };
+  invalid(['Q4', 'Describe your work', 'Essay', '', ''],
+    /Invalid question in the "PaQuestionConfig" sheet row 5: unknown QuestionType "Essay" \(use LikertScale, ShortText, MultipleChoice, Ranking, PointAllocation\)/);
+  invalid(['Q4', 'Did you attend?', 'MultipleChoice', 'Yes', ''], /row 5: MultipleChoice needs at least two Choices/);
+});
+
+test('scoring summarises the choices, ranks and points next to the Likert scores', () => {
+  const ranks = { alice: { bob: 3, carol: 2, dave: 1 }, bob: { alice: 1, carol: 2, dave: 3 }, carol: { alice: 1, bob: 3, dave: 2 }, dave: { alice: 1, bob: 3, carol: 2 } };
+  // Bob hands out 150 points and Carol 80: each allocation is scaled to 100
+  const points = { alice: { bob: 20, carol: 30, dave: 50 }, bob: { alice: 50, carol: 50, dave: 50 }, carol: { alice: 40, bob: 10, dave: 30 } };
+  const rows = [];
+  const add = (answers, questionId, responseType) => Object.keys(answers).forEach(evaluator => Object.keys(answers[evaluator]).forEach(evaluated => {
+    rows.push(submissionRow(STUDENTS[evaluator], STUDENTS[evaluated], questionId, answers[evaluator][evaluated], { responseType }));
+  }));
+  add(ranks, 'Q5', 'RANK');
+  add(points, 'Q6', 'POINTS');
+  add({ bob: { alice: 'Leader' }, carol: { alice: 'Leader' }, dave: { alice: 'Member' } }, 'Q4', 'CHOICE');
+  add({ alice: { bob: 'Share drafts earlier' } }, 'Q7', 'TEXT');
+
+  const plain = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+  plain.run('calculateWeightedScoresAndUpdateSheet');
+  const app = loadApp({ sheets: createClassroomSheets({ questions: QUESTIONS, submissions: completeUnitARound().concat(rows) }) });
+  app.run('calculateWeightedScoresAndUpdateSheet');
+
+  assert.deepEqual(app.sheetValues('PaEvaluatorAnalytics'), plain.sheetValues('PaEvaluatorAnalytics'), 'weights only come from Likert ratings');
+  assert.deepEqual(app.sheetValues('PaFinalScoresSummary')[0],
+    ['studentId', 'studentName', 'q1', 'q2', 'q3', 'overallWeightedMedian', 'q4Choices', 'q5MeanRank', 'q6PointShare']);
+  const summary = Object.fromEntries(app.sheetRecords('PaFinalScoresSummary').map(record => [record.studentId, record]));
+  const plainSummary = Object.fromEntries(plain.sheetRecords('PaFinalScoresSummary').map(record => [record.studentId, record]));
+  const alice = summary[STUDENTS.alice.studentId];
+  assert.equal(alice.overallWeightedMedian, plainSummary[STUDENTS.alice.studentId].overallWeightedMedian);
+  assert.deepEqual([alice.q4Choices, alice.q5MeanRank, alice.q6PointShare], ['Leader: 2; Member: 1', 1, 41.7]);
+  assert.deepEqual([summary[STUDENTS.carol.studentId].q5MeanRank, summary[STUDENTS.carol.studentId].q6PointShare], [2, 31.7]);
+  assert.equal(summary[STUDENTS.dave.studentId].q6PointShare, 40.3);
+  assert.deepEqual([summary[STUDENTS.erin.studentId].q4Choices, summary[STUDENTS.erin.studentId].q5MeanRank], ['', '']);
+
+  app.run('generateRawScoresReportWithWeights');
+  const text = app.sheetRecords('PaReportAllResponses').find(record => record.responseType === 'TEXT');
+  assert.deepEqual([text.questionId, text.responseValue, text.evaluatorId], ['Q7', 'Share drafts earlier', STUDENTS.alice.studentId]);
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound, submissionRow } = require('./fixtures/classroom');
+
+// Unit A rated with some noise: Bob is harsh, Carol lenient, Alice is rated highest
+const NOISY_SCORES = {
+  alice: { bob: [4, 3, 4], carol: [3, 2, 3], dave: [4, 4, 3] },
+  bob: { alice: [3, 2, 3], carol: [1, 2, 1], dave: [2, 3, 2] },
+  carol: { alice: [5, 4, 4], bob: [4, 4, 5], dave: [4, 3, 4] },
+  dave: { alice: [4, 5, 4], bob: [3, 4, 4], carol: [2, 3, 3] }
+};
+
+function noisySubmissions() {
+  const rows = [];
+  Object.keys(NOISY_SCORES).forEach(evaluator => {
+    Object.keys(NOISY_SCORES[evaluator]).forEach(evaluated => {
+      NOISY_SCORES[evaluator][evaluated].forEach((score, index) => {
+        rows.push(submissionRow(STUDENTS[evaluator], STUDENTS[evaluated], `Q${index + 1}`, score));
+      });
+    });
+  });
+  return rows;
+}
+
+/**
+ * Scores drawn from a known rating scale model with a fixed-seed generator, so the estimates can
+ * be compared with the parameters that produced them.
+ */
+function simulateObservations() {
+  const abilities = { S1: 1.5, S2: 0.5, S3: 0, S4: -0.5, S5: -1.5, S6: 1 };
+  const severities = { R1: 0, R2: 1.2, R3: -1, R4: 0.2, R5: -0.2, R6: 0 };
+  const difficulties = { Q1: -0.3, Q2: 0, Q3: 0.3 };
+  const thresholds = [0, -2, -0.5, 0.5, 2];
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const observations = [];
+  Object.keys(abilities).forEach(studentId => {
+    Object.keys(severities).forEach(raterId => {
+      Object.keys(difficulties).forEach(questionId => {
+        const logit = abilities[studentId] - severities[raterId] - difficulties[questionId];
+        const numerators = [1];
+        for (let k = 1; k < thresholds.length; k++) numerators.push(numerators[k - 1] * Math.exp(logit - thresholds[k]));
+        let draw = random() * numerators.reduce((sum, value) => sum + value, 0);
+        let category = 0;
+        while (draw > numerators[category]) draw -= numerators[category++];
+        observations.push({ studentId, raterId, questionId, score: category + 1 });
+      });
+    });
+  });
+  return observations;
+}
+
+test('the JMLE solver recovers abilities, severities and difficulties from simulated scores', () => {
+  const app = loadApp();
+
+  const model = app.run('estimateManyFacetRaschModel', simulateObservations());
+
+  assert.equal(model.converged, true);
+  const byMeasure = facet => Object.keys(model[facet]).sort((a, b) => model[facet][b].measure - model[facet][a].measure);
+  assert.deepEqual(byMeasure('student'), ['S1', 'S6', 'S2', 'S3', 'S4', 'S5']);
+  assert.equal(byMeasure('rater')[0], 'R2', 'the most severe rater');
+  assert.equal(byMeasure('rater')[5], 'R3', 'the most lenient rater');
+  assert.deepEqual(byMeasure('question'), ['Q3', 'Q2', 'Q1']);
+  const thresholds = model.thresholds.slice(1).map(threshold => threshold.measure);
+  assert.deepEqual(thresholds.slice().sort((a, b) => a - b), thresholds, 'thresholds are ordered');
+  Object.values(model.rater).forEach(rater => assert.ok(rater.infit > 0.5 && rater.infit < 1.6, `infit ${rater.infit}`));
+  assert.ok(model.student.S1.fairAverage > model.student.S5.fairAverage);
+});
+
+test('the rasch analytics mode adds rater severity and writes PaRaschMeasures', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: noisySubmissions() }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights', { analyticsMode: 'rasch' });
+
+  const analytics = Object.fromEntries(app.sheetRecords('PaEvaluatorAnalytics').map(record => [record.evaluatorId, record]));
+  assert.ok(analytics[STUDENTS.bob.studentId].raterSeverity > analytics[STUDENTS.alice.studentId].raterSeverity);
+  assert.ok(analytics[STUDENTS.carol.studentId].raterSeverity < analytics[STUDENTS.dave.studentId].raterSeverity);
+  assert.equal(analytics[STUDENTS.erin.studentId].raterSeverity, 'N/A', 'evaluators without scores have no severity');
+
+  const measures = app.sheetRecords('PaRaschMeasures');
+  assert.deepEqual(measures.filter(record => record.facet === 'student').map(record => record.elementId)[0], STUDENTS.alice.studentId);
+  assert.deepEqual(measures.filter(record => record.facet === 'category').map(record => [record.elementId, record.observations]),
+    [[1, 2], [2, 6], [3, 11], [4, 14], [5, 3]]);
+  const dave = measures.find(record => record.facet === 'student' && record.elementId === STUDENTS.dave.studentId);
+  assert.equal(typeof dave.fairAverage, 'number');
+  assert.equal(typeof dave.infit, 'number');
+  assert.ok(measures.every(record => record.status === ''), 'noisy scores converge and nothing is extreme');
+  assert.equal(app.spreadsheet.getActiveSheet().getName(), 'PaEvaluatorAnalytics');
+});
+
+test('the analytics mode comes from ANALYTICS_MODE unless the run overrides it', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }), scriptProperties: { ANALYTICS_MODE: 'Rasch' } });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+  const measures = app.sheetRecords('PaRaschMeasures');
+  const bob = measures.find(record => record.facet === 'rater' && record.elementId === STUDENTS.bob.studentId);
+  assert.equal(bob.status, 'minimum', 'Bob gave every peer the lowest score');
+  assert.equal(bob.infit, '');
+  const raters = measures.filter(record => record.facet === 'rater');
+  assert.equal(raters[0].elementId, STUDENTS.bob.studentId, 'raters are listed most severe first');
+  assert.ok(bob.measure > 0 && bob.measure < 10, `the prior keeps an extreme rater finite (${bob.measure})`);
+  assert.ok(measures.every(record => record.status !== 'not converged'));
+
+  const standard = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }), scriptProperties: { ANALYTICS_MODE: 'rasch' } });
+  standard.run('generateEvaluatorAnalyticsAndWeights', { analyticsMode: 'standard' });
+  assert.equal(standard.sheetValues('PaRaschMeasures'), null);
+  assert.equal(standard.sheetValues('PaEvaluatorAnalytics')[0].includes('raterSeverity'), false);
+
+  assert.throws(() => standard.run('generateEvaluatorAnalyticsAndWeights', { analyticsMode: 'facets' }),
+    /Unknown analytics mode "facets" in the analyticsMode option \(use standard, rasch\)/);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound, submissionRow, webSubmission } = require('./fixtures/classroom');
+
+const QUESTIONS = [
+  ['Q4', 'Asked for help when stuck', 'LikertScale', '', '', 1, 7, '', '1=Never; 4 = Sometimes; 7=Always'],
+  ['Q5', 'Quality of the final cut', 'LikertScale', '', '', 0, 5, 0.5, '']
+];
+
+test('each question is rated on its own scale, with anchor labels', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ questions: QUESTIONS }), activeUserEmail: STUDENTS.alice.email });
+
+  const definitions = app.run('getQuestionDefinitionsForWeb');
+  assert.deepEqual(definitions.Q1.scale.values, [1, 2, 3, 4, 5], 'blank scale cells are the 1-5 scale');
+  assert.deepEqual(definitions.Q4.scale.values, [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(definitions.Q4.scale.labels, [{ value: 1, label: 'Never' }, { value: 4, label: 'Sometimes' }, { value: 7, label: 'Always' }]);
+  assert.deepEqual([definitions.Q5.scale.values.length, definitions.Q5.scale.values[5]], [11, 2.5]);
+
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q4', 7),
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q5', 0),
+    webSubmission(STUDENTS.alice, STUDENTS.carol, 'Q5', '2.5', { responseType: 'SCORE' })
+  ]);
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => record.responseValue), [7, 0, 2.5]);
+
+  const rejected = (submission, pattern) => {
+    const outcome = app.run('submitPeerAssessments', [submission]);
+    assert.equal(outcome.success, false);
+    assert.match(outcome.error, pattern);
+  };
+  rejected(webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 7), /Invalid score value: 7\. Must be between 1-5/);
+  rejected(webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q4', 8), /Must be between 1-7/);
+  rejected(webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q5', 2.25), /Must be between 0-5 in steps of 0\.5/);
+
+  app.run('saveDraftAssessment', STUDENTS.dave.studentId, { Q1: { score: 7 }, Q4: { score: 7 }, Q5: { score: 0 } });
+  assert.deepEqual(app.run('getDraftAssessments').drafts[STUDENTS.dave.studentId].answers, { Q4: { score: 7 }, Q5: { score: 0 } },
+    'drafts keep the scores that are on the question\'s scale');
+});
+
+test('invalid scales stop the parser with the row and the problem', () => {
+  const invalid = (question, pattern) => {
+    const app = loadApp({ sheets: createClassroomSheets({ questions: [question] }) });
+    assert.throws(() => app.run('getQuestionDefinitions'), pattern);
+  };
+  invalid(['Q4', 'Helpful', 'LikertScale', '', '', 5, 1], /Invalid question in the "PaQuestionConfig" sheet row 5: ScaleMax \(1\) must be above ScaleMin \(5\)/);
+  invalid(['Q4', 'Helpful', 'LikertScale', '', '', 1, 5, 3], /row 5: ScaleStep \(3\) must be above 0 and divide 1-5 into equal steps/);
+  invalid(['Q4', 'Helpful', 'LikertScale', '', '', 0, 100], /row 5: the scale 0-100 has 101 points \(at most 11\)/);
+  invalid(['Q4', 'Helpful', 'LikertScale', '', '', 'low'], /row 5: ScaleMin must be a number, not "low"/);
+  invalid(['Q4', 'Helpful', 'LikertScale', '', '', 1, 7, '', 'Never; 7=Always'], /row 5: ScaleLabels entry "Never" must look like "1=Never"/);
+  invalid(['Q4', 'Helpful', 'LikertScale', '', '', 1, 7, '', '9=Always'], /row 5: ScaleLabels value 9 is not on the scale 1-7/);
+});
+
+test('the analytics put ratings on the 1-5 range before comparing evaluators', () => {
+  // The Q1 ratings of the complete round, again as Q4: once on the 1-5 scale, once as 2v-1 on a 1-9 scale
+  const q4Rows = toScale => completeUnitARound()
+    .filter(row => row[8] === 'Q1' && row[9] === 'SCORE')
+    .map(row => {
+      const student = studentId => Object.values(STUDENTS).find(candidate => candidate.studentId === studentId);
+      return submissionRow(student(row[3]), student(row[5]), 'Q4', toScale(row[10]));
+    });
+  const fivePoint = loadApp({ sheets: createClassroomSheets({
+    questions: [['Q4', 'Asked for help when stuck', 'LikertScale']],
+    submissions: completeUnitARound().concat(q4Rows(score => score))
+  }) });
+  const ninePoint = loadApp({ sheets: createClassroomSheets({
+    questions: [['Q4', 'Asked for help when stuck', 'LikertScale', '', '', 1, 9]],
+    submissions: completeUnitARound().concat(q4Rows(score => 2 * score - 1))
+  }) });
+  fivePoint.run('generateEvaluatorAnalyticsAndWeights');
+  ninePoint.run('generateEvaluatorAnalyticsAndWeights');
+
+  assert.deepEqual(ninePoint.sheetValues('PaEvaluatorAnalytics'), fivePoint.sheetValues('PaEvaluatorAnalytics'));
+  assert.deepEqual(ninePoint.sheetValues('PaCollusionReview'), fivePoint.sheetValues('PaCollusionReview'));
+  // Carol gives Alice 5 and Bob and Dave 4: a third of her ratings are the top of the scale
+  const carol = ninePoint.sheetRecords('PaEvaluatorAnalytics').find(record => record.evaluatorId === STUDENTS.carol.studentId);
+  assert.deepEqual([carol.avgScoreGiven, carol.percentMaxScore], ['4.33', '33.3%']);
+});
+
+test('the scores that pool questions put every rating on the 1-5 range first', () => {
+  // Q4 repeats the Q1 ratings of the round, with self-ratings by Alice: once on 1-5, once as 2v-1 on 1-9
+  const student = studentId => Object.values(STUDENTS).find(candidate => candidate.studentId === studentId);
+  const submissions = toScale => completeUnitARound().concat(
+    completeUnitARound()
+      .filter(row => row[8] === 'Q1' && row[9] === 'SCORE')
+      .map(row => submissionRow(student(row[3]), student(row[5]), 'Q4', toScale(row[10]))),
+    [submissionRow(STUDENTS.alice, STUDENTS.alice, 'Q1', 4, { assessmentType: 'SELF' }),
+      submissionRow(STUDENTS.alice, STUDENTS.alice, 'Q4', toScale(5), { assessmentType: 'SELF' })]);
+  const score = (scale, toScale) => {
+    const app = loadApp({ sheets: createClassroomSheets({
+      questions: [['Q4', 'Asked for help when stuck', 'LikertScale', '', ''].concat(scale)],
+      submissions: submissions(toScale)
+    }) });
+    app.run('calculateWeightedScoresAndUpdateSheet', { strategies: 'weightedMean,webpa,spark,zScore' });
+    return app;
+  };
+  const fivePoint = score([], value => value);
+  const ninePoint = score([1, 9], value => 2 * value - 1);
+
+  const pooled = app => app.sheetRecords('PaFinalScoresSummary').map(record =>
+    [record.studentId, record.q1, record.overallWeightedMedian, record.webpaFactor, record.sparkSpa, record.sparkSapa, record.overallZScore]);
+  assert.deepEqual(pooled(ninePoint), pooled(fivePoint));
+  const alice = app => app.sheetRecords('PaFinalScoresSummary').find(record => record.studentId === STUDENTS.alice.studentId);
+  assert.deepEqual([alice(fivePoint).q4, alice(ninePoint).q4], [3.67, 6.33], 'each question keeps its own scale');
+
+  const selfRows = app => app.sheetRecords('PaSelfAssessment').filter(record => record.questionId === 'OVERALL');
+  assert.deepEqual(selfRows(ninePoint), selfRows(fivePoint));
+  const scoreConfidence = app => app.sheetRecords('PaScoreConfidence').filter(record => record.questionId === 'OVERALL');
+  assert.deepEqual(scoreConfidence(ninePoint), scoreConfidence(fivePoint));
+});
+
+test('the rasch mode fits ratings from a 1-7 and a 1-5 question on the points of the 1-5 scale', () => {
+  // Q4 repeats the Q1 ratings of the round as v+2 on a 1-7 scale, i.e. 2.33 to 5 on the 1-5 range
+  const student = studentId => Object.values(STUDENTS).find(candidate => candidate.studentId === studentId);
+  const app = loadApp({ sheets: createClassroomSheets({
+    questions: [['Q4', 'Asked for help when stuck', 'LikertScale', '', '', 1, 7]],
+    submissions: completeUnitARound().concat(completeUnitARound()
+      .filter(row => row[8] === 'Q1' && row[9] === 'SCORE')
+      .map(row => submissionRow(student(row[3]), student(row[5]), 'Q4', row[10] + 2)))
+  }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights', { analyticsMode: 'rasch' });
+
+  const categories = app.sheetRecords('PaRaschMeasures').filter(record => record.facet === 'category');
+  // Q4's 3, 5, 6 and 7 are 2.33, 3.67, 4.33 and 5: they join categories 2, 4, 4 and 5 instead of adding three more
+  assert.deepEqual(categories.map(record => [record.elementId, record.observations]), [[1, 9], [2, 3], [3, 6], [4, 22], [5, 8]]);
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, STAFF, createClassroomSheets, completeUnitARound, submissionRow } = require('./fixtures/classroom');
+
+// Shrout & Fleiss (1979), Table 2: six targets rated by four judges; ICC(2,4) = 0.62
+const SHROUT_FLEISS = [[9, 2, 5, 8], [6, 1, 3, 2], [8, 4, 6, 8], [7, 1, 2, 6], [10, 5, 6, 9], [6, 2, 4, 7]];
+
+// Krippendorff (2011), "Computing Krippendorff's Alpha-Reliability": four observers, twelve units
+// with missing values; interval alpha = 0.849
+const KRIPPENDORFF = [
+  [1, 2, 3, 3, 2, 1, 4, 1, 2, null, null, null],
+  [1, 2, 3, 3, 2, 2, 4, 1, 2, 5, null, 3],
+  [null, 3, 3, 3, 2, 3, 4, 2, 2, 5, 1, null],
+  [1, 2, 3, 3, 2, 4, 4, 1, 2, 5, 1, null]
+];
+
+/** Unit B rates Dave highest and Frank lowest, except that Frank gives Dave a 2 on Q2. */
+function agreeingUnitBRound(extra = {}) {
+  const members = [STUDENTS.dave, STUDENTS.erin, STUDENTS.frank];
+  const baseScores = { [STUDENTS.dave.studentId]: 5, [STUDENTS.erin.studentId]: 3, [STUDENTS.frank.studentId]: 2 };
+  const rows = [];
+  members.forEach(evaluator => {
+    members.forEach(evaluated => {
+      if (evaluator === evaluated) return;
+      ['Q1', 'Q2', 'Q3'].forEach(questionId => {
+        const dissents = evaluator === STUDENTS.frank && evaluated === STUDENTS.dave && questionId === 'Q2';
+        rows.push(submissionRow(evaluator, evaluated, questionId, dissents ? 2 : baseScores[evaluated.studentId], Object.assign({ unit: 'B' }, extra)));
+      });
+    });
+  });
+  return rows;
+}
+
+test('ICC(2,k) and Krippendorff\'s alpha match published examples', () => {
+  const app = loadApp();
+  const shroutFleiss = [];
+  SHROUT_FLEISS.forEach((row, target) => row.forEach((value, judge) => shroutFleiss.push({ target: `T${target}`, rater: `J${judge}`, value })));
+  const krippendorff = [];
+  KRIPPENDORFF.forEach((row, observer) => row.forEach((value, unit) => {
+    if (value !== null) krippendorff.push({ target: `U${unit}`, rater: `O${observer}`, value });
+  }));
+
+  assert.equal(app.run('calculateIcc2k', shroutFleiss).toFixed(2), '0.62');
+  assert.equal(app.run('calculateKrippendorffAlpha', krippendorff).toFixed(3), '0.849');
+  assert.equal(app.run('calculateIcc2k', shroutFleiss.slice(0, 4)), null, 'one target is not enough');
+  assert.equal(app.run('calculateKrippendorffAlpha', shroutFleiss.map(rating => Object.assign({}, rating, { value: 3 }))), null,
+    'no disagreement to measure when every rating is equal');
+});
+
+test('the analytics workflow writes PaReliability per round, unit and question', () => {
+  const submissions = completeUnitARound({ roundId: 'MIDTERM' }).concat(agreeingUnitBRound({ roundId: 'MIDTERM' }), agreeingUnitBRound({ roundId: 'FINAL' }));
+  const rounds = ['MIDTERM', 'FINAL'].map(roundId => ({ roundId, name: roundId, opensAt: '2020-01-01T00:00:00Z', closesAt: '2999-01-01T00:00:00Z' }));
+  const app = loadApp({ sheets: createClassroomSheets({ submissions, rounds }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const rows = app.sheetValues('PaReliability');
+  assert.deepEqual(rows[0], ['roundId', 'unit', 'questionId', 'ratees', 'raters', 'ratings', 'icc2k', 'krippendorffAlpha', 'status']);
+  assert.deepEqual(rows.slice(1).map(row => [row[0], row[1], row[2], row[8]]), [
+    ['FINAL', 'B', 'Q1', 'ok'], ['FINAL', 'B', 'Q2', 'low'], ['FINAL', 'B', 'Q3', 'ok'], ['FINAL', 'B', 'ALL', 'ok'],
+    ['MIDTERM', 'A', 'Q1', 'low'], ['MIDTERM', 'A', 'Q2', 'low'], ['MIDTERM', 'A', 'Q3', 'low'], ['MIDTERM', 'A', 'ALL', 'low'],
+    ['MIDTERM', 'B', 'Q1', 'ok'], ['MIDTERM', 'B', 'Q2', 'low'], ['MIDTERM', 'B', 'Q3', 'ok'], ['MIDTERM', 'B', 'ALL', 'ok']
+  ]);
+  const unitAll = rows.find(row => row[0] === 'MIDTERM' && row[1] === 'A' && row[2] === 'ALL');
+  assert.deepEqual(unitAll.slice(3, 6), [4, 4, 36], 'Bob\'s flat 1s make unit A unreliable');
+  assert.ok(unitAll[6] < 0.6 && unitAll[7] < 0);
+  const unitBQ1 = rows.find(row => row[0] === 'FINAL' && row[1] === 'B' && row[2] === 'Q1');
+  assert.deepEqual(unitBQ1.slice(6, 8), [1, 1], 'identical ratings agree perfectly');
+  assert.equal(app.spreadsheet.getActiveSheet().getName(), 'PaEvaluatorAnalytics');
+
+  app.run('generateEvaluatorAnalyticsAndWeights', 'FINAL');
+  assert.deepEqual(app.sheetRecords('PaReliability_FINAL').map(record => record.roundId), ['FINAL', 'FINAL', 'FINAL', 'FINAL']);
+});
+
+test('getReliabilityWarningsForWeb lists low groups of the caller\'s units against the configured threshold', () => {
+  const submissions = completeUnitARound().concat(agreeingUnitBRound());
+  const sheets = createClassroomSheets({ submissions, staff: [STAFF.tina] });
+  const app = loadApp({ sheets, activeUserEmail: INSTRUCTOR_EMAIL });
+  assert.equal(app.run('getReliabilityWarningsForWeb', {}).warnings, null, 'no warnings before the analytics run');
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const result = app.run('getReliabilityWarningsForWeb', {});
+  assert.equal(result.threshold, 0.6);
+  assert.deepEqual(result.warnings.map(warning => [warning.unit, warning.questionId]), [['A', 'Q1'], ['A', 'Q2'], ['A', 'Q3'], ['A', 'ALL'], ['B', 'Q2']]);
+  assert.equal(typeof result.warnings[0].icc2k, 'number');
+
+  app.signIn(STAFF.tina.email);
+  assert.deepEqual(app.run('getReliabilityWarningsForWeb', {}).warnings.map(warning => [warning.unit, warning.questionId]), [['B', 'Q2']]);
+
+  const strict = loadApp({ sheets: createClassroomSheets({ submissions, staff: [STAFF.tina] }), activeUserEmail: STAFF.tina.email,
+    scriptProperties: { RELIABILITY_WARNING_THRESHOLD: '0.99' } });
+  strict.signIn(INSTRUCTOR_EMAIL);
+  strict.run('generateEvaluatorAnalyticsAndWeights');
+  strict.signIn(STAFF.tina.email);
+  const strictResult = strict.run('getReliabilityWarningsForWeb', {});
+  assert.equal(strictResult.threshold, 0.99);
+  assert.deepEqual(strictResult.warnings.map(warning => warning.questionId), ['Q2', 'ALL']);
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound, submissionRow, webSubmission } = require('./fixtures/classroom');
+
+const MIDTERM = { roundId: 'midterm', name: 'Midterm review', opensAt: new Date('2020-03-01T00:00:00Z'), closesAt: new Date('2020-04-01T00:00:00Z'), units: '', questionIds: 'Q1, Q2' };
+const FINAL = { roundId: 'FINAL', name: 'Final review', opensAt: new Date('2020-06-01T00:00:00Z'), closesAt: '2999-01-01T00:00:00Z', units: 'Unit A', questionIds: '' };
+const NEXT_YEAR = { roundId: 'NEXT', name: 'Next year', opensAt: '2998-01-01T00:00:00Z', closesAt: '', units: 'B', questionIds: '' };
+
+function loadRoundsApp(options = {}) {
+  return loadApp({
+    sheets: createClassroomSheets({ rounds: [MIDTERM, FINAL, NEXT_YEAR], submissions: options.submissions || [] }),
+    activeUserEmail: options.activeUserEmail || ''
+  });
+}
+
+test('getCurrentUserSession exposes the round open for the student\'s unit', () => {
+  const app = loadRoundsApp({ activeUserEmail: STUDENTS.alice.email });
+
+  const session = app.run('getCurrentUserSession');
+
+  assert.equal(session.isAuthenticated, true, session.error);
+  assert.deepEqual(session.activeRound, {
+    roundId: 'FINAL', name: 'Final review', opensAt: '2020-06-01T00:00:00.000Z', closesAt: '2999-01-01T00:00:00.000Z', units: ['A'], questionIds: []
+  });
+  assert.equal(session.sessionData.roundsConfigured, true);
+  assert.equal(session.sessionData.canSubmitAssessments, true);
+
+  app.signIn(STUDENTS.erin.email);
+  const unitBSession = app.run('getCurrentUserSession');
+  assert.equal(unitBSession.activeRound, null, 'no round is open for unit B');
+  assert.equal(unitBSession.sessionData.canSubmitAssessments, false);
+
+  app.signIn(STUDENTS.dave.email);
+  const twoUnitSession = app.run('getCurrentUserSession');
+  assert.equal(twoUnitSession.activeRound.roundId, 'FINAL', 'the round of the secondary unit counts');
+  assert.deepEqual(Object.keys(twoUnitSession.unitMembersByUnit), ['A'], 'unit B members are not listed outside a unit B round');
+  assert.equal(twoUnitSession.sessionData.canSubmitAssessments, true);
+});
+
+test('without a rounds sheet there is a single, always-open cycle', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+
+  const session = app.run('getCurrentUserSession');
+  assert.equal(session.activeRound, null);
+  assert.equal(session.sessionData.roundsConfigured, false);
+  assert.equal(session.sessionData.canSubmitAssessments, true);
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q3', 4)]);
+  assert.equal(result.success, true, result.error);
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2')[0].roundId, '');
+});
+
+test('submitPeerAssessments stamps the open round on each response', () => {
+  const app = loadRoundsApp({ activeUserEmail: STUDENTS.alice.email });
+
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q3', 4),
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 5, { roundId: 'final' })
+  ]);
+
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => record.roundId), ['FINAL', 'FINAL']);
+});
+
+test('getCompletedAssessments only lists the peers assessed in the open round', () => {
+  const app = loadRoundsApp({
+    activeUserEmail: STUDENTS.alice.email,
+    submissions: [
+      submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 4, { roundId: 'MIDTERM' }),
+      submissionRow(STUDENTS.alice, STUDENTS.carol, 'Q1', 3, { roundId: 'FINAL' }),
+      submissionRow(STUDENTS.alice, STUDENTS.dave, 'Q1', 'Only a comment', { roundId: 'FINAL' }),
+      submissionRow(STUDENTS.bob, STUDENTS.dave, 'Q1', 5, { roundId: 'FINAL' })
+    ]
+  });
+
+  assert.deepEqual(app.run('getCompletedAssessments'), [STUDENTS.carol.studentId]);
+});
+
+test('submitPeerAssessments rejects responses outside the round window and writes nothing', () => {
+  const app = loadRoundsApp({ activeUserEmail: STUDENTS.alice.email });
+
+  const closed = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4, { roundId: 'MIDTERM' })]);
+  assert.equal(closed.success, false);
+  assert.equal(closed.roundClosed, true);
+  assert.match(closed.error, /"Midterm review" closed on 2020-04-01T00:00:00.000Z/);
+
+  app.signIn(STUDENTS.erin.email);
+  const notOpen = app.run('submitPeerAssessments', [webSubmission(STUDENTS.erin, STUDENTS.frank, 'Q1', 4, { unitContextOfEvaluation: 'B' })]);
+  assert.equal(notOpen.roundClosed, true);
+  assert.match(notOpen.error, /No assessment round is open for unit B/);
+
+  const wrongUnit = app.run('submitPeerAssessments', [webSubmission(STUDENTS.erin, STUDENTS.frank, 'Q1', 4, { unitContextOfEvaluation: 'B', roundId: 'FINAL' })]);
+  assert.match(wrongUnit.error, /Unit B does not take part in assessment round "Final review"/);
+
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2').length, 0);
+});
+
+test('answers from different rounds are separate answers, not revisions', () => {
+  const app = loadRoundsApp({
+    submissions: [submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 2, { roundId: 'MIDTERM', revision: 1 })],
+    activeUserEmail: STUDENTS.alice.email
+  });
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 5)]);
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.superseded, 0);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => [record.roundId, record.revision, record.supersededBy]), [
+    ['MIDTERM', 1, ''],
+    ['FINAL', 1, '']
+  ]);
+});
+
+test('workflows run for one round write round-suffixed sheets from that round only', () => {
+  const app = loadRoundsApp({
+    submissions: completeUnitARound({ roundId: 'MIDTERM' }).concat([
+      submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q3', 1, { roundId: 'FINAL', submissionId: 'SUB_FINAL' })
+    ])
+  });
+
+  app.run('generateEvaluatorAnalyticsAndWeights', { roundId: 'midterm' });
+  app.run('calculateWeightedScoresAndUpdateSheet', { roundId: 'MIDTERM' });
+
+  const scores = app.sheetValues('PaFinalScoresSummary_MIDTERM');
+  assert.deepEqual(scores[0], ['studentId', 'studentName', 'q1', 'q2', 'overallWeightedMedian'], 'only the round\'s questions are scored');
+  assert.deepEqual(scores[1], [STUDENTS.alice.studentId, 'Alice Wang', 3.82, 3.82, 3.82]);
+  assert.equal(app.sheetValues('PaFinalScoresSummary'), null, 'the all-rounds sheet is left alone');
+
+  app.run('findStudentsWhoHaventAssessedSpecificPeers', 'FINAL');
+  const missing = app.sheetRecords('PaReportMissingAssessments_FINAL');
+  assert.ok(missing.every(record => record.evaluatorUnitContext === 'A'), 'unit B is not part of the final round');
+  assert.ok(!missing.some(record => record.evaluatorId === STUDENTS.alice.studentId && record.peerNotAssessedId === STUDENTS.bob.studentId));
+  assert.ok(missing.some(record => record.evaluatorId === STUDENTS.alice.studentId && record.peerNotAssessedId === STUDENTS.carol.studentId));
+
+  assert.throws(() => app.run('generateRawScoresReportWithWeights', { roundId: 'SUMMER' }), /Unknown assessment round "SUMMER"/);
+});
+
+test('menu and trigger event objects run workflows over all submissions', () => {
+  const app = loadRoundsApp({ submissions: completeUnitARound({ roundId: 'MIDTERM' }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights', { authMode: 'FULL', source: {} });
+
+  assert.equal(app.sheetRecords('PaEvaluatorAnalytics').length, 6);
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound, submissionRow } = require('./fixtures/classroom');
+
+function runScoringPipeline(app, options) {
+  app.run('generateEvaluatorAnalyticsAndWeights');
+  app.run('calculateWeightedScoresAndUpdateSheet', options);
+}
+
+test('the bootstrap resamples evaluators with a seeded PRNG', () => {
+  const app = loadApp();
+  const mean = entries => entries.reduce((sum, entry) => sum + entry.value, 0) / entries.length;
+  const settings = seed => ({ resamples: 1000, level: 0.9, random: app.run('createBootstrapRandom', seed) });
+  const twoRaters = [{ value: 2, evaluatorId: 'E1' }, { value: 4, evaluatorId: 'E2' }];
+
+  // Both draws from one rater (2 or 4) happen a quarter of the time each, so the 90% interval spans both
+  assert.deepEqual(app.run('bootstrapScoreInterval', twoRaters, mean, settings('a')), { lower: 2, upper: 4 });
+  assert.deepEqual(app.run('bootstrapScoreInterval', twoRaters.map(entry => Object.assign({}, entry, { value: 3 })), mean, settings('a')),
+    { lower: 3, upper: 3 }, 'raters who agree leave no uncertainty');
+  assert.equal(app.run('bootstrapScoreInterval', [], mean, settings('a')), null);
+
+  const sequence = seed => { const random = app.run('createBootstrapRandom', seed); return [random(), random(), random()]; };
+  assert.deepEqual(sequence('A113000001|Q1'), sequence('A113000001|Q1'));
+  assert.notDeepEqual(sequence('A113000001|Q1'), sequence('A113000001|Q2'));
+  assert.ok(sequence('x').every(value => value >= 0 && value < 1));
+});
+
+test('scoring writes the raters, interval and review flag of every weighted score to PaScoreConfidence', () => {
+  const submissions = completeUnitARound().concat(
+    ['Q1', 'Q2', 'Q3'].map(questionId => submissionRow(STUDENTS.dave, STUDENTS.erin, questionId, 4, { unit: 'B' })),
+    ['Q1', 'Q2', 'Q3'].map(questionId => submissionRow(STUDENTS.frank, STUDENTS.erin, questionId, 4, { unit: 'B' }))
+  );
+  const app = loadApp({ sheets: createClassroomSheets({ submissions }) });
+
+  runScoringPipeline(app);
+
+  const records = app.sheetRecords('PaScoreConfidence');
+  const row = (student, questionId) => records.find(record => record.studentId === student.studentId && record.questionId === questionId);
+  assert.deepEqual(app.sheetValues('PaScoreConfidence')[0],
+    ['studentId', 'studentName', 'questionId', 'score', 'raters', 'ciLower', 'ciUpper', 'ciWidth', 'review', 'reasons']);
+  assert.deepEqual(records.filter(record => record.studentId === STUDENTS.alice.studentId).map(record => record.questionId), ['Q1', 'Q2', 'Q3', 'OVERALL']);
+
+  const aliceQ1 = row(STUDENTS.alice, 'Q1');
+  assert.equal(aliceQ1.score, app.sheetRecords('PaFinalScoresSummary')[0].q1, 'the interval is around the summary\'s score');
+  assert.equal(aliceQ1.raters, 3);
+  assert.ok(aliceQ1.ciLower < aliceQ1.score && aliceQ1.score < aliceQ1.ciUpper);
+  assert.deepEqual([aliceQ1.review, aliceQ1.reasons], [true, `90% interval ${aliceQ1.ciWidth} points wide, more than 1`],
+    'Bob\'s 1 against the others\' 5 makes the score uncertain');
+
+  assert.deepEqual([row(STUDENTS.bob, 'OVERALL').ciWidth, row(STUDENTS.bob, 'OVERALL').review], [0, false], 'unanimous raters need no review');
+  assert.deepEqual([row(STUDENTS.erin, 'Q2').raters, row(STUDENTS.erin, 'Q2').ciWidth, row(STUDENTS.erin, 'Q2').reasons],
+    [2, 0, 'only 2 rater(s), at least 3 needed']);
+  assert.deepEqual([row(STUDENTS.frank, 'OVERALL').score, row(STUDENTS.frank, 'OVERALL').reasons], ['', 'no raters']);
+  assert.equal(app.spreadsheet.getActiveSheet().getName(), 'PaFinalScoresSummary');
+
+  const first = app.sheetValues('PaScoreConfidence');
+  app.run('calculateWeightedScoresAndUpdateSheet');
+  assert.deepEqual(app.sheetValues('PaScoreConfidence'), first, 'a rerun gives the same intervals');
+});
+
+test('PaScoreConfidence is only written when the weighted scores are', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+
+  runScoringPipeline(app, { strategies: 'webpa' });
+
+  assert.equal(app.sheetValues('PaScoreConfidence'), null);
+});
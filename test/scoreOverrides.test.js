@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound } = require('./fixtures/classroom');
+
+const FINAL = { roundId: 'FINAL', name: 'Final review', opensAt: '', closesAt: '', units: 'A', questionIds: '' };
+
+const OVERRIDES = [
+  { type: 'exclude-evaluation', evaluatorId: STUDENTS.carol.studentId, studentId: STUDENTS.alice.studentId, reason: 'conflict of interest', author: 'ichen' },
+  { type: 'Exclude-Evaluator', evaluatorId: STUDENTS.bob.studentId.toLowerCase(), reason: 'rated everyone 1', author: 'ichen' },
+  { type: 'fixed-weight', evaluatorId: STUDENTS.dave.studentId, value: 0.5, reason: 'late joiner', author: 'ichen' },
+  { type: 'fixed-final-score', studentId: STUDENTS.alice.studentId, value: 4.2, reason: 'appeal upheld', author: 'jlee' }
+];
+
+function byStudentId(records, key = 'studentId') {
+  return Object.fromEntries(records.map(record => [record[key], record]));
+}
+
+test('analytics and scoring leave out excluded ratings, use fixed values and list the entries', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound(), overrides: OVERRIDES }) });
+
+  const weights = app.run('generateEvaluatorAnalyticsAndWeights');
+  assert.equal(weights[STUDENTS.dave.studentId], 0.5);
+  const analytics = byStudentId(app.sheetRecords('PaEvaluatorAnalytics'), 'evaluatorId');
+  assert.equal(analytics[STUDENTS.bob.studentId].totalScoredAssessments, 0, 'none of Bob\'s ratings are analysed');
+  assert.equal(analytics[STUDENTS.bob.studentId].overrides, `exclude-evaluator ${STUDENTS.bob.studentId} (rated everyone 1; ichen, row 3)`);
+  assert.equal(analytics[STUDENTS.carol.studentId].totalScoredAssessments, 6, 'Carol\'s ratings of Alice are left out');
+  assert.equal(analytics[STUDENTS.erin.studentId].overrides, '');
+
+  const daveSteps = app.sheetRecords('PaWeightExplanations').filter(record => record.evaluatorId === STUDENTS.dave.studentId);
+  assert.deepEqual(daveSteps.slice(-2).map(record => record.ruleId), ['RESULT', 'OVERRIDE']);
+  assert.equal(daveSteps[daveSteps.length - 1].weightAfter, 0.5);
+  assert.equal(daveSteps[daveSteps.length - 1].description, `fixed-weight ${STUDENTS.dave.studentId} = 0.5 (late joiner; ichen, row 4)`);
+
+  app.run('calculateWeightedScoresAndUpdateSheet');
+  const summary = byStudentId(app.sheetRecords('PaFinalScoresSummary'));
+  const alice = summary[STUDENTS.alice.studentId];
+  assert.equal(alice.q1, 5, 'only Dave\'s rating of Alice is left');
+  assert.equal(alice.overallWeightedMedian, 4.2);
+  assert.equal(alice.overrides, [
+    `exclude-evaluation ${STUDENTS.carol.studentId} -> ${STUDENTS.alice.studentId} (conflict of interest; ichen, row 2)`,
+    `exclude-evaluator ${STUDENTS.bob.studentId} (rated everyone 1; ichen, row 3)`,
+    `fixed-final-score ${STUDENTS.alice.studentId} = 4.2 (appeal upheld; jlee, row 5)`
+  ].join('; '));
+  assert.equal(summary[STUDENTS.carol.studentId].q1, 3);
+  assert.equal(summary[STUDENTS.erin.studentId].overrides, '', 'Bob did not rate Erin');
+
+  const aliceOverall = app.sheetRecords('PaScoreConfidence')
+    .find(record => record.studentId === STUDENTS.alice.studentId && record.questionId === 'OVERALL');
+  assert.deepEqual([aliceOverall.score, aliceOverall.raters, aliceOverall.ciWidth, aliceOverall.review, aliceOverall.reasons],
+    [4.2, 1, '', false, 'score fixed in PaOverrides row 5']);
+});
+
+test('a round\'s entries only apply to its responses and its runs, and no sheet means no overrides column', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      rounds: [FINAL],
+      submissions: completeUnitARound({ roundId: 'FINAL' }),
+      overrides: [
+        { type: 'exclude-evaluator', roundId: 'mid', evaluatorId: STUDENTS.bob.studentId, reason: 'absent', author: 'ichen' },
+        { type: 'fixed-weight', evaluatorId: STUDENTS.dave.studentId, value: 0.5, reason: 'default', author: 'ichen' },
+        { type: 'fixed-weight', roundId: 'FINAL', evaluatorId: STUDENTS.dave.studentId, value: 0.25, reason: 'final only', author: 'ichen' }
+      ]
+    })
+  });
+
+  const finalWeights = app.run('generateEvaluatorAnalyticsAndWeights', { roundId: 'final' });
+  assert.equal(finalWeights[STUDENTS.dave.studentId], 0.25, 'the round\'s fixed weight wins');
+  assert.equal(byStudentId(app.sheetRecords('PaEvaluatorAnalytics_FINAL'), 'evaluatorId')[STUDENTS.bob.studentId].totalScoredAssessments, 9,
+    'the midterm exclusion leaves the final round alone');
+  assert.equal(app.run('generateEvaluatorAnalyticsAndWeights')[STUDENTS.dave.studentId], 0.5);
+  assert.equal(byStudentId(app.sheetRecords('PaEvaluatorAnalytics'), 'evaluatorId')[STUDENTS.bob.studentId].totalScoredAssessments, 9,
+    'a run over all rounds only excludes Bob\'s midterm ratings');
+
+  const plain = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+  plain.run('calculateWeightedScoresAndUpdateSheet');
+  assert.ok(!plain.sheetValues('PaFinalScoresSummary')[0].includes('overrides'));
+  assert.ok(!plain.sheetValues('PaEvaluatorAnalytics')[0].includes('overrides'));
+});
+
+test('invalid PaOverrides entries stop the workflows with the row and the problem', () => {
+  const invalid = (overrides, pattern) => {
+    const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound(), overrides }) });
+    assert.throws(() => app.run('generateEvaluatorAnalyticsAndWeights'), pattern);
+  };
+  const entry = extra => Object.assign({ reason: 'r', author: 'a' }, extra);
+  invalid([entry({ type: 'drop', evaluatorId: 'X' })],
+    /Invalid override in the "PaOverrides" sheet row 2: unknown type "drop" \(use exclude-evaluation, exclude-evaluator, fixed-weight, fixed-final-score\)/);
+  invalid([entry({ type: 'exclude-evaluation', evaluatorId: STUDENTS.bob.studentId })], /row 2: exclude-evaluation needs a studentId/);
+  invalid([entry({ type: 'fixed-weight', evaluatorId: STUDENTS.bob.studentId, value: 2 })], /row 2: a fixed weight must be between 0 and 1, not 2/);
+  invalid([entry({ type: 'fixed-final-score', studentId: STUDENTS.bob.studentId, value: 'high' })], /row 2: fixed-final-score needs a numeric value, not "high"/);
+  invalid([{ type: 'exclude-evaluator', evaluatorId: STUDENTS.bob.studentId, author: 'a' }], /row 2: reason is required/);
+  invalid([entry({ type: 'fixed-weight', evaluatorId: STUDENTS.bob.studentId, value: 0.5 }), {},
+    entry({ type: 'fixed-weight', evaluatorId: STUDENTS.bob.studentId, value: 0.7 })],
+  /row 4: row 2 already sets this fixed-weight/);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound, submissionRow } = require('./fixtures/classroom');
+
+function loadScoringApp(options = {}) {
+  return loadApp({
+    sheets: createClassroomSheets({ submissions: options.submissions || completeUnitARound() }),
+    scriptProperties: options.scriptProperties || {}
+  });
+}
+
+function summaryById(app) {
+  return Object.fromEntries(app.sheetRecords('PaFinalScoresSummary').map(record => [record.studentId, record]));
+}
+
+test('the SCORING_STRATEGIES script property selects the WebPA and SPARK columns', () => {
+  const app = loadScoringApp({ scriptProperties: { SCORING_STRATEGIES: 'webpa, SPARK' } });
+
+  app.run('calculateWeightedScoresAndUpdateSheet');
+
+  assert.deepEqual(app.sheetValues('PaFinalScoresSummary')[0], ['studentId', 'studentName', 'webpaFactor', 'sparkSpa', 'sparkSapa']);
+  const byId = summaryById(app);
+  // Alice gets 1/3 of Bob's marks, 5/13 of Carol's and 5/12 of Dave's: (0.333 + 0.385 + 0.417) / 3 * 3 peers
+  assert.equal(byId[STUDENTS.alice.studentId].webpaFactor, 1.135);
+  assert.equal(byId[STUDENTS.carol.studentId].webpaFactor, 0.856);
+  assert.equal(byId[STUDENTS.bob.studentId].sparkSpa, 1.109, 'SPA uses raw ratings, so Bob\'s harsh scores lower everyone else');
+  assert.equal(byId[STUDENTS.bob.studentId].sparkSapa, '', 'no self-ratings, no SAPA');
+  assert.equal(byId[STUDENTS.erin.studentId].webpaFactor, '', 'unit B has no ratings');
+});
+
+test('a run\'s strategies option overrides the configuration and z-scores remove rater offsets', () => {
+  const app = loadScoringApp({ scriptProperties: { SCORING_STRATEGIES: 'webpa' } });
+
+  app.run('calculateWeightedScoresAndUpdateSheet', { strategies: ['zScore', 'weightedMean'] });
+
+  assert.deepEqual(app.sheetValues('PaFinalScoresSummary')[0], [
+    'studentId', 'studentName', 'q1ZScore', 'q2ZScore', 'q3ZScore', 'overallZScore', 'q1', 'q2', 'q3', 'overallWeightedMedian'
+  ]);
+  const byId = summaryById(app);
+  assert.equal(byId[STUDENTS.alice.studentId].overallZScore, 0.92);
+  assert.equal(byId[STUDENTS.bob.studentId].overallZScore, 0, 'every evaluator rated Bob at their own average');
+  assert.equal(byId[STUDENTS.carol.studentId].overallZScore, -0.92);
+  assert.equal(byId[STUDENTS.alice.studentId].overallWeightedMedian, 3.82);
+});
+
+test('SAPA compares self-ratings with peer ratings, and unknown strategies are rejected', () => {
+  const submissions = completeUnitARound().concat([
+    submissionRow(STUDENTS.alice, STUDENTS.alice, 'Q1', 5),
+    submissionRow(STUDENTS.alice, STUDENTS.alice, 'Q2', 5)
+  ]);
+  const app = loadScoringApp({ submissions });
+
+  app.run('calculateWeightedScoresAndUpdateSheet', { strategies: 'spark' });
+
+  // Alice rates herself 5; her peers gave 1, 5 and 5 on each question
+  assert.equal(summaryById(app)[STUDENTS.alice.studentId].sparkSapa, 1.168);
+  assert.throws(() => app.run('calculateWeightedScoresAndUpdateSheet', { strategies: 'median' }),
+    /Unknown scoring strategy "median" in the strategies option \(use weightedMean, webpa, spark, zScore\)/);
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound, submissionRow, webSubmission } = require('./fixtures/classroom');
+
+const SELF_ASSESSMENT_ON = { SELF_ASSESSMENT: 'true' };
+
+// Alice rates herself 5 and Carol rates herself 4 on every question
+function selfRatings() {
+  return ['Q1', 'Q2', 'Q3'].map(questionId => submissionRow(STUDENTS.alice, STUDENTS.alice, questionId, 5, { assessmentType: 'SELF' }))
+    .concat(['Q1', 'Q2', 'Q3'].map(questionId => submissionRow(STUDENTS.carol, STUDENTS.carol, questionId, 4)));
+}
+
+test('students can only rate themselves in the self-assessment mode, and those responses are stored as SELF', () => {
+  const off = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+  assert.equal(off.run('getCurrentUserSession').selfAssessment, false);
+  const rejected = off.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.alice, 'Q1', 5)]);
+  assert.equal(rejected.success, false);
+  assert.match(rejected.error, /cannot evaluate themselves \(self-assessment is not enabled\)/);
+  assert.equal(off.run('saveDraftAssessment', STUDENTS.alice.studentId, { Q1: { score: 5 } }).success, false);
+
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.dave.email, scriptProperties: SELF_ASSESSMENT_ON });
+  assert.equal(app.run('getCurrentUserSession').selfAssessment, true);
+  assert.equal(app.run('saveDraftAssessment', STUDENTS.dave.studentId, { Q1: { score: 3 } }).success, true);
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.dave, STUDENTS.dave, 'Q1', 3, { unitContextOfEvaluation: 'B' }),
+    webSubmission(STUDENTS.dave, STUDENTS.alice, 'Q1', 4)
+  ]);
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => [record.evaluatedStudentId, record.unitContextOfEvaluation, record.assessmentType]), [
+    [STUDENTS.dave.studentId, 'B', 'SELF'],
+    [STUDENTS.alice.studentId, 'A', 'PEER']
+  ], 'a self-assessment may be given in either of the student\'s units');
+  assert.deepEqual(app.sheetRecords('PaDrafts'), [], 'submitting deletes the self-assessment draft');
+
+  const invalid = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email, scriptProperties: { SELF_ASSESSMENT: 'sometimes' } });
+  assert.throws(() => invalid.run('isSelfAssessmentEnabled'), /Invalid SELF_ASSESSMENT script property "sometimes" \(use true or false\)/);
+});
+
+test('self-ratings are left out of the peer scores and weights and reported as a self-vs-peer gap', () => {
+  const peersOnly = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+  peersOnly.run('calculateWeightedScoresAndUpdateSheet', { strategies: 'weightedMean,webpa' });
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound().concat(selfRatings()) }) });
+  app.run('calculateWeightedScoresAndUpdateSheet', { strategies: 'weightedMean,webpa' });
+
+  assert.deepEqual(app.sheetValues('PaFinalScoresSummary'), peersOnly.sheetValues('PaFinalScoresSummary'),
+    'the summary is the same as without the self-ratings');
+  assert.deepEqual(app.sheetValues('PaEvaluatorAnalytics'), peersOnly.sheetValues('PaEvaluatorAnalytics'));
+  assert.equal(peersOnly.sheetValues('PaSelfAssessment'), null, 'no sheet without self-ratings');
+
+  assert.deepEqual(app.sheetValues('PaSelfAssessment')[0],
+    ['studentId', 'studentName', 'questionId', 'selfScore', 'peerScore', 'peerRaters', 'selfPeerGap']);
+  const rows = app.sheetRecords('PaSelfAssessment');
+  const row = (student, questionId) => rows.find(record => record.studentId === student.studentId && record.questionId === questionId);
+  // Alice's peers: Bob 1, Carol 5, Dave 5
+  assert.deepEqual([row(STUDENTS.alice, 'Q1').selfScore, row(STUDENTS.alice, 'Q1').peerScore, row(STUDENTS.alice, 'Q1').peerRaters, row(STUDENTS.alice, 'Q1').selfPeerGap],
+    [5, 3.67, 3, 1.33]);
+  // Carol's peers: Bob 1, Alice 3, Dave 3
+  assert.deepEqual([row(STUDENTS.carol, 'OVERALL').selfScore, row(STUDENTS.carol, 'OVERALL').peerScore, row(STUDENTS.carol, 'OVERALL').selfPeerGap],
+    [4, 2.33, 1.67]);
+  assert.deepEqual([row(STUDENTS.bob, 'OVERALL').selfScore, row(STUDENTS.bob, 'OVERALL').peerScore, row(STUDENTS.bob, 'OVERALL').selfPeerGap],
+    ['', 4, ''], 'Bob did not rate himself');
+});
+
+test('SPARK\'s SAPA uses the self-ratings whichever unit they were given in', () => {
+  const submissions = completeUnitARound().concat(
+    ['Q1', 'Q2', 'Q3'].map(questionId => submissionRow(STUDENTS.dave, STUDENTS.dave, questionId, 4, { unit: 'B', assessmentType: 'SELF' })));
+  const app = loadApp({ sheets: createClassroomSheets({ submissions }) });
+
+  app.run('calculateWeightedScoresAndUpdateSheet', { strategies: 'spark' });
+
+  const dave = app.sheetRecords('PaFinalScoresSummary').find(record => record.studentId === STUDENTS.dave.studentId);
+  // Dave's mean peer rating in unit A is 3, so SAPA = √(4 ÷ 3)
+  assert.equal(dave.sparkSapa, 1.155);
+});
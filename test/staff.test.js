@@ -0,0 +1,118 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, STAFF, createClassroomSheets, completeUnitARound, submissionRow } = require('./fixtures/classroom');
+
+function loadStaffApp(options = {}) {
+  return loadApp({
+    sheets: createClassroomSheets({
+      staff: options.staff || [STAFF.tina, STAFF.oscar],
+      submissions: completeUnitARound().concat([
+        submissionRow(STUDENTS.erin, STUDENTS.frank, 'Q1', 4, { unit: 'B' })
+      ])
+    }),
+    activeUserEmail: options.activeUserEmail || ''
+  });
+}
+
+test('getCurrentUserSession reads staff roles and unit scopes from PaStaff', () => {
+  const app = loadStaffApp({ activeUserEmail: STAFF.tina.email });
+
+  const ta = app.run('getCurrentUserSession');
+  assert.equal(ta.isAuthenticated, true, ta.error);
+  assert.equal(ta.role, 'ta');
+  assert.equal(ta.isStaff, true);
+  assert.deepEqual(ta.staffUnits, ['B']);
+  assert.deepEqual(ta.permissions, ['viewDashboard', 'viewAnalytics', 'viewRevisionHistory']);
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  const instructor = app.run('getCurrentUserSession');
+  assert.equal(instructor.role, 'instructor', 'profile instructors need no PaStaff row');
+  assert.deepEqual(instructor.staffUnits, []);
+
+  app.signIn(STUDENTS.alice.email);
+  assert.equal(app.run('getCurrentUserSession').isStaff, false);
+
+  const demoted = loadStaffApp({ staff: [{ email: INSTRUCTOR_EMAIL, role: 'observer' }, { email: 'x@mail.shu.edu.tw', role: 'janitor' }] });
+  assert.equal(demoted.run('findStaffMember_', INSTRUCTOR_EMAIL).role, 'observer');
+  assert.equal(demoted.run('findStaffMember_', 'x@mail.shu.edu.tw'), null, 'rows with an unknown role are skipped');
+});
+
+test('a TA only sees the statistics, analytics and history of their units', () => {
+  const app = loadStaffApp({ activeUserEmail: INSTRUCTOR_EMAIL });
+  assert.equal(app.run('runStaffWorkflow', 'scoring', { roundId: '' }).success, true);
+
+  app.signIn(STAFF.tina.email);
+  assert.deepEqual(app.run('getSystemStatisticsSafe'), { totalStudents: 3, totalQuestions: 3, totalResponses: 1 });
+
+  const analytics = app.run('getUnitAnalyticsForWeb', {});
+  assert.equal(analytics.success, true, analytics.error);
+  assert.deepEqual(analytics.evaluatorAnalytics.records.map(record => record.evaluatorId).sort(),
+    [STUDENTS.dave.studentId, STUDENTS.erin.studentId, STUDENTS.frank.studentId]);
+  assert.deepEqual(analytics.finalScores.records.map(record => record.studentId).sort(),
+    [STUDENTS.dave.studentId, STUDENTS.erin.studentId, STUDENTS.frank.studentId]);
+
+  const outOfScope = app.run('getSubmissionRevisionHistory', STUDENTS.alice.studentId, STUDENTS.bob.studentId);
+  assert.equal(outOfScope.success, false);
+  assert.match(outOfScope.error, /A113000001 is not in your units \(B\)/);
+  assert.match(app.run('getSubmissionRevisionHistory', STUDENTS.dave.studentId, STUDENTS.alice.studentId).error,
+    /A113000001 is not in your units \(B\)/, 'the evaluated student must be in the TA\'s units too');
+  assert.equal(app.run('getSubmissionRevisionHistory', STUDENTS.erin.studentId, STUDENTS.frank.studentId).success, true);
+});
+
+test('only unscoped owners and instructors can run workflows', () => {
+  const app = loadStaffApp({ activeUserEmail: STAFF.tina.email });
+
+  assert.match(app.run('runStaffWorkflow', 'analytics', {}).error, /The ta role cannot run workflows/);
+  assert.throws(() => app.run('generateEvaluatorAnalyticsAndWeights', {}), /tina@mail.shu.edu.tw is not allowed to run workflows/);
+
+  app.signIn(STAFF.oscar.email);
+  assert.match(app.run('getSubmissionRevisionHistory', STUDENTS.alice.studentId, STUDENTS.bob.studentId).error, /The observer role cannot view revision history/);
+
+  const scopedInstructor = loadStaffApp({
+    staff: [{ email: 'wu@mail.shu.edu.tw', role: 'instructor', units: 'A' }],
+    activeUserEmail: 'wu@mail.shu.edu.tw'
+  });
+  assert.match(scopedInstructor.run('runStaffWorkflow', 'analytics', {}).error, /Only staff with access to all units can run workflows/);
+
+  app.signIn(STUDENTS.alice.email);
+  assert.match(app.run('runStaffWorkflow', 'analytics', {}).error, /Only staff can run workflows/);
+  assert.equal(app.sheetValues('PaEvaluatorAnalytics'), null);
+});
+
+test('runs without a signed-in user are only allowed from the spreadsheet menu', () => {
+  const app = loadStaffApp();
+  app.context.SpreadsheetApp.getUi = () => {
+    throw new Error('Cannot call SpreadsheetApp.getUi() from this context.');
+  };
+
+  assert.throws(() => app.run('generateEvaluatorAnalyticsAndWeights', {}), /Workflows can only be run by signed-in staff or from the spreadsheet menu/);
+  assert.throws(() => app.run('clearSpecifiedSheets', ['PaRawSubmissionsV2']), /signed-in staff or from the spreadsheet menu/);
+  assert.equal(app.sheetValues('PaEvaluatorAnalytics'), null);
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2').length, 49);
+  assert.deepEqual(app.sheetRecords('PaAuditLog').map(record => [record.email, record.functionName, record.outcome]), [
+    ['', 'generateEvaluatorAnalyticsAndWeights', 'denied'],
+    ['', 'clearSpecifiedSheets', 'denied']
+  ]);
+
+  const menuRun = loadStaffApp();
+  menuRun.run('generateEvaluatorAnalyticsAndWeights', {});
+  assert.equal(menuRun.sheetRecords('PaEvaluatorAnalytics').length, 6);
+});
+
+test('doGet shows staff the dashboard sections their role allows', () => {
+  const app = loadStaffApp({ activeUserEmail: STAFF.oscar.email });
+
+  const observerPage = app.context.doGet({}).getContent();
+  assert.match(observerPage, /Role: observer · All units/);
+  assert.doesNotMatch(observerPage, /System Actions|Revision History/);
+  assert.match(observerPage, /Show Analytics/);
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  const instructorPage = app.context.doGet({}).getContent();
+  assert.match(instructorPage, /System Actions/);
+  assert.match(instructorPage, /Revision History/);
+});
@@ -0,0 +1,267 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, SUBMISSION_HEADERS, createClassroomSheets, submissionRow, webSubmission } = require('./fixtures/classroom');
+
+test('submitPeerAssessments stores validated responses', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'q1', '4', { responseType: 'score' }),
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q2', 5),
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q2', '  Reliable teammate  ')
+  ]);
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.inserted, 3);
+  assert.equal(result.superseded, 0);
+
+  const stored = app.sheetRecords('PaRawSubmissionsV2');
+  assert.equal(stored.length, 3);
+  assert.deepEqual(stored.map(record => [record.questionId, record.responseType, record.responseValue]), [
+    ['Q1', 'SCORE', 4],
+    ['Q2', 'SCORE', 5],
+    ['Q2', 'COMMENT', 'Reliable teammate']
+  ]);
+  assert.match(stored[1].responseId, /^RESP_20250502030000_A113000001_A113000002_Q2_SCOR_[A-Z0-9]{6}$/);
+});
+
+test('submitPeerAssessments creates the submissions sheet when it is missing', () => {
+  const sheets = createClassroomSheets();
+  delete sheets.PaRawSubmissionsV2;
+  const app = loadApp({ sheets, activeUserEmail: STUDENTS.erin.email });
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.erin, STUDENTS.frank, 'Q1', 3, { unitContextOfEvaluation: 'B' })]);
+
+  assert.equal(result.success, true, result.error);
+  const values = app.sheetValues('PaRawSubmissionsV2');
+  assert.deepEqual(values[0], SUBMISSION_HEADERS);
+  assert.equal(values.length, 2);
+});
+
+test('submitPeerAssessments keeps earlier answers as superseded revisions', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      submissions: [
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 2),
+        submissionRow(STUDENTS.carol, STUDENTS.bob, 'Q1', 3),
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q2', 2)
+      ]
+    }),
+    activeUserEmail: STUDENTS.alice.email
+  });
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 5)]);
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.superseded, 1);
+  const stored = app.sheetRecords('PaRawSubmissionsV2');
+  assert.deepEqual(stored.map(record => [record.evaluatorId, record.questionId, record.responseValue, record.revision]), [
+    [STUDENTS.alice.studentId, 'Q1', 2, ''],
+    [STUDENTS.carol.studentId, 'Q1', 3, ''],
+    [STUDENTS.alice.studentId, 'Q2', 2, ''],
+    [STUDENTS.alice.studentId, 'Q1', 5, 2]
+  ]);
+  assert.equal(stored[0].supersededBy, stored[3].responseId);
+  assert.deepEqual(stored.slice(1).map(record => record.supersededBy), ['', '', '']);
+});
+
+test('submitPeerAssessments rejects the whole batch when one response is invalid', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4),
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q2', 9)
+  ]);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Invalid score value: 9/);
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2').length, 0);
+});
+
+test('submitPeerAssessments refuses to let students assess outside their units', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.erin, 'Q1', 4)]);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Assessment not permitted/);
+});
+
+test('submitPeerAssessments records the unit a student in two units evaluated each peer in', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.dave.email });
+
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.dave, STUDENTS.alice, 'Q1', 4, { unitContextOfEvaluation: 'B' }),
+    webSubmission(STUDENTS.dave, STUDENTS.erin, 'Q1', 3, { unitContextOfEvaluation: 'B' })
+  ]);
+
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => [record.evaluatedStudentId, record.unitContextOfEvaluation]), [
+    [STUDENTS.alice.studentId, 'A'],
+    [STUDENTS.erin.studentId, 'B']
+  ]);
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  app.run('findStudentsWhoHaventAssessedSpecificPeers');
+  const missing = app.sheetRecords('PaReportMissingAssessments')
+    .filter(record => record.evaluatorId === STUDENTS.dave.studentId)
+    .map(record => [record.evaluatorUnitContext, record.peerNotAssessedId]);
+  assert.deepEqual(missing, [
+    ['A', STUDENTS.bob.studentId],
+    ['A', STUDENTS.carol.studentId],
+    ['B', STUDENTS.frank.studentId]
+  ]);
+});
+
+test('submitPeerAssessments reports an empty batch as an error', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+
+  assert.equal(app.run('submitPeerAssessments', []).success, false);
+});
+
+test('submitPeerAssessments returns a conflict and writes nothing when the lock stays busy', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+  app.LockService.contended = true;
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4)]);
+
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, true);
+  assert.match(result.error, /submit again/);
+  assert.deepEqual(app.Utilities.sleeps, [500, 1000], 'backs off between the three attempts');
+  assert.equal(app.sheetRecords('PaRawSubmissionsV2').length, 0);
+});
+
+test('submitPeerAssessments releases the lock after saving', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+
+  app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4)]);
+
+  assert.equal(app.LockService.acquisitions, 1);
+  assert.equal(app.LockService.releases, 1);
+  assert.equal(app.LockService.getScriptLock().hasLock(), false);
+});
+
+test('superseded rows are located when they are marked, not from the earlier read', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      submissions: [
+        submissionRow(STUDENTS.carol, STUDENTS.bob, 'Q1', 3),
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 2)
+      ]
+    })
+  });
+  const repository = app.context.getStorageAdapter().submissions;
+  const newSubmission = { responseId: 'RESP_NEW', evaluatorId: STUDENTS.alice.studentId, evaluatedStudentId: STUDENTS.bob.studentId, questionId: 'Q1', responseType: 'SCORE' };
+  const { replacements } = app.context.planSubmissionRevisions([newSubmission], app.context.getExistingSubmissions(repository));
+
+  // Rows shift after the read
+  app.spreadsheet.getSheetByName('PaRawSubmissionsV2').deleteRow(2);
+
+  const marked = repository.markSuperseded(record => replacements.get(app.context.getSubmissionKey(record)) || null);
+  assert.equal(marked, 1);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => [record.evaluatorId, record.supersededBy]),
+    [[STUDENTS.alice.studentId, 'RESP_NEW']]);
+  assert.equal(newSubmission.revision, 2);
+});
+
+test('submitPeerAssessments continues revision numbering and supersedes every current copy', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      submissions: [
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 1, { submissionId: 'SUB_OLD_1', revision: 1, supersededBy: 'RESP_SUB_OLD_2_Q1_SCOR' }),
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 2, { submissionId: 'SUB_OLD_2', revision: 2 }),
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 3, { submissionId: 'SUB_STRAY' })
+      ]
+    }),
+    activeUserEmail: STUDENTS.alice.email
+  });
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 5)]);
+
+  assert.equal(result.superseded, 2);
+  const stored = app.sheetRecords('PaRawSubmissionsV2');
+  assert.equal(stored[3].revision, 3);
+  assert.deepEqual(stored.filter(record => !record.supersededBy).map(record => record.responseValue), [5]);
+  assert.equal(stored[0].supersededBy, 'RESP_SUB_OLD_2_Q1_SCOR', 'already superseded rows keep their pointer');
+});
+
+test('submitPeerAssessments adds the revision columns to an older submissions sheet', () => {
+  const sheets = createClassroomSheets({ submissions: [submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 2)] });
+  sheets.PaRawSubmissionsV2 = sheets.PaRawSubmissionsV2.map(row => row.slice(0, 11));
+  const app = loadApp({ sheets, activeUserEmail: STUDENTS.alice.email });
+
+  const result = app.run('submitPeerAssessments', [webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4)]);
+
+  assert.equal(result.success, true, result.error);
+  const stored = app.sheetRecords('PaRawSubmissionsV2');
+  assert.deepEqual(stored.map(record => [record.responseValue, record.revision, record.supersededBy === '']), [
+    [2, '', false],
+    [4, 2, true]
+  ]);
+});
+
+test('submitPeerAssessments stores the form telemetry and blanks values it cannot use', () => {
+  const sheets = createClassroomSheets({ submissions: [submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 2)] });
+  sheets.PaRawSubmissionsV2 = sheets.PaRawSubmissionsV2.map(row => row.slice(0, 14));
+  const app = loadApp({ sheets, activeUserEmail: STUDENTS.alice.email });
+  const telemetry = { formOpenedAt: '2025-05-02T02:58:30.000Z', formSubmittedAt: '2025-05-02T03:00:00.000Z', ratingChanges: 2 };
+
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4, telemetry),
+    webSubmission(STUDENTS.alice, STUDENTS.carol, 'Q1', 3, { formOpenedAt: '2025-05-02T03:05:00.000Z', formSubmittedAt: '2025-05-02T03:00:00.000Z', ratingChanges: -1 }),
+    webSubmission(STUDENTS.alice, STUDENTS.dave, 'Q1', 5, { formOpenedAt: 'yesterday', ratingChanges: '1' }),
+    webSubmission(STUDENTS.alice, STUDENTS.dave, 'Q2', 5)
+  ]);
+
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetValues('PaRawSubmissionsV2')[0].slice(14), ['formOpenedAt', 'formSubmittedAt', 'ratingChanges', 'assessmentType']);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => [record.formOpenedAt, record.formSubmittedAt, record.ratingChanges]), [
+    ['', '', ''],
+    [telemetry.formOpenedAt, telemetry.formSubmittedAt, 2],
+    ['', '', ''],
+    ['', '', 1],
+    ['', '', '']
+  ], 'a form submitted before it was opened and unparseable times are dropped');
+});
+
+test('buildSubmissionRevisionHistory_ groups revisions by submission, oldest first', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      submissions: [
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 2, { submissionId: 'SUB_1', revision: 1, supersededBy: 'RESP_SUB_2_Q1_SCOR' }),
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q2', 3, { submissionId: 'SUB_1', revision: 1 }),
+        submissionRow(STUDENTS.carol, STUDENTS.bob, 'Q1', 4, { submissionId: 'SUB_OTHER' }),
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 5, { submissionId: 'SUB_2', revision: 2, timestamp: new Date('2025-05-03T00:00:00.000Z') })
+      ]
+    })
+  });
+
+  const history = app.run('buildSubmissionRevisionHistory_', STUDENTS.alice.studentId.toLowerCase(), STUDENTS.bob.studentId);
+
+  assert.equal(history.totalResponses, 3);
+  assert.deepEqual(history.submissions.map(entry => [entry.submissionId, entry.timestamp, entry.isCurrent]), [
+    ['SUB_1', '2025-05-01T02:00:00.000Z', true],
+    ['SUB_2', '2025-05-03T00:00:00.000Z', true]
+  ]);
+  assert.deepEqual(history.submissions[0].responses.map(response => [response.questionId, response.revision, response.isCurrent]), [
+    ['Q1', 1, false],
+    ['Q2', 1, true]
+  ]);
+});
+
+test('getSubmissionRevisionHistory is only available to staff', () => {
+  const app = loadApp({ sheets: createClassroomSheets(), activeUserEmail: STUDENTS.alice.email });
+  const denied = app.run('getSubmissionRevisionHistory', STUDENTS.alice.studentId, STUDENTS.bob.studentId);
+  assert.equal(denied.success, false);
+  assert.match(denied.error, /Only staff can view revision history/);
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  const allowed = app.run('getSubmissionRevisionHistory', STUDENTS.alice.studentId, STUDENTS.bob.studentId);
+  assert.equal(allowed.success, true);
+  assert.deepEqual(allowed.submissions, []);
+});
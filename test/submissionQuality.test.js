@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, STAFF, createClassroomSheets, completeUnitARound, submissionRow } = require('./fixtures/classroom');
+
+/**
+ * Unit B: Erin copies 5/3/4 and "Good job!" to both peers, ten seconds apart; Dave gives Erin a 4
+ * on every question; Frank answers with care.
+ */
+function lowEffortUnitBRound() {
+  const rows = [];
+  const assess = (evaluator, evaluated, scores, comment, time) => {
+    const extra = { unit: 'B', timestamp: new Date(`2025-05-01T${time}.000Z`) };
+    scores.forEach((score, index) => rows.push(submissionRow(evaluator, evaluated, `Q${index + 1}`, score, extra)));
+    rows.push(submissionRow(evaluator, evaluated, 'Q1', comment, extra));
+  };
+  assess(STUDENTS.erin, STUDENTS.dave, [5, 3, 4], 'Good job!', '10:00:00');
+  assess(STUDENTS.erin, STUDENTS.frank, [5, 3, 4], 'Good job!', '10:00:10');
+  assess(STUDENTS.frank, STUDENTS.dave, [4, 5, 3], 'Dave kept the storyboard on schedule', '10:00:00');
+  assess(STUDENTS.frank, STUDENTS.erin, [3, 4, 4], 'The lighting plan needed more detail', '10:03:00');
+  assess(STUDENTS.dave, STUDENTS.erin, [4, 4, 4], 'Reliable on set and always prepared', '10:00:00');
+  assess(STUDENTS.dave, STUDENTS.frank, [3, 4, 5], 'Edited quickly but missed two deadlines', '10:00:00');
+  return rows;
+}
+
+test('assessments are flagged for straight-lining, copied scores, boilerplate comments and rushing', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: lowEffortUnitBRound() }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const rows = app.sheetRecords('PaSubmissionQuality');
+  assert.deepEqual(rows.map(row => [row.evaluatorName, row.evaluatedName, row.flags, row.secondsSincePrevious]), [
+    [STUDENTS.dave.studentName, STUDENTS.erin.studentName, 'same rating', ''],
+    [STUDENTS.erin.studentName, STUDENTS.dave.studentName, 'copied scores, boilerplate comment', ''],
+    [STUDENTS.erin.studentName, STUDENTS.frank.studentName, 'copied scores, boilerplate comment, too fast', 10]
+  ], 'Frank is not flagged, and assessments submitted together are not timed');
+  assert.deepEqual(rows.map(row => [row.unit, row.scoredQuestions, row.comments]), [['B', 3, 1], ['B', 3, 1], ['B', 3, 1]]);
+  assert.equal(rows[2].details, 'the same scores for all 2 peers; "Good job!" is too short; 10 s after the previous assessment for 4 answers (at least 20 s expected)');
+  assert.equal(app.spreadsheet.getActiveSheet().getName(), 'PaEvaluatorAnalytics');
+});
+
+test('each evaluator\'s share of flagged assessments feeds the weighting rules', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: lowEffortUnitBRound() }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const analytics = app.sheetRecords('PaEvaluatorAnalytics').find(record => record.evaluatorId === STUDENTS.erin.studentId);
+  assert.deepEqual([analytics.percentStraightLined, analytics.percentCopiedScores, analytics.percentBoilerplateComments, analytics.percentTooFast],
+    ['0.0%', '100.0%', '100.0%', '50.0%']);
+  const ruleIds = evaluatorId => app.sheetRecords('PaWeightExplanations')
+    .filter(record => record.evaluatorId === evaluatorId).map(record => record.ruleId);
+  assert.ok(ruleIds(STUDENTS.erin.studentId).includes('COPIED_SCORES'));
+  assert.ok(ruleIds(STUDENTS.erin.studentId).includes('BOILERPLATE'));
+  assert.ok(!ruleIds(STUDENTS.erin.studentId).includes('TOO_FAST'), 'half the assessments rushed is not most of them');
+  assert.deepEqual(ruleIds(STUDENTS.frank.studentId).filter(ruleId => ['COPIED_SCORES', 'BOILERPLATE', 'TOO_FAST'].includes(ruleId)), []);
+});
+
+test('the form telemetry times assessments and gives each evaluator\'s median time per assessment', () => {
+  const timed = (evaluated, scores, opened, submitted, ratingChanges) => scores.map((score, index) =>
+    submissionRow(STUDENTS.frank, evaluated, `Q${index + 1}`, score, {
+      unit: 'B', formOpenedAt: `2025-05-01T${opened}.000Z`, formSubmittedAt: `2025-05-01T${submitted}.000Z`, ratingChanges
+    }));
+  const submissions = timed(STUDENTS.dave, [4, 5, 3], '09:59:50', '10:00:00', 0)
+    .concat(timed(STUDENTS.erin, [3, 4, 4], '10:01:00', '10:03:00', 3), lowEffortUnitBRound().filter(row => row[3] !== STUDENTS.frank.studentId));
+  const app = loadApp({ sheets: createClassroomSheets({ submissions }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const frankRows = app.sheetRecords('PaSubmissionQuality').filter(row => row.evaluatorId === STUDENTS.frank.studentId);
+  assert.deepEqual(frankRows.map(row => [row.evaluatedId, row.secondsOnForm, row.ratingChanges, row.flags, row.details]), [
+    [STUDENTS.dave.studentId, 10, 0, 'too fast', '10 s on the form for 3 answers (at least 15 s expected)']
+  ], 'two minutes on Erin\'s form is not rushed, although both assessments were stored at the same time');
+  const median = evaluatorId => app.sheetRecords('PaEvaluatorAnalytics').find(record => record.evaluatorId === evaluatorId).medianSecondsPerAssessment;
+  assert.equal(median(STUDENTS.frank.studentId), 65);
+  assert.equal(median(STUDENTS.erin.studentId), 'N/A', 'no telemetry, no median');
+});
+
+test('getSubmissionQualityFlagsForWeb returns the flagged assessments of the caller\'s units', () => {
+  const submissions = completeUnitARound().concat(lowEffortUnitBRound());
+  const app = loadApp({ sheets: createClassroomSheets({ submissions, staff: [STAFF.tina] }), activeUserEmail: INSTRUCTOR_EMAIL });
+  assert.equal(app.run('getSubmissionQualityFlagsForWeb', {}).flags, null, 'no flags before the analytics run');
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const all = app.run('getSubmissionQualityFlagsForWeb', {});
+  assert.equal(all.success, true);
+  assert.deepEqual([...new Set(all.flags.records.map(record => record.unit))], ['A', 'B']);
+  assert.ok(all.flags.headers.includes('flags'));
+
+  app.signIn(STAFF.tina.email);
+  const scoped = app.run('getSubmissionQualityFlagsForWeb', {});
+  assert.deepEqual(scoped.flags.records.map(record => [record.evaluatorId, record.evaluatedId]), [
+    [STUDENTS.dave.studentId, STUDENTS.erin.studentId],
+    [STUDENTS.erin.studentId, STUDENTS.dave.studentId],
+    [STUDENTS.erin.studentId, STUDENTS.frank.studentId]
+  ]);
+});
@@ -0,0 +1,535 @@
+/**
+ * @file appsScriptShims.js
+ * @description In-memory stand-ins for the Apps Script services used by src/*.js
+ * (SpreadsheetApp, Session, Logger, HtmlService, LockService, Utilities, PropertiesService).
+ * They implement only the surface the project calls, and throw on anything else so a new
+ * dependency on an unsupported service method shows up as a test failure rather than a silent no-op.
+ */
+
+'use strict';
+
+// ===================================================================================
+// SPREADSHEET
+// ===================================================================================
+
+/**
+ * Converts an A1 reference ("A1", "C5") into 1-based row/column numbers.
+ * @param {string} a1 The A1 reference (single cell only).
+ * @returns {{row: number, column: number}}
+ */
+function parseA1(a1) {
+  const match = /^([A-Z]+)([0-9]+)$/.exec(a1.toUpperCase());
+  if (!match) throw new Error(`FakeSheet: unsupported A1 notation "${a1}"`);
+  const column = match[1].split('').reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0);
+  return { row: Number(match[2]), column };
+}
+
+/**
+ * A rectangular block of cells on a FakeSheet. Formatting calls are accepted and recorded
+ * per cell so tests can assert on number formats, but they do not affect values.
+ */
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`FakeRange: invalid range (${row}, ${column}, ${numRows}, ${numColumns}) on "${sheet.getName()}"`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        line.push(this.sheet._getCell(this.row + r, this.column + c));
+      }
+      values.push(line);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.sheet._getCell(this.row, this.column);
+  }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values ? values.length : 0} but the range has ${this.numRows}.`);
+    }
+    values.forEach((line, r) => {
+      if (!Array.isArray(line) || line.length !== this.numColumns) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${line ? line.length : 0} but the range has ${this.numColumns}.`);
+      }
+      line.forEach((value, c) => this.sheet._setCell(this.row + r, this.column + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet._setCell(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  clear() {
+    this.clearContent();
+    this._format('numberFormat', () => undefined);
+    return this;
+  }
+
+  setNumberFormat(format) {
+    return this._format('numberFormat', () => format);
+  }
+
+  setNumberFormats(formats) {
+    return this._format('numberFormat', (r, c) => formats[r][c]);
+  }
+
+  getNumberFormats() {
+    const formats = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        line.push(this.sheet._getFormat(this.row + r, this.column + c, 'numberFormat') || 'General');
+      }
+      formats.push(line);
+    }
+    return formats;
+  }
+
+  setFontWeight(weight) { return this._format('fontWeight', () => weight); }
+  setHorizontalAlignment(alignment) { return this._format('horizontalAlignment', () => alignment); }
+  setVerticalAlignment(alignment) { return this._format('verticalAlignment', () => alignment); }
+  setBackground(color) { return this._format('background', () => color); }
+  setFontColor(color) { return this._format('fontColor', () => color); }
+  setWrap(wrap) { return this._format('wrap', () => wrap); }
+
+  _format(key, valueAt) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet._setFormat(this.row + r, this.column + c, key, valueAt(r, c));
+      }
+    }
+    return this;
+  }
+}
+
+/**
+ * A sheet holding a dense grid of values. Empty cells read back as "" like in Sheets.
+ */
+class FakeSheet {
+  constructor(spreadsheet, name, values = []) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.values = values.map(line => line.slice());
+    this.formats = {};
+    this.frozenRows = 0;
+  }
+
+  getName() { return this.name; }
+  getParent() { return this.spreadsheet; }
+
+  getLastRow() {
+    for (let r = this.values.length - 1; r >= 0; r--) {
+      if ((this.values[r] || []).some(value => value !== '' && value !== null && value !== undefined)) return r + 1;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.values.forEach(line => {
+      for (let c = (line || []).length - 1; c >= last; c--) {
+        if (line[c] !== '' && line[c] !== null && line[c] !== undefined) {
+          last = c + 1;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this.values.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getRange(rowOrA1, column, numRows = 1, numColumns = 1) {
+    if (typeof rowOrA1 === 'string') {
+      const cell = parseA1(rowOrA1);
+      return new FakeRange(this, cell.row, cell.column, 1, 1);
+    }
+    return new FakeRange(this, rowOrA1, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(rowContents) {
+    const row = this.getLastRow() + 1;
+    rowContents.forEach((value, c) => this._setCell(row, c + 1, value));
+    return this;
+  }
+
+  deleteRow(rowPosition) {
+    return this.deleteRows(rowPosition, 1);
+  }
+
+  deleteRows(rowPosition, howMany) {
+    if (rowPosition < 1 || rowPosition > this.getMaxRows()) {
+      throw new Error(`Those rows are out of bounds.`);
+    }
+    this.values.splice(rowPosition - 1, howMany);
+    const shifted = {};
+    Object.keys(this.formats).forEach(key => {
+      const [r, c] = key.split(':').map(Number);
+      if (r < rowPosition) shifted[key] = this.formats[key];
+      else if (r >= rowPosition + howMany) shifted[`${r - howMany}:${c}`] = this.formats[key];
+    });
+    this.formats = shifted;
+    return this;
+  }
+
+  clear() {
+    this.values = [];
+    this.formats = {};
+    return this;
+  }
+
+  clearContents() {
+    this.values = [];
+    return this;
+  }
+
+  clearFormats() {
+    this.formats = {};
+    return this;
+  }
+
+  setFrozenRows(rows) {
+    this.frozenRows = rows;
+    return this;
+  }
+
+  getFrozenRows() { return this.frozenRows; }
+
+  autoResizeColumns() { return this; }
+  setColumnWidth() { return this; }
+
+  activate() {
+    this.spreadsheet.setActiveSheet(this);
+    return this;
+  }
+
+  _getCell(row, column) {
+    const line = this.values[row - 1];
+    const value = line ? line[column - 1] : undefined;
+    return value === undefined || value === null ? '' : value;
+  }
+
+  _setCell(row, column, value) {
+    while (this.values.length < row) this.values.push([]);
+    const line = this.values[row - 1];
+    while (line.length < column) line.push('');
+    line[column - 1] = value === undefined || value === null ? '' : value;
+  }
+
+  _getFormat(row, column, key) {
+    const cell = this.formats[`${row}:${column}`];
+    return cell ? cell[key] : undefined;
+  }
+
+  _setFormat(row, column, key, value) {
+    const id = `${row}:${column}`;
+    this.formats[id] = this.formats[id] || {};
+    this.formats[id][key] = value;
+  }
+
+  /**
+   * Test helper: the sheet content trimmed to the data range, like getDataRange().getValues().
+   * @returns {Array[]}
+   */
+  toValues() {
+    if (this.getLastRow() === 0) return [];
+    return this.getDataRange().getValues();
+  }
+}
+
+/**
+ * A spreadsheet made of FakeSheets, seeded from a map of sheet name to values (headers first).
+ */
+class FakeSpreadsheet {
+  constructor(sheets = {}) {
+    this.sheets = [];
+    Object.keys(sheets).forEach(name => this.sheets.push(new FakeSheet(this, name, sheets[name])));
+    this.activeSheet = this.sheets[0] || null;
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  getSheets() {
+    return this.sheets.slice();
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+    }
+    const sheet = new FakeSheet(this, name);
+    this.sheets.push(sheet);
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(existing => existing !== sheet);
+    if (this.activeSheet === sheet) this.activeSheet = this.sheets[0] || null;
+  }
+
+  getActiveSheet() { return this.activeSheet; }
+
+  setActiveSheet(sheet) {
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  getUrl() { return 'https://docs.google.com/spreadsheets/d/fake-spreadsheet-id/edit'; }
+  getId() { return 'fake-spreadsheet-id'; }
+
+  /**
+   * Test helper: every sheet's values keyed by sheet name.
+   * @returns {Object<string, Array[]>}
+   */
+  toJSON() {
+    const result = {};
+    this.sheets.forEach(sheet => { result[sheet.getName()] = sheet.toValues(); });
+    return result;
+  }
+}
+
+/**
+ * Records dialogs instead of showing them. `responses` answers ui.prompt/ui.alert with buttons.
+ */
+function createFakeUi() {
+  const ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+  const Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+  const ui = {
+    ButtonSet,
+    Button,
+    alerts: [],
+    nextButton: Button.OK,
+    alert(...args) {
+      ui.alerts.push(args);
+      return ui.nextButton;
+    },
+    createMenu() {
+      const menu = {
+        addItem() { return menu; },
+        addSeparator() { return menu; },
+        addSubMenu() { return menu; },
+        addToUi() {}
+      };
+      return menu;
+    },
+    showModalDialog() {},
+    showSidebar() {}
+  };
+  return ui;
+}
+
+// ===================================================================================
+// OTHER SERVICES
+// ===================================================================================
+
+function createFakeLogger() {
+  const lines = [];
+  return {
+    lines,
+    log(message, ...params) {
+      let text = String(message);
+      params.forEach(param => { text = text.replace(/%s/, String(param)); });
+      lines.push(text);
+      return this;
+    },
+    clear() {
+      lines.length = 0;
+    },
+    getLog() {
+      return lines.join('\n');
+    }
+  };
+}
+
+function createFakeSession({ activeUserEmail = '', timeZone = 'Asia/Taipei' } = {}) {
+  const session = {
+    activeUserEmail,
+    getActiveUser() {
+      return { getEmail: () => session.activeUserEmail };
+    },
+    getEffectiveUser() {
+      return { getEmail: () => session.activeUserEmail };
+    },
+    getScriptTimeZone() {
+      return timeZone;
+    },
+    getTemporaryActiveUserKey() {
+      return `temp-key-${session.activeUserEmail}`;
+    }
+  };
+  return session;
+}
+
+function createFakeHtmlOutput(content = '', fileName = null) {
+  const output = {
+    fileName,
+    content,
+    title: '',
+    metaTags: {},
+    xFrameOptionsMode: null,
+    setTitle(title) { output.title = title; return output; },
+    getTitle() { return output.title; },
+    addMetaTag(name, value) { output.metaTags[name] = value; return output; },
+    setXFrameOptionsMode(mode) { output.xFrameOptionsMode = mode; return output; },
+    setSandboxMode() { return output; },
+    setWidth() { return output; },
+    setHeight() { return output; },
+    append(more) { output.content += more; return output; },
+    getContent() { return output.content; }
+  };
+  return output;
+}
+
+function createFakeHtmlService() {
+  return {
+    XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' },
+    SandboxMode: { IFRAME: 'IFRAME', NATIVE: 'NATIVE', EMULATED: 'EMULATED' },
+    createHtmlOutput(content = '') {
+      return createFakeHtmlOutput(content);
+    },
+    createHtmlOutputFromFile(fileName) {
+      return createFakeHtmlOutput('', fileName);
+    },
+    createTemplateFromFile(fileName) {
+      return {
+        evaluate: () => createFakeHtmlOutput('', fileName)
+      };
+    }
+  };
+}
+
+/**
+ * LockService with a single shared script lock. Tests can set `lockService.contended = true`
+ * to simulate another execution holding the lock.
+ */
+function createFakeLockService() {
+  const service = { contended: false, acquisitions: 0, releases: 0 };
+  const makeLock = () => {
+    let held = false;
+    return {
+      tryLock() {
+        if (service.contended) return false;
+        held = true;
+        service.acquisitions++;
+        return true;
+      },
+      waitLock() {
+        if (!this.tryLock()) throw new Error('Lock timeout: another process was holding the lock for too long.');
+      },
+      releaseLock() {
+        if (held) service.releases++;
+        held = false;
+      },
+      hasLock() {
+        return held;
+      }
+    };
+  };
+  const scriptLock = makeLock();
+  service.getScriptLock = () => scriptLock;
+  service.getDocumentLock = () => scriptLock;
+  service.getUserLock = () => makeLock();
+  return service;
+}
+
+function createFakeProperties(initial = {}) {
+  const values = Object.assign({}, initial);
+  return {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    setProperty(key, value) { values[key] = String(value); return this; },
+    setProperties(map) { Object.keys(map).forEach(key => { values[key] = String(map[key]); }); return this; },
+    deleteProperty(key) { delete values[key]; return this; },
+    getProperties: () => Object.assign({}, values),
+    getKeys: () => Object.keys(values)
+  };
+}
+
+function createFakePropertiesService({ scriptProperties = {}, userProperties = {} } = {}) {
+  const script = createFakeProperties(scriptProperties);
+  const user = createFakeProperties(userProperties);
+  const documentProps = createFakeProperties();
+  return {
+    getScriptProperties: () => script,
+    getUserProperties: () => user,
+    getDocumentProperties: () => documentProps
+  };
+}
+
+/**
+ * Utilities.formatDate for the tokens the project uses (yyyy, MM, dd, HH, mm, ss).
+ * Only UTC and fixed "Asia/Taipei" (UTC+8) are supported.
+ */
+function formatDate(date, timeZone, pattern) {
+  const offsetHours = timeZone === 'Asia/Taipei' ? 8 : 0;
+  const shifted = new Date(date.getTime() + offsetHours * 3600 * 1000);
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return pattern
+    .replace(/yyyy/g, shifted.getUTCFullYear())
+    .replace(/MM/g, pad(shifted.getUTCMonth() + 1))
+    .replace(/dd/g, pad(shifted.getUTCDate()))
+    .replace(/HH/g, pad(shifted.getUTCHours()))
+    .replace(/mm/g, pad(shifted.getUTCMinutes()))
+    .replace(/ss/g, pad(shifted.getUTCSeconds()));
+}
+
+function createFakeUtilities() {
+  let uuidCounter = 0;
+  return {
+    sleeps: [],
+    sleep(milliseconds) { this.sleeps.push(milliseconds); },
+    formatDate,
+    getUuid() {
+      uuidCounter++;
+      return `00000000-0000-4000-8000-${String(uuidCounter).padStart(12, '0')}`;
+    }
+  };
+}
+
+module.exports = {
+  FakeRange,
+  FakeSheet,
+  FakeSpreadsheet,
+  createFakeUi,
+  createFakeLogger,
+  createFakeSession,
+  createFakeHtmlService,
+  createFakeLockService,
+  createFakePropertiesService,
+  createFakeUtilities
+};
@@ -0,0 +1,166 @@
+/**
+ * @file loadApp.js
+ * @description Loads the Apps Script sources into a fresh Node `vm` context, in the same order
+ * clasp pushes them (clasp.json `filePushOrder`), with the fake services from appsScriptShims.js
+ * installed as globals. Each call returns an isolated app, so tests do not share sheet state.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const {
+  FakeSpreadsheet,
+  createFakeUi,
+  createFakeLogger,
+  createFakeSession,
+  createFakeHtmlService,
+  createFakeLockService,
+  createFakePropertiesService,
+  createFakeUtilities
+} = require('./appsScriptShims');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+/**
+ * @returns {string[]} Absolute paths of the .js files clasp pushes, in push order.
+ */
+function getScriptFiles() {
+  const claspConfig = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'clasp.json'), 'utf8'));
+  return claspConfig.filePushOrder
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.join(ROOT_DIR, file));
+}
+
+const compiledScripts = new Map();
+
+function getCompiledScript(file) {
+  if (!compiledScripts.has(file)) {
+    compiledScripts.set(file, new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }));
+  }
+  return compiledScripts.get(file);
+}
+
+/**
+ * Creates a sandboxed copy of the web app.
+ * @param {object} [options]
+ * @param {Object<string, Array[]>} [options.sheets={}] Initial sheets (name -> values, headers first).
+ * @param {string} [options.activeUserEmail=''] Email returned by Session.getActiveUser().
+ * @param {boolean} [options.developmentMode=false] Value of UserTestingScript's DEVELOPMENT_MODE.
+ * @param {string|null} [options.testEmail=null] Value of UserTestingScript's CURRENT_TEST_EMAIL.
+ * @param {Object<string, string>} [options.scriptProperties={}] Initial script properties.
+ * @returns {object} The app: `context` (the script globals), the fake services, and helpers.
+ */
+function loadApp(options = {}) {
+  const {
+    sheets = {},
+    activeUserEmail = '',
+    developmentMode = false,
+    testEmail = null,
+    scriptProperties = {}
+  } = options;
+
+  const spreadsheet = new FakeSpreadsheet(sheets);
+  const ui = createFakeUi();
+  const services = {
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      getActive: () => spreadsheet,
+      getUi: () => ui,
+      flush() {}
+    },
+    Logger: createFakeLogger(),
+    Session: createFakeSession({ activeUserEmail }),
+    HtmlService: createFakeHtmlService(),
+    LockService: createFakeLockService(),
+    PropertiesService: createFakePropertiesService({ scriptProperties }),
+    Utilities: createFakeUtilities()
+  };
+
+  // Share the host Date so `instanceof Date` holds for fixture values read back from sheets.
+  const context = vm.createContext(Object.assign({ console, Date }, services));
+  getScriptFiles().forEach(file => getCompiledScript(file).runInContext(context));
+
+  vm.runInContext(
+    `DEVELOPMENT_MODE = ${JSON.stringify(developmentMode)}; CURRENT_TEST_EMAIL = ${JSON.stringify(testEmail)};`,
+    context
+  );
+
+  return Object.assign({
+    context,
+    spreadsheet,
+    ui,
+
+    /**
+     * Calls a global function of the app and returns a host-realm copy of the result,
+     * so it can be compared with assert.deepStrictEqual.
+     */
+    run(functionName, ...args) {
+      if (typeof context[functionName] !== 'function') {
+        throw new Error(`"${functionName}" is not a global function of the app`);
+      }
+      return toHost(context[functionName](...args));
+    },
+
+    /** Evaluates an expression in the app scope (e.g. to read a top-level const). */
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    },
+
+    /** Signs a different user in for subsequent Session.getActiveUser() calls. */
+    signIn(email) {
+      services.Session.activeUserEmail = email;
+    },
+
+    /** @returns {Array[]|null} The values of a sheet (headers first), or null if it does not exist. */
+    sheetValues(name) {
+      const sheet = spreadsheet.getSheetByName(name);
+      return sheet ? sheet.toValues() : null;
+    },
+
+    /** @returns {object[]} The data rows of a sheet as records keyed by header. */
+    sheetRecords(name) {
+      const values = this.sheetValues(name) || [];
+      if (values.length === 0) return [];
+      const headers = values[0];
+      return values.slice(1).map(row => {
+        const record = {};
+        headers.forEach((header, index) => { record[header] = row[index]; });
+        return record;
+      });
+    },
+
+    logs() {
+      return services.Logger.lines.slice();
+    }
+  }, services);
+}
+
+/**
+ * Copies a value created inside the sandbox into the host realm, so it can be compared with
+ * assert.deepStrictEqual. Values that cannot be structured-cloned (e.g. model objects with
+ * methods) are copied field by field with their methods dropped.
+ */
+function toHost(value) {
+  if (value === null || typeof value !== 'object') return value;
+  try {
+    return structuredClone(value);
+  } catch (error) {
+    return copyWithoutFunctions(value);
+  }
+}
+
+function copyWithoutFunctions(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return Array.from(value, copyWithoutFunctions);
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    if (typeof value[key] !== 'function') copy[key] = copyWithoutFunctions(value[key]);
+  });
+  return copy;
+}
+
+module.exports = { loadApp, getScriptFiles, ROOT_DIR };
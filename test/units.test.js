@@ -0,0 +1,143 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, createClassroomSheets, submissionRow, webSubmission } = require('./fixtures/classroom');
+
+const UNIT_HEADERS = ['unitCode', 'displayName', 'active'];
+
+// Six teams with multi-letter codes; "Old-Crew" has been retired
+const UNITS = [
+  ['Camera-1', 'Camera Team 1', ''],
+  ['Camera-2', '', true],
+  ['Sound', 'Sound Crew', 'yes'],
+  ['Lighting', '', ''],
+  ['Editing', 'Editing Suite', ''],
+  ['Old-Crew', '', false]
+];
+
+// The classroom fixture with its A/B units renamed to team codes, written the way people type them
+const STUDENT_UNITS = {
+  alice: ['Camera-1', ''],
+  bob: ['camera-1', ''],
+  carol: ['Unit Camera-1', ''],
+  dave: ['Editing', 'Camera-1'],
+  erin: ['EDITING', ''],
+  frank: ['Old-Crew', ''],
+  gina: ['Camera-1', '']
+};
+
+function createTeamSheets(options = {}) {
+  const sheets = createClassroomSheets(options);
+  const headers = sheets.PaMasterStudentList[0];
+  sheets.PaMasterStudentList.slice(1).forEach(row => {
+    const name = Object.keys(STUDENTS).find(key => STUDENTS[key].studentId === row[0]);
+    [row[headers.indexOf('unit1')], row[headers.indexOf('unit2')]] = STUDENT_UNITS[name];
+  });
+  sheets.PaUnits = [UNIT_HEADERS].concat(options.units || UNITS);
+  return sheets;
+}
+
+function loadTeamApp(options = {}) {
+  return loadApp({ sheets: createTeamSheets(options), activeUserEmail: options.activeUserEmail || '' });
+}
+
+test('the unit registry is read from PaUnits, with A to D as the default', () => {
+  const app = loadTeamApp();
+
+  assert.deepEqual(app.run('getProductionUnits').map(unit => [unit.unitCode, unit.displayName, unit.active]), [
+    ['CAMERA-1', 'Camera Team 1', true],
+    ['CAMERA-2', 'Camera-2', true],
+    ['SOUND', 'Sound Crew', true],
+    ['LIGHTING', 'Lighting', true],
+    ['EDITING', 'Editing Suite', true],
+    ['OLD-CREW', 'Old-Crew', false]
+  ]);
+  assert.equal(app.run('normalizeProductionUnit', 'unit  camera-1'), 'CAMERA-1');
+  assert.equal(app.run('normalizeProductionUnit', 'Old-Crew'), '', 'inactive units are not accepted');
+  assert.equal(app.run('normalizeProductionUnit', 'A'), '');
+  assert.equal(app.run('normalizeRegisteredProductionUnit', 'Old-Crew'), 'OLD-CREW', 'recorded data keeps retired units');
+  assert.equal(app.run('normalizeRegisteredProductionUnit', 'A'), '');
+  assert.equal(app.run('isValidProductionUnit', 'Sound'), true);
+
+  const defaults = loadApp({ sheets: createClassroomSheets() });
+  assert.deepEqual(defaults.run('getActiveProductionUnitCodes'), ['A', 'B', 'C', 'D']);
+  assert.equal(defaults.run('isValidProductionUnit', 'E'), false);
+});
+
+test('an invalid PaUnits sheet is reported instead of guessed at', () => {
+  const duplicate = loadTeamApp({ units: [['Sound', '', ''], ['sound', '', '']] });
+  assert.throws(() => duplicate.run('getProductionUnits'), /Unit SOUND is listed twice in the "PaUnits" sheet/);
+
+  const badFlag = loadTeamApp({ units: [['Sound', '', 'maybe']] });
+  assert.throws(() => badFlag.run('getProductionUnits'), /Invalid active value "maybe" for unit SOUND/);
+
+  const empty = loadTeamApp({ units: [] });
+  assert.throws(() => empty.run('getProductionUnits'), /The "PaUnits" sheet defines no units/);
+});
+
+test('students are grouped by multi-letter unit codes however the master list spells them', () => {
+  const app = loadTeamApp({ activeUserEmail: STUDENTS.alice.email });
+
+  const session = app.run('getCurrentUserSession');
+
+  assert.equal(session.isAuthenticated, true, session.error);
+  assert.equal(session.productionUnit, 'CAMERA-1');
+  assert.deepEqual(session.unitMembers.map(member => [member.studentId, member.productionUnit]), [
+    [STUDENTS.bob.studentId, 'CAMERA-1'],
+    [STUDENTS.carol.studentId, 'CAMERA-1'],
+    [STUDENTS.dave.studentId, 'CAMERA-1']
+  ]);
+  assert.equal(session.unitNames['CAMERA-1'], 'Camera Team 1');
+  assert.equal(session.unitNames['OLD-CREW'], undefined);
+
+  app.signIn(STUDENTS.dave.email);
+  assert.deepEqual(app.run('getCurrentUserSession').productionUnits, ['EDITING', 'CAMERA-1']);
+
+  app.signIn(STUDENTS.frank.email);
+  assert.match(app.run('getCurrentUserSession').error, /No production unit assigned/, 'members of a retired unit have no unit');
+});
+
+test('submissions store the unit code and reject units outside the registry', () => {
+  const app = loadTeamApp({ activeUserEmail: STUDENTS.alice.email });
+
+  const result = app.run('submitPeerAssessments', [
+    webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q1', 4, { unitContextOfEvaluation: 'unit camera-1' })
+  ]);
+  assert.equal(result.success, true, result.error);
+  assert.deepEqual(app.sheetRecords('PaRawSubmissionsV2').map(record => record.unitContextOfEvaluation), ['CAMERA-1']);
+
+  assert.throws(() => app.run('validateAndFormatSubmission', webSubmission(STUDENTS.alice, STUDENTS.bob, 'Q2', 4, { unitContextOfEvaluation: 'A' })),
+    /Invalid unit context: A\. Must be one of CAMERA-1, CAMERA-2, SOUND, LIGHTING, EDITING/);
+});
+
+test('staff scopes and the missing assessments report use the registered units', () => {
+  const app = loadTeamApp({
+    staff: [
+      { email: 'tina@mail.shu.edu.tw', role: 'ta', units: 'Unit Editing' },
+      { email: 'tom@mail.shu.edu.tw', role: 'ta', units: 'Props' }
+    ],
+    submissions: [submissionRow(STUDENTS.erin, STUDENTS.dave, 'Q1', 4, { unit: 'editing' })],
+    activeUserEmail: 'tina@mail.shu.edu.tw'
+  });
+
+  assert.deepEqual(app.run('getAllActiveStudentsForFaculty').map(student => [student.studentId, student.productionUnit]), [
+    [STUDENTS.dave.studentId, 'EDITING'],
+    [STUDENTS.erin.studentId, 'EDITING']
+  ]);
+  assert.equal(app.run('findStaffMember_', 'tom@mail.shu.edu.tw'), null, 'a row with an unknown unit is skipped');
+
+  app.signIn(INSTRUCTOR_EMAIL);
+  app.run('findStudentsWhoHaventAssessedSpecificPeers');
+  const missing = app.sheetRecords('PaReportMissingAssessments')
+    .filter(record => record.evaluatorId === STUDENTS.dave.studentId)
+    .map(record => `${record.evaluatorUnitContext}:${record.peerNotAssessedId}`);
+  assert.deepEqual(missing, [
+    `CAMERA-1:${STUDENTS.alice.studentId}`,
+    `CAMERA-1:${STUDENTS.bob.studentId}`,
+    `CAMERA-1:${STUDENTS.carol.studentId}`,
+    `EDITING:${STUDENTS.erin.studentId}`
+  ]);
+});
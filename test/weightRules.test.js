@@ -0,0 +1,147 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { INSTRUCTOR_EMAIL, STUDENTS, STAFF, createClassroomSheets, completeUnitARound } = require('./fixtures/classroom');
+
+const RULE_HEADERS = ['ruleId', 'metric', 'operator', 'threshold', 'adjustment', 'floor', 'ceiling', 'stop', 'description'];
+
+function loadRulesApp(ruleRows, activeUserEmail = '') {
+  const sheets = createClassroomSheets({ submissions: completeUnitARound(), staff: [STAFF.tina] });
+  if (ruleRows) sheets.PaWeightRules = [RULE_HEADERS].concat(ruleRows);
+  return loadApp({ sheets, activeUserEmail });
+}
+
+function weightsById(app) {
+  return Object.fromEntries(app.sheetRecords('PaEvaluatorAnalytics').map(record => [record.evaluatorId, record.calculatedWeight]));
+}
+
+test('without PaWeightRules the default rules run and their version is recorded', () => {
+  const app = loadRulesApp();
+
+  const weights = app.run('generateEvaluatorAnalyticsAndWeights');
+
+  assert.equal(weights[STUDENTS.dave.studentId], 0.7);
+  const versions = new Set(app.sheetRecords('PaEvaluatorAnalytics').map(record => record.weightRuleVersion));
+  assert.equal(versions.size, 1);
+  assert.match([...versions][0], /^default@[0-9a-f]{8}$/);
+});
+
+test('rules from PaWeightRules replace the defaults and AND the rows of a rule', () => {
+  const rules = [
+    ['NONE', 'totalScoredAssessments', '=', 0, '', 0, 0, true, ''],
+    ['HARSH', 'avgScoreGiven', '<', 2, -0.5, '', '', '', 'Harsh scorer'],
+    ['STEADY', 'distinctScoresUsed', '=', 1, -0.2, 0.6, '', '', ''],
+    ['STEADY', 'totalScoredAssessments', '>=', 9, '', '', '', '', '']
+  ];
+  const app = loadRulesApp(rules);
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const weights = weightsById(app);
+  assert.equal(weights[STUDENTS.bob.studentId], '0.600', 'both rules match; STEADY lifts the weight to its floor');
+  assert.equal(weights[STUDENTS.alice.studentId], '1.000');
+  assert.equal(weights[STUDENTS.erin.studentId], '0.000');
+  const version = app.sheetRecords('PaEvaluatorAnalytics')[0].weightRuleVersion;
+  assert.match(version, /^PaWeightRules@[0-9a-f]{8}$/);
+
+  rules[1][3] = 2.5;
+  const tuned = loadRulesApp(rules);
+  tuned.run('generateEvaluatorAnalyticsAndWeights');
+  assert.notEqual(tuned.sheetRecords('PaEvaluatorAnalytics')[0].weightRuleVersion, version, 'a changed threshold is a new version');
+});
+
+test('an invalid rule stops the analytics with the row to fix', () => {
+  const app = loadRulesApp([
+    ['LENIENT', 'avgScoreGiven', '>', 3.5, -0.25, '', '', '', ''],
+    ['MODE', 'modeScore', '=', 4, -0.1, '', '', '', '']
+  ]);
+
+  assert.throws(() => app.run('generateEvaluatorAnalyticsAndWeights'),
+    /Invalid weight rule in the "PaWeightRules" sheet row 3: Unknown metric "modeScore"/);
+  assert.equal(app.sheetValues('PaEvaluatorAnalytics'), null);
+});
+
+test('createDefaultWeightRulesSheet writes the default policy once', () => {
+  const app = loadRulesApp();
+  app.run('generateEvaluatorAnalyticsAndWeights');
+  const defaultVersion = app.sheetRecords('PaEvaluatorAnalytics')[0].weightRuleVersion;
+
+  app.run('createDefaultWeightRulesSheet');
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  assert.equal(app.sheetRecords('PaEvaluatorAnalytics')[0].weightRuleVersion,
+    defaultVersion.replace('default@', 'PaWeightRules@'), 'the same rules give the same fingerprint');
+  assert.throws(() => app.run('createDefaultWeightRulesSheet'), /The "PaWeightRules" sheet already exists/);
+});
+
+test('PaWeightExplanations lists the rules behind each weight with their adjustments and clamps', () => {
+  const app = loadRulesApp([
+    ['NONE', 'totalScoredAssessments', '=', 0, '', 0, 0, true, 'No scores'],
+    ['HARSH', 'avgScoreGiven', '<', 2, -0.5, '', '', '', 'Harsh scorer'],
+    ['STEADY', 'distinctScoresUsed', '=', 1, -0.2, 0.6, '', '', ''],
+    ['GENEROUS', 'avgScoreGiven', '>', 3.5, 0.5, '', '', '', '']
+  ]);
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const steps = evaluatorId => app.sheetRecords('PaWeightExplanations')
+    .filter(record => record.evaluatorId === evaluatorId)
+    .map(record => [record.ruleId, record.conditions, record.adjustment, record.clamp, record.weightBefore, record.weightAfter]);
+  assert.deepEqual(steps(STUDENTS.bob.studentId), [
+    ['BASE', '', '', '', '', 1],
+    ['HARSH', 'avgScoreGiven 1 < 2', -0.5, '', 1, 0.5],
+    ['STEADY', 'distinctScoresUsed 1 = 1', -0.2, 'floor', 0.5, 0.6],
+    ['RESULT', '', '', '', 0.6, 0.6]
+  ]);
+  assert.deepEqual(steps(STUDENTS.alice.studentId), [
+    ['BASE', '', '', '', '', 1],
+    ['GENEROUS', 'avgScoreGiven 3.667 > 3.5', 0.5, '', 1, 1.5],
+    ['RESULT', '', '', 'range 0..1', 1.5, 1]
+  ]);
+  assert.deepEqual(steps(STUDENTS.erin.studentId).map(step => [step[0], step[3], step[5]]), [
+    ['BASE', '', 1],
+    ['NONE', 'ceiling', 0],
+    ['RESULT', '', 0]
+  ]);
+});
+
+test('getWeightExplanationsForWeb explains the weights of the evaluators in the caller\'s units', () => {
+  const app = loadRulesApp(null, INSTRUCTOR_EMAIL);
+  assert.equal(app.run('getWeightExplanationsForWeb', {}).explanations, null, 'nothing to explain before the analytics run');
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const [dave] = app.run('getWeightExplanationsForWeb', { evaluatorId: STUDENTS.dave.studentId.toLowerCase() }).explanations;
+  assert.equal(dave.calculatedWeight, 0.7);
+  assert.match(dave.weightRuleVersion, /^default@/);
+  assert.deepEqual(dave.steps.map(step => [step.ruleId, step.adjustment]), [
+    ['BASE', null], ['LENIENT', -0.15], ['VERY_LENIENT', -0.1], ['NO_LOW_SCORES', -0.1], ['COMMENTS', 0.05], ['MINIMUM', 0], ['RESULT', null]
+  ]);
+
+  app.signIn(STAFF.tina.email);
+  assert.deepEqual(app.run('getWeightExplanationsForWeb', {}).explanations.map(explanation => explanation.evaluatorId),
+    [STUDENTS.dave.studentId, STUDENTS.erin.studentId, STUDENTS.frank.studentId]);
+  assert.match(app.run('getWeightExplanationsForWeb', { evaluatorId: STUDENTS.bob.studentId }).error,
+    /A113000002 is not in your units \(B\)/);
+  assert.deepEqual(app.sheetRecords('PaAuditLog').map(record => [record.email, record.functionName, record.outcome]),
+    [[STAFF.tina.email, 'getWeightExplanationsForWeb', 'denied']]);
+});
+
+test('the default MINIMUM floor does not lift an evaluator the other rules took down to 0', () => {
+  const app = loadRulesApp();
+  const ruleSet = app.run('getWeightRuleSet');
+  const lenientCopier = {
+    totalScoredAssessments: 12, avgScoreGiven: 5, stdDevScoresGiven: 0, distinctScoresUsed: 1, percentMaxScore: 100,
+    percentMinScore: 0, avgIntraPeerSd: 0, avgAbsDevFromGroupMedian: 1, percentScoresWithComment: 0
+  };
+
+  const zeroed = app.run('evaluateWeightRules', ruleSet, lenientCopier);
+  assert.equal(zeroed.weight, 0);
+  assert.equal(zeroed.appliedRules.some(rule => rule.ruleId === 'MINIMUM'), false);
+
+  const lowered = app.run('evaluateWeightRules', ruleSet, Object.assign({}, lenientCopier, { avgAbsDevFromGroupMedian: 0, avgScoreGiven: 3.3 }));
+  const minimum = lowered.appliedRules.find(rule => rule.ruleId === 'MINIMUM');
+  assert.deepEqual([minimum.weightBefore > 0, minimum.clamp, lowered.weight], [true, 'floor', 0.4]);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApp } = require('./support/loadApp');
+const { STUDENTS, createClassroomSheets, completeUnitARound, submissionRow } = require('./fixtures/classroom');
+
+function runScoringPipeline(app) {
+  app.run('generateEvaluatorAnalyticsAndWeights');
+  app.run('calculateWeightedScoresAndUpdateSheet');
+}
+
+test('analytics compute per-evaluator metrics and weights', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+
+  app.run('generateEvaluatorAnalyticsAndWeights');
+
+  const byId = Object.fromEntries(app.sheetRecords('PaEvaluatorAnalytics').map(record => [record.evaluatorId, record]));
+  assert.equal(byId[STUDENTS.alice.studentId].totalScoredAssessments, 9);
+  assert.equal(byId[STUDENTS.alice.studentId].totalComments, 3);
+  assert.equal(byId[STUDENTS.bob.studentId].avgScoreGiven, '1.00');
+  assert.equal(byId[STUDENTS.dave.studentId].calculatedWeight, '0.700');
+  assert.equal(byId[STUDENTS.erin.studentId].calculatedWeight, '0.000', 'evaluators without scores get no weight');
+  assert.equal(byId[STUDENTS.gina.studentId], undefined, 'inactive students are not evaluators');
+  assert.equal(app.spreadsheet.getActiveSheet().getName(), 'PaEvaluatorAnalytics');
+});
+
+test('scoring writes one weighted median per student and question', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+
+  runScoringPipeline(app);
+
+  assert.deepEqual(app.sheetValues('PaFinalScoresSummary'), [
+    ['studentId', 'studentName', 'q1', 'q2', 'q3', 'overallWeightedMedian'],
+    [STUDENTS.alice.studentId, 'Alice Wang', 3.82, 3.82, 3.82, 3.82],
+    [STUDENTS.bob.studentId, 'Bob Lin', 4, 4, 4, 4],
+    [STUDENTS.carol.studentId, 'Carol Chen', 2.41, 2.41, 2.41, 2.41],
+    [STUDENTS.dave.studentId, 'Dave Huang', 3, 3, 3, 3],
+    [STUDENTS.erin.studentId, 'Erin Wu', '', '', '', ''],
+    [STUDENTS.frank.studentId, 'Frank Tsai', '', '', '', '']
+  ]);
+});
+
+test('workflows give the same results on the in-memory storage adapter', () => {
+  const sheets = createClassroomSheets({ submissions: completeUnitARound() });
+  const sheetsApp = loadApp({ sheets });
+  runScoringPipeline(sheetsApp);
+
+  const memoryApp = loadApp();
+  const adapter = memoryApp.context.createMemoryStorageAdapter(sheets);
+  memoryApp.context.setStorageAdapter(adapter);
+  runScoringPipeline(memoryApp);
+
+  const memoryTables = structuredClone(adapter.store.snapshot());
+  assert.deepEqual(memoryTables.PaFinalScoresSummary, sheetsApp.sheetValues('PaFinalScoresSummary'));
+  assert.deepEqual(memoryTables.PaEvaluatorAnalytics, sheetsApp.sheetValues('PaEvaluatorAnalytics'));
+  assert.deepEqual(memoryApp.spreadsheet.getSheets(), [], 'the spreadsheet is never touched');
+});
+
+test('missing assessments report lists peers that were not assessed', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      submissions: [submissionRow(STUDENTS.erin, STUDENTS.frank, 'Q1', 4, { unit: 'B' })]
+    })
+  });
+
+  app.run('findStudentsWhoHaventAssessedSpecificPeers');
+
+  const missing = app.sheetRecords('PaReportMissingAssessments')
+    .filter(record => record.evaluatorId === STUDENTS.erin.studentId)
+    .map(record => record.peerNotAssessedId);
+  assert.deepEqual(missing, [STUDENTS.dave.studentId]);
+
+  app.run('verifyMissingAssessmentsReport');
+  const summary = app.sheetValues('PaVerificationMissingAssessments');
+  assert.deepEqual(summary[4], ['Discrepancies (Reported Missing, but Found in current V2 data):', 0]);
+});
+
+test('raw scores report includes evaluator weights', () => {
+  const app = loadApp({ sheets: createClassroomSheets({ submissions: completeUnitARound() }) });
+
+  app.run('generateRawScoresReportWithWeights');
+
+  const report = app.sheetRecords('PaReportAllResponses');
+  assert.equal(report.length, completeUnitARound().length);
+  const bobRow = report.find(record => record.evaluatorId === STUDENTS.bob.studentId);
+  assert.equal(typeof bobRow.evaluatorWeight, 'number');
+  assert.deepEqual(app.spreadsheet.getSheetByName('PaReportAllResponses').getRange(2, 10).getNumberFormats(), [['0.000']]);
+});
+
+test('parseRawSurveyData ignores superseded revisions unless asked for them', () => {
+  const app = loadApp({
+    sheets: createClassroomSheets({
+      submissions: [
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 1, { revision: 1, supersededBy: 'RESP_NEWER' }),
+        submissionRow(STUDENTS.alice, STUDENTS.bob, 'Q1', 4, { submissionId: 'SUB_NEWER', revision: 2 })
+      ]
+    })
+  });
+
+  assert.deepEqual(app.run('parseRawSurveyData').responses.map(response => response.responseValue), [4]);
+  assert.deepEqual(app.run('parseRawSurveyData', { includeSuperseded: true }).responses.map(response => response.responseValue), [1, 4]);
+});